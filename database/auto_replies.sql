@@ -0,0 +1,18 @@
+-- Auto-replies
+-- Out-of-office and other automatic replies get the AUTO_REPLY category.
+-- What the reply says is kept alongside: its kind, the date the sender is
+-- back and the colleague to write to instead
+-- Run this in your Supabase SQL Editor
+ALTER TABLE public.emails
+ADD COLUMN IF NOT EXISTS auto_reply_type TEXT,
+    ADD COLUMN IF NOT EXISTS auto_reply_until DATE,
+    ADD COLUMN IF NOT EXISTS auto_reply_contact TEXT;
+ALTER TABLE public.emails DROP CONSTRAINT IF EXISTS emails_auto_reply_type_check;
+ALTER TABLE public.emails
+ADD CONSTRAINT emails_auto_reply_type_check CHECK (
+        auto_reply_type IN ('OUT_OF_OFFICE', 'LEFT_COMPANY', 'AUTO_REPLY')
+    );
+COMMENT ON COLUMN public.emails.category IS 'Email category: AUTO_REPLY, BOUNCE, TRANSACTIONAL, NOTIFICATION, MARKETING, HUMAN, NEWSLETTER, UNKNOWN';
+COMMENT ON COLUMN public.emails.auto_reply_type IS 'AUTO_REPLY emails only: OUT_OF_OFFICE, LEFT_COMPANY or AUTO_REPLY (other automatic answers)';
+COMMENT ON COLUMN public.emails.auto_reply_until IS 'Return date given in an out-of-office reply';
+COMMENT ON COLUMN public.emails.auto_reply_contact IS 'Alternate contact address given in an auto-reply';
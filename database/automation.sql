@@ -0,0 +1,105 @@
+-- Automation rules
+-- User-defined rules that run when an email arrives, a bounce is detected or
+-- a thread goes idle: conditions decide whether a rule matches, actions
+-- (label, archive, star, mark read, webhook, suppress) run when it does.
+-- automation_executions logs every run and keeps a rule from running twice
+-- for the same email, bounce or idle period
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.automation_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- NULL = applies to all of the user's mailboxes
+    mailbox_id UUID REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    -- EMAIL_RECEIVED, BOUNCE_DETECTED or THREAD_IDLE
+    trigger TEXT NOT NULL,
+    -- THREAD_IDLE: hours without a new message
+    idle_hours INT,
+    -- { categories, from_pattern, subject_pattern, headers, bounce_types,
+    -- bounce_categories, last_direction }; all must match
+    conditions JSONB NOT NULL DEFAULT '{}',
+    -- [{ "type": "label", "label_id": "..." }, { "type": "archive" }, ...]
+    actions JSONB NOT NULL,
+    -- Rules run in ascending position; a matching rule with stop_processing
+    -- keeps later rules from running for the same trigger
+    position INT NOT NULL DEFAULT 0,
+    stop_processing BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    -- THREAD_IDLE: threads whose last message is older were already checked
+    idle_cursor TIMESTAMPTZ,
+    execution_count INT NOT NULL DEFAULT 0,
+    last_executed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    updated_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    CONSTRAINT automation_rules_trigger_check CHECK (
+        trigger IN ('EMAIL_RECEIVED', 'BOUNCE_DETECTED', 'THREAD_IDLE')
+    ),
+    CONSTRAINT automation_rules_idle_hours_check CHECK (
+        trigger <> 'THREAD_IDLE'
+        OR idle_hours > 0
+    )
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_automation_rules_user_trigger ON public.automation_rules USING btree (user_id, trigger, position)
+WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_automation_rules_idle ON public.automation_rules USING btree (trigger)
+WHERE is_active = true
+    AND trigger = 'THREAD_IDLE';
+CREATE OR REPLACE FUNCTION update_automation_rules_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = timezone('utc', now());
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_automation_rules_updated_at ON public.automation_rules;
+CREATE TRIGGER tg_automation_rules_updated_at BEFORE
+UPDATE ON public.automation_rules FOR EACH ROW EXECUTE FUNCTION update_automation_rules_updated_at();
+CREATE TABLE IF NOT EXISTS public.automation_executions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    rule_id UUID NOT NULL REFERENCES public.automation_rules(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    mailbox_id UUID REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    trigger TEXT NOT NULL,
+    -- Email id, bounce event id or "<thread id>@<last message time>"
+    trigger_key TEXT NOT NULL,
+    email_id UUID REFERENCES public.emails(id) ON DELETE SET NULL,
+    thread_id UUID REFERENCES public.email_threads(id) ON DELETE SET NULL,
+    bounce_id UUID REFERENCES public.email_bounces(id) ON DELETE SET NULL,
+    -- RUNNING, SUCCESS, PARTIAL (some actions failed) or FAILED
+    status TEXT NOT NULL DEFAULT 'RUNNING',
+    -- [{ "type": "archive", "success": true }, { "type": "webhook", "success": false, "error": "..." }]
+    actions JSONB NOT NULL DEFAULT '[]',
+    error_message TEXT,
+    executed_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    CONSTRAINT automation_executions_rule_key_unique UNIQUE (rule_id, trigger_key),
+    CONSTRAINT automation_executions_status_check CHECK (
+        status IN ('RUNNING', 'SUCCESS', 'PARTIAL', 'FAILED')
+    )
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_automation_executions_user ON public.automation_executions USING btree (user_id, executed_at DESC) TABLESPACE pg_default;
+-- Rule stats follow the execution log
+CREATE OR REPLACE FUNCTION count_automation_execution() RETURNS TRIGGER AS $$ BEGIN
+UPDATE public.automation_rules
+SET execution_count = execution_count + 1,
+    last_executed_at = NEW.executed_at
+WHERE id = NEW.rule_id;
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_automation_executions_count ON public.automation_executions;
+CREATE TRIGGER tg_automation_executions_count
+AFTER
+INSERT ON public.automation_executions FOR EACH ROW EXECUTE FUNCTION count_automation_execution();
+-- The DSN message a bounce event came from (BOUNCE_DETECTED actions and dry runs)
+ALTER TABLE public.email_bounce_events
+ADD COLUMN IF NOT EXISTS email_id UUID REFERENCES public.emails(id) ON DELETE SET NULL;
+-- Suppressions added by a rule's suppress action
+ALTER TABLE public.suppressions DROP CONSTRAINT IF EXISTS suppressions_source_check;
+ALTER TABLE public.suppressions
+ADD CONSTRAINT suppressions_source_check CHECK (
+        source IN (
+            'HARD_BOUNCE',
+            'SOFT_BOUNCE_THRESHOLD',
+            'MANUAL',
+            'IMPORT',
+            'AUTOMATION'
+        )
+    );
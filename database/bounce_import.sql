@@ -0,0 +1,15 @@
+-- Bounce import
+-- Suppressions created from imported ESP bounce exports get their own source
+-- Run this in your Supabase SQL Editor
+ALTER TABLE public.suppressions DROP CONSTRAINT IF EXISTS suppressions_source_check;
+ALTER TABLE public.suppressions
+ADD CONSTRAINT suppressions_source_check CHECK (
+        source IN (
+            'HARD_BOUNCE',
+            'SOFT_BOUNCE_THRESHOLD',
+            'MANUAL',
+            'IMPORT'
+        )
+    );
+-- Export and list filters
+CREATE INDEX IF NOT EXISTS idx_email_bounces_user_last_failed ON public.email_bounces USING btree (user_id, last_failed_at DESC) TABLESPACE pg_default;
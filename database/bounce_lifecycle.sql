@@ -0,0 +1,65 @@
+-- Bounce lifecycle
+-- Deliverability state per bounced address: SOFT_FAILING, SUPPRESSED,
+-- RECOVERED (mail came from it, or a message to it drew no bounce within
+-- BOUNCE_WINDOW_HOURS) or ACTIVE (a lifted suppression; soft failures older
+-- than BOUNCE_DECAY_DAYS also read as ACTIVE). email_bounce_events records
+-- every transition and send, not only failures.
+-- Run this in your Supabase SQL Editor
+ALTER TABLE public.email_bounces
+ADD COLUMN IF NOT EXISTS delivery_state TEXT NOT NULL DEFAULT 'SOFT_FAILING',
+    ADD COLUMN IF NOT EXISTS state_changed_at TIMESTAMPTZ,
+    ADD COLUMN IF NOT EXISTS recovered_at TIMESTAMPTZ,
+    -- Earliest accepted send since the last failure, waiting out the bounce
+    -- window; a failure clears it
+    ADD COLUMN IF NOT EXISTS pending_send_at TIMESTAMPTZ;
+ALTER TABLE public.email_bounces DROP CONSTRAINT IF EXISTS email_bounces_delivery_state_check;
+ALTER TABLE public.email_bounces
+ADD CONSTRAINT email_bounces_delivery_state_check CHECK (
+        delivery_state IN (
+            'ACTIVE',
+            'SOFT_FAILING',
+            'SUPPRESSED',
+            'RECOVERED'
+        )
+    );
+-- Existing bounces: suppressed if an active suppression covers them
+UPDATE public.email_bounces b
+SET delivery_state = 'SUPPRESSED'
+WHERE EXISTS (
+        SELECT 1
+        FROM public.suppressions s
+        WHERE s.user_id = b.user_id
+            AND s.email = b.email
+            AND s.removed_at IS NULL
+            AND (
+                s.mailbox_id IS NULL
+                OR s.mailbox_id = b.mailbox_id
+            )
+    );
+-- FAILURE (a bounce), SENT (accepted by the SMTP server), RECOVERY,
+-- SUPPRESSION_ADDED or SUPPRESSION_LIFTED
+ALTER TABLE public.email_bounce_events
+ADD COLUMN IF NOT EXISTS event_type TEXT NOT NULL DEFAULT 'FAILURE',
+    -- State the event led to (NULL for events recorded before this migration)
+    ADD COLUMN IF NOT EXISTS delivery_state TEXT,
+    ADD COLUMN IF NOT EXISTS bounce_type TEXT,
+    -- Message that proved a recovery
+    ADD COLUMN IF NOT EXISTS email_id UUID REFERENCES public.emails(id) ON DELETE
+SET NULL;
+ALTER TABLE public.email_bounce_events DROP CONSTRAINT IF EXISTS email_bounce_events_event_type_check;
+ALTER TABLE public.email_bounce_events
+ADD CONSTRAINT email_bounce_events_event_type_check CHECK (
+        event_type IN (
+            'FAILURE',
+            'SENT',
+            'RECOVERY',
+            'SUPPRESSION_ADDED',
+            'SUPPRESSION_LIFTED'
+        )
+    );
+-- Recovery lookups for each synced or sent message
+CREATE INDEX IF NOT EXISTS idx_email_bounces_user_email_failing ON public.email_bounces USING btree (user_id, email)
+WHERE delivery_state IN ('SOFT_FAILING', 'SUPPRESSED');
+-- Sends waiting out the bounce window
+CREATE INDEX IF NOT EXISTS idx_email_bounces_pending_send ON public.email_bounces USING btree (pending_send_at)
+WHERE pending_send_at IS NOT NULL;
@@ -0,0 +1,28 @@
+-- Bounce taxonomy
+-- Failure category derived from the enhanced status code (RFC 3463) and the
+-- provider diagnostic. On email_bounces it reflects the latest failure.
+-- Bounces recorded before this migration keep a NULL category
+-- Run this in your Supabase SQL Editor
+ALTER TABLE public.email_bounces
+ADD COLUMN IF NOT EXISTS bounce_category TEXT;
+ALTER TABLE public.email_bounce_events
+ADD COLUMN IF NOT EXISTS bounce_category TEXT;
+ALTER TABLE public.email_bounces DROP CONSTRAINT IF EXISTS email_bounces_bounce_category_check;
+ALTER TABLE public.email_bounces
+ADD CONSTRAINT email_bounces_bounce_category_check CHECK (
+        bounce_category IN (
+            'INVALID_MAILBOX',
+            'MAILBOX_DISABLED',
+            'MAILBOX_FULL',
+            'DOMAIN_NOT_FOUND',
+            'POLICY_BLOCK',
+            'AUTH_FAILURE',
+            'RATE_LIMITED',
+            'CONTENT_REJECTED',
+            'MESSAGE_TOO_LARGE',
+            'RELAY_DENIED',
+            'NETWORK_ERROR',
+            'OTHER'
+        )
+    );
+CREATE INDEX IF NOT EXISTS idx_email_bounces_user_category ON public.email_bounces USING btree (user_id, bounce_category) TABLESPACE pg_default;
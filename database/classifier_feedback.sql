@@ -0,0 +1,50 @@
+-- Trainable classifier
+-- Category feedback from PUT /emails/:id/category and the per-user naive
+-- Bayes models the worker trains from it. Emails record where their
+-- category came from and the probability of each category
+-- Run this in your Supabase SQL Editor
+ALTER TABLE public.emails
+ADD COLUMN IF NOT EXISTS category_source TEXT NOT NULL DEFAULT 'RULES',
+    ADD COLUMN IF NOT EXISTS category_probabilities JSONB;
+ALTER TABLE public.emails DROP CONSTRAINT IF EXISTS emails_category_source_check;
+ALTER TABLE public.emails
+ADD CONSTRAINT emails_category_source_check CHECK (
+        category_source IN ('RULES', 'ENSEMBLE', 'USER')
+    );
+COMMENT ON COLUMN public.emails.category_source IS 'RULES (rules only), ENSEMBLE (rules and the user''s trained model) or USER (set by the user)';
+CREATE TABLE IF NOT EXISTS public.email_category_feedback (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- Kept when the email is deleted: the example still trains the model
+    email_id UUID REFERENCES public.emails(id) ON DELETE SET NULL,
+    category TEXT NOT NULL,
+    previous_category TEXT,
+    -- Features the email had when the feedback was given
+    features TEXT [] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    updated_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    CONSTRAINT email_category_feedback_email_unique UNIQUE (email_id)
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_email_category_feedback_user ON public.email_category_feedback USING btree (user_id, created_at) TABLESPACE pg_default;
+CREATE OR REPLACE FUNCTION update_email_category_feedback_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = timezone('utc', now());
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_email_category_feedback_updated_at ON public.email_category_feedback;
+CREATE TRIGGER tg_email_category_feedback_updated_at BEFORE
+UPDATE ON public.email_category_feedback FOR EACH ROW EXECUTE FUNCTION update_email_category_feedback_updated_at();
+CREATE TABLE IF NOT EXISTS public.classifier_models (
+    user_id UUID PRIMARY KEY REFERENCES public.users(id) ON DELETE CASCADE,
+    -- { classes, counts, totals, vocabulary } (see NaiveBayesModel)
+    model JSONB,
+    example_count INT NOT NULL DEFAULT 0,
+    -- category -> examples
+    class_counts JSONB NOT NULL DEFAULT '{}',
+    -- Set by new feedback, cleared by the worker once trained on it
+    needs_training BOOLEAN NOT NULL DEFAULT false,
+    stale_at TIMESTAMPTZ,
+    trained_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now())
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_classifier_models_pending ON public.classifier_models USING btree (user_id)
+WHERE needs_training = true;
@@ -0,0 +1,396 @@
+-- Contacts
+-- A per-user directory of the people mail is exchanged with, built from the
+-- from, to and cc addresses of stored emails. A contact can have several
+-- addresses (aliases merged into it); each address belongs to one contact
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.contacts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- Primary address (the first one seen)
+    email TEXT NOT NULL,
+    name TEXT,
+    first_seen_at TIMESTAMPTZ,
+    last_seen_at TIMESTAMPTZ,
+    -- Emails received from the contact / sent to them
+    inbound_count INTEGER NOT NULL DEFAULT 0,
+    outbound_count INTEGER NOT NULL DEFAULT 0,
+    -- category -> emails received from the contact
+    category_counts JSONB NOT NULL DEFAULT '{}',
+    dominant_category TEXT,
+    -- Bounces of mail sent to the contact
+    bounce_count INTEGER NOT NULL DEFAULT 0,
+    last_bounced_at TIMESTAMPTZ,
+    is_vip BOOLEAN NOT NULL DEFAULT false,
+    -- Mail from blocked contacts is archived on arrival
+    is_blocked BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    updated_at TIMESTAMPTZ DEFAULT timezone('utc', now())
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_contacts_user_last_seen ON public.contacts USING btree (user_id, last_seen_at DESC) TABLESPACE pg_default;
+CREATE TABLE IF NOT EXISTS public.contact_addresses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    contact_id UUID NOT NULL REFERENCES public.contacts(id) ON DELETE CASCADE,
+    -- Lowercase address
+    email TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    CONSTRAINT contact_addresses_user_email_unique UNIQUE (user_id, email)
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_contact_addresses_contact ON public.contact_addresses USING btree (contact_id) TABLESPACE pg_default;
+-- Threads of a contact are found by participant address
+CREATE INDEX IF NOT EXISTS idx_threads_participants ON public.email_threads USING gin (participants) TABLESPACE pg_default;
+CREATE OR REPLACE FUNCTION update_contacts_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = timezone('utc', now());
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_contacts_updated_at ON public.contacts;
+CREATE TRIGGER tg_contacts_updated_at BEFORE
+UPDATE ON public.contacts FOR EACH ROW EXECUTE FUNCTION update_contacts_updated_at();
+-- Most frequent category of a contact's mail
+CREATE OR REPLACE FUNCTION public.dominant_category(p_counts JSONB) RETURNS TEXT LANGUAGE sql IMMUTABLE AS $$
+SELECT key
+FROM jsonb_each_text(p_counts)
+ORDER BY value::INTEGER DESC,
+    key
+LIMIT 1;
+$$;
+-- Record one email's addresses. p_entries is an array of
+-- { email, name, inbound, outbound }; addresses not in the directory become
+-- new contacts. p_category counts for entries with inbound > 0. Returns
+-- [{ email, contact_id, is_vip, is_blocked }]
+CREATE OR REPLACE FUNCTION public.record_contact_activity(
+        p_user_id UUID,
+        p_entries JSONB,
+        p_category TEXT,
+        p_seen_at TIMESTAMPTZ
+    ) RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE v_entry RECORD;
+v_contact_id UUID;
+v_result JSONB := '[]'::jsonb;
+BEGIN FOR v_entry IN
+SELECT *
+FROM jsonb_to_recordset(p_entries) AS e(
+        email TEXT,
+        name TEXT,
+        inbound INTEGER,
+        outbound INTEGER
+    ) LOOP
+SELECT a.contact_id INTO v_contact_id
+FROM public.contact_addresses a
+WHERE a.user_id = p_user_id
+    AND a.email = v_entry.email;
+IF v_contact_id IS NULL THEN
+INSERT INTO public.contacts (user_id, email, name)
+VALUES (p_user_id, v_entry.email, nullif(v_entry.name, ''))
+RETURNING id INTO v_contact_id;
+INSERT INTO public.contact_addresses (user_id, contact_id, email)
+VALUES (p_user_id, v_contact_id, v_entry.email) ON CONFLICT (user_id, email) DO NOTHING;
+-- Another worker added the address first
+IF NOT FOUND THEN
+DELETE FROM public.contacts
+WHERE id = v_contact_id;
+SELECT a.contact_id INTO v_contact_id
+FROM public.contact_addresses a
+WHERE a.user_id = p_user_id
+    AND a.email = v_entry.email;
+END IF;
+END IF;
+UPDATE public.contacts c
+SET name = coalesce(c.name, nullif(v_entry.name, '')),
+    first_seen_at = least(c.first_seen_at, p_seen_at),
+    last_seen_at = greatest(c.last_seen_at, p_seen_at),
+    inbound_count = c.inbound_count + v_entry.inbound,
+    outbound_count = c.outbound_count + v_entry.outbound,
+    category_counts = CASE
+        WHEN v_entry.inbound > 0
+        AND p_category IS NOT NULL
+        AND p_category <> 'UNKNOWN' THEN jsonb_set(
+            c.category_counts,
+            ARRAY [p_category],
+            to_jsonb(
+                coalesce((c.category_counts->>p_category)::INTEGER, 0) + v_entry.inbound
+            )
+        )
+        ELSE c.category_counts
+    END
+WHERE c.id = v_contact_id;
+UPDATE public.contacts c
+SET dominant_category = public.dominant_category(c.category_counts)
+WHERE c.id = v_contact_id
+RETURNING v_result || jsonb_build_array(
+        jsonb_build_object(
+            'email',
+            v_entry.email,
+            'contact_id',
+            c.id,
+            'is_vip',
+            c.is_vip,
+            'is_blocked',
+            c.is_blocked
+        )
+    ) INTO v_result;
+END LOOP;
+RETURN v_result;
+END;
+$$;
+-- These functions bypass RLS and trust p_user_id, so only the backend
+-- (service_role) may call them; functions are executable by PUBLIC by default
+REVOKE EXECUTE ON FUNCTION public.record_contact_activity(UUID, JSONB, TEXT, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_contact_activity(UUID, JSONB, TEXT, TIMESTAMPTZ) TO service_role;
+-- Count a bounce of mail sent to an address against its contact
+CREATE OR REPLACE FUNCTION public.record_contact_bounce(
+        p_user_id UUID,
+        p_email TEXT,
+        p_bounced_at TIMESTAMPTZ
+    ) RETURNS VOID LANGUAGE sql SECURITY DEFINER
+SET search_path = public AS $$
+UPDATE public.contacts c
+SET bounce_count = c.bounce_count + 1,
+    last_bounced_at = greatest(c.last_bounced_at, p_bounced_at)
+FROM public.contact_addresses a
+WHERE a.user_id = p_user_id
+    AND a.email = lower(p_email)
+    AND c.id = a.contact_id;
+$$;
+REVOKE EXECUTE ON FUNCTION public.record_contact_bounce(UUID, TEXT, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_contact_bounce(UUID, TEXT, TIMESTAMPTZ) TO service_role;
+-- Merge contacts into p_target_id: their addresses move over, counters add
+-- up and flags carry (VIP or blocked on any makes the result so)
+CREATE OR REPLACE FUNCTION public.merge_contacts(
+        p_user_id UUID,
+        p_target_id UUID,
+        p_source_ids UUID []
+    ) RETURNS VOID LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$ BEGIN
+UPDATE public.contacts t
+SET name = coalesce(t.name, s.name),
+    first_seen_at = least(t.first_seen_at, s.first_seen_at),
+    last_seen_at = greatest(t.last_seen_at, s.last_seen_at),
+    inbound_count = t.inbound_count + s.inbound_count,
+    outbound_count = t.outbound_count + s.outbound_count,
+    category_counts = (
+        SELECT coalesce(jsonb_object_agg(key, total), '{}'::jsonb)
+        FROM (
+                SELECT key,
+                    sum(value::INTEGER) AS total
+                FROM public.contacts c,
+                    jsonb_each_text(c.category_counts)
+                WHERE c.user_id = p_user_id
+                    AND (
+                        c.id = p_target_id
+                        OR c.id = ANY(p_source_ids)
+                    )
+                GROUP BY key
+            ) counts
+    ),
+    bounce_count = t.bounce_count + s.bounce_count,
+    last_bounced_at = greatest(t.last_bounced_at, s.last_bounced_at),
+    is_vip = t.is_vip
+    OR s.is_vip,
+    is_blocked = t.is_blocked
+    OR s.is_blocked
+FROM (
+        SELECT max(name) AS name,
+            min(first_seen_at) AS first_seen_at,
+            max(last_seen_at) AS last_seen_at,
+            sum(inbound_count) AS inbound_count,
+            sum(outbound_count) AS outbound_count,
+            sum(bounce_count) AS bounce_count,
+            max(last_bounced_at) AS last_bounced_at,
+            bool_or(is_vip) AS is_vip,
+            bool_or(is_blocked) AS is_blocked
+        FROM public.contacts
+        WHERE user_id = p_user_id
+            AND id = ANY(p_source_ids)
+            AND id <> p_target_id
+    ) s
+WHERE t.id = p_target_id
+    AND t.user_id = p_user_id;
+UPDATE public.contacts
+SET dominant_category = public.dominant_category(category_counts)
+WHERE id = p_target_id;
+UPDATE public.contact_addresses
+SET contact_id = p_target_id
+WHERE user_id = p_user_id
+    AND contact_id = ANY(p_source_ids);
+DELETE FROM public.contacts
+WHERE user_id = p_user_id
+    AND id = ANY(p_source_ids)
+    AND id <> p_target_id;
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION public.merge_contacts(UUID, UUID, UUID []) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.merge_contacts(UUID, UUID, UUID []) TO service_role;
+-- Thread participants used to keep senders only; recipients count too now
+WITH addresses AS (
+    SELECT e.thread_id,
+        lower(e.from_address) AS address
+    FROM public.emails e
+    WHERE e.thread_id IS NOT NULL
+    UNION
+    SELECT e.thread_id,
+        lower(
+            trim(
+                coalesce(substring(entry FROM '<([^>]+)>'), entry)
+            )
+        )
+    FROM public.emails e,
+        unnest(
+            coalesce(e.to_addresses, '{}') || coalesce(e.cc_addresses, '{}')
+        ) AS list,
+        regexp_split_to_table(list, '[,;]') AS entry
+    WHERE e.thread_id IS NOT NULL
+)
+UPDATE public.email_threads t
+SET participants = p.participants
+FROM (
+        SELECT thread_id,
+            array_agg(address) AS participants
+        FROM addresses
+        WHERE address LIKE '%@%'
+        GROUP BY thread_id
+    ) p
+WHERE t.id = p.thread_id;
+-- Backfill from stored mail. Only addresses not in the directory yet are
+-- added, so running this again does not count mail twice
+WITH mail AS (
+    SELECT e.user_id,
+        e.direction,
+        e.category,
+        e.received_at,
+        e.from_address,
+        e.from_name,
+        e.to_addresses,
+        e.cc_addresses,
+        lower(m.email_address) AS owner
+    FROM public.emails e
+        JOIN public.mailboxes m ON m.id = e.mailbox_id
+    WHERE e.category IS DISTINCT FROM 'BOUNCE'
+),
+recipients AS (
+    SELECT mail.*,
+        trim(entry) AS entry
+    FROM mail,
+        unnest(
+            coalesce(mail.to_addresses, '{}') || coalesce(mail.cc_addresses, '{}')
+        ) AS list,
+        regexp_split_to_table(list, '[,;]') AS entry
+),
+parties AS (
+    SELECT user_id,
+        owner,
+        lower(from_address) AS email,
+        from_name AS name,
+        received_at,
+        1 AS inbound,
+        0 AS outbound,
+        category
+    FROM mail
+    WHERE direction = 'INBOUND'
+    UNION ALL
+    SELECT user_id,
+        owner,
+        lower(
+            trim(
+                coalesce(substring(entry FROM '<([^>]+)>'), entry)
+            )
+        ),
+        trim(
+            BOTH ' "'''
+            FROM substring(entry FROM '^(.*?)\s*<')
+        ),
+        received_at,
+        0,
+        CASE
+            WHEN direction = 'OUTBOUND' THEN 1
+            ELSE 0
+        END,
+        NULL
+    FROM recipients
+),
+valid AS (
+    SELECT *
+    FROM parties
+    WHERE email LIKE '%@%'
+        AND email <> owner
+),
+categories AS (
+    SELECT user_id,
+        email,
+        jsonb_object_agg(category, emails) AS counts
+    FROM (
+            SELECT user_id,
+                email,
+                category,
+                sum(inbound) AS emails
+            FROM valid
+            WHERE inbound > 0
+                AND category IS NOT NULL
+                AND category <> 'UNKNOWN'
+            GROUP BY user_id,
+                email,
+                category
+        ) per_category
+    GROUP BY user_id,
+        email
+),
+totals AS (
+    SELECT user_id,
+        email,
+        max(nullif(name, '')) AS name,
+        min(received_at) AS first_seen_at,
+        max(received_at) AS last_seen_at,
+        sum(inbound) AS inbound_count,
+        sum(outbound) AS outbound_count
+    FROM valid
+    GROUP BY user_id,
+        email
+)
+INSERT INTO public.contacts (
+        user_id,
+        email,
+        name,
+        first_seen_at,
+        last_seen_at,
+        inbound_count,
+        outbound_count,
+        category_counts,
+        dominant_category
+    )
+SELECT t.user_id,
+    t.email,
+    t.name,
+    t.first_seen_at,
+    t.last_seen_at,
+    t.inbound_count,
+    t.outbound_count,
+    coalesce(c.counts, '{}'),
+    public.dominant_category(coalesce(c.counts, '{}'))
+FROM totals t
+    LEFT JOIN categories c USING (user_id, email)
+WHERE NOT EXISTS (
+        SELECT 1
+        FROM public.contact_addresses a
+        WHERE a.user_id = t.user_id
+            AND a.email = t.email
+    );
+INSERT INTO public.contact_addresses (user_id, contact_id, email)
+SELECT user_id,
+    id,
+    email
+FROM public.contacts ON CONFLICT (user_id, email) DO NOTHING;
+UPDATE public.contacts c
+SET bounce_count = b.bounce_count,
+    last_bounced_at = b.last_bounced_at
+FROM (
+        SELECT a.contact_id,
+            sum(b.failure_count) AS bounce_count,
+            max(b.last_failed_at) AS last_bounced_at
+        FROM public.email_bounces b
+            JOIN public.contact_addresses a ON a.user_id = b.user_id
+            AND a.email = lower(b.email)
+        GROUP BY a.contact_id
+    ) b
+WHERE c.id = b.contact_id
+    AND c.bounce_count = 0;
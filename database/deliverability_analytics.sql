@@ -0,0 +1,282 @@
+-- Deliverability analytics
+-- Bounce failures aggregated by recipient domain and the provider running its
+-- MX (google, microsoft, yahoo, ...), so a block at one provider stands out.
+-- recipient_domains caches MX lookups made by the worker; domains not looked
+-- up yet count as provider 'unknown'
+-- Run this in your Supabase SQL Editor
+ALTER TABLE public.email_bounces
+ADD COLUMN IF NOT EXISTS recipient_domain TEXT GENERATED ALWAYS AS (lower(split_part(email, '@', 2))) STORED;
+CREATE TABLE IF NOT EXISTS public.recipient_domains (
+    domain TEXT PRIMARY KEY,
+    -- Preferred (lowest priority) MX host; NULL if the domain has no MX
+    mx_host TEXT,
+    -- google, microsoft, yahoo, ... (see services/mx-resolver.js), 'other' or 'none'
+    mx_provider TEXT NOT NULL,
+    resolved_at TIMESTAMPTZ DEFAULT timezone('utc', now())
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_email_bounce_events_user_occurred ON public.email_bounce_events USING btree (user_id, occurred_at DESC) TABLESPACE pg_default;
+-- Report for GET /analytics/deliverability, as one JSON document
+-- Counts FAILURE events in [p_since, p_until); week-over-week compares the 7
+-- days before p_until with the 7 days before that, whatever the range
+CREATE OR REPLACE FUNCTION public.deliverability_report(
+        p_user_id UUID,
+        p_since TIMESTAMPTZ,
+        p_until TIMESTAMPTZ,
+        p_mailbox_id UUID DEFAULT NULL,
+        p_top INT DEFAULT 10
+    ) RETURNS JSONB LANGUAGE sql STABLE AS $$ WITH failures AS (
+        SELECT ev.occurred_at,
+            coalesce(ev.bounce_type, b.bounce_type, 'UNKNOWN') AS bounce_type,
+            coalesce(ev.bounce_category, 'UNCATEGORIZED') AS bounce_category,
+            coalesce(ev.status, ev.error_code, 'none') AS code,
+            b.email,
+            b.recipient_domain AS domain,
+            coalesce(d.mx_provider, 'unknown') AS provider,
+            d.domain IS NULL AS unresolved,
+            ev.occurred_at >= p_since
+            AND ev.occurred_at < p_until AS in_range,
+            ev.occurred_at >= p_until - interval '7 days'
+            AND ev.occurred_at < p_until AS this_week,
+            ev.occurred_at >= p_until - interval '14 days'
+            AND ev.occurred_at < p_until - interval '7 days' AS last_week
+        FROM public.email_bounce_events ev
+            JOIN public.email_bounces b ON b.id = ev.bounce_id
+            LEFT JOIN public.recipient_domains d ON d.domain = b.recipient_domain
+        WHERE ev.user_id = p_user_id
+            AND ev.event_type = 'FAILURE'
+            AND ev.occurred_at >= least(p_since, p_until - interval '14 days')
+            AND ev.occurred_at < p_until
+            AND (
+                p_mailbox_id IS NULL
+                OR b.mailbox_id = p_mailbox_id
+            )
+    ),
+    ranged AS (
+        SELECT *
+        FROM failures
+        WHERE in_range
+    ),
+    providers AS (
+        SELECT provider,
+            count(*) FILTER (
+                WHERE in_range
+            ) AS failures,
+            count(*) FILTER (
+                WHERE in_range
+                    AND bounce_type = 'HARD'
+            ) AS hard,
+            count(*) FILTER (
+                WHERE in_range
+                    AND bounce_type = 'SOFT'
+            ) AS soft,
+            count(DISTINCT email) FILTER (
+                WHERE in_range
+            ) AS recipients,
+            count(DISTINCT domain) FILTER (
+                WHERE in_range
+            ) AS domains,
+            count(*) FILTER (
+                WHERE this_week
+            ) AS this_week,
+            count(*) FILTER (
+                WHERE last_week
+            ) AS last_week
+        FROM failures
+        GROUP BY provider
+    ),
+    domains AS (
+        SELECT domain,
+            provider,
+            count(*) FILTER (
+                WHERE in_range
+            ) AS failures,
+            count(*) FILTER (
+                WHERE in_range
+                    AND bounce_type = 'HARD'
+            ) AS hard,
+            count(*) FILTER (
+                WHERE in_range
+                    AND bounce_type = 'SOFT'
+            ) AS soft,
+            count(DISTINCT email) FILTER (
+                WHERE in_range
+            ) AS recipients,
+            mode() WITHIN GROUP (
+                ORDER BY bounce_category
+            ) FILTER (
+                WHERE in_range
+            ) AS top_category,
+            count(*) FILTER (
+                WHERE this_week
+            ) AS this_week,
+            count(*) FILTER (
+                WHERE last_week
+            ) AS last_week
+        FROM failures
+        GROUP BY domain,
+            provider
+    ),
+    days AS (
+        SELECT (occurred_at AT TIME ZONE 'UTC')::DATE AS day,
+            count(*) AS failures,
+            count(*) FILTER (
+                WHERE bounce_type = 'HARD'
+            ) AS hard,
+            count(*) FILTER (
+                WHERE bounce_type = 'SOFT'
+            ) AS soft
+        FROM ranged
+        GROUP BY 1
+    ),
+    day_providers AS (
+        SELECT day,
+            jsonb_object_agg(provider, failures) AS by_provider
+        FROM (
+                SELECT (occurred_at AT TIME ZONE 'UTC')::DATE AS day,
+                    provider,
+                    count(*) AS failures
+                FROM ranged
+                GROUP BY 1,
+                    2
+            ) p
+        GROUP BY day
+    ),
+    codes AS (
+        SELECT code,
+            bounce_category,
+            count(*) AS failures,
+            count(DISTINCT domain) AS domains,
+            mode() WITHIN GROUP (
+                ORDER BY provider
+            ) AS top_provider
+        FROM ranged
+        GROUP BY code,
+            bounce_category
+    )
+SELECT jsonb_build_object(
+        'totals',
+        (
+            SELECT jsonb_build_object(
+                    'failures',
+                    count(*),
+                    'hard',
+                    count(*) FILTER (
+                        WHERE bounce_type = 'HARD'
+                    ),
+                    'soft',
+                    count(*) FILTER (
+                        WHERE bounce_type = 'SOFT'
+                    ),
+                    'recipients',
+                    count(DISTINCT email),
+                    'domains',
+                    count(DISTINCT domain)
+                )
+            FROM ranged
+        ),
+        'week_over_week',
+        (
+            SELECT jsonb_build_object(
+                    'this_week',
+                    count(*) FILTER (
+                        WHERE this_week
+                    ),
+                    'last_week',
+                    count(*) FILTER (
+                        WHERE last_week
+                    )
+                )
+            FROM failures
+        ),
+        'by_provider',
+        coalesce(
+            (
+                SELECT jsonb_agg(
+                        to_jsonb(providers)
+                        ORDER BY failures DESC,
+                            provider
+                    )
+                FROM providers
+                WHERE failures > 0
+                    OR this_week > 0
+                    OR last_week > 0
+            ),
+            '[]'::JSONB
+        ),
+        'top_domains',
+        coalesce(
+            (
+                SELECT jsonb_agg(
+                        to_jsonb(top)
+                        ORDER BY failures DESC,
+                            domain
+                    )
+                FROM (
+                        SELECT *
+                        FROM domains
+                        WHERE failures > 0
+                        ORDER BY failures DESC,
+                            domain
+                        LIMIT p_top
+                    ) top
+            ), '[]'::JSONB
+        ),
+        'daily',
+        coalesce(
+            (
+                SELECT jsonb_agg(
+                        jsonb_build_object(
+                            'date',
+                            days.day,
+                            'failures',
+                            days.failures,
+                            'hard',
+                            days.hard,
+                            'soft',
+                            days.soft,
+                            'by_provider',
+                            day_providers.by_provider
+                        )
+                        ORDER BY days.day
+                    )
+                FROM days
+                    JOIN day_providers USING (day)
+            ),
+            '[]'::JSONB
+        ),
+        'error_codes',
+        coalesce(
+            (
+                SELECT jsonb_agg(
+                        to_jsonb(codes)
+                        ORDER BY failures DESC,
+                            code
+                    )
+                FROM codes
+            ),
+            '[]'::JSONB
+        ),
+        -- Domains the worker has not looked up yet (the API resolves these)
+        'unresolved_domains',
+        coalesce(
+            (
+                SELECT jsonb_agg(domain)
+                FROM (
+                        SELECT DISTINCT domain
+                        FROM failures
+                        WHERE unresolved
+                            AND domain <> ''
+                        LIMIT 100
+                    ) u
+            ),
+            '[]'::JSONB
+        )
+    );
+$$;
+GRANT EXECUTE ON FUNCTION public.deliverability_report(
+        UUID,
+        TIMESTAMPTZ,
+        TIMESTAMPTZ,
+        UUID,
+        INT
+    ) TO service_role;
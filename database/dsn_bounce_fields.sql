@@ -0,0 +1,11 @@
+-- Delivery status notification fields
+-- Per-recipient fields read from RFC 3464 delivery-status reports. NULL for
+-- bounces parsed without a report (regex fallback)
+-- Run this in your Supabase SQL Editor
+ALTER TABLE public.email_bounce_events
+ADD COLUMN IF NOT EXISTS status TEXT,
+    -- failed or delayed
+    ADD COLUMN IF NOT EXISTS action TEXT,
+    ADD COLUMN IF NOT EXISTS remote_mta TEXT,
+    -- When the reporting MTA received the original message
+    ADD COLUMN IF NOT EXISTS arrival_date TIMESTAMPTZ;
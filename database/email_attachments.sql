@@ -0,0 +1,23 @@
+-- Attachment metadata per email
+-- Binary content lives in the storage backend named by storage_backend
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.email_attachments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    email_id UUID NOT NULL REFERENCES public.emails(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    filename TEXT NOT NULL,
+    content_type TEXT NOT NULL DEFAULT 'application/octet-stream',
+    size_bytes BIGINT NOT NULL DEFAULT 0,
+    content_id TEXT,
+    -- MD5 checksum as reported by the MIME parser
+    checksum TEXT,
+    -- attachment or inline
+    disposition TEXT DEFAULT 'attachment',
+    -- NULL storage_key means content was not stored (e.g. over the size limit)
+    storage_backend TEXT,
+    storage_key TEXT,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now())
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_attachments_email_id ON public.email_attachments USING btree (email_id) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_attachments_user_id ON public.email_attachments USING btree (user_id) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_attachments_checksum ON public.email_attachments USING btree (checksum) TABLESPACE pg_default;
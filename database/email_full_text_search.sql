@@ -0,0 +1,158 @@
+-- Full-text search over stored email bodies
+-- Keeps the full plain-text body out of the emails table so list queries stay light
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.email_bodies (
+    email_id UUID PRIMARY KEY REFERENCES public.emails(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    subject TEXT,
+    body_text TEXT,
+    -- Subject ranks above body text
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(subject, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(body_text, '')), 'B')
+    ) STORED,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now())
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_email_bodies_user_id ON public.email_bodies USING btree (user_id) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_email_bodies_search ON public.email_bodies USING gin (search_vector) TABLESPACE pg_default;
+-- Seed existing emails from their 300-char preview so they stay searchable
+INSERT INTO public.email_bodies (email_id, user_id, subject, body_text)
+SELECT id,
+    user_id,
+    subject,
+    body_preview
+FROM public.emails ON CONFLICT (email_id) DO NOTHING;
+-- Ranked search with operators and highlighted snippets
+-- p_query uses websearch syntax: "exact phrase", -exclude, a OR b
+CREATE OR REPLACE FUNCTION public.search_emails(
+        p_user_id UUID,
+        p_query TEXT DEFAULT NULL,
+        p_mailbox_id UUID DEFAULT NULL,
+        p_from TEXT DEFAULT NULL,
+        p_to TEXT DEFAULT NULL,
+        p_has_attachment BOOLEAN DEFAULT NULL,
+        p_before TIMESTAMPTZ DEFAULT NULL,
+        p_after TIMESTAMPTZ DEFAULT NULL,
+        p_limit INT DEFAULT 20,
+        p_offset INT DEFAULT 0
+    ) RETURNS TABLE (
+        id UUID,
+        mailbox_id UUID,
+        thread_id UUID,
+        subject TEXT,
+        from_address TEXT,
+        from_name TEXT,
+        to_addresses TEXT [],
+        category TEXT,
+        has_attachments BOOLEAN,
+        is_read BOOLEAN,
+        received_at TIMESTAMPTZ,
+        rank REAL,
+        snippet TEXT,
+        total_count BIGINT
+    ) LANGUAGE sql STABLE AS $$ WITH q AS (
+        SELECT CASE
+                WHEN coalesce(trim(p_query), '') = '' THEN NULL
+                ELSE websearch_to_tsquery('english', p_query)
+            END AS tsq
+    ),
+    page AS (
+        SELECT e.id,
+            e.mailbox_id,
+            e.thread_id,
+            e.subject,
+            e.from_address,
+            e.from_name,
+            e.to_addresses,
+            e.category,
+            e.has_attachments,
+            e.is_read,
+            e.received_at,
+            b.body_text,
+            q.tsq,
+            CASE
+                WHEN q.tsq IS NULL THEN 0
+                ELSE ts_rank_cd(b.search_vector, q.tsq)
+            END::REAL AS rank,
+            count(*) OVER () AS total_count
+        FROM public.emails e
+            JOIN public.email_bodies b ON b.email_id = e.id
+            CROSS JOIN q
+        WHERE e.user_id = p_user_id
+            AND (
+                q.tsq IS NULL
+                OR b.search_vector @@ q.tsq
+            )
+            AND (
+                p_mailbox_id IS NULL
+                OR e.mailbox_id = p_mailbox_id
+            )
+            AND (
+                p_from IS NULL
+                OR e.from_address ILIKE '%' || p_from || '%'
+                OR e.from_name ILIKE '%' || p_from || '%'
+            )
+            AND (
+                p_to IS NULL
+                OR EXISTS (
+                    SELECT 1
+                    FROM unnest(
+                            coalesce(e.to_addresses, '{}') || coalesce(e.cc_addresses, '{}')
+                        ) AS addr
+                    WHERE addr ILIKE '%' || p_to || '%'
+                )
+            )
+            AND (
+                p_has_attachment IS NULL
+                OR e.has_attachments = p_has_attachment
+            )
+            AND (
+                p_before IS NULL
+                OR e.received_at < p_before
+            )
+            AND (
+                p_after IS NULL
+                OR e.received_at >= p_after
+            )
+        ORDER BY rank DESC,
+            e.received_at DESC
+        LIMIT p_limit OFFSET p_offset
+    ) -- Headlines are only computed for the returned page
+SELECT page.id,
+    page.mailbox_id,
+    page.thread_id,
+    page.subject,
+    page.from_address,
+    page.from_name,
+    page.to_addresses,
+    page.category,
+    page.has_attachments,
+    page.is_read,
+    page.received_at,
+    page.rank,
+    CASE
+        WHEN page.tsq IS NULL THEN left(page.body_text, 200)
+        ELSE ts_headline(
+            'english',
+            coalesce(page.body_text, ''),
+            page.tsq,
+            'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "'
+        )
+    END AS snippet,
+    page.total_count
+FROM page
+ORDER BY page.rank DESC,
+    page.received_at DESC;
+$$;
+GRANT EXECUTE ON FUNCTION public.search_emails(
+        UUID,
+        TEXT,
+        UUID,
+        TEXT,
+        TEXT,
+        BOOLEAN,
+        TIMESTAMPTZ,
+        TIMESTAMPTZ,
+        INT,
+        INT
+    ) TO service_role;
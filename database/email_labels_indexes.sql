@@ -0,0 +1,5 @@
+-- Indexes for the label management API
+-- email_label_assignments is keyed by (email_id, label_id); filtering by label
+-- (GET /emails?label_id=, GET /threads?label_id=) needs the reverse lookup
+-- Run this in your Supabase SQL Editor
+CREATE INDEX IF NOT EXISTS idx_label_assignments_label_id ON public.email_label_assignments USING btree (label_id) TABLESPACE pg_default;
@@ -0,0 +1,17 @@
+-- Two-way IMAP flag sync
+-- Last known server flags (the merge base), a pending-push marker, and
+-- per-folder HIGHESTMODSEQ for CONDSTORE incremental flag fetches
+-- Run this in your Supabase SQL Editor
+ALTER TABLE public.emails
+ADD COLUMN IF NOT EXISTS imap_seen BOOLEAN,
+    ADD COLUMN IF NOT EXISTS imap_flagged BOOLEAN,
+    ADD COLUMN IF NOT EXISTS imap_archived BOOLEAN,
+    ADD COLUMN IF NOT EXISTS imap_modseq BIGINT,
+    -- Set by the API when is_read/is_starred/is_archived change locally;
+    -- cleared by the worker once the change is on the server, if updated_at
+    -- shows no newer local change
+    ADD COLUMN IF NOT EXISTS flags_dirty BOOLEAN DEFAULT FALSE;
+CREATE INDEX IF NOT EXISTS idx_emails_flags_dirty ON public.emails USING btree (mailbox_id)
+WHERE flags_dirty = TRUE;
+ALTER TABLE public.mailbox_folders
+ADD COLUMN IF NOT EXISTS highest_modseq BIGINT;
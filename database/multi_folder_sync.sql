@@ -0,0 +1,63 @@
+-- Multi-folder IMAP sync
+-- Per-folder sync state (UIDVALIDITY + last UID) and a folder column on emails
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.mailbox_folders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    mailbox_id UUID NOT NULL REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- Full IMAP path, e.g. INBOX, Sent, [Gmail]/All Mail
+    path TEXT NOT NULL,
+    -- \Sent, \Archive, \All, \Junk, ... as reported by the server
+    special_use TEXT,
+    is_enabled BOOLEAN DEFAULT TRUE,
+    uid_validity BIGINT,
+    last_synced_uid BIGINT DEFAULT 0,
+    last_synced_at TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    updated_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    CONSTRAINT mailbox_folders_mailbox_path_unique UNIQUE (mailbox_id, path)
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_mailbox_folders_mailbox ON public.mailbox_folders USING btree (mailbox_id)
+WHERE is_enabled = TRUE;
+CREATE OR REPLACE FUNCTION update_mailbox_folders_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = timezone('utc', now());
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_mailbox_folders_updated_at ON public.mailbox_folders;
+CREATE TRIGGER tg_mailbox_folders_updated_at BEFORE
+UPDATE ON public.mailbox_folders FOR EACH ROW EXECUTE FUNCTION update_mailbox_folders_updated_at();
+-- Carry the existing INBOX sync position over
+INSERT INTO public.mailbox_folders (
+        mailbox_id,
+        user_id,
+        path,
+        special_use,
+        last_synced_uid,
+        last_synced_at
+    )
+SELECT id,
+    user_id,
+    'INBOX',
+    '\Inbox',
+    coalesce(last_synced_uid, 0),
+    last_synced_at
+FROM public.mailboxes ON CONFLICT (mailbox_id, path) DO NOTHING;
+-- Which folder each email was synced from
+ALTER TABLE public.emails
+ADD COLUMN IF NOT EXISTS folder TEXT NOT NULL DEFAULT 'INBOX';
+-- UIDs are only unique within a folder
+ALTER TABLE public.emails DROP CONSTRAINT IF EXISTS emails_mailbox_uid_unique;
+ALTER TABLE public.emails DROP CONSTRAINT IF EXISTS emails_mailbox_folder_uid_unique;
+ALTER TABLE public.emails
+ADD CONSTRAINT emails_mailbox_folder_uid_unique UNIQUE (mailbox_id, folder, uid);
+-- So are Message-IDs: the same message can sit in several folders (INBOX and
+-- Gmail's All Mail, Sent and INBOX for mail to yourself), and messages without
+-- one get an ID made from their UID. The worker still links a copy found in
+-- another folder to the stored row instead of storing it twice
+ALTER TABLE public.emails DROP CONSTRAINT IF EXISTS emails_mailbox_message_id_unique;
+ALTER TABLE public.emails DROP CONSTRAINT IF EXISTS emails_mailbox_folder_message_id_unique;
+ALTER TABLE public.emails
+ADD CONSTRAINT emails_mailbox_folder_message_id_unique UNIQUE (mailbox_id, folder, message_id);
+CREATE INDEX IF NOT EXISTS idx_emails_mailbox_message_id ON public.emails USING btree (mailbox_id, message_id) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_emails_mailbox_folder ON public.emails USING btree (mailbox_id, folder, received_at DESC) TABLESPACE pg_default;
@@ -0,0 +1,20 @@
+-- Outbound SMTP sending
+-- Adds SMTP settings to mailboxes and a direction flag to stored emails
+-- Run this in your Supabase SQL Editor
+ALTER TABLE mailboxes
+ADD COLUMN IF NOT EXISTS smtp_host TEXT DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS smtp_port INT DEFAULT 587,
+    ADD COLUMN IF NOT EXISTS smtp_secure BOOLEAN DEFAULT NULL,
+    -- NULL username = reuse the IMAP username/password
+    ADD COLUMN IF NOT EXISTS smtp_username TEXT DEFAULT NULL,
+    ADD COLUMN IF NOT EXISTS smtp_password_encrypted TEXT DEFAULT NULL;
+-- INBOUND = synced from IMAP, OUTBOUND = sent through MailSuite
+ALTER TABLE public.emails
+ADD COLUMN IF NOT EXISTS direction TEXT NOT NULL DEFAULT 'INBOUND';
+ALTER TABLE public.emails DROP CONSTRAINT IF EXISTS emails_direction_check;
+ALTER TABLE public.emails
+ADD CONSTRAINT emails_direction_check CHECK (direction IN ('INBOUND', 'OUTBOUND'));
+-- Sent messages have no IMAP UID until they are seen in a synced folder
+ALTER TABLE public.emails
+ALTER COLUMN uid DROP NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_emails_direction ON public.emails USING btree (mailbox_id, direction) TABLESPACE pg_default;
@@ -0,0 +1,52 @@
+-- Reprocess jobs
+-- Reclassify and/or rethread a mailbox's stored emails in resumable batches,
+-- with a running diff of what changed
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.reprocess_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    mailbox_id UUID NOT NULL REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    mode TEXT NOT NULL CHECK (mode IN ('CLASSIFICATION', 'THREADING', 'BOTH')),
+    -- received_at range: since inclusive, until exclusive
+    since TIMESTAMPTZ,
+    until TIMESTAMPTZ,
+    status TEXT NOT NULL DEFAULT 'PENDING' CHECK (
+        status IN ('PENDING', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED')
+    ),
+    -- Last email processed (received_at, id), where the next batch starts
+    cursor_received_at TIMESTAMPTZ,
+    cursor_id UUID,
+    total INTEGER NOT NULL DEFAULT 0,
+    processed INTEGER NOT NULL DEFAULT 0,
+    category_changed INTEGER NOT NULL DEFAULT 0,
+    thread_changed INTEGER NOT NULL DEFAULT 0,
+    threads_created INTEGER NOT NULL DEFAULT 0,
+    threads_removed INTEGER NOT NULL DEFAULT 0,
+    skipped INTEGER NOT NULL DEFAULT 0,
+    -- "OLD->NEW" -> emails
+    category_changes JSONB NOT NULL DEFAULT '{}',
+    -- Lease held by the worker running a batch (or the wait before a retry)
+    locked_until TIMESTAMPTZ,
+    -- Failed batches in a row; the job is FAILED after REPROCESS_MAX_ATTEMPTS
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+    started_at TIMESTAMPTZ,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    updated_at TIMESTAMPTZ DEFAULT timezone('utc', now())
+) TABLESPACE pg_default;
+ALTER TABLE public.reprocess_jobs
+ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+CREATE INDEX IF NOT EXISTS idx_reprocess_jobs_mailbox ON public.reprocess_jobs USING btree (mailbox_id, created_at DESC) TABLESPACE pg_default;
+-- One pending or running job per mailbox
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reprocess_jobs_active ON public.reprocess_jobs USING btree (mailbox_id) TABLESPACE pg_default
+WHERE status IN ('PENDING', 'RUNNING');
+-- Keyset pagination over a mailbox's emails
+CREATE INDEX IF NOT EXISTS idx_emails_mailbox_received_id ON public.emails USING btree (mailbox_id, received_at, id) TABLESPACE pg_default;
+CREATE OR REPLACE FUNCTION update_reprocess_jobs_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = timezone('utc', now());
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_reprocess_jobs_updated_at ON public.reprocess_jobs;
+CREATE TRIGGER tg_reprocess_jobs_updated_at BEFORE
+UPDATE ON public.reprocess_jobs FOR EACH ROW EXECUTE FUNCTION update_reprocess_jobs_updated_at();
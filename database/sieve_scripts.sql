@@ -0,0 +1,25 @@
+-- Sieve scripts
+-- One Sieve (RFC 5228) script per mailbox, run against inbound mail as it is
+-- stored. Supports fileinto, imap4flags, envelope, regex, copy and vacation
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.sieve_scripts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    mailbox_id UUID NOT NULL REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    name TEXT NOT NULL DEFAULT 'default',
+    script TEXT NOT NULL,
+    -- Extensions the script requires, as checked on upload
+    extensions TEXT [] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    updated_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    CONSTRAINT sieve_scripts_mailbox_unique UNIQUE (mailbox_id)
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_sieve_scripts_user ON public.sieve_scripts USING btree (user_id) TABLESPACE pg_default;
+CREATE OR REPLACE FUNCTION update_sieve_scripts_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = timezone('utc', now());
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_sieve_scripts_updated_at ON public.sieve_scripts;
+CREATE TRIGGER tg_sieve_scripts_updated_at BEFORE
+UPDATE ON public.sieve_scripts FOR EACH ROW EXECUTE FUNCTION update_sieve_scripts_updated_at();
@@ -0,0 +1,233 @@
+-- Response-time and SLA tracking
+-- sla_rules set first-response targets for inbound mail, optionally counted in
+-- business hours of a time zone. email_responses pairs each tracked inbound
+-- email with the user's first reply in the thread: PENDING until answered,
+-- RESPONDED, or OVERDUE once its due time passes without a reply
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.sla_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- NULL = applies to all of the user's mailboxes
+    mailbox_id UUID REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    -- Conditions (NULL = any)
+    category TEXT,
+    -- Sender domain; also matches its subdomains
+    from_domain TEXT,
+    -- HIGH, NORMAL or LOW, from X-Priority / Importance headers
+    priority TEXT,
+    first_response_target_seconds INT NOT NULL,
+    -- Business-hours calendar (ignored when use_business_hours is false)
+    use_business_hours BOOLEAN NOT NULL DEFAULT true,
+    timezone TEXT NOT NULL DEFAULT 'UTC',
+    -- ISO weekdays, 1 = Monday
+    business_days INT [] NOT NULL DEFAULT '{1,2,3,4,5}',
+    business_hours_start TIME NOT NULL DEFAULT '09:00',
+    business_hours_end TIME NOT NULL DEFAULT '17:00',
+    holidays DATE [] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    updated_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    CONSTRAINT sla_rules_priority_check CHECK (priority IN ('HIGH', 'NORMAL', 'LOW')),
+    CONSTRAINT sla_rules_target_check CHECK (first_response_target_seconds > 0),
+    CONSTRAINT sla_rules_hours_check CHECK (business_hours_start < business_hours_end)
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_sla_rules_user ON public.sla_rules USING btree (user_id)
+WHERE is_active = true;
+CREATE OR REPLACE FUNCTION update_sla_rules_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = timezone('utc', now());
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_sla_rules_updated_at ON public.sla_rules;
+CREATE TRIGGER tg_sla_rules_updated_at BEFORE
+UPDATE ON public.sla_rules FOR EACH ROW EXECUTE FUNCTION update_sla_rules_updated_at();
+CREATE TABLE IF NOT EXISTS public.email_responses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    mailbox_id UUID NOT NULL REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    thread_id UUID REFERENCES public.email_threads(id) ON DELETE CASCADE,
+    received_email_id UUID NOT NULL UNIQUE REFERENCES public.emails(id) ON DELETE CASCADE,
+    from_address TEXT,
+    -- Date of the inbound message
+    received_at TIMESTAMPTZ NOT NULL,
+    -- Rule that matched when the email arrived (NULL = response time only)
+    sla_rule_id UUID REFERENCES public.sla_rules(id) ON DELETE SET NULL,
+    sla_target_seconds INT,
+    due_at TIMESTAMPTZ,
+    response_email_id UUID REFERENCES public.emails(id) ON DELETE SET NULL,
+    responded_at TIMESTAMPTZ,
+    response_time_seconds INT,
+    -- Same as response_time_seconds unless the rule counts business hours
+    business_response_seconds INT,
+    -- NULL without a rule; false once OVERDUE, even if answered later
+    sla_met BOOLEAN,
+    status TEXT NOT NULL DEFAULT 'PENDING',
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    updated_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    CONSTRAINT email_responses_status_check CHECK (status IN ('PENDING', 'RESPONDED', 'OVERDUE'))
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_email_responses_user_received ON public.email_responses USING btree (user_id, received_at DESC) TABLESPACE pg_default;
+-- Open responses per thread (reply pairing) and due ones (overdue job)
+CREATE INDEX IF NOT EXISTS idx_email_responses_thread_open ON public.email_responses USING btree (thread_id)
+WHERE status IN ('PENDING', 'OVERDUE');
+CREATE INDEX IF NOT EXISTS idx_email_responses_due ON public.email_responses USING btree (due_at)
+WHERE status = 'PENDING';
+-- Open responses in the order the periodic check pages through them
+CREATE INDEX IF NOT EXISTS idx_email_responses_open_received ON public.email_responses USING btree (received_at, id)
+WHERE status IN ('PENDING', 'OVERDUE');
+CREATE OR REPLACE FUNCTION update_email_responses_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = timezone('utc', now());
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_email_responses_updated_at ON public.email_responses;
+CREATE TRIGGER tg_email_responses_updated_at BEFORE
+UPDATE ON public.email_responses FOR EACH ROW EXECUTE FUNCTION update_email_responses_updated_at();
+-- Report for GET /analytics/sla, as one JSON document
+-- Covers inbound emails received in [p_since, p_until). Met and missed only
+-- count emails tracked under a rule; response-time percentiles use business
+-- seconds of answered emails
+CREATE OR REPLACE FUNCTION public.sla_report(
+        p_user_id UUID,
+        p_since TIMESTAMPTZ,
+        p_until TIMESTAMPTZ,
+        p_mailbox_id UUID DEFAULT NULL,
+        p_rule_id UUID DEFAULT NULL
+    ) RETURNS JSONB LANGUAGE sql STABLE AS $$ WITH tracked AS (
+        SELECT r.*
+        FROM public.email_responses r
+        WHERE r.user_id = p_user_id
+            AND r.received_at >= p_since
+            AND r.received_at < p_until
+            AND (
+                p_mailbox_id IS NULL
+                OR r.mailbox_id = p_mailbox_id
+            )
+            AND (
+                p_rule_id IS NULL
+                OR r.sla_rule_id = p_rule_id
+            )
+    ),
+    rule_stats AS (
+        SELECT t.sla_rule_id AS rule_id,
+            min(s.name) AS name,
+            max(t.sla_target_seconds) AS target_seconds,
+            count(*) AS tracked,
+            count(*) FILTER (
+                WHERE status = 'RESPONDED'
+            ) AS responded,
+            count(*) FILTER (
+                WHERE status = 'PENDING'
+            ) AS pending,
+            count(*) FILTER (
+                WHERE status = 'OVERDUE'
+            ) AS overdue,
+            count(*) FILTER (
+                WHERE sla_met
+            ) AS met,
+            count(*) FILTER (
+                WHERE sla_met = false
+            ) AS missed,
+            percentile_cont(0.5) WITHIN GROUP (
+                ORDER BY business_response_seconds
+            ) AS median_response_seconds
+        FROM tracked t
+            LEFT JOIN public.sla_rules s ON s.id = t.sla_rule_id
+        WHERE t.sla_rule_id IS NOT NULL
+        GROUP BY t.sla_rule_id
+    ),
+    days AS (
+        SELECT (received_at AT TIME ZONE 'UTC')::DATE AS day,
+            count(*) AS tracked,
+            count(*) FILTER (
+                WHERE status = 'RESPONDED'
+            ) AS responded,
+            count(*) FILTER (
+                WHERE sla_met
+            ) AS met,
+            count(*) FILTER (
+                WHERE sla_met = false
+            ) AS missed,
+            percentile_cont(0.5) WITHIN GROUP (
+                ORDER BY business_response_seconds
+            ) AS median_response_seconds
+        FROM tracked
+        GROUP BY 1
+    )
+SELECT jsonb_build_object(
+        'totals',
+        (
+            SELECT jsonb_build_object(
+                    'tracked',
+                    count(*),
+                    'responded',
+                    count(*) FILTER (
+                        WHERE status = 'RESPONDED'
+                    ),
+                    'pending',
+                    count(*) FILTER (
+                        WHERE status = 'PENDING'
+                    ),
+                    'overdue',
+                    count(*) FILTER (
+                        WHERE status = 'OVERDUE'
+                    ),
+                    'met',
+                    count(*) FILTER (
+                        WHERE sla_met
+                    ),
+                    'missed',
+                    count(*) FILTER (
+                        WHERE sla_met = false
+                    ),
+                    'avg_response_seconds',
+                    round(avg(business_response_seconds)),
+                    'median_response_seconds',
+                    percentile_cont(0.5) WITHIN GROUP (
+                        ORDER BY business_response_seconds
+                    ),
+                    'p90_response_seconds',
+                    percentile_cont(0.9) WITHIN GROUP (
+                        ORDER BY business_response_seconds
+                    )
+                )
+            FROM tracked
+        ),
+        'by_rule',
+        coalesce(
+            (
+                SELECT jsonb_agg(
+                        to_jsonb(rule_stats)
+                        ORDER BY tracked DESC
+                    )
+                FROM rule_stats
+            ),
+            '[]'::JSONB
+        ),
+        'daily',
+        coalesce(
+            (
+                SELECT jsonb_agg(
+                        jsonb_build_object(
+                            'date',
+                            day,
+                            'tracked',
+                            tracked,
+                            'responded',
+                            responded,
+                            'met',
+                            met,
+                            'missed',
+                            missed,
+                            'median_response_seconds',
+                            median_response_seconds
+                        )
+                        ORDER BY day
+                    )
+                FROM days
+            ),
+            '[]'::JSONB
+        )
+    );
+$$;
+GRANT EXECUTE ON FUNCTION public.sla_report(UUID, TIMESTAMPTZ, TIMESTAMPTZ, UUID, UUID) TO service_role;
@@ -0,0 +1,39 @@
+-- Suppression list
+-- Addresses that should not be mailed again, added automatically from bounces
+-- or manually. Removing a suppression keeps the row (with removed_at and the
+-- removal reason) so the history stays visible; re-adding reactivates it.
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.suppressions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- NULL = applies to all of the user's mailboxes
+    mailbox_id UUID REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    -- Always lowercase
+    email TEXT NOT NULL,
+    -- HARD_BOUNCE, SOFT_BOUNCE_THRESHOLD, MANUAL
+    source TEXT NOT NULL,
+    reason TEXT,
+    -- Bounce that triggered an automatic suppression
+    bounce_id UUID REFERENCES public.email_bounces(id) ON DELETE SET NULL,
+    removed_at TIMESTAMPTZ,
+    removed_reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    updated_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    CONSTRAINT suppressions_source_check CHECK (
+        source IN ('HARD_BOUNCE', 'SOFT_BOUNCE_THRESHOLD', 'MANUAL')
+    ),
+    -- One row per address and scope (user-wide rows have a NULL mailbox_id)
+    CONSTRAINT suppressions_scope_email_unique UNIQUE NULLS NOT DISTINCT (user_id, mailbox_id, email)
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_suppressions_user_email ON public.suppressions USING btree (user_id, email)
+WHERE removed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_suppressions_user_created ON public.suppressions USING btree (user_id, created_at DESC) TABLESPACE pg_default;
+CREATE OR REPLACE FUNCTION update_suppressions_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = timezone('utc', now());
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_suppressions_updated_at ON public.suppressions;
+CREATE TRIGGER tg_suppressions_updated_at BEFORE
+UPDATE ON public.suppressions FOR EACH ROW EXECUTE FUNCTION update_suppressions_updated_at();
+-- Counting recent failures for the SOFT bounce threshold
+CREATE INDEX IF NOT EXISTS idx_email_bounce_events_bounce_occurred ON public.email_bounce_events USING btree (bounce_id, occurred_at DESC) TABLESPACE pg_default;
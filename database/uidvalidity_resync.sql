@@ -0,0 +1,65 @@
+-- UIDVALIDITY change detection and resync
+-- Sync event log shown to users, and a function that remaps stored UIDs
+-- after a server resets a folder's UIDVALIDITY
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.mailbox_sync_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    mailbox_id UUID NOT NULL REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    folder TEXT,
+    -- UIDVALIDITY_RESET, ...
+    event_type TEXT NOT NULL,
+    message TEXT NOT NULL,
+    details JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now())
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_mailbox_sync_events_mailbox ON public.mailbox_sync_events USING btree (mailbox_id, created_at DESC) TABLESPACE pg_default;
+-- Remap UIDs in one folder by Message-ID
+-- p_messages: [{ "uid": 123, "message_id": "<abc@example.com>" }, ...] as now on the server
+-- Rows whose message is no longer on the server keep a NULL uid instead of being deleted
+CREATE OR REPLACE FUNCTION public.remap_folder_uids(
+        p_mailbox_id UUID,
+        p_folder TEXT,
+        p_messages JSONB
+    ) RETURNS JSONB LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE v_previous INTEGER;
+v_remapped JSONB;
+BEGIN -- Old UIDs mean nothing under the new UIDVALIDITY (and may collide with new ones)
+UPDATE public.emails
+SET uid = NULL
+WHERE mailbox_id = p_mailbox_id
+    AND folder = p_folder
+    AND uid IS NOT NULL;
+GET DIAGNOSTICS v_previous = ROW_COUNT;
+WITH server AS (
+    SELECT DISTINCT ON (m.message_id) m.uid,
+        m.message_id
+    FROM jsonb_to_recordset(p_messages) AS m(uid BIGINT, message_id TEXT)
+    WHERE m.message_id IS NOT NULL
+    ORDER BY m.message_id,
+        m.uid
+),
+remapped AS (
+    UPDATE public.emails e
+    SET uid = server.uid
+    FROM server
+    WHERE e.mailbox_id = p_mailbox_id
+        AND e.folder = p_folder
+        AND e.uid IS NULL
+        AND e.message_id = server.message_id
+    RETURNING e.uid
+)
+SELECT coalesce(jsonb_agg(uid), '[]'::jsonb) INTO v_remapped
+FROM remapped;
+RETURN jsonb_build_object(
+    'previous_count',
+    v_previous,
+    'remapped_uids',
+    v_remapped
+);
+END;
+$$;
+-- Backend only: the function bypasses RLS and trusts p_mailbox_id
+REVOKE EXECUTE ON FUNCTION public.remap_folder_uids(UUID, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.remap_folder_uids(UUID, TEXT, JSONB) TO service_role;
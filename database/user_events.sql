@@ -0,0 +1,15 @@
+-- Real-time event stream
+-- Events for GET /events/stream; the id doubles as the SSE Last-Event-ID
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.user_events (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    mailbox_id UUID REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    -- email.created, email.flags_changed, thread.updated, bounce.detected, mailbox.sync_error
+    type TEXT NOT NULL,
+    data JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now())
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_user_events_user ON public.user_events USING btree (user_id, id) TABLESPACE pg_default;
+-- Old events are pruned by the API (EVENT_RETENTION_HOURS)
+CREATE INDEX IF NOT EXISTS idx_user_events_created_at ON public.user_events USING btree (created_at) TABLESPACE pg_default;
@@ -0,0 +1,87 @@
+-- Outbound webhooks
+-- Webhook endpoints with event filters, and a delivery table that doubles as
+-- the persistent retry queue and the delivery log
+-- Run this in your Supabase SQL Editor
+CREATE TABLE IF NOT EXISTS public.webhooks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- NULL = events from all of the user's mailboxes
+    mailbox_id UUID REFERENCES public.mailboxes(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    description TEXT,
+    -- HMAC signing secret, encrypted like mailbox passwords
+    secret_encrypted TEXT NOT NULL,
+    -- bounce.detected, email.received, mailbox.error
+    events TEXT [] NOT NULL,
+    -- Payload field -> allowed values, e.g. {"bounce_type": ["HARD"]}
+    filters JSONB DEFAULT '{}'::jsonb,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    updated_at TIMESTAMPTZ DEFAULT timezone('utc', now())
+) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_webhooks_user ON public.webhooks USING btree (user_id)
+WHERE is_active = TRUE;
+CREATE OR REPLACE FUNCTION update_webhooks_updated_at() RETURNS TRIGGER AS $$ BEGIN NEW.updated_at = timezone('utc', now());
+RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+DROP TRIGGER IF EXISTS tg_webhooks_updated_at ON public.webhooks;
+CREATE TRIGGER tg_webhooks_updated_at BEFORE
+UPDATE ON public.webhooks FOR EACH ROW EXECUTE FUNCTION update_webhooks_updated_at();
+CREATE TABLE IF NOT EXISTS public.webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    webhook_id UUID NOT NULL REFERENCES public.webhooks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    -- Same for every attempt and redelivery of an event (receivers dedupe on it)
+    event_id UUID NOT NULL,
+    event_type TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    -- PENDING (waiting for next attempt), DELIVERING, SUCCEEDED, FAILED (gave up)
+    status TEXT NOT NULL DEFAULT 'PENDING',
+    attempts INT NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    last_attempt_at TIMESTAMPTZ,
+    -- Only the status and timing of the endpoint's response are kept
+    response_status INT,
+    duration_ms INT,
+    last_error TEXT,
+    redelivery_of UUID REFERENCES public.webhook_deliveries(id) ON DELETE SET NULL,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT timezone('utc', now()),
+    CONSTRAINT webhook_deliveries_status_check CHECK (
+        status IN ('PENDING', 'DELIVERING', 'SUCCEEDED', 'FAILED')
+    )
+) TABLESPACE pg_default;
+-- Response bodies were stored by earlier versions
+ALTER TABLE public.webhook_deliveries DROP COLUMN IF EXISTS response_body;
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON public.webhook_deliveries USING btree (webhook_id, created_at DESC) TABLESPACE pg_default;
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON public.webhook_deliveries USING btree (next_attempt_at)
+WHERE status IN ('PENDING', 'DELIVERING');
+-- Claim due deliveries for one worker
+-- Claimed rows move to DELIVERING with a lease; a worker that dies mid-delivery
+-- leaves the row to be picked up again once the lease runs out
+CREATE OR REPLACE FUNCTION public.claim_webhook_deliveries(
+        p_limit INT DEFAULT 50,
+        p_lease_seconds INT DEFAULT 300
+    ) RETURNS SETOF public.webhook_deliveries LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$ BEGIN RETURN QUERY
+UPDATE public.webhook_deliveries d
+SET status = 'DELIVERING',
+    attempts = d.attempts + 1,
+    last_attempt_at = timezone('utc', now()),
+    next_attempt_at = timezone('utc', now()) + make_interval(secs => p_lease_seconds)
+WHERE d.id IN (
+        SELECT id
+        FROM public.webhook_deliveries
+        WHERE status IN ('PENDING', 'DELIVERING')
+            AND next_attempt_at <= timezone('utc', now())
+        ORDER BY next_attempt_at
+        LIMIT p_limit FOR
+        UPDATE SKIP LOCKED
+    )
+RETURNING d.*;
+END;
+$$;
+-- Backend only: the function bypasses RLS and claims every user's deliveries
+REVOKE EXECUTE ON FUNCTION public.claim_webhook_deliveries(INT, INT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_webhook_deliveries(INT, INT) TO service_role;
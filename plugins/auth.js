@@ -22,11 +22,17 @@ async function authPlugin(fastify) {
 
     const authHeader = request.headers.authorization;
 
-    if (!authHeader) {
+    // EventSource cannot send headers, so the event stream also accepts
+    // the access token as a query parameter
+    const queryToken = request.url.startsWith("/api/v1/events/stream")
+      ? request.query?.access_token
+      : undefined;
+
+    if (!authHeader && !queryToken) {
       return reply.status(401).send({ error: "Missing Authorization header" });
     }
 
-    const token = authHeader.replace("Bearer ", "");
+    const token = authHeader ? authHeader.replace("Bearer ", "") : queryToken;
 
     try {
       const decoded = verifyToken(token);
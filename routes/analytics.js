@@ -0,0 +1,205 @@
+import { MxResolver } from "../services/mx-resolver.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default report range
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+const MAX_TOP_DOMAINS = 50;
+
+// MX lookups made per request for domains the worker has not resolved; they
+// run in parallel and the report waits at most RESOLVE_TIMEOUT_MS for them
+const RESOLVE_PER_REQUEST = 20;
+const RESOLVE_TIMEOUT_MS = parseInt(process.env.MX_RESOLVE_TIMEOUT_MS) || 2000;
+
+/**
+ * Report range from since/until query params
+ * @returns {Object} { since, until } Dates, or { error }
+ */
+function reportRange(query) {
+  for (const name of ["since", "until"]) {
+    if (query[name] && Number.isNaN(new Date(query[name]).getTime())) {
+      return { error: `${name} must be a date (e.g. 2026-01-31)` };
+    }
+  }
+
+  const until = query.until ? new Date(query.until) : new Date();
+  const since = query.since
+    ? new Date(query.since)
+    : new Date(until.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  if (since >= until) {
+    return { error: "since must be before until" };
+  }
+
+  if (until - since > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range is limited to ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { since, until };
+}
+
+/**
+ * Percentage change from last week to this week (null without a baseline)
+ */
+function weekChange({ this_week, last_week }) {
+  if (!last_week) return null;
+  return Math.round(((this_week - last_week) / last_week) * 1000) / 10;
+}
+
+/**
+ * Share of SLA-tracked emails answered in time (null before any verdict)
+ */
+function compliance({ met, missed }) {
+  if (!met && !missed) return null;
+  return Math.round((met / (met + missed)) * 1000) / 10;
+}
+
+export default async function analyticsRoutes(fastify) {
+  const mxResolver = new MxResolver(fastify.supabase);
+
+  /**
+   * GET /analytics/deliverability - Bounce failures by domain and provider
+   * Aggregated in the database (deliverability_report). "Provider" is whoever
+   * runs the recipient domain's MX: google, microsoft, yahoo, ...
+   * Query params:
+   * - since, until: Date range (default: the last 30 days)
+   * - mailbox_id: Only bounces of this mailbox
+   * - top: Number of top failing domains (default 10, max 50)
+   */
+  fastify.get("/analytics/deliverability", async (request, reply) => {
+    const userId = request.user.id;
+    const { mailbox_id, top } = request.query;
+
+    if (top && (!/^\d+$/.test(top) || top < 1 || top > MAX_TOP_DOMAINS)) {
+      return reply
+        .status(400)
+        .send({ error: `top must be between 1 and ${MAX_TOP_DOMAINS}` });
+    }
+
+    const { since, until, error: rangeError } = reportRange(request.query);
+    if (rangeError) {
+      return reply.status(400).send({ error: rangeError });
+    }
+
+    console.log(
+      `📈 Fetching deliverability analytics for user: ${request.user.email}`,
+    );
+
+    const runReport = () =>
+      fastify.supabase.rpc("deliverability_report", {
+        p_user_id: userId,
+        p_since: since.toISOString(),
+        p_until: until.toISOString(),
+        p_mailbox_id: mailbox_id || null,
+        p_top: parseInt(top) || 10,
+      });
+
+    try {
+      const { data, error } = await runReport();
+
+      if (error) {
+        console.error("❌ Error building deliverability report:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      let report = data;
+
+      // Bounces recorded before the worker looked up MX hosts
+      if (report.unresolved_domains.length > 0) {
+        try {
+          const resolved = await mxResolver.resolveDomains(
+            report.unresolved_domains.slice(0, RESOLVE_PER_REQUEST),
+            { timeoutMs: RESOLVE_TIMEOUT_MS },
+          );
+
+          if (resolved > 0) {
+            const rerun = await runReport();
+            if (rerun.error) throw rerun.error;
+            report = rerun.data;
+          }
+        } catch (resolveError) {
+          console.error("❌ Error resolving recipient MX:", resolveError);
+        }
+      }
+
+      const withChange = (row) => ({ ...row, change_pct: weekChange(row) });
+
+      return reply.send({
+        range: {
+          since: since.toISOString(),
+          until: until.toISOString(),
+          mailbox_id: mailbox_id || null,
+        },
+        totals: report.totals,
+        week_over_week: withChange(report.week_over_week),
+        by_provider: report.by_provider.map(withChange),
+        top_domains: report.top_domains.map(withChange),
+        daily: report.daily,
+        error_codes: report.error_codes,
+        unresolved_domains: report.unresolved_domains,
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /analytics/deliverability:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /analytics/sla - First-response SLA compliance
+   * Aggregated in the database (sla_report) over inbound emails received in
+   * the range. Response times are business seconds for rules that use
+   * business hours
+   * Query params:
+   * - since, until: Date range (default: the last 30 days)
+   * - mailbox_id: Only this mailbox
+   * - rule_id: Only emails tracked under this SLA rule
+   */
+  fastify.get("/analytics/sla", async (request, reply) => {
+    const userId = request.user.id;
+    const { mailbox_id, rule_id } = request.query;
+
+    const { since, until, error: rangeError } = reportRange(request.query);
+    if (rangeError) {
+      return reply.status(400).send({ error: rangeError });
+    }
+
+    console.log(`📈 Fetching SLA analytics for user: ${request.user.email}`);
+
+    try {
+      const { data: report, error } = await fastify.supabase.rpc("sla_report", {
+        p_user_id: userId,
+        p_since: since.toISOString(),
+        p_until: until.toISOString(),
+        p_mailbox_id: mailbox_id || null,
+        p_rule_id: rule_id || null,
+      });
+
+      if (error) {
+        console.error("❌ Error building SLA report:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      const withCompliance = (row) => ({
+        ...row,
+        compliance_pct: compliance(row),
+      });
+
+      return reply.send({
+        range: {
+          since: since.toISOString(),
+          until: until.toISOString(),
+          mailbox_id: mailbox_id || null,
+          rule_id: rule_id || null,
+        },
+        totals: withCompliance(report.totals),
+        by_rule: report.by_rule.map(withCompliance),
+        daily: report.daily.map(withCompliance),
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /analytics/sla:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+}
@@ -0,0 +1,151 @@
+/**
+ * Email attachment API endpoints
+ */
+
+import { getStorage } from "../services/storage/index.js";
+
+const ATTACHMENT_COLUMNS =
+  "id, email_id, filename, content_type, size_bytes, content_id, checksum, disposition, storage_key, created_at";
+
+// Types served as themselves and shown inline on request. Anything else
+// (HTML, SVG, XML, ...) could run script on the API's origin, so it is sent
+// as application/octet-stream and always downloaded
+const SAFE_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "image/bmp",
+  "application/pdf",
+];
+
+export default async function attachmentRoutes(fastify) {
+  /**
+   * GET /emails/:id/attachments - List attachment metadata for an email
+   */
+  fastify.get("/emails/:id/attachments", async (request, reply) => {
+    const userId = request.user.id;
+    const emailId = request.params.id;
+
+    console.log(`📎 Fetching attachments for email ${emailId}`);
+
+    try {
+      const { data: email } = await fastify.supabase
+        .from("emails")
+        .select("id")
+        .eq("id", emailId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (!email) {
+        return reply.status(404).send({ error: "Email not found" });
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("email_attachments")
+        .select(ATTACHMENT_COLUMNS)
+        .eq("email_id", emailId)
+        .eq("user_id", userId)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        console.error("❌ Error fetching attachments:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      // Expose availability instead of internal storage keys
+      const attachments = data.map(({ storage_key, ...attachment }) => ({
+        ...attachment,
+        downloadable: Boolean(storage_key),
+      }));
+
+      return reply.send({ data: attachments });
+    } catch (error) {
+      console.error("❌ Error in GET /emails/:id/attachments:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /emails/:id/attachments/:attachmentId/download - Stream attachment content
+   * Query params:
+   * - inline: "true" to display in the browser instead of downloading
+   *   (images other than SVG, and PDF only)
+   */
+  fastify.get(
+    "/emails/:id/attachments/:attachmentId/download",
+    async (request, reply) => {
+      const userId = request.user.id;
+      const { id: emailId, attachmentId } = request.params;
+
+      console.log(`📥 Downloading attachment ${attachmentId}`);
+
+      try {
+        const { data: attachment, error } = await fastify.supabase
+          .from("email_attachments")
+          .select("filename, content_type, storage_backend, storage_key")
+          .eq("id", attachmentId)
+          .eq("email_id", emailId)
+          .eq("user_id", userId)
+          .maybeSingle();
+
+        if (error) {
+          console.error("❌ Error fetching attachment:", error);
+          return reply.status(500).send({ error: error.message });
+        }
+
+        if (!attachment) {
+          return reply.status(404).send({ error: "Attachment not found" });
+        }
+
+        if (!attachment.storage_key) {
+          return reply
+            .status(410)
+            .send({ error: "Attachment content was not stored" });
+        }
+
+        let stream;
+        try {
+          stream = await getStorage(
+            attachment.storage_backend,
+          ).createReadStream(attachment.storage_key);
+        } catch (storageError) {
+          console.error(
+            "❌ Attachment content missing from storage:",
+            storageError.message,
+          );
+          return reply
+            .status(404)
+            .send({ error: "Attachment content not found" });
+        }
+
+        const contentType = String(attachment.content_type || "")
+          .split(";")[0]
+          .trim()
+          .toLowerCase();
+        const safe = SAFE_TYPES.includes(contentType);
+        const disposition =
+          safe && request.query.inline === "true" ? "inline" : "attachment";
+        const filename = encodeURIComponent(attachment.filename);
+
+        return reply
+          .header(
+            "Content-Type",
+            safe ? contentType : "application/octet-stream",
+          )
+          .header(
+            "Content-Disposition",
+            `${disposition}; filename*=UTF-8''${filename}`,
+          )
+          .header("X-Content-Type-Options", "nosniff")
+          .send(stream);
+      } catch (error) {
+        console.error(
+          "❌ Error in GET /emails/:id/attachments/:attachmentId/download:",
+          error,
+        );
+        return reply.status(500).send({ error: "Internal server error" });
+      }
+    },
+  );
+}
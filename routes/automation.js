@@ -0,0 +1,532 @@
+/**
+ * Automation API endpoints
+ * Rules the worker runs on incoming mail (see services/automation/engine.js),
+ * their order, dry runs against recent mail and the execution log.
+ */
+
+import { getPaginationParams } from "../utils/pagination.js";
+import {
+  AUTOMATION_TRIGGERS,
+  AutomationEngine,
+  DRY_RUN_DEFAULT_LIMIT,
+  DRY_RUN_MAX_LIMIT,
+  EXECUTION_STATUSES,
+  validateAutomationRule,
+} from "../services/automation/engine.js";
+
+const RULE_FIELDS = [
+  "name",
+  "description",
+  "mailbox_id",
+  "trigger",
+  "idle_hours",
+  "conditions",
+  "actions",
+  "position",
+  "stop_processing",
+  "is_active",
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Rule columns present in a request body
+ */
+function ruleValues(body) {
+  const values = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+  return values;
+}
+
+/**
+ * Idle-thread rules only act on threads that go idle from now on
+ */
+function idleCursor(rule) {
+  return rule.trigger === "THREAD_IDLE"
+    ? new Date(Date.now() - rule.idle_hours * HOUR_MS).toISOString()
+    : null;
+}
+
+/**
+ * Dry-run size from a request body
+ * @returns {number|null} null when invalid
+ */
+function dryRunLimit(body) {
+  if (body.limit === undefined) return DRY_RUN_DEFAULT_LIMIT;
+  return Number.isInteger(body.limit) &&
+    body.limit >= 1 &&
+    body.limit <= DRY_RUN_MAX_LIMIT
+    ? body.limit
+    : null;
+}
+
+export default async function automationRoutes(fastify) {
+  const engine = new AutomationEngine(fastify.supabase);
+
+  /**
+   * Check that the mailbox, labels and webhooks a rule names are the user's
+   * @returns {Promise<Object|null>} { status, error } to send, or null
+   */
+  async function referenceError(userId, rule) {
+    if (rule.mailbox_id) {
+      const { data: mailbox } = await fastify.supabase
+        .from("mailboxes")
+        .select("id")
+        .eq("id", rule.mailbox_id)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (!mailbox) return { status: 404, error: "Mailbox not found" };
+    }
+
+    for (const action of rule.actions) {
+      if (action.type === "label") {
+        const label = await engine.bulk.loadLabel(userId, action.label_id);
+
+        if (!label) return { status: 404, error: "Label not found" };
+
+        // Labels belong to one mailbox, so the rule has to as well
+        if (label.mailbox_id !== rule.mailbox_id) {
+          return {
+            status: 400,
+            error:
+              "label actions need the rule's mailbox_id to be the label's mailbox",
+          };
+        }
+      }
+
+      if (action.type === "webhook") {
+        const { data: webhook } = await fastify.supabase
+          .from("webhooks")
+          .select("id")
+          .eq("id", action.webhook_id)
+          .eq("user_id", userId)
+          .maybeSingle();
+
+        if (!webhook) return { status: 404, error: "Webhook not found" };
+      }
+    }
+
+    return null;
+  }
+
+  async function getOwnedRule(userId, ruleId) {
+    const { data, error } = await fastify.supabase
+      .from("automation_rules")
+      .select("*")
+      .eq("id", ruleId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * GET /automation/rules - List rules in run order
+   * Query params:
+   * - trigger: EMAIL_RECEIVED, BOUNCE_DETECTED or THREAD_IDLE
+   */
+  fastify.get("/automation/rules", async (request, reply) => {
+    const userId = request.user.id;
+    const { trigger } = request.query;
+
+    if (trigger && !AUTOMATION_TRIGGERS.includes(trigger)) {
+      return reply.status(400).send({
+        error: `trigger must be one of: ${AUTOMATION_TRIGGERS.join(", ")}`,
+      });
+    }
+
+    try {
+      let query = fastify.supabase
+        .from("automation_rules")
+        .select("*")
+        .eq("user_id", userId)
+        .order("position", { ascending: true })
+        .order("created_at", { ascending: true });
+
+      if (trigger) {
+        query = query.eq("trigger", trigger);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error("❌ Error fetching automation rules:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ data });
+    } catch (error) {
+      console.error("❌ Error in GET /automation/rules:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /automation/rules - Create a rule
+   * Body: { name, trigger, actions, idle_hours?, conditions?, mailbox_id?,
+   *   description?, position?, stop_processing?, is_active? }
+   * Without a position the rule runs after the user's existing rules
+   */
+  fastify.post("/automation/rules", async (request, reply) => {
+    const userId = request.user.id;
+    const values = ruleValues(request.body || {});
+
+    const validationError = validateAutomationRule(values);
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    console.log(`🤖 Creating automation rule "${values.name}"`);
+
+    try {
+      const invalid = await referenceError(userId, values);
+
+      if (invalid) {
+        return reply.status(invalid.status).send({ error: invalid.error });
+      }
+
+      if (values.position === undefined) {
+        const { data: last } = await fastify.supabase
+          .from("automation_rules")
+          .select("position")
+          .eq("user_id", userId)
+          .order("position", { ascending: false })
+          .limit(1)
+          .maybeSingle();
+
+        values.position = last ? last.position + 1 : 0;
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("automation_rules")
+        .insert({ ...values, user_id: userId, idle_cursor: idleCursor(values) })
+        .select()
+        .single();
+
+      if (error) {
+        console.error("❌ Error creating automation rule:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.status(201).send(data);
+    } catch (error) {
+      console.error("❌ Error in POST /automation/rules:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * PUT /automation/rules/order - Set the run order
+   * Body: { ids: [ruleId, ...] } - Rules run in this order; rules left out
+   * keep their position after the listed ones
+   */
+  fastify.put("/automation/rules/order", async (request, reply) => {
+    const userId = request.user.id;
+    const { ids } = request.body || {};
+
+    if (
+      !Array.isArray(ids) ||
+      ids.length === 0 ||
+      !ids.every((id) => typeof id === "string") ||
+      new Set(ids).size !== ids.length
+    ) {
+      return reply
+        .status(400)
+        .send({ error: "ids must be a non-empty array of distinct rule ids" });
+    }
+
+    try {
+      const { data: rules, error } = await fastify.supabase
+        .from("automation_rules")
+        .select("id, position")
+        .eq("user_id", userId)
+        .order("position", { ascending: true })
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        console.error("❌ Error fetching automation rules:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      const owned = new Set(rules.map((rule) => rule.id));
+      const unknown = ids.find((id) => !owned.has(id));
+
+      if (unknown) {
+        return reply
+          .status(404)
+          .send({ error: `Automation rule not found: ${unknown}` });
+      }
+
+      const order = [
+        ...ids,
+        ...rules.map((rule) => rule.id).filter((id) => !ids.includes(id)),
+      ];
+
+      for (const [position, id] of order.entries()) {
+        const { error: updateError } = await fastify.supabase
+          .from("automation_rules")
+          .update({ position })
+          .eq("id", id)
+          .eq("user_id", userId);
+
+        if (updateError) {
+          console.error("❌ Error ordering automation rules:", updateError);
+          return reply.status(500).send({ error: updateError.message });
+        }
+      }
+
+      return reply.send({
+        data: order.map((id, position) => ({ id, position })),
+      });
+    } catch (error) {
+      console.error("❌ Error in PUT /automation/rules/order:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /automation/rules/test - Dry-run an unsaved rule
+   * Body: a POST /automation/rules body plus limit (default 20, max 100)
+   */
+  fastify.post("/automation/rules/test", async (request, reply) => {
+    const userId = request.user.id;
+    const body = request.body || {};
+    const rule = ruleValues(body);
+    const limit = dryRunLimit(body);
+
+    const validationError = validateAutomationRule(rule);
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    if (!limit) {
+      return reply.status(400).send({
+        error: `limit must be between 1 and ${DRY_RUN_MAX_LIMIT}`,
+      });
+    }
+
+    try {
+      const invalid = await referenceError(userId, rule);
+
+      if (invalid) {
+        return reply.status(invalid.status).send({ error: invalid.error });
+      }
+
+      return reply.send(await engine.dryRun(rule, userId, limit));
+    } catch (error) {
+      console.error("❌ Error in POST /automation/rules/test:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /automation/rules/:id - Get a rule
+   */
+  fastify.get("/automation/rules/:id", async (request, reply) => {
+    try {
+      const rule = await getOwnedRule(request.user.id, request.params.id);
+
+      if (!rule) {
+        return reply.status(404).send({ error: "Automation rule not found" });
+      }
+
+      return reply.send(rule);
+    } catch (error) {
+      console.error("❌ Error in GET /automation/rules/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * PUT /automation/rules/:id - Update a rule
+   * Body: any POST /automation/rules field. Changing the trigger or
+   * idle_hours of an idle-thread rule restarts it from now
+   */
+  fastify.put("/automation/rules/:id", async (request, reply) => {
+    const userId = request.user.id;
+    const updates = ruleValues(request.body || {});
+
+    if (Object.keys(updates).length === 0) {
+      return reply.status(400).send({ error: "Nothing to update" });
+    }
+
+    try {
+      const existing = await getOwnedRule(userId, request.params.id);
+
+      if (!existing) {
+        return reply.status(404).send({ error: "Automation rule not found" });
+      }
+
+      // Moving away from THREAD_IDLE drops the idle time
+      if (
+        updates.trigger &&
+        updates.trigger !== "THREAD_IDLE" &&
+        updates.idle_hours === undefined
+      ) {
+        updates.idle_hours = null;
+      }
+
+      const rule = { ...existing, ...updates };
+      const validationError = validateAutomationRule(rule);
+
+      if (validationError) {
+        return reply.status(400).send({ error: validationError });
+      }
+
+      const invalid = await referenceError(userId, rule);
+
+      if (invalid) {
+        return reply.status(invalid.status).send({ error: invalid.error });
+      }
+
+      if (
+        rule.trigger !== existing.trigger ||
+        rule.idle_hours !== existing.idle_hours
+      ) {
+        updates.idle_cursor = idleCursor(rule);
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("automation_rules")
+        .update(updates)
+        .eq("id", existing.id)
+        .eq("user_id", userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error("❌ Error updating automation rule:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send(data);
+    } catch (error) {
+      console.error("❌ Error in PUT /automation/rules/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * DELETE /automation/rules/:id - Delete a rule and its execution log
+   */
+  fastify.delete("/automation/rules/:id", async (request, reply) => {
+    const userId = request.user.id;
+    const ruleId = request.params.id;
+
+    console.log(`🗑️  Deleting automation rule ${ruleId}`);
+
+    try {
+      const { error } = await fastify.supabase
+        .from("automation_rules")
+        .delete()
+        .eq("id", ruleId)
+        .eq("user_id", userId);
+
+      if (error) {
+        console.error("❌ Error deleting automation rule:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ success: true });
+    } catch (error) {
+      console.error("❌ Error in DELETE /automation/rules/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /automation/rules/:id/test - Dry-run a saved rule against the
+   * most recent emails, bounces or idle threads. No actions run
+   * Body: { limit? } - Items to test (default 20, max 100)
+   */
+  fastify.post("/automation/rules/:id/test", async (request, reply) => {
+    const userId = request.user.id;
+    const limit = dryRunLimit(request.body || {});
+
+    if (!limit) {
+      return reply.status(400).send({
+        error: `limit must be between 1 and ${DRY_RUN_MAX_LIMIT}`,
+      });
+    }
+
+    try {
+      const rule = await getOwnedRule(userId, request.params.id);
+
+      if (!rule) {
+        return reply.status(404).send({ error: "Automation rule not found" });
+      }
+
+      return reply.send(await engine.dryRun(rule, userId, limit));
+    } catch (error) {
+      console.error("❌ Error in POST /automation/rules/:id/test:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /automation/executions - Execution log, newest first
+   * Query params:
+   * - rule_id: Filter by rule
+   * - status: RUNNING, SUCCESS, PARTIAL or FAILED
+   * - email_id: Runs triggered by this email
+   * - page, limit: Pagination
+   */
+  fastify.get("/automation/executions", async (request, reply) => {
+    const userId = request.user.id;
+    const { limit, offset } = getPaginationParams(request.query);
+    const { rule_id, status, email_id } = request.query;
+
+    if (status && !EXECUTION_STATUSES.includes(status)) {
+      return reply.status(400).send({
+        error: `status must be one of: ${EXECUTION_STATUSES.join(", ")}`,
+      });
+    }
+
+    try {
+      let query = fastify.supabase
+        .from("automation_executions")
+        .select("*, rule:automation_rules(name)", { count: "exact" })
+        .eq("user_id", userId)
+        .order("executed_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (rule_id) {
+        query = query.eq("rule_id", rule_id);
+      }
+
+      if (status) {
+        query = query.eq("status", status);
+      }
+
+      if (email_id) {
+        query = query.eq("email_id", email_id);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error("❌ Error fetching automation executions:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({
+        data,
+        pagination: {
+          total: count,
+          limit,
+          offset,
+          hasMore: offset + limit < count,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /automation/executions:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+}
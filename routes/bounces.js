@@ -1,7 +1,127 @@
+import { Readable } from "stream";
+import { BounceImporter, IMPORT_PROVIDERS } from "../services/bounce-import.js";
+import {
+  BounceLifecycle,
+  DELIVERY_STATES,
+  effectiveState,
+} from "../services/bounce-lifecycle.js";
+import { BOUNCE_CATEGORIES } from "../services/email-worker/bounce-taxonomy.js";
+import { toCsvRow } from "../utils/csv.js";
+import {
+  applyBounceFilters,
+  validateBounceFilters,
+} from "../utils/email-filters.js";
 import { getPaginationParams } from "../utils/pagination.js";
 
+const EXPORT_FORMATS = ["csv", "json", "ndjson"];
+
+const EXPORT_COLUMNS = [
+  "id",
+  "mailbox_id",
+  "mailbox_email",
+  "email",
+  "bounce_type",
+  "bounce_category",
+  "delivery_state",
+  "error_code",
+  "reason",
+  "failure_count",
+  "first_failed_at",
+  "last_failed_at",
+];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  ndjson: "application/x-ndjson; charset=utf-8",
+};
+
+// Rows fetched per page while streaming an export
+const EXPORT_PAGE_SIZE = 1000;
+
+const IMPORT_MAX_BYTES = 10 * 1024 * 1024;
+
 export default async function bounceRoutes(fastify) {
-  // GET /bounces - List all bounces with pagination
+  const lifecycle = new BounceLifecycle(fastify.supabase);
+
+  // ESP exports are uploaded as the raw request body
+  fastify.addContentTypeParser(
+    "text/csv",
+    { parseAs: "string", bodyLimit: IMPORT_MAX_BYTES },
+    (request, body, done) => done(null, body),
+  );
+
+  /**
+   * Export rows for one user, page by page, formatted as they stream out
+   */
+  async function* exportBounces(userId, filters, format) {
+    const { data: mailboxes, error: mailboxError } = await fastify.supabase
+      .from("mailboxes")
+      .select("id, email_address")
+      .eq("user_id", userId);
+
+    if (mailboxError) throw mailboxError;
+
+    const mailboxEmails = new Map(
+      mailboxes.map((mailbox) => [mailbox.id, mailbox.email_address]),
+    );
+    const columns = EXPORT_COLUMNS.filter(
+      (column) => column !== "mailbox_email",
+    );
+    let first = true;
+
+    if (format === "csv") yield toCsvRow(EXPORT_COLUMNS);
+    if (format === "json") yield "[\n";
+
+    for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+      const { data, error } = await applyBounceFilters(
+        fastify.supabase
+          .from("email_bounces")
+          .select(columns.join(", "))
+          .eq("user_id", userId),
+        filters,
+      )
+        .order("last_failed_at", { ascending: false })
+        .order("id", { ascending: true })
+        .range(offset, offset + EXPORT_PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      let chunk = "";
+      for (const bounce of data) {
+        const row = {
+          ...bounce,
+          mailbox_email: mailboxEmails.get(bounce.mailbox_id) || null,
+          delivery_state: effectiveState(bounce),
+        };
+
+        if (format === "csv") {
+          chunk += toCsvRow(EXPORT_COLUMNS.map((column) => row[column]));
+        } else if (format === "ndjson") {
+          chunk += `${JSON.stringify(row)}\n`;
+        } else {
+          chunk += `${first ? "" : ",\n"}${JSON.stringify(row)}`;
+          first = false;
+        }
+      }
+
+      if (chunk) yield chunk;
+      if (data.length < EXPORT_PAGE_SIZE) break;
+    }
+
+    if (format === "json") yield "\n]\n";
+  }
+
+  /**
+   * GET /bounces - List all bounces with pagination
+   * Query params:
+   * - mailbox_id: Filter by mailbox
+   * - bounce_type: HARD, SOFT or UNKNOWN
+   * - bounce_category: INVALID_MAILBOX, MAILBOX_FULL, POLICY_BLOCK, ... (see bounce-taxonomy.js)
+   * - delivery_state: ACTIVE, SOFT_FAILING, SUPPRESSED or RECOVERED (see bounce-lifecycle.js)
+   * - since, until: Last failure within this date range
+   * - min_failures: Minimum failure_count
+   */
   fastify.get("/bounces", async (request, reply) => {
     const userId = request.user.id;
     const { limit, offset } = getPaginationParams(request.query);
@@ -10,17 +130,22 @@ export default async function bounceRoutes(fastify) {
       `📧 Fetching bounces for user: ${request.user.email}, mailbox: ${mailboxId || "all"}`,
     );
 
-    try {
-      let query = fastify.supabase
-        .from("email_bounces")
-        .select("*", { count: "exact" })
-        .eq("user_id", userId)
-        .order("last_failed_at", { ascending: false })
-        .range(offset, offset + limit - 1);
+    const validationError = validateBounceFilters(request.query);
 
-      if (mailboxId) {
-        query = query.eq("mailbox_id", mailboxId);
-      }
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    try {
+      const query = applyBounceFilters(
+        fastify.supabase
+          .from("email_bounces")
+          .select("*", { count: "exact" })
+          .eq("user_id", userId)
+          .order("last_failed_at", { ascending: false })
+          .range(offset, offset + limit - 1),
+        request.query,
+      );
 
       const { data, error, count } = await query;
 
@@ -45,9 +170,10 @@ export default async function bounceRoutes(fastify) {
           });
         }
 
-        // Add email_address to each bounce
+        // Add email_address and the decayed state to each bounce
         data.forEach((bounce) => {
           bounce.mailbox_email = mailboxMap[bounce.mailbox_id] || null;
+          bounce.delivery_state = effectiveState(bounce);
         });
       }
 
@@ -63,6 +189,123 @@ export default async function bounceRoutes(fastify) {
     }
   });
 
+  /**
+   * GET /bounces/export - Download bounces as a file
+   * Query params:
+   * - format: csv (default), json or ndjson
+   * - Same filters as GET /bounces (mailbox_id, bounce_type, bounce_category, delivery_state, since, until, min_failures)
+   */
+  fastify.get("/bounces/export", async (request, reply) => {
+    const userId = request.user.id;
+    const format = request.query.format || "csv";
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return reply
+        .status(400)
+        .send({ error: `format must be one of: ${EXPORT_FORMATS.join(", ")}` });
+    }
+
+    const validationError = validateBounceFilters(request.query);
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    console.log(
+      `📤 Exporting bounces (${format}) for user: ${request.user.email}`,
+    );
+
+    const filename = `bounces-${new Date().toISOString().slice(0, 10)}.${format}`;
+    const stream = Readable.from(exportBounces(userId, request.query, format));
+
+    // Headers are already sent by the time a page fails; the client sees a
+    // truncated download
+    stream.on("error", (error) => {
+      console.error("❌ Error in GET /bounces/export:", error);
+    });
+
+    return reply
+      .header("Content-Type", EXPORT_CONTENT_TYPES[format])
+      .header("Content-Disposition", `attachment; filename="${filename}"`)
+      .send(stream);
+  });
+
+  /**
+   * POST /bounces/import - Import an ESP bounce export (CSV request body)
+   * Query params:
+   * - mailbox_id: Mailbox the bounces belong to (required)
+   * - provider: sendgrid, mailgun, ses or auto (default, detected from the header)
+   * - dry_run: true to validate and preview without writing
+   * - suppress: false to skip adding hard bounces to the suppression list
+   */
+  fastify.post(
+    "/bounces/import",
+    { bodyLimit: IMPORT_MAX_BYTES },
+    async (request, reply) => {
+      const userId = request.user.id;
+      const {
+        mailbox_id,
+        provider = "auto",
+        dry_run,
+        suppress,
+      } = request.query;
+
+      if (typeof request.body !== "string" || !request.body.trim()) {
+        return reply.status(400).send({
+          error:
+            "Send the CSV file as the request body (Content-Type: text/csv)",
+        });
+      }
+
+      if (!mailbox_id) {
+        return reply.status(400).send({ error: "mailbox_id is required" });
+      }
+
+      if (provider !== "auto" && !IMPORT_PROVIDERS.includes(provider)) {
+        return reply.status(400).send({
+          error: `provider must be one of: auto, ${IMPORT_PROVIDERS.join(", ")}`,
+        });
+      }
+
+      console.log(
+        `📥 Importing bounces (${provider}${dry_run === "true" ? ", dry run" : ""}) into mailbox ${mailbox_id}`,
+      );
+
+      try {
+        const { data: mailbox } = await fastify.supabase
+          .from("mailboxes")
+          .select("id")
+          .eq("id", mailbox_id)
+          .eq("user_id", userId)
+          .maybeSingle();
+
+        if (!mailbox) {
+          return reply.status(404).send({ error: "Mailbox not found" });
+        }
+
+        const importer = new BounceImporter(fastify.supabase);
+        const summary = await importer.import(
+          userId,
+          mailbox_id,
+          request.body,
+          {
+            provider,
+            dryRun: dry_run === "true",
+            suppress: suppress !== "false",
+          },
+        );
+
+        return reply.send(summary);
+      } catch (error) {
+        if (error.statusCode) {
+          return reply.status(error.statusCode).send({ error: error.message });
+        }
+        console.error("❌ Error in POST /bounces/import:", error);
+        return reply.status(500).send({ error: "Internal server error" });
+      }
+    },
+  );
+
   // GET /bounces/unique - Count unique failed emails
   fastify.get("/bounces/unique", async (request, reply) => {
     const userId = request.user.id;
@@ -106,6 +349,40 @@ export default async function bounceRoutes(fastify) {
     }
   });
 
+  /**
+   * GET /bounces/timeline - Deliverability of one address over time
+   * Query params:
+   * - email: The recipient address (required)
+   * - mailbox_id: Only this mailbox's bounce
+   */
+  fastify.get("/bounces/timeline", async (request, reply) => {
+    const userId = request.user.id;
+    const { email, mailbox_id } = request.query;
+
+    if (!email || typeof email !== "string") {
+      return reply.status(400).send({ error: "email is required" });
+    }
+
+    console.log(`🕒 Fetching bounce timeline for ${email}`);
+
+    try {
+      const timeline = await lifecycle.timeline(userId, email.trim(), {
+        mailboxId: mailbox_id,
+      });
+
+      if (!timeline) {
+        return reply
+          .status(404)
+          .send({ error: "No bounces recorded for this address" });
+      }
+
+      return reply.send(timeline);
+    } catch (error) {
+      console.error("❌ Error in GET /bounces/timeline:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
   // GET /bounces/stats - Bounce statistics
   fastify.get("/bounces/stats", async (request, reply) => {
     const userId = request.user.id;
@@ -115,7 +392,9 @@ export default async function bounceRoutes(fastify) {
       // Total failures and unique emails
       const { data: bounces, error: bouncesError } = await fastify.supabase
         .from("email_bounces")
-        .select("email, bounce_type, failure_count, last_failed_at")
+        .select(
+          "email, bounce_type, bounce_category, delivery_state, failure_count, last_failed_at",
+        )
         .eq("user_id", userId);
 
       if (bouncesError) {
@@ -138,6 +417,34 @@ export default async function bounceRoutes(fastify) {
         { hard: 0, soft: 0, unknown: 0 },
       );
 
+      // Bounces by category (uncategorized = recorded before the taxonomy)
+      const byCategory = bounces.reduce(
+        (acc, bounce) => {
+          const category = (
+            bounce.bounce_category || "uncategorized"
+          ).toLowerCase();
+          acc[category] = (acc[category] || 0) + 1;
+          return acc;
+        },
+        Object.fromEntries(
+          [...BOUNCE_CATEGORIES, "uncategorized"].map((category) => [
+            category.toLowerCase(),
+            0,
+          ]),
+        ),
+      );
+
+      // Bounces by current deliverability state
+      const byState = bounces.reduce(
+        (acc, bounce) => {
+          acc[effectiveState(bounce).toLowerCase()]++;
+          return acc;
+        },
+        Object.fromEntries(
+          DELIVERY_STATES.map((state) => [state.toLowerCase(), 0]),
+        ),
+      );
+
       // Recent trend (last 7 days)
       const sevenDaysAgo = new Date();
       sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -150,6 +457,8 @@ export default async function bounceRoutes(fastify) {
         totalFailures,
         uniqueEmails,
         byType,
+        byCategory,
+        byState,
         recentCount: recentBounces.length,
         trend: {
           last7Days: recentBounces.length,
@@ -0,0 +1,97 @@
+/**
+ * Outbound email API endpoints: compose, reply and forward
+ * Messages go out through the mailbox's SMTP settings and are stored with
+ * direction OUTBOUND in the conversation they belong to.
+ */
+
+import { OutboundMailer } from "../services/outbound-mailer.js";
+
+export default async function composeRoutes(fastify) {
+  function sendError(reply, route, error) {
+    if (error.statusCode) {
+      return reply.status(error.statusCode).send({ error: error.message });
+    }
+    console.error(`❌ Error in ${route}:`, error);
+    return reply.status(500).send({ error: "Internal server error" });
+  }
+
+  /**
+   * POST /emails/send - Compose and send a new email
+   * Body: { mailbox_id, to, cc?, bcc?, subject, text?, html? }
+   */
+  fastify.post("/emails/send", async (request, reply) => {
+    const userId = request.user.id;
+    const body = request.body || {};
+
+    if (!body.mailbox_id || !body.to) {
+      return reply
+        .status(400)
+        .send({ error: "Missing required fields: mailbox_id, to" });
+    }
+
+    if (!body.text && !body.html) {
+      return reply.status(400).send({ error: "text or html is required" });
+    }
+
+    console.log(`📤 Sending email from mailbox ${body.mailbox_id}`);
+
+    try {
+      const mailer = new OutboundMailer(fastify.supabase, fastify.events);
+      const email = await mailer.send(userId, body);
+
+      return reply.status(201).send(email);
+    } catch (error) {
+      return sendError(reply, "POST /emails/send", error);
+    }
+  });
+
+  /**
+   * POST /emails/:id/reply - Reply to an email
+   * Body: { text?, html?, reply_all?, cc?, bcc? }
+   */
+  fastify.post("/emails/:id/reply", async (request, reply) => {
+    const userId = request.user.id;
+    const emailId = request.params.id;
+    const body = request.body || {};
+
+    if (!body.text && !body.html) {
+      return reply.status(400).send({ error: "text or html is required" });
+    }
+
+    console.log(`↩️  Replying to email ${emailId}`);
+
+    try {
+      const mailer = new OutboundMailer(fastify.supabase, fastify.events);
+      const email = await mailer.reply(userId, emailId, body);
+
+      return reply.status(201).send(email);
+    } catch (error) {
+      return sendError(reply, "POST /emails/:id/reply", error);
+    }
+  });
+
+  /**
+   * POST /emails/:id/forward - Forward an email
+   * Body: { to, cc?, bcc?, text?, html?, include_attachments? (default true) }
+   */
+  fastify.post("/emails/:id/forward", async (request, reply) => {
+    const userId = request.user.id;
+    const emailId = request.params.id;
+    const body = request.body || {};
+
+    if (!body.to) {
+      return reply.status(400).send({ error: "to is required" });
+    }
+
+    console.log(`↪️  Forwarding email ${emailId}`);
+
+    try {
+      const mailer = new OutboundMailer(fastify.supabase, fastify.events);
+      const email = await mailer.forward(userId, emailId, body);
+
+      return reply.status(201).send(email);
+    } catch (error) {
+      return sendError(reply, "POST /emails/:id/forward", error);
+    }
+  });
+}
@@ -0,0 +1,340 @@
+/**
+ * Contacts API endpoints
+ * The directory is built by the worker from stored mail (see
+ * services/contact-directory.js); these endpoints search it, show a contact
+ * with its threads and bounces, set VIP/blocked and merge aliases.
+ */
+
+import {
+  CONTACT_COLUMNS,
+  ContactDirectory,
+} from "../services/contact-directory.js";
+import { getPaginationParams } from "../utils/pagination.js";
+
+const SORTS = {
+  last_seen: ["last_seen_at", false],
+  first_seen: ["first_seen_at", true],
+  inbound: ["inbound_count", false],
+  outbound: ["outbound_count", false],
+  name: ["name", true],
+};
+
+// Contacts merged in one request
+const MAX_MERGE = 50;
+
+/**
+ * Search text safe inside a PostgREST or() filter
+ */
+function searchPattern(search) {
+  const text = String(search)
+    .replace(/[,()"\\%*]/g, " ")
+    .trim();
+  return text ? `%${text.toLowerCase()}%` : null;
+}
+
+export default async function contactRoutes(fastify) {
+  const contacts = new ContactDirectory(fastify.supabase);
+
+  /**
+   * GET /contacts - List contacts
+   * Query params:
+   * - search: Name or any of the contact's addresses contains
+   * - vip, blocked: true/false
+   * - category: Dominant category
+   * - sort: last_seen (default), first_seen, inbound, outbound or name
+   * - page, limit: Pagination
+   */
+  fastify.get("/contacts", async (request, reply) => {
+    const userId = request.user.id;
+    const { limit, offset } = getPaginationParams(request.query);
+    const {
+      search,
+      vip,
+      blocked,
+      category,
+      sort = "last_seen",
+    } = request.query;
+
+    if (!SORTS[sort]) {
+      return reply.status(400).send({
+        error: `sort must be one of: ${Object.keys(SORTS).join(", ")}`,
+      });
+    }
+
+    try {
+      const [column, ascending] = SORTS[sort];
+
+      let query = fastify.supabase
+        .from("contacts")
+        .select(CONTACT_COLUMNS, { count: "exact" })
+        .eq("user_id", userId)
+        .order(column, { ascending, nullsFirst: false })
+        .order("id", { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      const pattern = search ? searchPattern(search) : null;
+
+      if (pattern) {
+        // Aliases are matched through contact_addresses
+        const { data: aliases, error: aliasError } = await fastify.supabase
+          .from("contact_addresses")
+          .select("contact_id")
+          .eq("user_id", userId)
+          .ilike("email", pattern)
+          .limit(500);
+
+        if (aliasError) {
+          return reply.status(500).send({ error: aliasError.message });
+        }
+
+        const ids = [...new Set(aliases.map((row) => row.contact_id))];
+        query = query.or(
+          [`name.ilike.${pattern}`, `email.ilike.${pattern}`]
+            .concat(ids.length ? [`id.in.(${ids.join(",")})`] : [])
+            .join(","),
+        );
+      }
+
+      if (vip === "true" || vip === "false") {
+        query = query.eq("is_vip", vip === "true");
+      }
+
+      if (blocked === "true" || blocked === "false") {
+        query = query.eq("is_blocked", blocked === "true");
+      }
+
+      if (category) {
+        query = query.eq("dominant_category", category);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error("❌ Error fetching contacts:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({
+        data,
+        pagination: {
+          total: count,
+          limit,
+          offset,
+          hasMore: offset + limit < count,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /contacts:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /contacts/:id - Contact with its addresses and bounce history
+   */
+  fastify.get("/contacts/:id", async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const contact = await contacts.get(userId, request.params.id);
+
+      if (!contact) {
+        return reply.status(404).send({ error: "Contact not found" });
+      }
+
+      const addresses = await contacts.addresses(contact);
+
+      const { data: bounces, error } = await fastify.supabase
+        .from("email_bounces")
+        .select(
+          "id, mailbox_id, email, bounce_type, bounce_category, failure_count, delivery_state, first_failed_at, last_failed_at",
+        )
+        .eq("user_id", userId)
+        .in("email", addresses)
+        .order("last_failed_at", { ascending: false });
+
+      if (error) {
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ ...contact, addresses, bounces });
+    } catch (error) {
+      console.error("❌ Error in GET /contacts/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /contacts/:id/threads - Threads the contact takes part in, newest
+   * first
+   * Query params:
+   * - mailbox_id: Only this mailbox's threads
+   * - page, limit: Pagination
+   */
+  fastify.get("/contacts/:id/threads", async (request, reply) => {
+    const userId = request.user.id;
+    const { limit, offset } = getPaginationParams(request.query);
+    const { mailbox_id } = request.query;
+
+    try {
+      const contact = await contacts.get(userId, request.params.id);
+
+      if (!contact) {
+        return reply.status(404).send({ error: "Contact not found" });
+      }
+
+      let query = fastify.supabase
+        .from("email_threads")
+        .select("*", { count: "exact" })
+        .eq("user_id", userId)
+        .overlaps("participants", await contacts.addresses(contact))
+        .order("last_message_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (mailbox_id) {
+        query = query.eq("mailbox_id", mailbox_id);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error("❌ Error fetching contact threads:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({
+        data,
+        pagination: {
+          total: count,
+          limit,
+          offset,
+          hasMore: offset + limit < count,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /contacts/:id/threads:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * PUT /contacts/:id - Rename a contact or set its flags
+   * Body: { name?, is_vip?, is_blocked? }. Blocking archives the contact's
+   * future mail on arrival; mail already stored is left alone
+   */
+  fastify.put("/contacts/:id", async (request, reply) => {
+    const userId = request.user.id;
+    const { name, is_vip, is_blocked } = request.body || {};
+
+    const updates = {};
+
+    if (name !== undefined) {
+      if (name !== null && (typeof name !== "string" || name.length > 200)) {
+        return reply
+          .status(400)
+          .send({ error: "name must be a string of at most 200 characters" });
+      }
+      updates.name = name?.trim() || null;
+    }
+
+    for (const [field, value] of Object.entries({ is_vip, is_blocked })) {
+      if (value === undefined) continue;
+      if (typeof value !== "boolean") {
+        return reply.status(400).send({ error: `${field} must be a boolean` });
+      }
+      updates[field] = value;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return reply.status(400).send({ error: "Nothing to update" });
+    }
+
+    try {
+      const { data, error } = await fastify.supabase
+        .from("contacts")
+        .update(updates)
+        .eq("id", request.params.id)
+        .eq("user_id", userId)
+        .select(CONTACT_COLUMNS)
+        .maybeSingle();
+
+      if (error) {
+        console.error("❌ Error updating contact:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      if (!data) {
+        return reply.status(404).send({ error: "Contact not found" });
+      }
+
+      return reply.send(data);
+    } catch (error) {
+      console.error("❌ Error in PUT /contacts/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /contacts/:id/merge - Merge other contacts into this one
+   * Body: { contact_ids: [...] }. Their addresses become aliases of this
+   * contact, their counts and bounces add up, and they are deleted
+   */
+  fastify.post("/contacts/:id/merge", async (request, reply) => {
+    const userId = request.user.id;
+    const targetId = request.params.id;
+    const { contact_ids } = request.body || {};
+
+    if (
+      !Array.isArray(contact_ids) ||
+      contact_ids.length === 0 ||
+      contact_ids.length > MAX_MERGE ||
+      contact_ids.some((id) => typeof id !== "string")
+    ) {
+      return reply.status(400).send({
+        error: `contact_ids must be an array of 1-${MAX_MERGE} contact IDs`,
+      });
+    }
+
+    const sourceIds = [...new Set(contact_ids)].filter((id) => id !== targetId);
+
+    if (sourceIds.length === 0) {
+      return reply
+        .status(400)
+        .send({ error: "A contact cannot be merged into itself" });
+    }
+
+    try {
+      const { data: found, error } = await fastify.supabase
+        .from("contacts")
+        .select("id")
+        .eq("user_id", userId)
+        .in("id", [targetId, ...sourceIds]);
+
+      if (error) {
+        return reply.status(500).send({ error: error.message });
+      }
+
+      const foundIds = new Set(found.map((row) => row.id));
+      const missing = [targetId, ...sourceIds].filter(
+        (id) => !foundIds.has(id),
+      );
+
+      if (missing.length > 0) {
+        return reply
+          .status(404)
+          .send({ error: "Contact not found", contact_ids: missing });
+      }
+
+      const merged = await contacts.merge(userId, targetId, sourceIds);
+      const addresses = await contacts.addresses(merged);
+
+      console.log(
+        `👥 Merged ${sourceIds.length} contact(s) into ${targetId} for user ${userId}`,
+      );
+      return reply.send({ ...merged, addresses });
+    } catch (error) {
+      console.error("❌ Error in POST /contacts/:id/merge:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+}
@@ -4,8 +4,10 @@
  */
 
 import { createClient } from "@supabase/supabase-js";
+import { BounceLifecycle } from "../services/bounce-lifecycle.js";
 import { EnhancedEmailProcessor } from "../services/email-worker/enhanced-processor.js";
 import { EmailProcessor } from "../services/email-worker/processor.js";
+import { WebhookDispatcher } from "../services/webhooks/dispatcher.js";
 
 export default async function cronRoutes(fastify) {
   // Email sync cron job endpoint
@@ -82,11 +84,17 @@ export default async function cronRoutes(fastify) {
 
       console.log("✅ Email sync completed\n");
 
+      // No long-running worker here: deliver webhooks (new and retries) now
+      const webhookDeliveries = await new WebhookDispatcher(db).deliverDue();
+      const bounceRecoveries = await new BounceLifecycle(db).settleSends();
+
       return reply.send({
         status: "success",
         mailboxes: mailboxes.length,
         processed: processedCount,
         errors: errorCount,
+        webhook_deliveries: webhookDeliveries,
+        bounce_recoveries: bounceRecoveries,
         timestamp: new Date().toISOString(),
       });
     } catch (error) {
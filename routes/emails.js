@@ -3,76 +3,81 @@
  * Phase 2: Inbox Intelligence
  */
 
+import {
+  BulkActions,
+  FLAG_ACTION_CHANGES,
+  validateBulkRequest,
+} from "../services/bulk-actions.js";
+import { extractFeatures } from "../services/classification/features.js";
+import { FEEDBACK_CATEGORIES } from "../services/classification/pipeline.js";
+import {
+  deleteAttachmentFiles,
+  findAttachmentFiles,
+} from "../services/storage/attachment-files.js";
+import { applyEmailFilters, emailColumns } from "../utils/email-filters.js";
 import { getPaginationParams } from "../utils/pagination.js";
+import { parseSearchQuery } from "../utils/search-query.js";
 
 export default async function emailRoutes(fastify) {
+  // Notify event stream clients about a single-email flag change
+  async function publishFlagChange(email, changes) {
+    const events = [
+      {
+        user_id: email.user_id,
+        mailbox_id: email.mailbox_id,
+        type: "email.flags_changed",
+        data: { email_ids: [email.id], changes },
+      },
+    ];
+
+    if (email.thread_id) {
+      events.push({
+        user_id: email.user_id,
+        mailbox_id: email.mailbox_id,
+        type: "thread.updated",
+        data: { thread_id: email.thread_id },
+      });
+    }
+
+    await fastify.events.publishMany(events);
+  }
+
   /**
    * GET /emails - List emails with filters
    * Query params:
-   * - category: BOUNCE, TRANSACTIONAL, NOTIFICATION, MARKETING, HUMAN, NEWSLETTER
+   * - category: AUTO_REPLY, BOUNCE, TRANSACTIONAL, NOTIFICATION, MARKETING, HUMAN, NEWSLETTER
    * - mailbox_id: Filter by mailbox
+   * - folder: Filter by IMAP folder path (e.g. INBOX, Sent)
    * - thread_id: Filter by thread
    * - is_read: boolean
    * - is_starred: boolean
    * - is_archived: boolean
    * - search: Search in subject and from_address
+   * - label_id: Only emails carrying this label
    * - limit, offset: Pagination
    */
   fastify.get("/emails", async (request, reply) => {
     const userId = request.user.id;
     const { limit, offset } = getPaginationParams(request.query);
-    const {
-      category,
-      mailbox_id,
-      thread_id,
-      is_read,
-      is_starred,
-      is_archived,
-      search,
-    } = request.query;
 
     console.log(`📧 Fetching emails for user: ${request.user.email}`);
 
     try {
       let query = fastify.supabase
         .from("emails")
-        .select("*, email_threads(subject, normalized_subject)", {
-          count: "exact",
-        })
+        .select(
+          emailColumns(
+            "*, email_threads(subject, normalized_subject)",
+            request.query,
+          ),
+          { count: "exact" },
+        )
         .eq("user_id", userId)
         .order("received_at", { ascending: false })
         .range(offset, offset + limit - 1);
 
       // Apply filters
-      if (category) {
-        query = query.eq("category", category);
-      }
-
-      if (mailbox_id) {
-        query = query.eq("mailbox_id", mailbox_id);
-      }
-
-      if (thread_id) {
-        query = query.eq("thread_id", thread_id);
-      }
-
-      if (is_read !== undefined) {
-        query = query.eq("is_read", is_read === "true");
-      }
-
-      if (is_starred !== undefined) {
-        query = query.eq("is_starred", is_starred === "true");
-      }
-
-      if (is_archived !== undefined) {
-        query = query.eq("is_archived", is_archived === "true");
-      }
-
-      if (search) {
-        query = query.or(
-          `subject.ilike.%${search}%,from_address.ilike.%${search}%`,
-        );
-      }
+      query = applyEmailFilters(query, request.query);
 
       const { data, error, count } = await query;
 
@@ -81,6 +86,11 @@ export default async function emailRoutes(fastify) {
         return reply.status(500).send({ error: error.message });
       }
 
+      // Drop the join payload used for label filtering
+      if (request.query.label_id) {
+        data.forEach((email) => delete email.email_label_assignments);
+      }
+
       return reply.send({
         data,
         pagination: {
@@ -150,6 +160,176 @@ export default async function emailRoutes(fastify) {
     }
   });
 
+  /**
+   * GET /emails/classifier - The user's trained classifier
+   * How much feedback it learned from and when it was last trained
+   */
+  fastify.get("/emails/classifier", async (request, reply) => {
+    try {
+      const { data, error } = await fastify.supabase
+        .from("classifier_models")
+        .select("example_count, class_counts, needs_training, trained_at")
+        .eq("user_id", request.user.id)
+        .maybeSingle();
+
+      if (error) {
+        console.error("❌ Error fetching classifier:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send(
+        data || {
+          example_count: 0,
+          class_counts: {},
+          needs_training: false,
+          trained_at: null,
+        },
+      );
+    } catch (error) {
+      console.error("❌ Error in GET /emails/classifier:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /emails/search - Ranked full-text search over email bodies
+   * Query params:
+   * - q: Search text. Supports "exact phrases", -exclusions, OR, and the
+   *   operators from:, to:, has:attachment, before:YYYY-MM-DD, after:YYYY-MM-DD
+   * - mailbox_id: Filter by mailbox
+   * - page, limit: Pagination
+   */
+  fastify.get("/emails/search", async (request, reply) => {
+    const userId = request.user.id;
+    const { limit, offset } = getPaginationParams(request.query);
+    const { q, mailbox_id } = request.query;
+
+    if (!q || !q.trim()) {
+      return reply.status(400).send({ error: "q is required" });
+    }
+
+    const parsed = parseSearchQuery(q);
+
+    if (parsed.errors.length > 0) {
+      return reply.status(400).send({ error: parsed.errors.join("; ") });
+    }
+
+    console.log(`🔍 Searching emails for user: ${request.user.email}`);
+
+    try {
+      const { data, error } = await fastify.supabase.rpc("search_emails", {
+        p_user_id: userId,
+        p_query: parsed.text || null,
+        p_mailbox_id: mailbox_id || null,
+        p_from: parsed.from,
+        p_to: parsed.to,
+        p_has_attachment: parsed.hasAttachment,
+        p_before: parsed.before,
+        p_after: parsed.after,
+        p_limit: limit,
+        p_offset: offset,
+      });
+
+      if (error) {
+        console.error("❌ Error searching emails:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      const total = data.length > 0 ? Number(data[0].total_count) : 0;
+
+      return reply.send({
+        data: data.map(({ total_count, ...row }) => row),
+        query: {
+          text: parsed.text,
+          from: parsed.from,
+          to: parsed.to,
+          has_attachment: parsed.hasAttachment,
+          before: parsed.before,
+          after: parsed.after,
+        },
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + limit < total,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /emails/search:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /emails/bulk - Apply one action to many emails
+   * Body:
+   * - action: read, unread, star, archive, delete, label
+   * - ids: Array of email IDs, OR
+   * - filter: Same filters as GET /emails
+   * - label_id: Required for the label action
+   */
+  fastify.post("/emails/bulk", async (request, reply) => {
+    const userId = request.user.id;
+    const validationError = validateBulkRequest(request.body);
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    const { action, ids, filter, label_id } = request.body;
+
+    console.log(`📦 Bulk ${action} on emails for user: ${request.user.email}`);
+
+    try {
+      const bulkActions = new BulkActions(fastify.supabase);
+      const options = {};
+
+      if (action === "label") {
+        options.label = await bulkActions.loadLabel(userId, label_id);
+
+        if (!options.label) {
+          return reply.status(404).send({ error: "Label not found" });
+        }
+      }
+
+      const target = ids
+        ? { ids: [...new Set(ids)], truncated: false }
+        : await bulkActions.resolveEmailIds(userId, filter);
+
+      const results = await bulkActions.applyToEmails(
+        userId,
+        target.ids,
+        action,
+        options,
+      );
+
+      const succeeded = results.filter((r) => r.success).length;
+
+      if (FLAG_ACTION_CHANGES[action] && succeeded > 0) {
+        await fastify.events.publish({
+          user_id: userId,
+          type: "email.flags_changed",
+          data: {
+            email_ids: results.filter((r) => r.success).map((r) => r.id),
+            changes: FLAG_ACTION_CHANGES[action],
+          },
+        });
+      }
+
+      return reply.send({
+        action,
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        truncated: target.truncated,
+        results,
+      });
+    } catch (error) {
+      console.error("❌ Error in POST /emails/bulk:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
   /**
    * GET /emails/:id - Get single email details
    */
@@ -184,6 +364,7 @@ export default async function emailRoutes(fastify) {
 
   /**
    * PUT /emails/:id/read - Mark email as read/unread
+   * Pushed to the IMAP server (\Seen) on the next sync
    */
   fastify.put("/emails/:id/read", async (request, reply) => {
     const userId = request.user.id;
@@ -201,7 +382,7 @@ export default async function emailRoutes(fastify) {
     try {
       const { data, error } = await fastify.supabase
         .from("emails")
-        .update({ is_read })
+        .update({ is_read, flags_dirty: true })
         .eq("id", emailId)
         .eq("user_id", userId)
         .select()
@@ -220,6 +401,8 @@ export default async function emailRoutes(fastify) {
         await threadBuilder.updateThreadStats(data.thread_id);
       }
 
+      await publishFlagChange(data, { is_read });
+
       return reply.send(data);
     } catch (error) {
       console.error("❌ Error in PUT /emails/:id/read:", error);
@@ -229,6 +412,7 @@ export default async function emailRoutes(fastify) {
 
   /**
    * PUT /emails/:id/star - Toggle email starred status
+   * Pushed to the IMAP server (\Flagged) on the next sync
    */
   fastify.put("/emails/:id/star", async (request, reply) => {
     const userId = request.user.id;
@@ -246,7 +430,7 @@ export default async function emailRoutes(fastify) {
     try {
       const { data, error } = await fastify.supabase
         .from("emails")
-        .update({ is_starred })
+        .update({ is_starred, flags_dirty: true })
         .eq("id", emailId)
         .eq("user_id", userId)
         .select()
@@ -257,6 +441,8 @@ export default async function emailRoutes(fastify) {
         return reply.status(500).send({ error: error.message });
       }
 
+      await publishFlagChange(data, { is_starred });
+
       return reply.send(data);
     } catch (error) {
       console.error("❌ Error in PUT /emails/:id/star:", error);
@@ -266,6 +452,7 @@ export default async function emailRoutes(fastify) {
 
   /**
    * PUT /emails/:id/archive - Archive/unarchive email
+   * Moves the message between INBOX and the Archive folder on the next sync
    */
   fastify.put("/emails/:id/archive", async (request, reply) => {
     const userId = request.user.id;
@@ -283,7 +470,7 @@ export default async function emailRoutes(fastify) {
     try {
       const { data, error } = await fastify.supabase
         .from("emails")
-        .update({ is_archived })
+        .update({ is_archived, flags_dirty: true })
         .eq("id", emailId)
         .eq("user_id", userId)
         .select()
@@ -294,6 +481,8 @@ export default async function emailRoutes(fastify) {
         return reply.status(500).send({ error: error.message });
       }
 
+      await publishFlagChange(data, { is_archived });
+
       return reply.send(data);
     } catch (error) {
       console.error("❌ Error in PUT /emails/:id/archive:", error);
@@ -301,6 +490,120 @@ export default async function emailRoutes(fastify) {
     }
   });
 
+  /**
+   * PUT /emails/:id/category - Correct an email's category
+   * Body: { category }. The correction is kept as a training example for
+   * the user's classifier, which the worker retrains on its next sweep
+   */
+  fastify.put("/emails/:id/category", async (request, reply) => {
+    const userId = request.user.id;
+    const emailId = request.params.id;
+    const { category } = request.body || {};
+
+    if (!FEEDBACK_CATEGORIES.includes(category)) {
+      return reply.status(400).send({
+        error: `category must be one of: ${FEEDBACK_CATEGORIES.join(", ")}`,
+      });
+    }
+
+    console.log(`🏷️  Setting category of email ${emailId} to ${category}`);
+
+    try {
+      const { data: email, error: fetchError } = await fastify.supabase
+        .from("emails")
+        .select(
+          "id, user_id, mailbox_id, thread_id, category, subject, from_address, to_addresses, headers",
+        )
+        .eq("id", emailId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (fetchError) {
+        console.error("❌ Error fetching email:", fetchError);
+        return reply.status(500).send({ error: fetchError.message });
+      }
+
+      if (!email) {
+        return reply.status(404).send({ error: "Email not found" });
+      }
+
+      const { data: body } = await fastify.supabase
+        .from("email_bodies")
+        .select("body_text")
+        .eq("email_id", emailId)
+        .maybeSingle();
+
+      const { error: feedbackError } = await fastify.supabase
+        .from("email_category_feedback")
+        .upsert(
+          {
+            user_id: userId,
+            email_id: emailId,
+            category,
+            previous_category: email.category,
+            features: extractFeatures({ ...email, body_text: body?.body_text }),
+          },
+          { onConflict: "email_id" },
+        );
+
+      if (feedbackError) {
+        console.error("❌ Error saving category feedback:", feedbackError);
+        return reply.status(500).send({ error: feedbackError.message });
+      }
+
+      const { error: modelError } = await fastify.supabase
+        .from("classifier_models")
+        .upsert(
+          {
+            user_id: userId,
+            needs_training: true,
+            stale_at: new Date().toISOString(),
+          },
+          { onConflict: "user_id" },
+        );
+
+      if (modelError) {
+        console.error("❌ Error queueing classifier training:", modelError);
+        return reply.status(500).send({ error: modelError.message });
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("emails")
+        .update({
+          category,
+          category_confidence: 1.0,
+          category_source: "USER",
+          category_probabilities: null,
+        })
+        .eq("id", emailId)
+        .eq("user_id", userId)
+        .select()
+        .single();
+
+      if (error) {
+        console.error("❌ Error updating email:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      await fastify.events.publish({
+        user_id: userId,
+        mailbox_id: email.mailbox_id,
+        type: "email.category_changed",
+        data: {
+          email_id: emailId,
+          thread_id: email.thread_id,
+          category,
+          previous_category: email.category,
+        },
+      });
+
+      return reply.send(data);
+    } catch (error) {
+      console.error("❌ Error in PUT /emails/:id/category:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
   /**
    * DELETE /emails/:id - Delete email
    */
@@ -319,6 +622,11 @@ export default async function emailRoutes(fastify) {
         .eq("user_id", userId)
         .single();
 
+      // Attachment files are not removed by the cascade
+      const files = await findAttachmentFiles(fastify.supabase, userId, "id", [
+        emailId,
+      ]);
+
       // Delete email
       const { error } = await fastify.supabase
         .from("emails")
@@ -331,6 +639,8 @@ export default async function emailRoutes(fastify) {
         return reply.status(500).send({ error: error.message });
       }
 
+      await deleteAttachmentFiles(files);
+
       // Update thread stats
       if (email?.thread_id) {
         const { ThreadBuilder } =
@@ -0,0 +1,102 @@
+/**
+ * Real-time event stream (Server-Sent Events)
+ */
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_MS = 25000;
+
+export default async function eventRoutes(fastify) {
+  /**
+   * GET /events/stream - Server-Sent Events for the user's mailboxes
+   * Query params:
+   * - mailbox_id: Only events for this mailbox
+   * - access_token: JWT, for clients that cannot set headers (EventSource)
+   * - last_event_id: Resume after this event (the Last-Event-ID header wins)
+   */
+  fastify.get("/events/stream", async (request, reply) => {
+    const userId = request.user.id;
+    const { mailbox_id } = request.query;
+    const lastEventHeader =
+      request.headers["last-event-id"] ?? request.query.last_event_id;
+    const lastEventId =
+      lastEventHeader !== undefined ? parseInt(lastEventHeader, 10) : null;
+
+    if (
+      lastEventId !== null &&
+      (Number.isNaN(lastEventId) || lastEventId < 0)
+    ) {
+      return reply
+        .status(400)
+        .send({ error: "last_event_id must be a non-negative integer" });
+    }
+
+    if (mailbox_id) {
+      const { data: mailbox } = await fastify.supabase
+        .from("mailboxes")
+        .select("id")
+        .eq("id", mailbox_id)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+    }
+
+    console.log(`📡 Event stream opened for user ${userId}`);
+
+    // Take over the socket; keep headers set by hooks (e.g. CORS)
+    reply.hijack();
+    const stream = reply.raw;
+    stream.writeHead(200, {
+      ...reply.getHeaders(),
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    stream.write("retry: 5000\n\n");
+
+    const send = (event) => {
+      const data = {
+        mailbox_id: event.mailbox_id,
+        ...event.data,
+        created_at: event.created_at,
+      };
+      stream.write(
+        `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`,
+      );
+    };
+
+    const heartbeat = setInterval(
+      () => stream.write(": heartbeat\n\n"),
+      HEARTBEAT_MS,
+    );
+
+    let unsubscribe = null;
+    let closed = false;
+
+    request.raw.on("close", () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe?.();
+      console.log(`📡 Event stream closed for user ${userId}`);
+    });
+
+    try {
+      unsubscribe = await fastify.eventHub.subscribe({
+        userId,
+        mailboxId: mailbox_id || null,
+        lastEventId,
+        send,
+      });
+
+      // Client went away while we were replaying
+      if (closed) unsubscribe();
+    } catch (error) {
+      console.error("❌ Error in GET /events/stream:", error);
+      clearInterval(heartbeat);
+      stream.end();
+    }
+  });
+}
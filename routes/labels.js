@@ -0,0 +1,420 @@
+/**
+ * Email label (user-defined folder) API endpoints
+ * Phase 2: Inbox Intelligence
+ */
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+export default async function labelRoutes(fastify) {
+  /**
+   * Fetch a label owned by the user, or null
+   */
+  async function getOwnedLabel(userId, labelId) {
+    const { data } = await fastify.supabase
+      .from("email_labels")
+      .select("*")
+      .eq("id", labelId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    return data;
+  }
+
+  /**
+   * GET /labels - List labels
+   * Query params:
+   * - mailbox_id: Filter by mailbox
+   */
+  fastify.get("/labels", async (request, reply) => {
+    const userId = request.user.id;
+    const { mailbox_id } = request.query;
+
+    console.log(`🏷️  Fetching labels for user: ${request.user.email}`);
+
+    try {
+      let query = fastify.supabase
+        .from("email_labels")
+        .select("*")
+        .eq("user_id", userId)
+        .order("name", { ascending: true });
+
+      if (mailbox_id) {
+        query = query.eq("mailbox_id", mailbox_id);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        console.error("❌ Error fetching labels:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ data });
+    } catch (error) {
+      console.error("❌ Error in GET /labels:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /labels - Create a label
+   * Body: { mailbox_id, name, color? }
+   */
+  fastify.post("/labels", async (request, reply) => {
+    const userId = request.user.id;
+    const { mailbox_id, name, color } = request.body || {};
+
+    if (!mailbox_id || !name || typeof name !== "string" || !name.trim()) {
+      return reply
+        .status(400)
+        .send({ error: "Missing required fields: mailbox_id, name" });
+    }
+
+    if (color !== undefined && !HEX_COLOR.test(color)) {
+      return reply
+        .status(400)
+        .send({ error: "color must be a hex value like #6366f1" });
+    }
+
+    console.log(`🏷️  Creating label "${name}" for mailbox ${mailbox_id}`);
+
+    try {
+      // Make sure the mailbox belongs to the user
+      const { data: mailbox } = await fastify.supabase
+        .from("mailboxes")
+        .select("id")
+        .eq("id", mailbox_id)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("email_labels")
+        .insert({
+          user_id: userId,
+          mailbox_id,
+          name: name.trim(),
+          ...(color && { color }),
+        })
+        .select()
+        .single();
+
+      if (error) {
+        // Unique violation on (mailbox_id, name)
+        if (error.code === "23505") {
+          return reply
+            .status(409)
+            .send({ error: "A label with this name already exists" });
+        }
+        console.error("❌ Error creating label:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.status(201).send(data);
+    } catch (error) {
+      console.error("❌ Error in POST /labels:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * PUT /labels/:id - Rename or recolor a label
+   * Body: { name?, color? }
+   */
+  fastify.put("/labels/:id", async (request, reply) => {
+    const userId = request.user.id;
+    const labelId = request.params.id;
+    const { name, color } = request.body || {};
+
+    const updates = {};
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        return reply
+          .status(400)
+          .send({ error: "name must be a non-empty string" });
+      }
+      updates.name = name.trim();
+    }
+
+    if (color !== undefined) {
+      if (!HEX_COLOR.test(color)) {
+        return reply
+          .status(400)
+          .send({ error: "color must be a hex value like #6366f1" });
+      }
+      updates.color = color;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return reply.status(400).send({ error: "Nothing to update" });
+    }
+
+    console.log(`🏷️  Updating label ${labelId}`);
+
+    try {
+      const { data, error } = await fastify.supabase
+        .from("email_labels")
+        .update(updates)
+        .eq("id", labelId)
+        .eq("user_id", userId)
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === "PGRST116") {
+          return reply.status(404).send({ error: "Label not found" });
+        }
+        if (error.code === "23505") {
+          return reply
+            .status(409)
+            .send({ error: "A label with this name already exists" });
+        }
+        console.error("❌ Error updating label:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send(data);
+    } catch (error) {
+      console.error("❌ Error in PUT /labels/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * DELETE /labels/:id - Delete a label (assignments cascade)
+   */
+  fastify.delete("/labels/:id", async (request, reply) => {
+    const userId = request.user.id;
+    const labelId = request.params.id;
+
+    console.log(`🗑️  Deleting label ${labelId}`);
+
+    try {
+      const { error } = await fastify.supabase
+        .from("email_labels")
+        .delete()
+        .eq("id", labelId)
+        .eq("user_id", userId);
+
+      if (error) {
+        console.error("❌ Error deleting label:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ success: true });
+    } catch (error) {
+      console.error("❌ Error in DELETE /labels/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /emails/:id/labels - Assign a label to an email
+   * Body: { label_id }
+   */
+  fastify.post("/emails/:id/labels", async (request, reply) => {
+    const userId = request.user.id;
+    const emailId = request.params.id;
+    const { label_id } = request.body || {};
+
+    if (!label_id) {
+      return reply.status(400).send({ error: "label_id is required" });
+    }
+
+    console.log(`🏷️  Assigning label ${label_id} to email ${emailId}`);
+
+    try {
+      const { data: email } = await fastify.supabase
+        .from("emails")
+        .select("id, mailbox_id")
+        .eq("id", emailId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (!email) {
+        return reply.status(404).send({ error: "Email not found" });
+      }
+
+      const label = await getOwnedLabel(userId, label_id);
+
+      if (!label || label.mailbox_id !== email.mailbox_id) {
+        return reply.status(404).send({ error: "Label not found" });
+      }
+
+      const { error } = await fastify.supabase
+        .from("email_label_assignments")
+        .upsert(
+          { email_id: emailId, label_id },
+          { onConflict: "email_id,label_id", ignoreDuplicates: true },
+        );
+
+      if (error) {
+        console.error("❌ Error assigning label:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ success: true, email_id: emailId, label_id });
+    } catch (error) {
+      console.error("❌ Error in POST /emails/:id/labels:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * DELETE /emails/:id/labels/:labelId - Remove a label from an email
+   */
+  fastify.delete("/emails/:id/labels/:labelId", async (request, reply) => {
+    const userId = request.user.id;
+    const { id: emailId, labelId } = request.params;
+
+    console.log(`🏷️  Removing label ${labelId} from email ${emailId}`);
+
+    try {
+      const label = await getOwnedLabel(userId, labelId);
+
+      if (!label) {
+        return reply.status(404).send({ error: "Label not found" });
+      }
+
+      const { error } = await fastify.supabase
+        .from("email_label_assignments")
+        .delete()
+        .eq("email_id", emailId)
+        .eq("label_id", labelId);
+
+      if (error) {
+        console.error("❌ Error removing label:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ success: true });
+    } catch (error) {
+      console.error("❌ Error in DELETE /emails/:id/labels/:labelId:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /threads/:id/labels - Assign a label to every email in a thread
+   * Body: { label_id }
+   */
+  fastify.post("/threads/:id/labels", async (request, reply) => {
+    const userId = request.user.id;
+    const threadId = request.params.id;
+    const { label_id } = request.body || {};
+
+    if (!label_id) {
+      return reply.status(400).send({ error: "label_id is required" });
+    }
+
+    console.log(`🏷️  Assigning label ${label_id} to thread ${threadId}`);
+
+    try {
+      const { data: thread } = await fastify.supabase
+        .from("email_threads")
+        .select("id, mailbox_id")
+        .eq("id", threadId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (!thread) {
+        return reply.status(404).send({ error: "Thread not found" });
+      }
+
+      const label = await getOwnedLabel(userId, label_id);
+
+      if (!label || label.mailbox_id !== thread.mailbox_id) {
+        return reply.status(404).send({ error: "Label not found" });
+      }
+
+      const { data: emails, error: emailsError } = await fastify.supabase
+        .from("emails")
+        .select("id")
+        .eq("thread_id", threadId)
+        .eq("user_id", userId);
+
+      if (emailsError) {
+        console.error("❌ Error fetching thread emails:", emailsError);
+        return reply.status(500).send({ error: emailsError.message });
+      }
+
+      if (emails.length > 0) {
+        const { error } = await fastify.supabase
+          .from("email_label_assignments")
+          .upsert(
+            emails.map((email) => ({ email_id: email.id, label_id })),
+            { onConflict: "email_id,label_id", ignoreDuplicates: true },
+          );
+
+        if (error) {
+          console.error("❌ Error assigning label:", error);
+          return reply.status(500).send({ error: error.message });
+        }
+      }
+
+      return reply.send({
+        success: true,
+        thread_id: threadId,
+        label_id,
+        emails_labeled: emails.length,
+      });
+    } catch (error) {
+      console.error("❌ Error in POST /threads/:id/labels:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * DELETE /threads/:id/labels/:labelId - Remove a label from every email in a thread
+   */
+  fastify.delete("/threads/:id/labels/:labelId", async (request, reply) => {
+    const userId = request.user.id;
+    const { id: threadId, labelId } = request.params;
+
+    console.log(`🏷️  Removing label ${labelId} from thread ${threadId}`);
+
+    try {
+      const label = await getOwnedLabel(userId, labelId);
+
+      if (!label) {
+        return reply.status(404).send({ error: "Label not found" });
+      }
+
+      const { data: emails, error: emailsError } = await fastify.supabase
+        .from("emails")
+        .select("id")
+        .eq("thread_id", threadId)
+        .eq("user_id", userId);
+
+      if (emailsError) {
+        console.error("❌ Error fetching thread emails:", emailsError);
+        return reply.status(500).send({ error: emailsError.message });
+      }
+
+      if (emails.length > 0) {
+        const { error } = await fastify.supabase
+          .from("email_label_assignments")
+          .delete()
+          .eq("label_id", labelId)
+          .in(
+            "email_id",
+            emails.map((email) => email.id),
+          );
+
+        if (error) {
+          console.error("❌ Error removing label:", error);
+          return reply.status(500).send({ error: error.message });
+        }
+      }
+
+      return reply.send({ success: true });
+    } catch (error) {
+      console.error("❌ Error in DELETE /threads/:id/labels/:labelId:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+}
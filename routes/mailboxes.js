@@ -1,4 +1,9 @@
-import { encrypt } from "../utils/encryption.js";
+import {
+  deleteAttachmentFiles,
+  findAttachmentFiles,
+} from "../services/storage/attachment-files.js";
+import { decrypt, encrypt } from "../utils/encryption.js";
+import { getPaginationParams } from "../utils/pagination.js";
 
 export default async function mailboxRoutes(fastify) {
   // POST /mailboxes - Add new mailbox
@@ -11,6 +16,11 @@ export default async function mailboxRoutes(fastify) {
       imap_port,
       imap_username,
       imap_password,
+      smtp_host,
+      smtp_port,
+      smtp_secure,
+      smtp_username,
+      smtp_password,
     } = request.body;
     console.log(
       `📬 Adding new mailbox for user: ${request.user.email}, mailbox: ${email_address}`,
@@ -39,6 +49,13 @@ export default async function mailboxRoutes(fastify) {
           imap_port: imap_port || 993,
           imap_username,
           imap_password_encrypted: encryptedPassword,
+          smtp_host: smtp_host || null,
+          smtp_port: smtp_port || 587,
+          smtp_secure: smtp_secure ?? null,
+          smtp_username: smtp_username || null,
+          smtp_password_encrypted: smtp_password
+            ? encrypt(smtp_password)
+            : null,
           status: "ACTIVE",
           last_synced_uid: 0,
         })
@@ -49,8 +66,9 @@ export default async function mailboxRoutes(fastify) {
         return reply.status(500).send({ error: error.message });
       }
 
-      // Don't return the encrypted password
+      // Don't return the encrypted passwords
       delete data.imap_password_encrypted;
+      delete data.smtp_password_encrypted;
       console.log(`✅ Mailbox added successfully: ${email_address}`);
 
       return reply.status(201).send({ data });
@@ -68,7 +86,7 @@ export default async function mailboxRoutes(fastify) {
       const { data, error } = await fastify.supabase
         .from("mailboxes")
         .select(
-          "id, user_id, provider, email_address, imap_host, imap_port, imap_username, status, last_error, last_synced_uid, created_at",
+          "id, user_id, provider, email_address, imap_host, imap_port, imap_username, smtp_host, smtp_port, smtp_secure, smtp_username, status, last_error, last_synced_uid, created_at",
         )
         .eq("user_id", userId)
         .order("created_at", { ascending: false });
@@ -101,6 +119,11 @@ export default async function mailboxRoutes(fastify) {
         delete updates.imap_password;
       }
 
+      if (updates.smtp_password) {
+        updates.smtp_password_encrypted = encrypt(updates.smtp_password);
+        delete updates.smtp_password;
+      }
+
       const { data, error } = await fastify.supabase
         .from("mailboxes")
         .update(updates)
@@ -117,8 +140,9 @@ export default async function mailboxRoutes(fastify) {
         return reply.status(404).send({ error: "Mailbox not found" });
       }
 
-      // Don't return the encrypted password
+      // Don't return the encrypted passwords
       delete data.imap_password_encrypted;
+      delete data.smtp_password_encrypted;
 
       return reply.send({ data });
     } catch (err) {
@@ -135,6 +159,14 @@ export default async function mailboxRoutes(fastify) {
     );
 
     try {
+      // Attachment files are not removed by the cascade
+      const files = await findAttachmentFiles(
+        fastify.supabase,
+        userId,
+        "mailbox_id",
+        [mailboxId],
+      );
+
       const { error } = await fastify.supabase
         .from("mailboxes")
         .delete()
@@ -145,12 +177,236 @@ export default async function mailboxRoutes(fastify) {
         return reply.status(500).send({ error: error.message });
       }
 
+      await deleteAttachmentFiles(files);
+
       return reply.status(204).send();
     } catch (err) {
       return reply.status(500).send({ error: err.message });
     }
   });
 
+  // POST /mailboxes/:id/smtp/test - Verify the mailbox's SMTP settings
+  fastify.post("/mailboxes/:id/smtp/test", async (request, reply) => {
+    const userId = request.user.id;
+    const mailboxId = request.params.id;
+    console.log(`🔌 Testing SMTP connection for mailbox: ${mailboxId}`);
+
+    try {
+      const { OutboundMailer } = await import("../services/outbound-mailer.js");
+      const mailer = new OutboundMailer(fastify.supabase);
+
+      const mailbox = await mailer.loadMailbox(userId, mailboxId);
+      await mailer.verify(mailbox);
+
+      return reply.send({ success: true, message: "Connection successful" });
+    } catch (err) {
+      console.error(`❌ SMTP connection failed for ${mailboxId}:`, err.message);
+      return reply.status(err.statusCode || 400).send({
+        success: false,
+        error: err.message,
+      });
+    }
+  });
+
+  // GET /mailboxes/:id/folders - List IMAP folders with their sync settings
+  fastify.get("/mailboxes/:id/folders", async (request, reply) => {
+    const userId = request.user.id;
+    const mailboxId = request.params.id;
+    console.log(`📂 Listing folders for mailbox: ${mailboxId}`);
+
+    let client = null;
+    try {
+      const { data: mailbox } = await fastify.supabase
+        .from("mailboxes")
+        .select(
+          "id, imap_host, imap_port, imap_username, imap_password_encrypted",
+        )
+        .eq("id", mailboxId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const { data: stored, error } = await fastify.supabase
+        .from("mailbox_folders")
+        .select(
+          "path, special_use, is_enabled, uid_validity, last_synced_uid, last_synced_at, last_error",
+        )
+        .eq("mailbox_id", mailboxId);
+
+      if (error) {
+        console.error("❌ Error fetching folder settings:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      const { ImapClient } =
+        await import("../services/email-worker/imap-client.js");
+
+      client = new ImapClient({
+        host: mailbox.imap_host,
+        port: mailbox.imap_port,
+        username: mailbox.imap_username,
+        password: decrypt(mailbox.imap_password_encrypted),
+      });
+
+      await client.connect();
+      const folders = await client.listFolders();
+      const settings = new Map(stored.map((folder) => [folder.path, folder]));
+
+      const data = folders.map((folder) => {
+        const setting = settings.get(folder.path);
+        return {
+          ...folder,
+          // INBOX syncs by default until folders are configured
+          is_enabled: setting
+            ? setting.is_enabled
+            : stored.length === 0 && folder.path === "INBOX",
+          uid_validity: setting?.uid_validity ?? null,
+          last_synced_uid: setting?.last_synced_uid ?? 0,
+          last_synced_at: setting?.last_synced_at ?? null,
+          last_error: setting?.last_error ?? null,
+        };
+      });
+
+      return reply.send({ data });
+    } catch (err) {
+      console.error(`❌ Error listing folders for ${mailboxId}:`, err.message);
+      return reply.status(502).send({
+        error: `Failed to list folders: ${err.message}`,
+      });
+    } finally {
+      if (client) {
+        try {
+          await client.disconnect();
+        } catch (disconnectErr) {
+          console.error("❌ Error during disconnect:", disconnectErr.message);
+        }
+      }
+    }
+  });
+
+  // PUT /mailboxes/:id/folders - Choose which folders to sync
+  // Body: { folders: ["INBOX", "Sent", ...] }
+  fastify.put("/mailboxes/:id/folders", async (request, reply) => {
+    const userId = request.user.id;
+    const mailboxId = request.params.id;
+    const { folders } = request.body || {};
+    console.log(`📂 Updating synced folders for mailbox: ${mailboxId}`);
+
+    if (
+      !Array.isArray(folders) ||
+      folders.length === 0 ||
+      !folders.every((path) => typeof path === "string" && path.trim())
+    ) {
+      return reply.status(400).send({
+        error: "folders must be a non-empty array of folder paths",
+      });
+    }
+
+    try {
+      const { data: mailbox } = await fastify.supabase
+        .from("mailboxes")
+        .select("id")
+        .eq("id", mailboxId)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const paths = [...new Set(folders.map((path) => path.trim()))];
+
+      // Disable everything, then enable the selection (keeps sync state)
+      const { error: disableError } = await fastify.supabase
+        .from("mailbox_folders")
+        .update({ is_enabled: false })
+        .eq("mailbox_id", mailboxId);
+
+      if (disableError) {
+        console.error("❌ Error updating folders:", disableError);
+        return reply.status(500).send({ error: disableError.message });
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("mailbox_folders")
+        .upsert(
+          paths.map((path) => ({
+            mailbox_id: mailboxId,
+            user_id: userId,
+            path,
+            is_enabled: true,
+          })),
+          { onConflict: "mailbox_id,path" },
+        )
+        .select(
+          "path, special_use, is_enabled, last_synced_uid, last_synced_at",
+        );
+
+      if (error) {
+        console.error("❌ Error updating folders:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      console.log(`✅ Syncing ${paths.length} folders for ${mailboxId}`);
+      return reply.send({ data });
+    } catch (error) {
+      console.error("❌ Error in PUT /mailboxes/:id/folders:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  // GET /mailboxes/:id/sync-events - Sync events (e.g. UIDVALIDITY resets), newest first
+  // Query params: folder, event_type, page, limit
+  fastify.get("/mailboxes/:id/sync-events", async (request, reply) => {
+    const userId = request.user.id;
+    const mailboxId = request.params.id;
+    const { limit, offset } = getPaginationParams(request.query);
+    const { folder, event_type } = request.query;
+
+    try {
+      let query = fastify.supabase
+        .from("mailbox_sync_events")
+        .select("id, folder, event_type, message, details, created_at", {
+          count: "exact",
+        })
+        .eq("mailbox_id", mailboxId)
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (folder) {
+        query = query.eq("folder", folder);
+      }
+
+      if (event_type) {
+        query = query.eq("event_type", event_type);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error("❌ Error fetching sync events:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({
+        data,
+        pagination: {
+          total: count,
+          limit,
+          offset,
+          hasMore: offset + limit < count,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /mailboxes/:id/sync-events:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
   // POST /mailboxes/test - Test IMAP connection
   fastify.post("/mailboxes/test", async (request, reply) => {
     const { imap_host, imap_port, imap_username, imap_password } = request.body;
@@ -0,0 +1,221 @@
+/**
+ * Reprocess API endpoints
+ * Reclassify and/or rethread a mailbox's stored emails with the current
+ * rules. Jobs run in the worker in resumable batches (see
+ * services/reprocessor.js); these endpoints create, follow, cancel and
+ * resume them.
+ */
+
+import {
+  ACTIVE_JOB_STATUSES,
+  Reprocessor,
+  jobProgress,
+  validateReprocessRequest,
+} from "../services/reprocessor.js";
+
+export default async function reprocessRoutes(fastify) {
+  const reprocessor = new Reprocessor(fastify.supabase);
+
+  async function getOwnedMailbox(userId, mailboxId) {
+    const { data } = await fastify.supabase
+      .from("mailboxes")
+      .select("id, user_id")
+      .eq("id", mailboxId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    return data;
+  }
+
+  function withProgress(job) {
+    return { ...job, progress: jobProgress(job) };
+  }
+
+  /**
+   * POST /mailboxes/:id/reprocess - Start a reprocess job
+   * Body: { mode: CLASSIFICATION|THREADING|BOTH, since?, until? }. The range
+   * is on received_at (since inclusive, until exclusive); without one the
+   * whole mailbox is reprocessed. One job per mailbox at a time
+   */
+  fastify.post("/mailboxes/:id/reprocess", async (request, reply) => {
+    const validationError = validateReprocessRequest(request.body);
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    try {
+      const mailbox = await getOwnedMailbox(request.user.id, request.params.id);
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      try {
+        const job = await reprocessor.createJob(mailbox, request.body);
+        return reply.status(202).send(withProgress(job));
+      } catch (error) {
+        // Unique violation on the mailbox's active job
+        if (error.code === "23505") {
+          return reply.status(409).send({
+            error: "A reprocess job is already running for this mailbox",
+          });
+        }
+        console.error("❌ Error creating reprocess job:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+    } catch (error) {
+      console.error("❌ Error in POST /mailboxes/:id/reprocess:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /mailboxes/:id/reprocess - List the mailbox's jobs, newest first
+   */
+  fastify.get("/mailboxes/:id/reprocess", async (request, reply) => {
+    try {
+      const mailbox = await getOwnedMailbox(request.user.id, request.params.id);
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("reprocess_jobs")
+        .select("*")
+        .eq("mailbox_id", mailbox.id)
+        .order("created_at", { ascending: false })
+        .limit(20);
+
+      if (error) {
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ jobs: data.map(withProgress) });
+    } catch (error) {
+      console.error("❌ Error in GET /mailboxes/:id/reprocess:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /mailboxes/:id/reprocess/:jobId - Job status, progress and diff
+   */
+  fastify.get("/mailboxes/:id/reprocess/:jobId", async (request, reply) => {
+    try {
+      const { data: job, error } = await fastify.supabase
+        .from("reprocess_jobs")
+        .select("*")
+        .eq("id", request.params.jobId)
+        .eq("mailbox_id", request.params.id)
+        .eq("user_id", request.user.id)
+        .maybeSingle();
+
+      if (error) {
+        return reply.status(500).send({ error: error.message });
+      }
+
+      if (!job) {
+        return reply.status(404).send({ error: "Reprocess job not found" });
+      }
+
+      return reply.send(withProgress(job));
+    } catch (error) {
+      console.error("❌ Error in GET /mailboxes/:id/reprocess/:jobId:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /mailboxes/:id/reprocess/:jobId/cancel - Stop a job
+   * Emails already reprocessed keep their new category and thread
+   */
+  fastify.post(
+    "/mailboxes/:id/reprocess/:jobId/cancel",
+    async (request, reply) => {
+      try {
+        const { data: job, error } = await fastify.supabase
+          .from("reprocess_jobs")
+          .update({
+            status: "CANCELLED",
+            completed_at: new Date().toISOString(),
+          })
+          .eq("id", request.params.jobId)
+          .eq("mailbox_id", request.params.id)
+          .eq("user_id", request.user.id)
+          .in("status", ACTIVE_JOB_STATUSES)
+          .select()
+          .maybeSingle();
+
+        if (error) {
+          return reply.status(500).send({ error: error.message });
+        }
+
+        if (!job) {
+          return reply
+            .status(404)
+            .send({ error: "No pending or running job with this ID" });
+        }
+
+        return reply.send(withProgress(job));
+      } catch (error) {
+        console.error(
+          "❌ Error in POST /mailboxes/:id/reprocess/:jobId/cancel:",
+          error,
+        );
+        return reply.status(500).send({ error: "Internal server error" });
+      }
+    },
+  );
+
+  /**
+   * POST /mailboxes/:id/reprocess/:jobId/resume - Retry a failed job
+   * It continues after the last batch it finished
+   */
+  fastify.post(
+    "/mailboxes/:id/reprocess/:jobId/resume",
+    async (request, reply) => {
+      try {
+        const mailbox = await getOwnedMailbox(
+          request.user.id,
+          request.params.id,
+        );
+
+        if (!mailbox) {
+          return reply.status(404).send({ error: "Mailbox not found" });
+        }
+
+        try {
+          const job = await reprocessor.resumeJob(
+            mailbox,
+            request.params.jobId,
+          );
+
+          if (!job) {
+            return reply
+              .status(404)
+              .send({ error: "No failed job with this ID" });
+          }
+
+          return reply.status(202).send(withProgress(job));
+        } catch (error) {
+          // Unique violation on the mailbox's active job
+          if (error.code === "23505") {
+            return reply.status(409).send({
+              error: "A reprocess job is already running for this mailbox",
+            });
+          }
+          console.error("❌ Error resuming reprocess job:", error);
+          return reply.status(500).send({ error: error.message });
+        }
+      } catch (error) {
+        console.error(
+          "❌ Error in POST /mailboxes/:id/reprocess/:jobId/resume:",
+          error,
+        );
+        return reply.status(500).send({ error: "Internal server error" });
+      }
+    },
+  );
+}
@@ -0,0 +1,325 @@
+/**
+ * Sieve API endpoints
+ * A mailbox's Sieve script (run by the worker on inbound mail, see
+ * services/sieve/filter.js), dry runs against stored mail and the export of
+ * automation rules as Sieve.
+ */
+
+import { SieveFilter } from "../services/sieve/filter.js";
+import { SieveSyntaxError, compileSieve } from "../services/sieve/parser.js";
+import { rulesToSieve } from "../services/sieve/exporter.js";
+import { ARCHIVE_SPECIAL_USE } from "../services/email-worker/flag-sync.js";
+
+// Max script size in characters
+const MAX_SCRIPT_LENGTH = 64 * 1024;
+
+const TEST_DEFAULT_LIMIT = 20;
+const TEST_MAX_LIMIT = 100;
+
+// Fields the interpreter reads from stored emails
+const EMAIL_COLUMNS =
+  "id, thread_id, subject, from_address, from_name, to_addresses, cc_addresses, size_bytes, category, headers, received_at";
+
+/**
+ * Compile a script from a request body
+ * @returns {{ compiled?: Object, error?: Object }} error is the 400 body
+ */
+function compile(script) {
+  if (typeof script !== "string" || !script.trim()) {
+    return { error: { error: "script must be a non-empty string" } };
+  }
+
+  if (script.length > MAX_SCRIPT_LENGTH) {
+    return {
+      error: {
+        error: `script must be at most ${MAX_SCRIPT_LENGTH} characters`,
+      },
+    };
+  }
+
+  try {
+    return { compiled: compileSieve(script) };
+  } catch (error) {
+    if (error instanceof SieveSyntaxError) {
+      return { error: { error: error.message, line: error.line } };
+    }
+    throw error;
+  }
+}
+
+export default async function sieveRoutes(fastify) {
+  const filter = new SieveFilter(fastify.supabase);
+
+  async function getOwnedMailbox(userId, mailboxId) {
+    const { data } = await fastify.supabase
+      .from("mailboxes")
+      .select("id, user_id, email_address")
+      .eq("id", mailboxId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    return data;
+  }
+
+  async function getScript(mailboxId) {
+    const { data, error } = await fastify.supabase
+      .from("sieve_scripts")
+      .select("*")
+      .eq("mailbox_id", mailboxId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * GET /mailboxes/:id/sieve - Get the mailbox's Sieve script
+   */
+  fastify.get("/mailboxes/:id/sieve", async (request, reply) => {
+    try {
+      const mailbox = await getOwnedMailbox(request.user.id, request.params.id);
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const script = await getScript(mailbox.id);
+
+      if (!script) {
+        return reply.status(404).send({ error: "Sieve script not found" });
+      }
+
+      return reply.send(script);
+    } catch (error) {
+      console.error("❌ Error in GET /mailboxes/:id/sieve:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * PUT /mailboxes/:id/sieve - Upload (or replace) the mailbox's script
+   * Body: { script, name?, is_active? }. A script that does not parse is
+   * rejected with the line it failed on
+   */
+  fastify.put("/mailboxes/:id/sieve", async (request, reply) => {
+    const userId = request.user.id;
+    const { script, name, is_active } = request.body || {};
+
+    if (
+      name !== undefined &&
+      (typeof name !== "string" || !name.trim() || name.length > 100)
+    ) {
+      return reply
+        .status(400)
+        .send({ error: "name must be a string of 1-100 characters" });
+    }
+
+    if (is_active !== undefined && typeof is_active !== "boolean") {
+      return reply.status(400).send({ error: "is_active must be a boolean" });
+    }
+
+    try {
+      const { compiled, error: invalid } = compile(script);
+
+      if (invalid) {
+        return reply.status(400).send(invalid);
+      }
+
+      const mailbox = await getOwnedMailbox(userId, request.params.id);
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      console.log(`📜 Saving Sieve script for mailbox ${mailbox.id}`);
+
+      const { data, error } = await fastify.supabase
+        .from("sieve_scripts")
+        .upsert(
+          {
+            user_id: userId,
+            mailbox_id: mailbox.id,
+            script,
+            extensions: compiled.extensions,
+            ...(name !== undefined && { name: name.trim() }),
+            ...(is_active !== undefined && { is_active }),
+          },
+          { onConflict: "mailbox_id" },
+        )
+        .select()
+        .single();
+
+      if (error) {
+        console.error("❌ Error saving Sieve script:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send(data);
+    } catch (error) {
+      console.error("❌ Error in PUT /mailboxes/:id/sieve:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * DELETE /mailboxes/:id/sieve - Remove the mailbox's script
+   */
+  fastify.delete("/mailboxes/:id/sieve", async (request, reply) => {
+    try {
+      const mailbox = await getOwnedMailbox(request.user.id, request.params.id);
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("sieve_scripts")
+        .delete()
+        .eq("mailbox_id", mailbox.id)
+        .select("id");
+
+      if (error) {
+        console.error("❌ Error deleting Sieve script:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      if (data.length === 0) {
+        return reply.status(404).send({ error: "Sieve script not found" });
+      }
+
+      return reply.send({ success: true });
+    } catch (error) {
+      console.error("❌ Error in DELETE /mailboxes/:id/sieve:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /mailboxes/:id/sieve/test - Dry-run a script against recent mail
+   * Body: { script?, limit? }. Without a script, the saved one is used.
+   * Nothing is applied; each result lists what the script would do
+   */
+  fastify.post("/mailboxes/:id/sieve/test", async (request, reply) => {
+    const body = request.body || {};
+    const limit = body.limit ?? TEST_DEFAULT_LIMIT;
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > TEST_MAX_LIMIT) {
+      return reply.status(400).send({
+        error: `limit must be between 1 and ${TEST_MAX_LIMIT}`,
+      });
+    }
+
+    try {
+      const mailbox = await getOwnedMailbox(request.user.id, request.params.id);
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      let script = body.script;
+
+      if (script === undefined) {
+        script = (await getScript(mailbox.id))?.script;
+
+        if (!script) {
+          return reply.status(404).send({ error: "Sieve script not found" });
+        }
+      }
+
+      const { compiled, error: invalid } = compile(script);
+
+      if (invalid) {
+        return reply.status(400).send(invalid);
+      }
+
+      const { data: emails, error } = await fastify.supabase
+        .from("emails")
+        .select(EMAIL_COLUMNS)
+        .eq("mailbox_id", mailbox.id)
+        .eq("direction", "INBOUND")
+        .order("received_at", { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        console.error("❌ Error fetching emails for Sieve test:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      const results = emails.map((email) => ({
+        email_id: email.id,
+        thread_id: email.thread_id,
+        subject: email.subject,
+        from_address: email.from_address,
+        received_at: email.received_at,
+        ...filter.evaluate(compiled.commands, mailbox, email),
+      }));
+
+      return reply.send({
+        evaluated: results.length,
+        extensions: compiled.extensions,
+        results,
+      });
+    } catch (error) {
+      console.error("❌ Error in POST /mailboxes/:id/sieve/test:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /mailboxes/:id/sieve/export - The mailbox's automation rules as Sieve
+   * Active EMAIL_RECEIVED rules for the mailbox (or all mailboxes), in order
+   */
+  fastify.get("/mailboxes/:id/sieve/export", async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const mailbox = await getOwnedMailbox(userId, request.params.id);
+
+      if (!mailbox) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const [rulesResult, labelsResult, foldersResult] = await Promise.all([
+        fastify.supabase
+          .from("automation_rules")
+          .select("name, conditions, actions, stop_processing")
+          .eq("user_id", userId)
+          .eq("trigger", "EMAIL_RECEIVED")
+          .eq("is_active", true)
+          .or(`mailbox_id.is.null,mailbox_id.eq.${mailbox.id}`)
+          .order("position", { ascending: true })
+          .order("created_at", { ascending: true }),
+        fastify.supabase
+          .from("email_labels")
+          .select("id, name")
+          .eq("mailbox_id", mailbox.id),
+        fastify.supabase
+          .from("mailbox_folders")
+          .select("path")
+          .eq("mailbox_id", mailbox.id)
+          .in("special_use", ARCHIVE_SPECIAL_USE),
+      ]);
+
+      const failed = [rulesResult, labelsResult, foldersResult].find(
+        (result) => result.error,
+      );
+
+      if (failed) {
+        console.error("❌ Error exporting rules as Sieve:", failed.error);
+        return reply.status(500).send({ error: failed.error.message });
+      }
+
+      const script = rulesToSieve(rulesResult.data, {
+        labels: new Map(
+          labelsResult.data.map((label) => [label.id, label.name]),
+        ),
+        archiveFolder: foldersResult.data[0]?.path || "Archive",
+      });
+
+      return reply.type("application/sieve").send(script);
+    } catch (error) {
+      console.error("❌ Error in GET /mailboxes/:id/sieve/export:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+}
@@ -0,0 +1,306 @@
+/**
+ * SLA API endpoints
+ * First-response rules and the responses tracked under them. Compliance
+ * reports are at GET /analytics/sla.
+ */
+
+import { getPaginationParams } from "../utils/pagination.js";
+import {
+  RESPONSE_STATUSES,
+  validateSlaRule,
+} from "../services/analytics/sla-tracker.js";
+
+const RULE_FIELDS = [
+  "name",
+  "description",
+  "mailbox_id",
+  "category",
+  "from_domain",
+  "priority",
+  "first_response_target_seconds",
+  "use_business_hours",
+  "timezone",
+  "business_days",
+  "business_hours_start",
+  "business_hours_end",
+  "holidays",
+  "is_active",
+];
+
+/**
+ * Rule columns present in a request body
+ */
+function ruleValues(body) {
+  const values = {};
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) values[field] = body[field];
+  }
+  if (typeof values.from_domain === "string") {
+    values.from_domain = values.from_domain.toLowerCase();
+  }
+  if (Array.isArray(values.business_days)) {
+    values.business_days = [...new Set(values.business_days)].sort();
+  }
+  return values;
+}
+
+export default async function slaRoutes(fastify) {
+  async function ownsMailbox(userId, mailboxId) {
+    const { data } = await fastify.supabase
+      .from("mailboxes")
+      .select("id")
+      .eq("id", mailboxId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    return Boolean(data);
+  }
+
+  /**
+   * Supabase error for a rule write, as a reply
+   */
+  function ruleWriteError(reply, error, action) {
+    if (error.code === "PGRST116") {
+      return reply.status(404).send({ error: "SLA rule not found" });
+    }
+    // Check constraint: start/end were valid alone but not together
+    if (error.code === "23514") {
+      return reply.status(400).send({
+        error: "business_hours_start must be before business_hours_end",
+      });
+    }
+    console.error(`❌ Error ${action} SLA rule:`, error);
+    return reply.status(500).send({ error: error.message });
+  }
+
+  /**
+   * GET /sla/rules - List SLA rules
+   */
+  fastify.get("/sla/rules", async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const { data, error } = await fastify.supabase
+        .from("sla_rules")
+        .select("*")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        console.error("❌ Error fetching SLA rules:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ data });
+    } catch (error) {
+      console.error("❌ Error in GET /sla/rules:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /sla/rules - Create an SLA rule
+   * Body: { name, first_response_target_seconds, description?, mailbox_id?,
+   *   category?, from_domain?, priority?, use_business_hours?, timezone?,
+   *   business_days?, business_hours_start?, business_hours_end?, holidays?,
+   *   is_active? }
+   */
+  fastify.post("/sla/rules", async (request, reply) => {
+    const userId = request.user.id;
+    const body = request.body || {};
+
+    const validationError = validateSlaRule(body);
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    console.log(`⏱️  Creating SLA rule "${body.name}"`);
+
+    try {
+      if (body.mailbox_id && !(await ownsMailbox(userId, body.mailbox_id))) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("sla_rules")
+        .insert({ ...ruleValues(body), user_id: userId })
+        .select()
+        .single();
+
+      if (error) return ruleWriteError(reply, error, "creating");
+
+      return reply.status(201).send(data);
+    } catch (error) {
+      console.error("❌ Error in POST /sla/rules:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /sla/rules/:id - Get an SLA rule
+   */
+  fastify.get("/sla/rules/:id", async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const { data, error } = await fastify.supabase
+        .from("sla_rules")
+        .select("*")
+        .eq("id", request.params.id)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (error) {
+        console.error("❌ Error fetching SLA rule:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      if (!data) {
+        return reply.status(404).send({ error: "SLA rule not found" });
+      }
+
+      return reply.send(data);
+    } catch (error) {
+      console.error("❌ Error in GET /sla/rules/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * PUT /sla/rules/:id - Update an SLA rule
+   * Body: any POST /sla/rules field. Emails already tracked keep the target
+   * and due time they were given
+   */
+  fastify.put("/sla/rules/:id", async (request, reply) => {
+    const userId = request.user.id;
+    const body = request.body || {};
+
+    const validationError = validateSlaRule(body, true);
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    const updates = ruleValues(body);
+
+    if (Object.keys(updates).length === 0) {
+      return reply.status(400).send({ error: "Nothing to update" });
+    }
+
+    try {
+      if (body.mailbox_id && !(await ownsMailbox(userId, body.mailbox_id))) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("sla_rules")
+        .update(updates)
+        .eq("id", request.params.id)
+        .eq("user_id", userId)
+        .select()
+        .single();
+
+      if (error) return ruleWriteError(reply, error, "updating");
+
+      return reply.send(data);
+    } catch (error) {
+      console.error("❌ Error in PUT /sla/rules/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * DELETE /sla/rules/:id - Delete an SLA rule
+   * Tracked emails keep their target and due time
+   */
+  fastify.delete("/sla/rules/:id", async (request, reply) => {
+    const userId = request.user.id;
+    const ruleId = request.params.id;
+
+    console.log(`🗑️  Deleting SLA rule ${ruleId}`);
+
+    try {
+      const { error } = await fastify.supabase
+        .from("sla_rules")
+        .delete()
+        .eq("id", ruleId)
+        .eq("user_id", userId);
+
+      if (error) {
+        console.error("❌ Error deleting SLA rule:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ success: true });
+    } catch (error) {
+      console.error("❌ Error in DELETE /sla/rules/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /sla/responses - Tracked inbound emails, most urgent first
+   * Query params:
+   * - status: PENDING, RESPONDED or OVERDUE
+   * - mailbox_id: Filter by mailbox
+   * - rule_id: Filter by SLA rule
+   * - page, limit: Pagination
+   */
+  fastify.get("/sla/responses", async (request, reply) => {
+    const userId = request.user.id;
+    const { limit, offset } = getPaginationParams(request.query);
+    const { status, mailbox_id, rule_id } = request.query;
+
+    if (status && !RESPONSE_STATUSES.includes(status)) {
+      return reply.status(400).send({
+        error: `status must be one of: ${RESPONSE_STATUSES.join(", ")}`,
+      });
+    }
+
+    try {
+      let query = fastify.supabase
+        .from("email_responses")
+        .select(
+          "*, email:emails!email_responses_received_email_id_fkey(subject, from_name)",
+          { count: "exact" },
+        )
+        .eq("user_id", userId)
+        .order("due_at", { ascending: true, nullsFirst: false })
+        .order("received_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status) {
+        query = query.eq("status", status);
+      }
+
+      if (mailbox_id) {
+        query = query.eq("mailbox_id", mailbox_id);
+      }
+
+      if (rule_id) {
+        query = query.eq("sla_rule_id", rule_id);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error("❌ Error fetching SLA responses:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({
+        data,
+        pagination: {
+          total: count,
+          limit,
+          offset,
+          hasMore: offset + limit < count,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /sla/responses:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+}
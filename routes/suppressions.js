@@ -0,0 +1,221 @@
+/**
+ * Suppression list API endpoints
+ * Entries are added automatically from bounces (see services/suppression-list.js)
+ * or by hand, and checked by sending pipelines before mailing an address.
+ */
+
+import { BounceLifecycle } from "../services/bounce-lifecycle.js";
+import { BounceDetector } from "../services/email-worker/bounce-detector.js";
+import {
+  SUPPRESSION_COLUMNS,
+  SUPPRESSION_SOURCES,
+  SuppressionList,
+} from "../services/suppression-list.js";
+import { getPaginationParams } from "../utils/pagination.js";
+
+export default async function suppressionRoutes(fastify) {
+  const suppressions = new SuppressionList(fastify.supabase);
+  const lifecycle = new BounceLifecycle(fastify.supabase, suppressions);
+  const bounceDetector = new BounceDetector();
+
+  async function ownsMailbox(userId, mailboxId) {
+    const { data } = await fastify.supabase
+      .from("mailboxes")
+      .select("id")
+      .eq("id", mailboxId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    return Boolean(data);
+  }
+
+  /**
+   * GET /suppressions - List suppressed addresses, newest first
+   * Query params:
+   * - mailbox_id: Only entries scoped to this mailbox ("none" = user-wide entries)
+   * - source: HARD_BOUNCE, SOFT_BOUNCE_THRESHOLD, MANUAL or IMPORT
+   * - search: Address contains
+   * - include_removed: true to include lifted suppressions
+   * - page, limit: Pagination
+   */
+  fastify.get("/suppressions", async (request, reply) => {
+    const userId = request.user.id;
+    const { limit, offset } = getPaginationParams(request.query);
+    const { mailbox_id, source, search, include_removed } = request.query;
+
+    if (source && !SUPPRESSION_SOURCES.includes(source)) {
+      return reply.status(400).send({
+        error: `source must be one of: ${SUPPRESSION_SOURCES.join(", ")}`,
+      });
+    }
+
+    try {
+      let query = fastify.supabase
+        .from("suppressions")
+        .select(SUPPRESSION_COLUMNS, { count: "exact" })
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (mailbox_id === "none") {
+        query = query.is("mailbox_id", null);
+      } else if (mailbox_id) {
+        query = query.eq("mailbox_id", mailbox_id);
+      }
+
+      if (source) {
+        query = query.eq("source", source);
+      }
+
+      if (search) {
+        query = query.ilike("email", `%${search.toLowerCase()}%`);
+      }
+
+      if (include_removed !== "true") {
+        query = query.is("removed_at", null);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error("❌ Error fetching suppressions:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({
+        data,
+        pagination: {
+          total: count,
+          limit,
+          offset,
+          hasMore: offset + limit < count,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /suppressions:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /suppressions/check - Whether an address may be mailed
+   * Query params:
+   * - email: Address to check (required)
+   * - mailbox_id: Sending mailbox; without it, entries of every mailbox count
+   */
+  fastify.get("/suppressions/check", async (request, reply) => {
+    const userId = request.user.id;
+    const { email, mailbox_id } = request.query;
+
+    if (!email) {
+      return reply.status(400).send({ error: "email is required" });
+    }
+
+    try {
+      if (mailbox_id && !(await ownsMailbox(userId, mailbox_id))) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const matches = await suppressions.check(
+        userId,
+        [email.trim()],
+        mailbox_id || null,
+      );
+
+      return reply.send({
+        email: email.trim().toLowerCase(),
+        suppressed: matches.length > 0,
+        suppressions: matches,
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /suppressions/check:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /suppressions - Suppress an address by hand
+   * Body: { email, reason?, mailbox_id? } (no mailbox_id = all mailboxes)
+   */
+  fastify.post("/suppressions", async (request, reply) => {
+    const userId = request.user.id;
+    const { email, reason, mailbox_id } = request.body || {};
+
+    if (!bounceDetector.isValidEmail(email)) {
+      return reply.status(400).send({ error: "A valid email is required" });
+    }
+
+    if (reason !== undefined && reason !== null && typeof reason !== "string") {
+      return reply.status(400).send({ error: "reason must be a string" });
+    }
+
+    const address = email.trim().toLowerCase();
+
+    console.log(`🚫 Suppressing ${address} for user ${request.user.email}`);
+
+    try {
+      if (mailbox_id && !(await ownsMailbox(userId, mailbox_id))) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const existing = await suppressions.find(userId, mailbox_id, address);
+
+      if (existing && !existing.removed_at) {
+        return reply
+          .status(409)
+          .send({ error: "This address is already suppressed" });
+      }
+
+      const suppression = await suppressions.save({
+        userId,
+        mailboxId: mailbox_id || null,
+        email: address,
+        source: "MANUAL",
+        reason,
+      });
+
+      // Bounces for the address now read SUPPRESSED
+      await lifecycle.suppressionAdded(userId, suppression);
+
+      return reply.status(201).send(suppression);
+    } catch (error) {
+      console.error("❌ Error in POST /suppressions:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * DELETE /suppressions/:id - Lift a suppression
+   * Body: { reason? } (kept on the entry, which stays in the history)
+   */
+  fastify.delete("/suppressions/:id", async (request, reply) => {
+    const userId = request.user.id;
+    const suppressionId = request.params.id;
+    const { reason } = request.body || {};
+
+    if (reason !== undefined && reason !== null && typeof reason !== "string") {
+      return reply.status(400).send({ error: "reason must be a string" });
+    }
+
+    console.log(`✅ Lifting suppression ${suppressionId}`);
+
+    try {
+      const suppression = await suppressions.remove(
+        userId,
+        suppressionId,
+        reason || null,
+      );
+
+      if (!suppression) {
+        return reply.status(404).send({ error: "Suppression not found" });
+      }
+
+      await lifecycle.suppressionLifted(userId, suppression);
+
+      return reply.send(suppression);
+    } catch (error) {
+      console.error("❌ Error in DELETE /suppressions/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+}
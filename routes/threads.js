@@ -3,6 +3,16 @@
  * Phase 2: Inbox Intelligence
  */
 
+import {
+  BulkActions,
+  FLAG_ACTION_CHANGES,
+  validateBulkRequest,
+} from "../services/bulk-actions.js";
+import {
+  deleteAttachmentFiles,
+  findAttachmentFiles,
+} from "../services/storage/attachment-files.js";
+import { applyThreadFilters, threadColumns } from "../utils/email-filters.js";
 import { getPaginationParams } from "../utils/pagination.js";
 
 export default async function threadRoutes(fastify) {
@@ -12,35 +22,26 @@ export default async function threadRoutes(fastify) {
    * - mailbox_id: Filter by mailbox
    * - is_unread: boolean
    * - is_archived: boolean
+   * - label_id: Only threads with at least one email carrying this label
    * - limit, offset: Pagination
    */
   fastify.get("/threads", async (request, reply) => {
     const userId = request.user.id;
     const { limit, offset } = getPaginationParams(request.query);
-    const { mailbox_id, is_unread, is_archived } = request.query;
+    const { label_id } = request.query;
 
     console.log(`🧵 Fetching threads for user: ${request.user.email}`);
 
     try {
       let query = fastify.supabase
         .from("email_threads")
-        .select("*", { count: "exact" })
+        .select(threadColumns("*", request.query), { count: "exact" })
         .eq("user_id", userId)
         .order("last_message_at", { ascending: false })
         .range(offset, offset + limit - 1);
 
       // Apply filters
-      if (mailbox_id) {
-        query = query.eq("mailbox_id", mailbox_id);
-      }
-
-      if (is_unread !== undefined) {
-        query = query.eq("is_unread", is_unread === "true");
-      }
-
-      if (is_archived !== undefined) {
-        query = query.eq("is_archived", is_archived === "true");
-      }
+      query = applyThreadFilters(query, request.query);
 
       const { data, error, count } = await query;
 
@@ -49,6 +50,11 @@ export default async function threadRoutes(fastify) {
         return reply.status(500).send({ error: error.message });
       }
 
+      // Drop the join payload used for label filtering
+      if (label_id) {
+        data.forEach((thread) => delete thread.emails);
+      }
+
       return reply.send({
         data,
         pagination: {
@@ -64,6 +70,76 @@ export default async function threadRoutes(fastify) {
     }
   });
 
+  /**
+   * POST /threads/bulk - Apply one action to many threads
+   * Body:
+   * - action: read, unread, star, archive, delete, label
+   * - ids: Array of thread IDs, OR
+   * - filter: Same filters as GET /threads
+   * - label_id: Required for the label action
+   */
+  fastify.post("/threads/bulk", async (request, reply) => {
+    const userId = request.user.id;
+    const validationError = validateBulkRequest(request.body);
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    const { action, ids, filter, label_id } = request.body;
+
+    console.log(`📦 Bulk ${action} on threads for user: ${request.user.email}`);
+
+    try {
+      const bulkActions = new BulkActions(fastify.supabase);
+      const options = {};
+
+      if (action === "label") {
+        options.label = await bulkActions.loadLabel(userId, label_id);
+
+        if (!options.label) {
+          return reply.status(404).send({ error: "Label not found" });
+        }
+      }
+
+      const target = ids
+        ? { ids: [...new Set(ids)], truncated: false }
+        : await bulkActions.resolveThreadIds(userId, filter);
+
+      const results = await bulkActions.applyToThreads(
+        userId,
+        target.ids,
+        action,
+        options,
+      );
+
+      const succeeded = results.filter((r) => r.success).length;
+
+      if (FLAG_ACTION_CHANGES[action] && succeeded > 0) {
+        await fastify.events.publish({
+          user_id: userId,
+          type: "thread.updated",
+          data: {
+            thread_ids: results.filter((r) => r.success).map((r) => r.id),
+            changes: FLAG_ACTION_CHANGES[action],
+          },
+        });
+      }
+
+      return reply.send({
+        action,
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        truncated: target.truncated,
+        results,
+      });
+    } catch (error) {
+      console.error("❌ Error in POST /threads/bulk:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
   /**
    * GET /threads/:id - Get thread with all messages
    */
@@ -148,10 +224,17 @@ export default async function threadRoutes(fastify) {
       // Also archive all emails in thread
       await fastify.supabase
         .from("emails")
-        .update({ is_archived })
+        .update({ is_archived, flags_dirty: true })
         .eq("thread_id", threadId)
         .eq("user_id", userId);
 
+      await fastify.events.publish({
+        user_id: userId,
+        mailbox_id: data.mailbox_id,
+        type: "thread.updated",
+        data: { thread_id: threadId, changes: { is_archived } },
+      });
+
       return reply.send(data);
     } catch (error) {
       console.error("❌ Error in PUT /threads/:id/archive:", error);
@@ -179,7 +262,7 @@ export default async function threadRoutes(fastify) {
       // Mark all emails in thread as read/unread
       await fastify.supabase
         .from("emails")
-        .update({ is_read })
+        .update({ is_read, flags_dirty: true })
         .eq("thread_id", threadId)
         .eq("user_id", userId);
 
@@ -197,6 +280,13 @@ export default async function threadRoutes(fastify) {
         return reply.status(500).send({ error: error.message });
       }
 
+      await fastify.events.publish({
+        user_id: userId,
+        mailbox_id: data.mailbox_id,
+        type: "thread.updated",
+        data: { thread_id: threadId, changes: { is_read } },
+      });
+
       return reply.send(data);
     } catch (error) {
       console.error("❌ Error in PUT /threads/:id/read:", error);
@@ -214,13 +304,25 @@ export default async function threadRoutes(fastify) {
     console.log(`🗑️  Deleting thread ${threadId}`);
 
     try {
+      // Attachment files are not removed by the cascade
+      const files = await findAttachmentFiles(
+        fastify.supabase,
+        userId,
+        "thread_id",
+        [threadId],
+      );
+
       // Delete all emails in thread (cascade will handle this, but explicit is clearer)
-      await fastify.supabase
+      const { error: emailsError } = await fastify.supabase
         .from("emails")
         .delete()
         .eq("thread_id", threadId)
         .eq("user_id", userId);
 
+      if (!emailsError) {
+        await deleteAttachmentFiles(files);
+      }
+
       // Delete thread
       const { error } = await fastify.supabase
         .from("email_threads")
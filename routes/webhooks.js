@@ -0,0 +1,433 @@
+/**
+ * Outbound webhook API endpoints
+ * Endpoints, delivery log, manual redelivery and test pings. Deliveries are
+ * signed with the webhook's secret (see services/webhooks/signature.js).
+ */
+
+import { encrypt } from "../utils/encryption.js";
+import { getPaginationParams } from "../utils/pagination.js";
+import { generateSecret } from "../services/webhooks/signature.js";
+import { checkTargetUrl } from "../services/webhooks/target.js";
+import {
+  DELIVERY_LIST_COLUMNS,
+  WebhookDispatcher,
+  validateWebhook,
+} from "../services/webhooks/dispatcher.js";
+
+// Never return the encrypted secret
+const WEBHOOK_COLUMNS =
+  "id, mailbox_id, url, description, events, filters, is_active, created_at, updated_at";
+
+const DELIVERY_STATUSES = ["PENDING", "DELIVERING", "SUCCEEDED", "FAILED"];
+
+export default async function webhookRoutes(fastify) {
+  const dispatcher = new WebhookDispatcher(fastify.supabase);
+
+  /**
+   * Fetch a webhook owned by the user, or null
+   */
+  async function getOwnedWebhook(userId, webhookId, columns = WEBHOOK_COLUMNS) {
+    const { data } = await fastify.supabase
+      .from("webhooks")
+      .select(columns)
+      .eq("id", webhookId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    return data;
+  }
+
+  async function ownsMailbox(userId, mailboxId) {
+    const { data } = await fastify.supabase
+      .from("mailboxes")
+      .select("id")
+      .eq("id", mailboxId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    return Boolean(data);
+  }
+
+  /**
+   * GET /webhooks - List webhooks
+   */
+  fastify.get("/webhooks", async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const { data, error } = await fastify.supabase
+        .from("webhooks")
+        .select(WEBHOOK_COLUMNS)
+        .eq("user_id", userId)
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        console.error("❌ Error fetching webhooks:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ data });
+    } catch (error) {
+      console.error("❌ Error in GET /webhooks:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /webhooks - Register a webhook endpoint
+   * Body: { url, events, filters?, mailbox_id?, description? }
+   * The signing secret is only returned here and by rotate-secret
+   */
+  fastify.post("/webhooks", async (request, reply) => {
+    const userId = request.user.id;
+    const body = request.body || {};
+
+    // The host must not resolve to a local or private address
+    const validationError =
+      validateWebhook(body) || (await checkTargetUrl(body.url));
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    console.log(`🪝 Creating webhook for ${body.url}`);
+
+    try {
+      if (body.mailbox_id && !(await ownsMailbox(userId, body.mailbox_id))) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const secret = generateSecret();
+
+      const { data, error } = await fastify.supabase
+        .from("webhooks")
+        .insert({
+          user_id: userId,
+          mailbox_id: body.mailbox_id || null,
+          url: body.url,
+          description: body.description || null,
+          events: [...new Set(body.events)],
+          filters: body.filters || {},
+          secret_encrypted: encrypt(secret),
+        })
+        .select(WEBHOOK_COLUMNS)
+        .single();
+
+      if (error) {
+        console.error("❌ Error creating webhook:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.status(201).send({ ...data, secret });
+    } catch (error) {
+      console.error("❌ Error in POST /webhooks:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /webhooks/:id - Get a webhook
+   */
+  fastify.get("/webhooks/:id", async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const webhook = await getOwnedWebhook(userId, request.params.id);
+
+      if (!webhook) {
+        return reply.status(404).send({ error: "Webhook not found" });
+      }
+
+      return reply.send(webhook);
+    } catch (error) {
+      console.error("❌ Error in GET /webhooks/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * PUT /webhooks/:id - Update a webhook
+   * Body: { url?, events?, filters?, mailbox_id?, description?, is_active? }
+   */
+  fastify.put("/webhooks/:id", async (request, reply) => {
+    const userId = request.user.id;
+    const webhookId = request.params.id;
+    const body = request.body || {};
+
+    const validationError =
+      validateWebhook(body, true) ||
+      (body.url !== undefined ? await checkTargetUrl(body.url) : null);
+
+    if (validationError) {
+      return reply.status(400).send({ error: validationError });
+    }
+
+    const updates = {};
+    for (const field of ["url", "filters", "description", "is_active"]) {
+      if (body[field] !== undefined) updates[field] = body[field];
+    }
+    if (body.events !== undefined) updates.events = [...new Set(body.events)];
+    if (body.mailbox_id !== undefined) updates.mailbox_id = body.mailbox_id;
+
+    if (Object.keys(updates).length === 0) {
+      return reply.status(400).send({ error: "Nothing to update" });
+    }
+
+    try {
+      if (body.mailbox_id && !(await ownsMailbox(userId, body.mailbox_id))) {
+        return reply.status(404).send({ error: "Mailbox not found" });
+      }
+
+      const { data, error } = await fastify.supabase
+        .from("webhooks")
+        .update(updates)
+        .eq("id", webhookId)
+        .eq("user_id", userId)
+        .select(WEBHOOK_COLUMNS)
+        .single();
+
+      if (error) {
+        if (error.code === "PGRST116") {
+          return reply.status(404).send({ error: "Webhook not found" });
+        }
+        console.error("❌ Error updating webhook:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send(data);
+    } catch (error) {
+      console.error("❌ Error in PUT /webhooks/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * DELETE /webhooks/:id - Delete a webhook and its delivery log
+   */
+  fastify.delete("/webhooks/:id", async (request, reply) => {
+    const userId = request.user.id;
+    const webhookId = request.params.id;
+
+    console.log(`🗑️  Deleting webhook ${webhookId}`);
+
+    try {
+      const { error } = await fastify.supabase
+        .from("webhooks")
+        .delete()
+        .eq("id", webhookId)
+        .eq("user_id", userId);
+
+      if (error) {
+        console.error("❌ Error deleting webhook:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ success: true });
+    } catch (error) {
+      console.error("❌ Error in DELETE /webhooks/:id:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /webhooks/:id/rotate-secret - Replace the signing secret
+   * Deliveries already queued are signed with the new secret
+   */
+  fastify.post("/webhooks/:id/rotate-secret", async (request, reply) => {
+    const userId = request.user.id;
+    const secret = generateSecret();
+
+    try {
+      const { data, error } = await fastify.supabase
+        .from("webhooks")
+        .update({ secret_encrypted: encrypt(secret) })
+        .eq("id", request.params.id)
+        .eq("user_id", userId)
+        .select(WEBHOOK_COLUMNS)
+        .single();
+
+      if (error) {
+        if (error.code === "PGRST116") {
+          return reply.status(404).send({ error: "Webhook not found" });
+        }
+        console.error("❌ Error rotating webhook secret:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({ ...data, secret });
+    } catch (error) {
+      console.error("❌ Error in POST /webhooks/:id/rotate-secret:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * POST /webhooks/:id/test - Send a webhook.test ping and return the result
+   * Works for disabled webhooks too; failed pings are not retried
+   */
+  fastify.post("/webhooks/:id/test", async (request, reply) => {
+    const userId = request.user.id;
+
+    try {
+      const webhook = await getOwnedWebhook(userId, request.params.id, "*");
+
+      if (!webhook) {
+        return reply.status(404).send({ error: "Webhook not found" });
+      }
+
+      console.log(`🪝 Sending test ping to ${webhook.url}`);
+
+      const delivery = await dispatcher.ping({ ...webhook, is_active: true });
+
+      return reply.send(delivery);
+    } catch (error) {
+      console.error("❌ Error in POST /webhooks/:id/test:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /webhooks/:id/deliveries - Delivery log, newest first
+   * Query params:
+   * - status: PENDING, DELIVERING, SUCCEEDED or FAILED
+   * - event_type: e.g. bounce.detected
+   * - page, limit: Pagination
+   */
+  fastify.get("/webhooks/:id/deliveries", async (request, reply) => {
+    const userId = request.user.id;
+    const webhookId = request.params.id;
+    const { limit, offset } = getPaginationParams(request.query);
+    const { status, event_type } = request.query;
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return reply.status(400).send({
+        error: `status must be one of: ${DELIVERY_STATUSES.join(", ")}`,
+      });
+    }
+
+    try {
+      let query = fastify.supabase
+        .from("webhook_deliveries")
+        .select(DELIVERY_LIST_COLUMNS, { count: "exact" })
+        .eq("webhook_id", webhookId)
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (status) {
+        query = query.eq("status", status);
+      }
+
+      if (event_type) {
+        query = query.eq("event_type", event_type);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error("❌ Error fetching webhook deliveries:", error);
+        return reply.status(500).send({ error: error.message });
+      }
+
+      return reply.send({
+        data,
+        pagination: {
+          total: count,
+          limit,
+          offset,
+          hasMore: offset + limit < count,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Error in GET /webhooks/:id/deliveries:", error);
+      return reply.status(500).send({ error: "Internal server error" });
+    }
+  });
+
+  /**
+   * GET /webhooks/:id/deliveries/:deliveryId - One delivery with its
+   * payload
+   */
+  fastify.get(
+    "/webhooks/:id/deliveries/:deliveryId",
+    async (request, reply) => {
+      const userId = request.user.id;
+      const { id: webhookId, deliveryId } = request.params;
+
+      try {
+        const { data, error } = await fastify.supabase
+          .from("webhook_deliveries")
+          .select(`${DELIVERY_LIST_COLUMNS}, payload`)
+          .eq("id", deliveryId)
+          .eq("webhook_id", webhookId)
+          .eq("user_id", userId)
+          .maybeSingle();
+
+        if (error) {
+          console.error("❌ Error fetching webhook delivery:", error);
+          return reply.status(500).send({ error: error.message });
+        }
+
+        if (!data) {
+          return reply.status(404).send({ error: "Delivery not found" });
+        }
+
+        return reply.send(data);
+      } catch (error) {
+        console.error(
+          "❌ Error in GET /webhooks/:id/deliveries/:deliveryId:",
+          error,
+        );
+        return reply.status(500).send({ error: "Internal server error" });
+      }
+    },
+  );
+
+  /**
+   * POST /webhooks/:id/deliveries/:deliveryId/redeliver - Send a past
+   * delivery again (new delivery, same event id). Retried like any other
+   * delivery if it fails
+   */
+  fastify.post(
+    "/webhooks/:id/deliveries/:deliveryId/redeliver",
+    async (request, reply) => {
+      const userId = request.user.id;
+      const { id: webhookId, deliveryId } = request.params;
+
+      try {
+        const webhook = await getOwnedWebhook(userId, webhookId, "*");
+
+        if (!webhook) {
+          return reply.status(404).send({ error: "Webhook not found" });
+        }
+
+        if (!webhook.is_active) {
+          return reply.status(409).send({ error: "Webhook is disabled" });
+        }
+
+        const { data: delivery } = await fastify.supabase
+          .from("webhook_deliveries")
+          .select("id, event_id, event_type, payload")
+          .eq("id", deliveryId)
+          .eq("webhook_id", webhookId)
+          .maybeSingle();
+
+        if (!delivery) {
+          return reply.status(404).send({ error: "Delivery not found" });
+        }
+
+        console.log(`🪝 Redelivering ${delivery.event_type} to ${webhook.url}`);
+
+        const redelivery = await dispatcher.redeliver(webhook, delivery);
+
+        return reply.status(201).send(redelivery);
+      } catch (error) {
+        console.error(
+          "❌ Error in POST /webhooks/:id/deliveries/:deliveryId/redeliver:",
+          error,
+        );
+        return reply.status(500).send({ error: "Internal server error" });
+      }
+    },
+  );
+}
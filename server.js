@@ -4,17 +4,40 @@ import dotenv from "dotenv";
 import Fastify from "fastify";
 
 import authPlugin from "./plugins/auth.js";
+import analyticsRoutes from "./routes/analytics.js";
+import attachmentRoutes from "./routes/attachments.js";
 import authRoutes from "./routes/auth.js";
+import automationRoutes from "./routes/automation.js";
 import bounceRoutes from "./routes/bounces.js";
+import composeRoutes from "./routes/compose.js";
+import contactRoutes from "./routes/contacts.js";
 import cronRoutes from "./routes/cron.js";
 import emailRoutes from "./routes/emails.js";
+import eventRoutes from "./routes/events.js";
+import labelRoutes from "./routes/labels.js";
 import mailboxRoutes from "./routes/mailboxes.js";
+import reprocessRoutes from "./routes/reprocess.js";
+import sieveRoutes from "./routes/sieve.js";
+import slaRoutes from "./routes/sla.js";
+import suppressionRoutes from "./routes/suppressions.js";
 import threadRoutes from "./routes/threads.js";
+import webhookRoutes from "./routes/webhooks.js";
+import { SlaTracker } from "./services/analytics/sla-tracker.js";
+import { AutomationEngine } from "./services/automation/engine.js";
+import { BounceLifecycle } from "./services/bounce-lifecycle.js";
+import { ClassifierTrainer } from "./services/classification/trainer.js";
+import { EventHub } from "./services/events/hub.js";
+import { EventPublisher } from "./services/events/publisher.js";
+import { Reprocessor } from "./services/reprocessor.js";
 import { supabaseAdmin } from "./services/supabaseClient.js";
+import { WebhookDispatcher } from "./services/webhooks/dispatcher.js";
+import { loggerOptions } from "./utils/logger.js";
 
 // Import email worker
 import { createClient } from "@supabase/supabase-js";
 import cron from "node-cron";
+import { EnhancedEmailProcessor } from "./services/email-worker/enhanced-processor.js";
+import { IdleWorker } from "./services/email-worker/idle-worker.js";
 import { EmailProcessor } from "./services/email-worker/processor.js";
 
 dotenv.config();
@@ -28,7 +51,7 @@ process.on("uncaughtException", (error) => {
   console.error("❌ Uncaught Exception:", error);
 });
 
-const app = Fastify({ logger: true });
+const app = Fastify({ logger: loggerOptions });
 
 // CORS
 app.register(cors, { origin: true });
@@ -42,6 +65,11 @@ app.register(rateLimit, {
 // Decorate fastify with supabase client
 app.decorate("supabase", supabaseAdmin);
 
+// Real-time events: the hub feeds SSE clients, routes publish through `events`
+const eventHub = new EventHub(supabaseAdmin);
+app.decorate("eventHub", eventHub);
+app.decorate("events", new EventPublisher(supabaseAdmin, eventHub));
+
 // Public routes (no auth required)
 app.get("/health", async (request, reply) => {
   return reply.send({ status: "ok", timestamp: new Date().toISOString() });
@@ -56,6 +84,18 @@ app.register(bounceRoutes, { prefix: "/api/v1" });
 app.register(mailboxRoutes, { prefix: "/api/v1" });
 app.register(threadRoutes, { prefix: "/api/v1" });
 app.register(emailRoutes, { prefix: "/api/v1" });
+app.register(labelRoutes, { prefix: "/api/v1" });
+app.register(attachmentRoutes, { prefix: "/api/v1" });
+app.register(composeRoutes, { prefix: "/api/v1" });
+app.register(eventRoutes, { prefix: "/api/v1" });
+app.register(webhookRoutes, { prefix: "/api/v1" });
+app.register(suppressionRoutes, { prefix: "/api/v1" });
+app.register(analyticsRoutes, { prefix: "/api/v1" });
+app.register(slaRoutes, { prefix: "/api/v1" });
+app.register(automationRoutes, { prefix: "/api/v1" });
+app.register(sieveRoutes, { prefix: "/api/v1" });
+app.register(reprocessRoutes, { prefix: "/api/v1" });
+app.register(contactRoutes, { prefix: "/api/v1" });
 app.register(cronRoutes, { prefix: "/api" });
 
 const PORT = process.env.PORT || 3000;
@@ -70,6 +110,39 @@ app.listen({ port: PORT, host: "0.0.0.0" }, () => {
 
 // Email Worker
 function startEmailWorker() {
+  // Outbound webhook deliveries and retries
+  new WebhookDispatcher(supabaseAdmin).start();
+
+  // Overdue SLA checks
+  new SlaTracker(supabaseAdmin).start();
+
+  // Bounce recoveries for sends that drew no bounce
+  new BounceLifecycle(supabaseAdmin).start();
+
+  // Idle-thread automation rules
+  new AutomationEngine(supabaseAdmin).start();
+
+  // Classifier retraining from category feedback
+  new ClassifierTrainer(supabaseAdmin).start();
+
+  // Reclassify/rethread jobs over stored mail
+  new Reprocessor(supabaseAdmin).start();
+
+  // WORKER_MODE=idle: real-time sync over IMAP IDLE instead of the cron below
+  if (process.env.WORKER_MODE === "idle") {
+    const idleWorker = new IdleWorker(
+      supabaseAdmin,
+      new EnhancedEmailProcessor(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_SERVICE_ROLE_KEY,
+      ),
+    );
+    idleWorker.start().catch((error) => {
+      console.error("❌ IDLE worker failed to start:", error.message);
+    });
+    return;
+  }
+
   const processor = new EmailProcessor(
     process.env.SUPABASE_URL,
     process.env.SUPABASE_SERVICE_ROLE_KEY,
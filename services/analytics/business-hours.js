@@ -0,0 +1,161 @@
+/**
+ * Business-hours arithmetic for SLA targets
+ * A calendar is { timezone, business_days, business_hours_start,
+ * business_hours_end, holidays } as stored on sla_rules: ISO weekdays
+ * (1 = Monday), "HH:MM" wall-clock times in the calendar's IANA time zone and
+ * "YYYY-MM-DD" holidays. Daylight-saving changes are handled by resolving
+ * each day's opening and closing time separately.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Give up on calendars with (almost) no business time
+const MAX_DAYS = 3 * 366;
+
+const formatters = new Map();
+
+function formatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      }),
+    );
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Whether a string is an IANA time zone this runtime knows
+ */
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== "string" || !timezone) return false;
+  try {
+    formatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ */
+function wallClock(instant, timezone) {
+  const parts = Object.fromEntries(
+    formatter(timezone)
+      .formatToParts(instant)
+      .map((part) => [part.type, parseInt(part.value)]),
+  );
+  return parts;
+}
+
+/**
+ * Offset of a time zone from UTC at an instant (ms)
+ */
+function offsetAt(instant, timezone) {
+  const { year, month, day, hour, minute, second } = wallClock(
+    instant,
+    timezone,
+  );
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - (instant - (instant % 1000));
+}
+
+/**
+ * Instant of a wall-clock time in a time zone. Times skipped by a DST change
+ * resolve to the same offset as just before the change
+ */
+function zonedTime(year, month, day, minutes, timezone) {
+  const guess = Date.UTC(year, month - 1, day) + minutes * 60 * 1000;
+  const first = guess - offsetAt(guess, timezone);
+  const second = guess - offsetAt(first, timezone);
+  return second;
+}
+
+function parseMinutes(time) {
+  const [hours, minutes] = String(time).split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Business windows ([open, close] in ms) per day, starting with the local
+ * day containing `from`
+ */
+function* windows(from, calendar) {
+  const timezone = calendar.timezone || "UTC";
+  const days = calendar.business_days || [1, 2, 3, 4, 5];
+  const holidays = new Set(calendar.holidays || []);
+  const open = parseMinutes(calendar.business_hours_start || "09:00");
+  const close = parseMinutes(calendar.business_hours_end || "17:00");
+
+  const start = wallClock(from, timezone);
+  // Noon UTC of the local date steps cleanly from day to day
+  let cursor = Date.UTC(start.year, start.month - 1, start.day, 12);
+
+  for (let i = 0; i < MAX_DAYS; i++, cursor += DAY_MS) {
+    const date = new Date(cursor);
+    const isoDate = date.toISOString().slice(0, 10);
+    const weekday = date.getUTCDay() || 7;
+
+    if (!days.includes(weekday) || holidays.has(isoDate)) continue;
+
+    const [year, month, day] = isoDate.split("-").map(Number);
+    yield [
+      zonedTime(year, month, day, open, timezone),
+      zonedTime(year, month, day, close, timezone),
+    ];
+  }
+}
+
+/**
+ * Business seconds between two instants
+ * @param {Date|string} start
+ * @param {Date|string} end
+ * @param {Object} calendar
+ * @returns {number}
+ */
+export function businessSecondsBetween(start, end, calendar) {
+  const from = new Date(start).getTime();
+  const to = new Date(end).getTime();
+  if (to <= from) return 0;
+
+  let total = 0;
+
+  for (const [open, close] of windows(from, calendar)) {
+    if (open >= to) break;
+    total += Math.max(0, Math.min(close, to) - Math.max(open, from));
+  }
+
+  return Math.floor(total / 1000);
+}
+
+/**
+ * Instant `seconds` of business time after `start`
+ * @param {Date|string} start
+ * @param {number} seconds
+ * @param {Object} calendar
+ * @returns {Date|null} null if the calendar has no business time
+ */
+export function addBusinessSeconds(start, seconds, calendar) {
+  const from = new Date(start).getTime();
+  let remaining = seconds * 1000;
+
+  for (const [open, close] of windows(from, calendar)) {
+    const begin = Math.max(open, from);
+    if (close <= begin) continue;
+
+    if (begin + remaining <= close) return new Date(begin + remaining);
+    remaining -= close - begin;
+  }
+
+  return null;
+}
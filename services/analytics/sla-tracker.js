@@ -0,0 +1,556 @@
+/**
+ * Response-time and SLA tracking
+ * Inbound HUMAN emails (and emails of a category an SLA rule names) get an
+ * email_responses row when they arrive. The first OUTBOUND email in the same
+ * thread after it answers it. Rules set the due time, counted in business
+ * hours of the rule's time zone unless use_business_hours is off; emails no
+ * rule matches still get their response time recorded.
+ *
+ * The worker pairs messages as it syncs them; the periodic check marks
+ * unanswered emails OVERDUE and picks up replies the worker saw first (e.g. a
+ * Sent folder synced before the INBOX).
+ */
+
+import { EventPublisher } from "../events/publisher.js";
+import { WebhookDispatcher } from "../webhooks/dispatcher.js";
+import {
+  addBusinessSeconds,
+  businessSecondsBetween,
+  isValidTimezone,
+} from "./business-hours.js";
+
+export const SLA_PRIORITIES = ["HIGH", "NORMAL", "LOW"];
+
+export const RESPONSE_STATUSES = ["PENDING", "RESPONDED", "OVERDUE"];
+
+// Categories a rule can name; BOUNCE and AUTO_REPLY are never tracked
+export const SLA_CATEGORIES = [
+  "HUMAN",
+  "TRANSACTIONAL",
+  "NOTIFICATION",
+  "MARKETING",
+  "NEWSLETTER",
+  "UNKNOWN",
+];
+
+const CHECK_INTERVAL_MS = parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 60000;
+
+// Older mail synced for the first time is history, not a pending answer
+const TRACK_MAX_AGE_DAYS = parseInt(process.env.SLA_TRACK_MAX_AGE_DAYS) || 7;
+
+// Open responses paired per check, and the most replies read per query
+const PAIR_BATCH_SIZE = 500;
+const REPLY_BATCH_SIZE = 1000;
+
+// Thread IDs per replies query (keeps the `in` list URL-safe)
+const THREAD_BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate an SLA rule body
+ * @param {Object} body
+ * @param {boolean} partial - Only validate the fields present (updates)
+ * @returns {string|null} Error message
+ */
+export function validateSlaRule(body, partial = false) {
+  const rule = body || {};
+
+  if (!partial || rule.name !== undefined) {
+    if (typeof rule.name !== "string" || !rule.name.trim()) {
+      return "name is required";
+    }
+  }
+
+  if (!partial || rule.first_response_target_seconds !== undefined) {
+    if (
+      !Number.isInteger(rule.first_response_target_seconds) ||
+      rule.first_response_target_seconds <= 0
+    ) {
+      return "first_response_target_seconds must be a positive integer";
+    }
+  }
+
+  if (rule.category != null && !SLA_CATEGORIES.includes(rule.category)) {
+    return `category must be one of: ${SLA_CATEGORIES.join(", ")}`;
+  }
+
+  if (
+    rule.from_domain != null &&
+    (typeof rule.from_domain !== "string" ||
+      !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(rule.from_domain))
+  ) {
+    return "from_domain must be a domain name (e.g. example.com)";
+  }
+
+  if (rule.priority != null && !SLA_PRIORITIES.includes(rule.priority)) {
+    return `priority must be one of: ${SLA_PRIORITIES.join(", ")}`;
+  }
+
+  if (rule.timezone !== undefined && !isValidTimezone(rule.timezone)) {
+    return "timezone must be an IANA time zone (e.g. Europe/Berlin)";
+  }
+
+  if (rule.business_days !== undefined) {
+    if (
+      !Array.isArray(rule.business_days) ||
+      rule.business_days.length === 0 ||
+      !rule.business_days.every(
+        (day) => Number.isInteger(day) && day >= 1 && day <= 7,
+      )
+    ) {
+      return "business_days must be a non-empty array of ISO weekdays (1 = Monday ... 7 = Sunday)";
+    }
+  }
+
+  for (const field of ["business_hours_start", "business_hours_end"]) {
+    if (rule[field] !== undefined && !TIME_PATTERN.test(rule[field])) {
+      return `${field} must be a time (HH:MM)`;
+    }
+  }
+
+  if (
+    rule.business_hours_start !== undefined &&
+    rule.business_hours_end !== undefined &&
+    rule.business_hours_start >= rule.business_hours_end
+  ) {
+    return "business_hours_start must be before business_hours_end";
+  }
+
+  if (rule.holidays !== undefined) {
+    if (
+      !Array.isArray(rule.holidays) ||
+      !rule.holidays.every((day) => DATE_PATTERN.test(day))
+    ) {
+      return "holidays must be an array of dates (YYYY-MM-DD)";
+    }
+  }
+
+  for (const field of ["use_business_hours", "is_active"]) {
+    if (rule[field] !== undefined && typeof rule[field] !== "boolean") {
+      return `${field} must be a boolean`;
+    }
+  }
+
+  if (
+    rule.description !== undefined &&
+    rule.description !== null &&
+    typeof rule.description !== "string"
+  ) {
+    return "description must be a string";
+  }
+
+  return null;
+}
+
+/**
+ * HIGH, NORMAL or LOW from X-Priority, Importance and Priority headers
+ * @param {Map|Object} headers - ImapClient headers (a Map) or a plain object
+ */
+export function emailPriority(headers) {
+  const header = (name) => {
+    const value =
+      typeof headers?.get === "function" ? headers.get(name) : headers?.[name];
+    return value ? String(value).trim().toLowerCase() : "";
+  };
+
+  const xPriority = header("x-priority").match(/^(\d)/);
+  if (xPriority) {
+    if (xPriority[1] <= 2) return "HIGH";
+    if (xPriority[1] >= 4) return "LOW";
+  }
+
+  const importance = header("importance") || header("x-msmail-priority");
+  if (importance === "high") return "HIGH";
+  if (importance === "low") return "LOW";
+
+  const priority = header("priority");
+  if (priority === "urgent") return "HIGH";
+  if (priority === "non-urgent") return "LOW";
+
+  return "NORMAL";
+}
+
+/**
+ * Whether a rule applies to an inbound email
+ */
+function ruleMatches(rule, mailboxId, email) {
+  if (rule.mailbox_id && rule.mailbox_id !== mailboxId) return false;
+  if (rule.category && rule.category !== email.category) return false;
+  if (rule.priority && rule.priority !== email.priority) return false;
+
+  if (rule.from_domain) {
+    const domain = (email.from_address || "").split("@")[1] || "";
+    const wanted = rule.from_domain.toLowerCase();
+    if (domain !== wanted && !domain.endsWith(`.${wanted}`)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Most specific first: mailbox rules, then more conditions, then the
+ * stricter target
+ */
+function compareRules(a, b) {
+  const specificity = (rule) =>
+    (rule.mailbox_id ? 8 : 0) +
+    (rule.from_domain ? 4 : 0) +
+    (rule.category ? 2 : 0) +
+    (rule.priority ? 1 : 0);
+
+  return (
+    specificity(b) - specificity(a) ||
+    a.first_response_target_seconds - b.first_response_target_seconds ||
+    new Date(a.created_at) - new Date(b.created_at)
+  );
+}
+
+/**
+ * Seconds between receipt and reply, in the rule's business hours if it
+ * uses them
+ */
+function businessSeconds(rule, receivedAt, respondedAt) {
+  if (rule?.use_business_hours) {
+    return businessSecondsBetween(receivedAt, respondedAt, rule);
+  }
+  return Math.max(
+    0,
+    Math.floor((new Date(respondedAt) - new Date(receivedAt)) / 1000),
+  );
+}
+
+export class SlaTracker {
+  constructor(
+    db,
+    events = new EventPublisher(db),
+    webhooks = new WebhookDispatcher(db),
+  ) {
+    this.db = db;
+    this.events = events;
+    this.webhooks = webhooks;
+    this.timer = null;
+    this.running = false;
+    // Last open response paired; the next check continues after it
+    this.pairCursor = null;
+  }
+
+  /**
+   * Start tracking an inbound email
+   * @param {Object} mailbox - { id, user_id }
+   * @param {Object} email - { id, thread_id, category, from_address,
+   *   received_at, headers }
+   * @returns {Promise<Object|null>} The email_responses row, or null if the
+   *   email is not tracked
+   */
+  async trackInbound(mailbox, email) {
+    if (!SLA_CATEGORIES.includes(email.category)) return null;
+
+    const receivedAt = new Date(
+      Math.min(new Date(email.received_at).getTime(), Date.now()),
+    );
+    if (receivedAt < new Date(Date.now() - TRACK_MAX_AGE_DAYS * DAY_MS)) {
+      return null;
+    }
+
+    const rules = await this.loadRules(mailbox.user_id);
+    const rule = rules
+      .filter((candidate) =>
+        ruleMatches(candidate, mailbox.id, {
+          ...email,
+          priority: emailPriority(email.headers),
+        }),
+      )
+      .sort(compareRules)[0];
+
+    // Other categories only when a rule asks for them
+    if (email.category !== "HUMAN" && rule?.category !== email.category) {
+      return null;
+    }
+
+    const dueAt = rule ? this.dueAt(rule, receivedAt) : null;
+
+    const { data, error } = await this.db
+      .from("email_responses")
+      .insert({
+        user_id: mailbox.user_id,
+        mailbox_id: mailbox.id,
+        thread_id: email.thread_id,
+        received_email_id: email.id,
+        from_address: email.from_address,
+        received_at: receivedAt.toISOString(),
+        sla_rule_id: rule?.id || null,
+        sla_target_seconds: rule?.first_response_target_seconds || null,
+        due_at: dueAt?.toISOString() || null,
+        status: "PENDING",
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(
+      `⏱️  Tracking response to ${email.from_address}${rule ? ` (${rule.name}, due ${data.due_at})` : ""}`,
+    );
+    return data;
+  }
+
+  /**
+   * Answer the thread's open responses received before this outbound email
+   * @param {Object} email - { id, thread_id, sent_at }
+   * @returns {Promise<number>} Responses marked RESPONDED
+   */
+  async recordReply(email) {
+    if (!email.thread_id) return 0;
+
+    const respondedAt = new Date(
+      Math.min(new Date(email.sent_at).getTime(), Date.now()),
+    ).toISOString();
+
+    const { data: open, error } = await this.db
+      .from("email_responses")
+      .select("*")
+      .eq("thread_id", email.thread_id)
+      .in("status", ["PENDING", "OVERDUE"])
+      .lt("received_at", respondedAt);
+
+    if (error) throw error;
+
+    for (const response of open) {
+      await this.respond(response, email.id, respondedAt);
+    }
+
+    return open.length;
+  }
+
+  /**
+   * Mark one response RESPONDED
+   */
+  async respond(response, responseEmailId, respondedAt) {
+    const rule = response.sla_rule_id
+      ? await this.loadRule(response.sla_rule_id)
+      : null;
+
+    const update = {
+      status: "RESPONDED",
+      response_email_id: responseEmailId,
+      responded_at: respondedAt,
+      response_time_seconds: Math.max(
+        0,
+        Math.floor(
+          (new Date(respondedAt) - new Date(response.received_at)) / 1000,
+        ),
+      ),
+      business_response_seconds: businessSeconds(
+        rule,
+        response.received_at,
+        respondedAt,
+      ),
+    };
+
+    // Missed stays missed once the response went OVERDUE
+    if (response.due_at && response.status === "PENDING") {
+      update.sla_met = new Date(respondedAt) <= new Date(response.due_at);
+    }
+
+    const { error } = await this.db
+      .from("email_responses")
+      .update(update)
+      .eq("id", response.id);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Due time of an email received at `receivedAt` under a rule
+   */
+  dueAt(rule, receivedAt) {
+    if (!rule.use_business_hours) {
+      return new Date(
+        new Date(receivedAt).getTime() +
+          rule.first_response_target_seconds * 1000,
+      );
+    }
+    return addBusinessSeconds(
+      receivedAt,
+      rule.first_response_target_seconds,
+      rule,
+    );
+  }
+
+  async loadRules(userId) {
+    const { data, error } = await this.db
+      .from("sla_rules")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("is_active", true);
+
+    if (error) throw error;
+    return data;
+  }
+
+  async loadRule(ruleId) {
+    const { data, error } = await this.db
+      .from("sla_rules")
+      .select("*")
+      .eq("id", ruleId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Run check() every SLA_CHECK_INTERVAL_MS
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    console.log(
+      `⏱️  SLA checks started (every ${Math.round(CHECK_INTERVAL_MS / 1000)}s)`,
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Pair replies the worker missed, then mark due responses OVERDUE
+   * @returns {Promise<Object>} { responded, overdue }
+   */
+  async check() {
+    if (this.running) return { responded: 0, overdue: 0 };
+    this.running = true;
+
+    const result = { responded: 0, overdue: 0 };
+
+    try {
+      result.responded = await this.pairOpenResponses();
+      result.overdue = await this.markOverdue();
+    } catch (error) {
+      console.error("❌ Error checking SLAs:", error.message);
+    } finally {
+      this.running = false;
+    }
+
+    return result;
+  }
+
+  /**
+   * Pair open responses with replies in their thread, one page per check.
+   * Pages go oldest first from the cursor and start over after the last
+   * one, so a backlog of old OVERDUE rows cannot hide newer responses
+   */
+  async pairOpenResponses() {
+    let query = this.db
+      .from("email_responses")
+      .select("*")
+      .in("status", ["PENDING", "OVERDUE"])
+      .not("thread_id", "is", null);
+
+    if (this.pairCursor) {
+      const { received_at, id } = this.pairCursor;
+      query = query.or(
+        `received_at.gt."${received_at}",and(received_at.eq."${received_at}",id.gt.${id})`,
+      );
+    }
+
+    const { data: open, error } = await query
+      .order("received_at", { ascending: true })
+      .order("id", { ascending: true })
+      .limit(PAIR_BATCH_SIZE);
+
+    if (error) throw error;
+
+    const last = open.at(-1);
+    this.pairCursor =
+      open.length === PAIR_BATCH_SIZE
+        ? { received_at: last.received_at, id: last.id }
+        : null;
+
+    if (open.length === 0) return 0;
+
+    const threadIds = [...new Set(open.map((response) => response.thread_id))];
+    let responded = 0;
+
+    for (let i = 0; i < threadIds.length; i += THREAD_BATCH_SIZE) {
+      const batch = new Set(threadIds.slice(i, i + THREAD_BATCH_SIZE));
+      const responses = open.filter((response) =>
+        batch.has(response.thread_id),
+      );
+
+      // Cut short, the list still holds every reply up to its last one, so a
+      // reply found in it is the first; the rest wait for the next round
+      const { data: replies, error: repliesError } = await this.db
+        .from("emails")
+        .select("id, thread_id, sent_at")
+        .in("thread_id", [...batch])
+        .eq("direction", "OUTBOUND")
+        .gte("sent_at", responses[0].received_at)
+        .order("sent_at", { ascending: true })
+        .limit(REPLY_BATCH_SIZE);
+
+      if (repliesError) throw repliesError;
+
+      for (const response of responses) {
+        const reply = replies.find(
+          (candidate) =>
+            candidate.thread_id === response.thread_id &&
+            new Date(candidate.sent_at) > new Date(response.received_at),
+        );
+        if (!reply) continue;
+
+        await this.respond(response, reply.id, reply.sent_at);
+        responded++;
+      }
+    }
+
+    return responded;
+  }
+
+  async markOverdue() {
+    const { data: overdue, error } = await this.db
+      .from("email_responses")
+      .update({ status: "OVERDUE", sla_met: false })
+      .eq("status", "PENDING")
+      .lte("due_at", new Date().toISOString())
+      .select(
+        "id, user_id, mailbox_id, thread_id, received_email_id, from_address, received_at, due_at, sla_rule_id, sla_target_seconds",
+      );
+
+    if (error) throw error;
+
+    for (const response of overdue) {
+      const event = {
+        user_id: response.user_id,
+        mailbox_id: response.mailbox_id,
+        type: "sla.overdue",
+        data: {
+          response_id: response.id,
+          email_id: response.received_email_id,
+          thread_id: response.thread_id,
+          from_address: response.from_address,
+          received_at: response.received_at,
+          due_at: response.due_at,
+          sla_rule_id: response.sla_rule_id,
+          sla_target_seconds: response.sla_target_seconds,
+        },
+      };
+
+      await this.events.publish(event);
+      await this.webhooks.dispatch(event);
+    }
+
+    if (overdue.length > 0) {
+      console.log(`⏰ ${overdue.length} response(s) now overdue`);
+    }
+
+    return overdue.length;
+  }
+}
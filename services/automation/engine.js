@@ -0,0 +1,849 @@
+/**
+ * Automation rules
+ * A rule has a trigger, conditions and actions. The worker runs the user's
+ * active rules for a trigger in position order:
+ *
+ *   EMAIL_RECEIVED   an inbound email was stored
+ *   BOUNCE_DETECTED  a DSN reported a failed recipient (once per recipient)
+ *   THREAD_IDLE      a thread got no new message for idle_hours (checked
+ *                    every AUTOMATION_IDLE_CHECK_INTERVAL_MS)
+ *
+ * Every condition present must match. A matching rule runs all its actions,
+ * and one with stop_processing keeps later rules from running. Each run is
+ * an automation_executions row; its (rule, trigger key) is unique, so an
+ * email synced twice or an idle period seen by two sweeps runs a rule once.
+ */
+
+import { BounceLifecycle } from "../bounce-lifecycle.js";
+import { BulkActions } from "../bulk-actions.js";
+import { BOUNCE_CATEGORIES } from "../email-worker/bounce-taxonomy.js";
+import { SuppressionList } from "../suppression-list.js";
+import { AUTOMATION_EVENT, WebhookDispatcher } from "../webhooks/dispatcher.js";
+import {
+  MAX_PATTERN_LENGTH,
+  compileUserRegex,
+  isSafeUserRegex,
+  testUserRegex,
+} from "../../utils/user-regex.js";
+
+export const AUTOMATION_TRIGGERS = [
+  "EMAIL_RECEIVED",
+  "BOUNCE_DETECTED",
+  "THREAD_IDLE",
+];
+
+export const AUTOMATION_ACTIONS = [
+  "label",
+  "archive",
+  "star",
+  "mark_read",
+  "webhook",
+  "suppress",
+];
+
+export const EXECUTION_STATUSES = ["RUNNING", "SUCCESS", "PARTIAL", "FAILED"];
+
+const EMAIL_CATEGORIES = [
+  "AUTO_REPLY",
+  "BOUNCE",
+  "TRANSACTIONAL",
+  "NOTIFICATION",
+  "MARKETING",
+  "HUMAN",
+  "NEWSLETTER",
+  "UNKNOWN",
+];
+
+// Conditions only some triggers can evaluate
+const TRIGGER_CONDITIONS = {
+  bounce_types: ["BOUNCE_DETECTED"],
+  bounce_categories: ["BOUNCE_DETECTED"],
+  last_direction: ["THREAD_IDLE"],
+};
+
+const CONDITION_FIELDS = [
+  "categories",
+  "from_pattern",
+  "subject_pattern",
+  "headers",
+  "bounce_types",
+  "bounce_categories",
+  "last_direction",
+];
+
+// Bulk action behind each flag/label action
+const BULK_ACTION = {
+  label: "label",
+  archive: "archive",
+  star: "star",
+  mark_read: "read",
+};
+
+const MAX_ACTIONS = 10;
+
+export const DRY_RUN_DEFAULT_LIMIT = 20;
+export const DRY_RUN_MAX_LIMIT = 100;
+
+const IDLE_CHECK_INTERVAL_MS =
+  parseInt(process.env.AUTOMATION_IDLE_CHECK_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Threads checked per rule per sweep
+const IDLE_BATCH_SIZE = 100;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const EMAIL_COLUMNS =
+  "id, mailbox_id, thread_id, direction, category, from_address, from_name, subject, headers, received_at";
+
+/**
+ * Whether a rule pattern matches any of the values (case-insensitive).
+ * Patterns saved before the safety checks existed that fail them never match
+ */
+function matchesPattern(source, ...values) {
+  let regex;
+  try {
+    regex = compileUserRegex(source);
+  } catch {
+    return false;
+  }
+  return values.some((value) => testUserRegex(regex, value));
+}
+
+/**
+ * Header value as a string; headers are a Map from ImapClient and a plain
+ * object once stored. Address headers are objects with a text form
+ */
+function headerValue(headers, name) {
+  const key = name.toLowerCase();
+  const value =
+    typeof headers?.get === "function" ? headers.get(key) : headers?.[key];
+
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "object") return String(value);
+  if (Array.isArray(value)) return value.map(String).join(", ");
+  return String(value.text ?? value.value ?? "");
+}
+
+/**
+ * First condition a target fails, or null when the rule matches
+ * @param {Object} conditions - Rule conditions
+ * @param {Object} target - { category, from_address, from_name, subject,
+ *   headers, bounce_type, bounce_category, last_direction }
+ * @returns {string|null} Condition name
+ */
+export function failedCondition(conditions, target) {
+  const {
+    categories,
+    from_pattern,
+    subject_pattern,
+    headers,
+    bounce_types,
+    bounce_categories,
+    last_direction,
+  } = conditions || {};
+
+  if (categories?.length && !categories.includes(target.category)) {
+    return "categories";
+  }
+
+  if (from_pattern) {
+    const from = [target.from_address, target.from_name].filter(Boolean);
+    if (!matchesPattern(from_pattern, ...from)) return "from_pattern";
+  }
+
+  if (subject_pattern && !matchesPattern(subject_pattern, target.subject)) {
+    return "subject_pattern";
+  }
+
+  for (const header of headers || []) {
+    const value = headerValue(target.headers, header.name);
+    if (value === null) return "headers";
+    if (header.pattern && !matchesPattern(header.pattern, value)) {
+      return "headers";
+    }
+  }
+
+  if (bounce_types?.length && !bounce_types.includes(target.bounce_type)) {
+    return "bounce_types";
+  }
+
+  if (
+    bounce_categories?.length &&
+    !bounce_categories.includes(target.bounce_category)
+  ) {
+    return "bounce_categories";
+  }
+
+  if (last_direction && target.last_direction !== last_direction) {
+    return "last_direction";
+  }
+
+  return null;
+}
+
+function validateStringList(value, allowed, field) {
+  if (
+    !Array.isArray(value) ||
+    value.length === 0 ||
+    !value.every((item) => allowed.includes(item))
+  ) {
+    return `${field} must be a non-empty array of: ${allowed.join(", ")}`;
+  }
+  return null;
+}
+
+function validateConditions(conditions, trigger) {
+  if (
+    typeof conditions !== "object" ||
+    conditions === null ||
+    Array.isArray(conditions)
+  ) {
+    return "conditions must be an object";
+  }
+
+  for (const field of Object.keys(conditions)) {
+    if (!CONDITION_FIELDS.includes(field)) {
+      return `Unknown condition: ${field}`;
+    }
+    if (
+      TRIGGER_CONDITIONS[field] &&
+      !TRIGGER_CONDITIONS[field].includes(trigger)
+    ) {
+      return `conditions.${field} only applies to ${TRIGGER_CONDITIONS[field].join(", ")} rules`;
+    }
+  }
+
+  const lists = {
+    categories: EMAIL_CATEGORIES,
+    bounce_types: ["HARD", "SOFT"],
+    bounce_categories: BOUNCE_CATEGORIES,
+  };
+
+  for (const [field, allowed] of Object.entries(lists)) {
+    if (conditions[field] !== undefined) {
+      const error = validateStringList(
+        conditions[field],
+        allowed,
+        `conditions.${field}`,
+      );
+      if (error) return error;
+    }
+  }
+
+  for (const field of ["from_pattern", "subject_pattern"]) {
+    if (
+      conditions[field] !== undefined &&
+      !isSafeUserRegex(conditions[field])
+    ) {
+      return `conditions.${field} must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters without nested quantifiers`;
+    }
+  }
+
+  if (conditions.headers !== undefined) {
+    if (
+      !Array.isArray(conditions.headers) ||
+      conditions.headers.length === 0 ||
+      !conditions.headers.every(
+        (header) =>
+          typeof header?.name === "string" &&
+          /^[\x21-\x39\x3b-\x7e]+$/.test(header.name) &&
+          (header.pattern === undefined || isSafeUserRegex(header.pattern)),
+      )
+    ) {
+      return "conditions.headers must be a non-empty array of { name, pattern? }";
+    }
+  }
+
+  if (
+    conditions.last_direction !== undefined &&
+    !["INBOUND", "OUTBOUND"].includes(conditions.last_direction)
+  ) {
+    return "conditions.last_direction must be INBOUND or OUTBOUND";
+  }
+
+  return null;
+}
+
+function validateActions(actions) {
+  if (
+    !Array.isArray(actions) ||
+    actions.length === 0 ||
+    actions.length > MAX_ACTIONS
+  ) {
+    return `actions must be an array of 1 to ${MAX_ACTIONS} actions`;
+  }
+
+  for (const action of actions) {
+    if (!AUTOMATION_ACTIONS.includes(action?.type)) {
+      return `action type must be one of: ${AUTOMATION_ACTIONS.join(", ")}`;
+    }
+    if (action.type === "label" && typeof action.label_id !== "string") {
+      return "label actions need a label_id";
+    }
+    if (action.type === "webhook" && typeof action.webhook_id !== "string") {
+      return "webhook actions need a webhook_id";
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate an automation rule (the whole rule, also for updates)
+ * @param {Object} rule
+ * @returns {string|null} Error message
+ */
+export function validateAutomationRule(rule) {
+  const {
+    name,
+    description,
+    trigger,
+    idle_hours,
+    conditions,
+    actions,
+    position,
+  } = rule || {};
+
+  if (typeof name !== "string" || !name.trim()) {
+    return "name is required";
+  }
+
+  if (!AUTOMATION_TRIGGERS.includes(trigger)) {
+    return `trigger must be one of: ${AUTOMATION_TRIGGERS.join(", ")}`;
+  }
+
+  if (trigger === "THREAD_IDLE") {
+    if (!Number.isInteger(idle_hours) || idle_hours <= 0) {
+      return "idle_hours must be a positive integer for THREAD_IDLE rules";
+    }
+  } else if (idle_hours != null) {
+    return "idle_hours only applies to THREAD_IDLE rules";
+  }
+
+  if (conditions !== undefined) {
+    const error = validateConditions(conditions, trigger);
+    if (error) return error;
+  }
+
+  const actionsError = validateActions(actions);
+  if (actionsError) return actionsError;
+
+  if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+    return "position must be a non-negative integer";
+  }
+
+  for (const field of ["stop_processing", "is_active"]) {
+    if (rule[field] !== undefined && typeof rule[field] !== "boolean") {
+      return `${field} must be a boolean`;
+    }
+  }
+
+  if (
+    description !== undefined &&
+    description !== null &&
+    typeof description !== "string"
+  ) {
+    return "description must be a string";
+  }
+
+  return null;
+}
+
+/**
+ * Condition target for a stored email
+ */
+function emailTarget(email) {
+  return {
+    user_id: email.user_id,
+    mailbox_id: email.mailbox_id,
+    email_id: email.id,
+    thread_id: email.thread_id,
+    category: email.category,
+    from_address: email.from_address,
+    from_name: email.from_name,
+    subject: email.subject,
+    headers: email.headers,
+  };
+}
+
+export class AutomationEngine {
+  constructor(db, webhooks = new WebhookDispatcher(db)) {
+    this.db = db;
+    this.webhooks = webhooks;
+    this.bulk = new BulkActions(db);
+    this.suppressions = new SuppressionList(db);
+    this.lifecycle = new BounceLifecycle(db, this.suppressions);
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Run rules for an inbound email
+   * @param {Object} email - Stored email: { id, user_id, mailbox_id,
+   *   thread_id, category, from_address, from_name, subject, headers }
+   */
+  async emailReceived(email) {
+    return this.run("EMAIL_RECEIVED", {
+      ...emailTarget(email),
+      key: email.id,
+    });
+  }
+
+  /**
+   * Run rules for a failed recipient reported by a DSN
+   * @param {Object} email - The DSN email (as for emailReceived)
+   * @param {Object} bounce - { id, event_id, email, bounce_type, bounce_category }
+   */
+  async bounceDetected(email, bounce) {
+    return this.run("BOUNCE_DETECTED", {
+      ...emailTarget(email),
+      bounce_id: bounce.id,
+      recipient: bounce.email,
+      bounce_type: bounce.bounce_type,
+      bounce_category: bounce.bounce_category,
+      key: bounce.event_id || `${email.id}:${bounce.email}`,
+    });
+  }
+
+  /**
+   * Run the user's active rules for a trigger against one target
+   * @param {string} trigger
+   * @param {Object} target - Condition fields plus { user_id, mailbox_id,
+   *   email_id?, thread_id?, bounce_id?, recipient?, key }
+   * @returns {Promise<Array<Object>>} Executions
+   */
+  async run(trigger, target) {
+    const rules = await this.loadRules(
+      target.user_id,
+      trigger,
+      target.mailbox_id,
+    );
+    const executions = [];
+
+    for (const rule of rules) {
+      if (failedCondition(rule.conditions, target)) continue;
+
+      const execution = await this.execute(rule, target);
+      if (execution) executions.push(execution);
+
+      if (rule.stop_processing) break;
+    }
+
+    return executions;
+  }
+
+  /**
+   * Run a matching rule's actions once per trigger key
+   * @returns {Promise<Object|null>} Execution, or null if it already ran
+   */
+  async execute(rule, target) {
+    const { data: claimed, error } = await this.db
+      .from("automation_executions")
+      .insert({
+        rule_id: rule.id,
+        user_id: rule.user_id,
+        mailbox_id: target.mailbox_id || null,
+        trigger: rule.trigger,
+        trigger_key: target.key,
+        email_id: target.email_id || null,
+        thread_id: target.thread_id || null,
+        bounce_id: target.bounce_id || null,
+        status: "RUNNING",
+      })
+      .select("id")
+      .single();
+
+    if (error) {
+      if (error.code === "23505") return null;
+      throw error;
+    }
+
+    const results = [];
+
+    for (const action of rule.actions) {
+      try {
+        await this.runAction(rule, action, target);
+        results.push({ type: action.type, success: true });
+      } catch (actionError) {
+        results.push({
+          type: action.type,
+          success: false,
+          error: actionError.message,
+        });
+      }
+    }
+
+    const failed = results.filter((result) => !result.success);
+    const status =
+      failed.length === 0
+        ? "SUCCESS"
+        : failed.length === results.length
+          ? "FAILED"
+          : "PARTIAL";
+
+    const { data: execution, error: updateError } = await this.db
+      .from("automation_executions")
+      .update({
+        status,
+        actions: results,
+        error_message: failed[0]?.error || null,
+      })
+      .eq("id", claimed.id)
+      .select()
+      .single();
+
+    if (updateError) throw updateError;
+
+    console.log(
+      `🤖 Rule "${rule.name}" ran on ${target.key}: ${status.toLowerCase()}`,
+    );
+    return execution;
+  }
+
+  async runAction(rule, action, target) {
+    if (BULK_ACTION[action.type]) {
+      const options = {};
+
+      if (action.type === "label") {
+        options.label = await this.bulk.loadLabel(
+          rule.user_id,
+          action.label_id,
+        );
+        if (!options.label) throw new Error("Label not found");
+      }
+
+      // Idle threads act on the whole thread, the other triggers on the email
+      const [result] = target.email_id
+        ? await this.bulk.applyToEmails(
+            rule.user_id,
+            [target.email_id],
+            BULK_ACTION[action.type],
+            options,
+          )
+        : await this.bulk.applyToThreads(
+            rule.user_id,
+            [target.thread_id],
+            BULK_ACTION[action.type],
+            options,
+          );
+
+      if (!result.success) throw new Error(result.error);
+      return;
+    }
+
+    if (action.type === "webhook") {
+      await this.webhooks.dispatchTo(action.webhook_id, {
+        user_id: rule.user_id,
+        mailbox_id: target.mailbox_id,
+        type: AUTOMATION_EVENT,
+        data: {
+          rule_id: rule.id,
+          rule_name: rule.name,
+          trigger: rule.trigger,
+          email_id: target.email_id || null,
+          thread_id: target.thread_id || null,
+          bounce_id: target.bounce_id || null,
+          category: target.category || null,
+          subject: target.subject || null,
+          from_address: target.from_address || null,
+          ...(target.recipient && {
+            recipient: target.recipient,
+            bounce_type: target.bounce_type,
+            bounce_category: target.bounce_category,
+          }),
+        },
+      });
+      return;
+    }
+
+    if (action.type === "suppress") {
+      // Bounces suppress the failed recipient, other triggers the sender
+      const address = target.recipient || target.from_address;
+      if (!address) throw new Error("No address to suppress");
+
+      const suppression = await this.suppressions.addFromRule({
+        userId: rule.user_id,
+        mailboxId: rule.mailbox_id,
+        email: address,
+        reason: `Automation rule: ${rule.name}`.substring(0, 500),
+      });
+      if (suppression) {
+        await this.lifecycle.suppressionAdded(rule.user_id, suppression);
+      }
+      return;
+    }
+
+    throw new Error(`Unsupported action: ${action.type}`);
+  }
+
+  /**
+   * Active rules for a trigger that apply to a mailbox, in run order
+   */
+  async loadRules(userId, trigger, mailboxId) {
+    const { data, error } = await this.db
+      .from("automation_rules")
+      .select("*")
+      .eq("user_id", userId)
+      .eq("trigger", trigger)
+      .eq("is_active", true)
+      .or(`mailbox_id.is.null,mailbox_id.eq.${mailboxId}`)
+      .order("position", { ascending: true })
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Check THREAD_IDLE rules every AUTOMATION_IDLE_CHECK_INTERVAL_MS
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.checkIdle(), IDLE_CHECK_INTERVAL_MS);
+    console.log(
+      `🤖 Idle-thread rules started (every ${Math.round(IDLE_CHECK_INTERVAL_MS / 1000)}s)`,
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run THREAD_IDLE rules for threads that went idle since the last check
+   * @returns {Promise<number>} Executions
+   */
+  async checkIdle() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let executed = 0;
+
+    try {
+      const { data: rules, error } = await this.db
+        .from("automation_rules")
+        .select("*")
+        .eq("trigger", "THREAD_IDLE")
+        .eq("is_active", true)
+        .order("position", { ascending: true })
+        .order("created_at", { ascending: true });
+
+      if (error) throw error;
+
+      // stop_processing applies between one user's rules for the same thread
+      const stopped = new Set();
+
+      for (const rule of rules) {
+        try {
+          executed += await this.checkIdleRule(rule, stopped);
+        } catch (ruleError) {
+          console.error(
+            `❌ Error running idle rule ${rule.id}:`,
+            ruleError.message,
+          );
+        }
+      }
+    } catch (error) {
+      console.error("❌ Error checking idle threads:", error.message);
+    } finally {
+      this.running = false;
+    }
+
+    return executed;
+  }
+
+  async checkIdleRule(rule, stopped) {
+    const idleBefore = new Date(Date.now() - rule.idle_hours * HOUR_MS);
+
+    let query = this.db
+      .from("email_threads")
+      .select("id, mailbox_id, last_message_at")
+      .eq("user_id", rule.user_id)
+      .lte("last_message_at", idleBefore.toISOString())
+      .order("last_message_at", { ascending: true })
+      .limit(IDLE_BATCH_SIZE);
+
+    // Rules start with a cursor, so threads idle before they existed are left alone
+    if (rule.idle_cursor) {
+      query = query.gte("last_message_at", rule.idle_cursor);
+    }
+
+    if (rule.mailbox_id) {
+      query = query.eq("mailbox_id", rule.mailbox_id);
+    }
+
+    const { data: threads, error } = await query;
+
+    if (error) throw error;
+    if (threads.length === 0) return 0;
+
+    const latest = await this.latestEmails(threads.map((thread) => thread.id));
+    let executed = 0;
+
+    for (const thread of threads) {
+      const email = latest.get(thread.id);
+      const stopKey = `${rule.user_id}:${thread.id}`;
+
+      if (!email || stopped.has(stopKey)) continue;
+
+      const target = {
+        ...emailTarget({ ...email, user_id: rule.user_id }),
+        email_id: null,
+        last_direction: email.direction,
+        key: `${thread.id}@${new Date(thread.last_message_at).toISOString()}`,
+      };
+
+      if (failedCondition(rule.conditions, target)) continue;
+
+      if (await this.execute(rule, target)) executed++;
+      if (rule.stop_processing) stopped.add(stopKey);
+    }
+
+    const { error: cursorError } = await this.db
+      .from("automation_rules")
+      .update({ idle_cursor: threads[threads.length - 1].last_message_at })
+      .eq("id", rule.id);
+
+    if (cursorError) throw cursorError;
+
+    return executed;
+  }
+
+  /**
+   * Most recent email of each thread
+   * @returns {Promise<Map<string, Object>>} thread id → email
+   */
+  async latestEmails(threadIds) {
+    const { data, error } = await this.db
+      .from("emails")
+      .select(EMAIL_COLUMNS)
+      .in("thread_id", threadIds)
+      .order("received_at", { ascending: false });
+
+    if (error) throw error;
+
+    const latest = new Map();
+    for (const email of data) {
+      if (!latest.has(email.thread_id)) latest.set(email.thread_id, email);
+    }
+    return latest;
+  }
+
+  /**
+   * Evaluate a rule against the user's most recent emails, bounces or idle
+   * threads without running its actions
+   * @param {Object} rule - Saved or unsaved rule (validated)
+   * @param {string} userId
+   * @param {number} limit - Items to test
+   * @returns {Promise<Object>} { evaluated, matched, results }
+   */
+  async dryRun(rule, userId, limit = DRY_RUN_DEFAULT_LIMIT) {
+    const targets = await this.recentTargets(rule, userId, limit);
+
+    const results = targets.map((target) => {
+      const failed = failedCondition(rule.conditions, target);
+      return {
+        email_id: target.email_id || null,
+        thread_id: target.thread_id || null,
+        bounce_id: target.bounce_id || null,
+        recipient: target.recipient,
+        subject: target.subject || null,
+        from_address: target.from_address || null,
+        occurred_at: target.occurred_at,
+        matched: !failed,
+        failed_condition: failed,
+      };
+    });
+
+    return {
+      evaluated: results.length,
+      matched: results.filter((result) => result.matched).length,
+      actions: rule.actions.map((action) => action.type),
+      results,
+    };
+  }
+
+  async recentTargets(rule, userId, limit) {
+    if (rule.trigger === "EMAIL_RECEIVED") {
+      let query = this.db
+        .from("emails")
+        .select(EMAIL_COLUMNS)
+        .eq("user_id", userId)
+        .eq("direction", "INBOUND")
+        .order("received_at", { ascending: false })
+        .limit(limit);
+
+      if (rule.mailbox_id) query = query.eq("mailbox_id", rule.mailbox_id);
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      return data.map((email) => ({
+        ...emailTarget(email),
+        occurred_at: email.received_at,
+      }));
+    }
+
+    if (rule.trigger === "BOUNCE_DETECTED") {
+      let query = this.db
+        .from("email_bounce_events")
+        .select(
+          `id, bounce_id, bounce_type, bounce_category, occurred_at, bounce:email_bounces!inner(email, mailbox_id), email:emails(${EMAIL_COLUMNS})`,
+        )
+        .eq("user_id", userId)
+        .eq("event_type", "FAILURE")
+        .order("occurred_at", { ascending: false })
+        .limit(limit);
+
+      if (rule.mailbox_id) {
+        query = query.eq("bounce.mailbox_id", rule.mailbox_id);
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      // Events recorded before email_id existed only have the bounce fields
+      return data.map((event) => ({
+        ...(event.email ? emailTarget(event.email) : { category: "BOUNCE" }),
+        mailbox_id: event.bounce.mailbox_id,
+        bounce_id: event.bounce_id,
+        recipient: event.bounce.email,
+        bounce_type: event.bounce_type,
+        bounce_category: event.bounce_category,
+        occurred_at: event.occurred_at,
+      }));
+    }
+
+    const idleBefore = new Date(Date.now() - rule.idle_hours * HOUR_MS);
+
+    let query = this.db
+      .from("email_threads")
+      .select("id, last_message_at")
+      .eq("user_id", userId)
+      .lte("last_message_at", idleBefore.toISOString())
+      .order("last_message_at", { ascending: false })
+      .limit(limit);
+
+    if (rule.mailbox_id) query = query.eq("mailbox_id", rule.mailbox_id);
+
+    const { data: threads, error } = await query;
+    if (error) throw error;
+    if (threads.length === 0) return [];
+
+    const latest = await this.latestEmails(threads.map((thread) => thread.id));
+
+    return threads
+      .filter((thread) => latest.has(thread.id))
+      .map((thread) => {
+        const email = latest.get(thread.id);
+        return {
+          ...emailTarget(email),
+          email_id: null,
+          last_direction: email.direction,
+          occurred_at: thread.last_message_at,
+        };
+      });
+  }
+}
@@ -0,0 +1,450 @@
+/**
+ * Bounce import from ESP exports
+ * Reads SendGrid, Mailgun and Amazon SES bounce/suppression CSV layouts into
+ * email_bounces rows, optionally adding hard bounces to the suppression list.
+ * Every row is validated up front so a dry run shows exactly what a real
+ * import would do.
+ */
+
+import { parseCsv } from "../utils/csv.js";
+import { BounceLifecycle } from "./bounce-lifecycle.js";
+import { BounceDetector } from "./email-worker/bounce-detector.js";
+import {
+  bounceTypeForCategory,
+  classifyBounceCategory,
+} from "./email-worker/bounce-taxonomy.js";
+import { SuppressionList } from "./suppression-list.js";
+
+export const IMPORT_PROVIDERS = ["sendgrid", "mailgun", "ses"];
+
+// Rows per `in` lookup / insert
+const BATCH_SIZE = 200;
+
+// Rows listed in the response
+const MAX_REPORTED_ERRORS = 500;
+const PREVIEW_ROWS = 20;
+
+/**
+ * Known layouts, keyed by normalized header (lowercase, letters and digits)
+ * - SendGrid bounces/blocks export: email, created, reason, status
+ * - Mailgun bounces export: address, code, error, created_at
+ * - SES account suppression list: EmailAddress, Reason, LastUpdateTime
+ *   (bounce notifications flattened to CSV: email, bounceType, diagnosticCode, timestamp)
+ */
+const LAYOUTS = {
+  sendgrid: {
+    name: "SendGrid",
+    detect: ["email", "status", "created"],
+    email: ["email"],
+    code: ["status"],
+    reason: ["reason"],
+    date: ["created", "createdat"],
+  },
+  mailgun: {
+    name: "Mailgun",
+    detect: ["address", "code"],
+    email: ["address"],
+    code: ["code"],
+    reason: ["error"],
+    date: ["createdat"],
+  },
+  ses: {
+    name: "Amazon SES",
+    detect: ["emailaddress"],
+    altDetect: ["bouncetype"],
+    email: ["emailaddress", "email", "destination"],
+    code: ["status"],
+    type: ["reason", "bouncetype"],
+    reason: ["diagnosticcode", "bouncesubtype"],
+    date: ["lastupdatetime", "timestamp"],
+  },
+};
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+export class BounceImporter {
+  constructor(db) {
+    this.db = db;
+    this.bounceDetector = new BounceDetector();
+    this.suppressions = new SuppressionList(db);
+    this.lifecycle = new BounceLifecycle(db, this.suppressions);
+  }
+
+  /**
+   * Pick the provider layout from the header row
+   * @returns {string|null}
+   */
+  detectProvider(headers) {
+    for (const [provider, layout] of Object.entries(LAYOUTS)) {
+      const matches = (columns) =>
+        columns.every((column) => headers.includes(column));
+
+      if (
+        matches(layout.detect) ||
+        (layout.altDetect && matches(layout.altDetect))
+      ) {
+        return provider;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parse and validate an export
+   * @param {string} text - CSV content
+   * @param {string} provider - sendgrid, mailgun, ses or auto
+   * @returns {Object} { provider, total, rows, errors }
+   */
+  parse(text, provider = "auto") {
+    const [headerRow, ...records] = parseCsv(text);
+
+    if (!headerRow) {
+      throw httpError(400, "The file is empty");
+    }
+
+    const headers = headerRow.map(normalizeHeader);
+    const resolved =
+      provider === "auto" ? this.detectProvider(headers) : provider;
+
+    if (!resolved) {
+      throw httpError(
+        400,
+        `Unrecognized CSV layout; pass provider=${IMPORT_PROVIDERS.join("|")}`,
+      );
+    }
+
+    const layout = LAYOUTS[resolved];
+    const column = (names) =>
+      names.map((name) => headers.indexOf(name)).find((index) => index >= 0);
+    const columns = {
+      email: column(layout.email),
+      code: column(layout.code),
+      type: layout.type ? column(layout.type) : undefined,
+      reason: column(layout.reason),
+      date: column(layout.date),
+    };
+
+    if (columns.email === undefined) {
+      throw httpError(
+        400,
+        `${layout.name} export is missing the ${layout.email[0]} column`,
+      );
+    }
+
+    const byEmail = new Map();
+    const errors = [];
+
+    records.forEach((record, index) => {
+      // Header is line 1
+      const line = index + 2;
+      const value = (key) =>
+        columns[key] === undefined ? "" : (record[columns[key]] || "").trim();
+
+      const result = this.normalizeRow(resolved, {
+        email: value("email"),
+        code: value("code"),
+        type: value("type"),
+        reason: value("reason"),
+        date: value("date"),
+      });
+
+      if (result.error) {
+        errors.push({
+          line,
+          email: value("email") || null,
+          error: result.error,
+        });
+        return;
+      }
+
+      // The same address listed twice: one bounce, counted twice
+      const existing = byEmail.get(result.email);
+      if (existing) {
+        existing.failure_count++;
+        if (result.failed_at > existing.last_failed_at) {
+          Object.assign(existing, {
+            bounce_type: result.bounce_type,
+            bounce_category: result.bounce_category,
+            error_code: result.error_code,
+            reason: result.reason,
+            last_failed_at: result.failed_at,
+          });
+        }
+        if (result.failed_at < existing.first_failed_at) {
+          existing.first_failed_at = result.failed_at;
+        }
+        return;
+      }
+
+      byEmail.set(result.email, {
+        line,
+        email: result.email,
+        bounce_type: result.bounce_type,
+        bounce_category: result.bounce_category,
+        error_code: result.error_code,
+        reason: result.reason,
+        failure_count: 1,
+        first_failed_at: result.failed_at,
+        last_failed_at: result.failed_at,
+      });
+    });
+
+    return {
+      provider: resolved,
+      total: records.length,
+      rows: [...byEmail.values()],
+      errors,
+    };
+  }
+
+  /**
+   * Map one provider row to bounce fields
+   * @returns {Object} { email, bounce_type, bounce_category, error_code, reason, failed_at } or { error }
+   */
+  normalizeRow(provider, { email, code, type, reason, date }) {
+    const address = email.toLowerCase();
+
+    if (!address) {
+      return { error: "Missing email address" };
+    }
+
+    if (!this.bounceDetector.isValidEmail(address)) {
+      return { error: "Invalid email address" };
+    }
+
+    const failedAt = this.parseDate(date);
+    if (failedAt === null) {
+      return { error: `Invalid date: ${date}` };
+    }
+
+    let bounceType;
+    let errorCode = code || this.bounceDetector.extractErrorCode(reason);
+
+    if (provider === "ses") {
+      const kind = type.toLowerCase();
+
+      if (kind === "complaint") {
+        return { error: "Complaint, not a bounce" };
+      }
+
+      // Suppression list entries with reason BOUNCE are permanent bounces
+      bounceType =
+        kind === "bounce" || kind === "permanent"
+          ? "HARD"
+          : kind === "transient"
+            ? "SOFT"
+            : "UNKNOWN";
+    } else if (/^[245]\.\d+\.\d+$/.test(code)) {
+      // SendGrid: enhanced status code; prefer the SMTP code in the reason
+      const smtpCode = this.bounceDetector.extractErrorCode(reason);
+      bounceType = smtpCode
+        ? this.bounceDetector.classifyBounceType(smtpCode, reason)
+        : { 5: "HARD", 4: "SOFT" }[code[0]] || "UNKNOWN";
+      errorCode = smtpCode || code;
+    } else if (/^6\d{2}$/.test(code)) {
+      // Mailgun: 605/607 = not sent because the address bounced before
+      bounceType = "HARD";
+    } else {
+      bounceType = this.bounceDetector.classifyBounceType(
+        /^\d{3}$/.test(code) ? code : null,
+        reason,
+      );
+    }
+
+    const bounceCategory = classifyBounceCategory({
+      status:
+        (/^[245]\.\d+\.\d+$/.test(code) && code) ||
+        this.bounceDetector.extractStatusCode(reason),
+      errorCode,
+      diagnostic: reason,
+    });
+
+    return {
+      email: address,
+      bounce_type: bounceTypeForCategory(bounceType, bounceCategory),
+      bounce_category: bounceCategory,
+      error_code: errorCode || null,
+      reason: reason ? reason.substring(0, 1000) : null,
+      failed_at: failedAt,
+    };
+  }
+
+  /**
+   * Unix seconds/milliseconds or any Date-parsable string; empty = now
+   * @returns {string|null} ISO date, null when unparsable
+   */
+  parseDate(value) {
+    if (!value) return new Date().toISOString();
+
+    let date;
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      const number = Number(value);
+      date = new Date(number > 1e12 ? number : number * 1000);
+    } else {
+      date = new Date(value);
+    }
+
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  chunk(items, size = BATCH_SIZE) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+      chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+  }
+
+  /**
+   * Import (or preview) an export into one mailbox's bounces
+   * Addresses that already have a bounce in the mailbox are left unchanged
+   * @param {string} userId
+   * @param {string} mailboxId
+   * @param {string} text - CSV content
+   * @param {Object} options - { provider, dryRun, suppress }
+   * @returns {Promise<Object>} Summary with per-row errors
+   */
+  async import(userId, mailboxId, text, options = {}) {
+    const { provider = "auto", dryRun = false, suppress = true } = options;
+    const parsed = this.parse(text, provider);
+    const existing = await this.loadExisting(
+      userId,
+      mailboxId,
+      parsed.rows.map((row) => row.email),
+    );
+
+    const toCreate = parsed.rows.filter((row) => !existing.has(row.email));
+    const toSuppress = suppress
+      ? await this.unsuppressedHardBounces(userId, mailboxId, parsed.rows)
+      : [];
+
+    const summary = {
+      provider: parsed.provider,
+      dry_run: dryRun,
+      total_rows: parsed.total,
+      valid_rows: parsed.total - parsed.errors.length,
+      invalid_rows: parsed.errors.length,
+      created: toCreate.length,
+      skipped_existing: parsed.rows.length - toCreate.length,
+      suppressed: toSuppress.length,
+      errors: parsed.errors.slice(0, MAX_REPORTED_ERRORS),
+    };
+
+    if (dryRun) {
+      summary.preview = parsed.rows.slice(0, PREVIEW_ROWS).map((row) => ({
+        ...row,
+        action: existing.has(row.email) ? "skip_existing" : "create",
+      }));
+      return summary;
+    }
+
+    const bounceIds = new Map(existing);
+    summary.created = 0;
+
+    for (const batch of this.chunk(toCreate)) {
+      const { data, error } = await this.db
+        .from("email_bounces")
+        .insert(
+          batch.map(({ line, ...row }) => ({
+            ...row,
+            user_id: userId,
+            mailbox_id: mailboxId,
+          })),
+        )
+        .select("id, email");
+
+      if (error) {
+        console.error("❌ Error importing bounces:", error.message);
+        summary.errors.push(
+          ...batch.map((row) => ({
+            line: row.line,
+            email: row.email,
+            error: error.message,
+          })),
+        );
+        continue;
+      }
+
+      summary.created += data.length;
+      for (const bounce of data) {
+        bounceIds.set(bounce.email, bounce.id);
+      }
+    }
+
+    summary.suppressed = 0;
+    for (const row of toSuppress) {
+      if (!bounceIds.has(row.email)) continue;
+
+      const suppression = await this.suppressions.addImported({
+        userId,
+        mailboxId,
+        email: row.email,
+        bounceId: bounceIds.get(row.email),
+        reason: `Imported from ${LAYOUTS[parsed.provider].name}${row.reason ? `: ${row.reason}` : ""}`,
+      });
+      if (suppression) {
+        await this.lifecycle.suppressionAdded(userId, suppression);
+      }
+      summary.suppressed++;
+    }
+
+    console.log(
+      `📥 Imported ${summary.created} bounces (${summary.skipped_existing} existing, ${summary.invalid_rows} invalid) from ${LAYOUTS[parsed.provider].name}`,
+    );
+
+    return summary;
+  }
+
+  /**
+   * email → bounce id for addresses that already bounced in the mailbox
+   */
+  async loadExisting(userId, mailboxId, emails) {
+    const existing = new Map();
+
+    for (const batch of this.chunk(emails)) {
+      const { data, error } = await this.db
+        .from("email_bounces")
+        .select("id, email")
+        .eq("user_id", userId)
+        .eq("mailbox_id", mailboxId)
+        .in("email", batch);
+
+      if (error) throw error;
+
+      for (const bounce of data) {
+        existing.set(bounce.email, bounce.id);
+      }
+    }
+
+    return existing;
+  }
+
+  /**
+   * HARD bounce rows whose address is not suppressed yet
+   */
+  async unsuppressedHardBounces(userId, mailboxId, rows) {
+    const hard = rows.filter((row) => row.bounce_type === "HARD");
+    const suppressed = new Set();
+
+    for (const batch of this.chunk(hard)) {
+      const matches = await this.suppressions.check(
+        userId,
+        batch.map((row) => row.email),
+        mailboxId,
+      );
+      for (const match of matches) {
+        suppressed.add(match.email);
+      }
+    }
+
+    return hard.filter((row) => !suppressed.has(row.email));
+  }
+}
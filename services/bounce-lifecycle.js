@@ -0,0 +1,571 @@
+/**
+ * Bounce lifecycle
+ * Deliverability state of each bounced address (one email_bounces row per
+ * mailbox and address):
+ *
+ *   SOFT_FAILING  SOFT/UNKNOWN failures, still mailable
+ *   SUPPRESSED    on the suppression list
+ *   RECOVERED     mail came from the address, or a message to it drew no
+ *                 bounce within BOUNCE_WINDOW_HOURS
+ *   ACTIVE        soft failures older than BOUNCE_DECAY_DAYS, or a lifted
+ *                 suppression
+ *
+ * Decay is not written back: a SOFT_FAILING row whose last failure is older
+ * than the window reads as ACTIVE (effectiveState). Failures, sends,
+ * recoveries and suppression changes are email_bounce_events rows carrying
+ * the state they led to, which is what the timeline is built from.
+ *
+ * An SMTP server accepting a message only means it was relayed: the send is
+ * recorded as SENT and pending_send_at waits out the bounce window. A failure
+ * in the meantime clears it; settleSends() recovers the rest.
+ */
+
+import { SuppressionList } from "./suppression-list.js";
+
+export const DELIVERY_STATES = [
+  "ACTIVE",
+  "SOFT_FAILING",
+  "SUPPRESSED",
+  "RECOVERED",
+];
+
+export const LIFECYCLE_EVENTS = [
+  "FAILURE",
+  "SENT",
+  "RECOVERY",
+  "SUPPRESSION_ADDED",
+  "SUPPRESSION_LIFTED",
+];
+
+export const BOUNCE_DECAY_DAYS = parseInt(process.env.BOUNCE_DECAY_DAYS) || 14;
+
+// How long a send waits for a bounce before it counts as delivered
+export const BOUNCE_WINDOW_HOURS =
+  parseInt(process.env.BOUNCE_WINDOW_HOURS) || 72;
+
+const SETTLE_INTERVAL_MS =
+  parseInt(process.env.BOUNCE_SETTLE_INTERVAL_MS) || 600000;
+
+// Pending sends settled per run
+const SETTLE_BATCH_SIZE = 500;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Most severe first: the state an address shows across mailboxes
+const STATE_SEVERITY = ["SUPPRESSED", "SOFT_FAILING", "RECOVERED", "ACTIVE"];
+
+// Suppressions a recovery lifts; hard, manual and imported ones stay
+const RECOVERABLE_SOURCES = ["SOFT_BOUNCE_THRESHOLD"];
+
+const TIMELINE_MAX_EVENTS = 1000;
+
+const BOUNCE_COLUMNS =
+  "id, user_id, mailbox_id, email, bounce_type, bounce_category, delivery_state, state_changed_at, recovered_at, failure_count, first_failed_at, last_failed_at, pending_send_at";
+
+/**
+ * Failures before this moment have decayed
+ */
+export function decayCutoff(now = new Date()) {
+  return new Date(now.getTime() - BOUNCE_DECAY_DAYS * DAY_MS);
+}
+
+/**
+ * State of a bounce row as of now, with decay applied
+ * @param {Object} bounce - email_bounces row (delivery_state, last_failed_at)
+ * @returns {string} One of DELIVERY_STATES
+ */
+export function effectiveState(bounce, now = new Date()) {
+  const state = bounce.delivery_state || "SOFT_FAILING";
+
+  if (
+    state === "SOFT_FAILING" &&
+    new Date(bounce.last_failed_at) < decayCutoff(now)
+  ) {
+    return "ACTIVE";
+  }
+
+  return state;
+}
+
+export class BounceLifecycle {
+  constructor(db, suppressions = new SuppressionList(db)) {
+    this.db = db;
+    this.suppressions = suppressions;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Run settleSends() every BOUNCE_SETTLE_INTERVAL_MS
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(async () => {
+      if (this.running) return;
+      this.running = true;
+
+      try {
+        await this.settleSends();
+      } catch (error) {
+        console.error("❌ Error settling sends:", error.message);
+      } finally {
+        this.running = false;
+      }
+    }, SETTLE_INTERVAL_MS);
+    console.log(
+      `💚 Bounce recovery checks started (every ${Math.round(SETTLE_INTERVAL_MS / 1000)}s)`,
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Move a bounce to its state after a failure
+   * @param {Object} failure - { userId, bounceId, eventId, bounceType,
+   *   previousState, suppression } (suppression: added by this failure)
+   * @returns {Promise<string>} New state
+   */
+  async recordFailure(failure) {
+    const state =
+      failure.bounceType === "HARD" ||
+      failure.suppression ||
+      failure.previousState === "SUPPRESSED"
+        ? "SUPPRESSED"
+        : "SOFT_FAILING";
+
+    // A send waiting out the bounce window did not go through after all
+    await this.setState(failure.bounceId, state, failure.previousState, {
+      pending_send_at: null,
+    });
+
+    if (failure.eventId) {
+      const { error } = await this.db
+        .from("email_bounce_events")
+        .update({ delivery_state: state })
+        .eq("id", failure.eventId);
+
+      if (error) throw error;
+    }
+
+    // A user-wide suppression also covers the address in other mailboxes
+    if (failure.suppression) {
+      await this.suppressionAdded(failure.userId, failure.suppression);
+    }
+
+    return state;
+  }
+
+  /**
+   * Failing bounces of these addresses
+   */
+  async failingBounces(userId, addresses) {
+    const { data, error } = await this.db
+      .from("email_bounces")
+      .select(BOUNCE_COLUMNS)
+      .eq("user_id", userId)
+      .in("email", [
+        ...new Set(addresses.map((address) => address.toLowerCase())),
+      ])
+      .in("delivery_state", ["SOFT_FAILING", "SUPPRESSED"]);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Mail from these addresses arrived: failing addresses that bounced
+   * before it count as recovered. Soft-bounce suppressions are lifted; hard,
+   * manual and imported ones are left alone
+   * @param {Object} delivery - { userId, addresses, occurredAt, emailId }
+   * @returns {Promise<Array<Object>>} Recovered bounce rows
+   */
+  async recordDelivery(delivery) {
+    if (delivery.addresses.length === 0) return [];
+
+    const occurredAt = delivery.occurredAt || new Date().toISOString();
+    const bounces = await this.failingBounces(
+      delivery.userId,
+      delivery.addresses,
+    );
+
+    const recovered = [];
+
+    for (const bounce of bounces) {
+      const done = await this.recover(bounce, {
+        occurredAt,
+        emailId: delivery.emailId,
+        diagnostic: "Message received from this address",
+      });
+      if (done) recovered.push(done);
+    }
+
+    return recovered;
+  }
+
+  /**
+   * An SMTP server accepted a message for these addresses. That is no proof
+   * of delivery: failing addresses get a SENT event and wait out the bounce
+   * window (settleSends) before they count as recovered
+   * @param {Object} send - { userId, addresses, occurredAt, emailId }
+   * @returns {Promise<number>} Failing bounces the send is pending for
+   */
+  async recordSent(send) {
+    if (send.addresses.length === 0) return 0;
+
+    const occurredAt = send.occurredAt || new Date().toISOString();
+    const bounces = await this.failingBounces(send.userId, send.addresses);
+    let pending = 0;
+
+    for (const bounce of bounces) {
+      const state = effectiveState(bounce);
+      if (state === "ACTIVE") continue;
+
+      // The earliest send since the last failure settles first
+      if (!bounce.pending_send_at) {
+        await this.setState(bounce.id, state, state, {
+          pending_send_at: occurredAt,
+        });
+      }
+      await this.insertEvent(bounce, {
+        event_type: "SENT",
+        delivery_state: state,
+        diagnostic: "Message to this address accepted by the SMTP server",
+        email_id: send.emailId || null,
+        occurred_at: occurredAt,
+      });
+      pending++;
+    }
+
+    return pending;
+  }
+
+  /**
+   * Recover bounces whose pending send drew no failure within
+   * BOUNCE_WINDOW_HOURS
+   * @returns {Promise<number>} Recovered bounces
+   */
+  async settleSends(now = new Date()) {
+    const cutoff = new Date(now.getTime() - BOUNCE_WINDOW_HOURS * HOUR_MS);
+
+    const { data: bounces, error } = await this.db
+      .from("email_bounces")
+      .select(BOUNCE_COLUMNS)
+      .lte("pending_send_at", cutoff.toISOString())
+      .order("pending_send_at", { ascending: true })
+      .limit(SETTLE_BATCH_SIZE);
+
+    if (error) throw error;
+
+    let recovered = 0;
+
+    for (const bounce of bounces) {
+      const done = await this.recover(bounce, {
+        occurredAt: bounce.pending_send_at,
+        diagnostic: `No bounce within ${BOUNCE_WINDOW_HOURS} hours of a message to this address`,
+      });
+
+      if (done) {
+        recovered++;
+      } else {
+        // Decayed, or kept suppressed: nothing left to settle
+        await this.setState(
+          bounce.id,
+          bounce.delivery_state,
+          bounce.delivery_state,
+          {
+            pending_send_at: null,
+          },
+        );
+      }
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Move a failing bounce to RECOVERED on evidence from occurredAt
+   * @param {Object} bounce - email_bounces row
+   * @param {Object} evidence - { occurredAt, emailId, diagnostic }
+   * @returns {Promise<Object|null>} The recovered row, or null if the bounce
+   *   stays as it is
+   */
+  async recover(bounce, evidence) {
+    const state = effectiveState(bounce);
+
+    if (state !== "SOFT_FAILING" && state !== "SUPPRESSED") return null;
+    if (new Date(bounce.last_failed_at) >= new Date(evidence.occurredAt)) {
+      return null;
+    }
+
+    if (state === "SUPPRESSED") {
+      const lifted = await this.liftRecoverableSuppressions(
+        bounce.user_id,
+        bounce,
+      );
+      if (!lifted) return null;
+    }
+
+    await this.setState(bounce.id, "RECOVERED", state, {
+      recovered_at: evidence.occurredAt,
+      pending_send_at: null,
+    });
+    await this.insertEvent(bounce, {
+      event_type: "RECOVERY",
+      delivery_state: "RECOVERED",
+      diagnostic: evidence.diagnostic,
+      email_id: evidence.emailId || null,
+      occurred_at: evidence.occurredAt,
+    });
+
+    console.log(`💚 ${bounce.email} recovered (${state.toLowerCase()})`);
+    return { ...bounce, delivery_state: "RECOVERED" };
+  }
+
+  /**
+   * Lift the soft-bounce suppressions covering a bounce
+   * @returns {Promise<boolean>} Whether the address is mailable again
+   */
+  async liftRecoverableSuppressions(userId, bounce) {
+    const active = await this.suppressions.check(
+      userId,
+      [bounce.email],
+      bounce.mailbox_id,
+    );
+
+    if (active.some((entry) => !RECOVERABLE_SOURCES.includes(entry.source))) {
+      return false;
+    }
+
+    for (const entry of active) {
+      await this.suppressions.remove(
+        userId,
+        entry.id,
+        "Recovered: a later message went through",
+      );
+    }
+
+    return true;
+  }
+
+  /**
+   * Mark the address's bounces SUPPRESSED after a suppression was added
+   * @param {string} userId
+   * @param {Object} suppression - suppressions row
+   */
+  async suppressionAdded(userId, suppression) {
+    const bounces = await this.bouncesInScope(userId, suppression);
+
+    for (const bounce of bounces) {
+      if (bounce.delivery_state === "SUPPRESSED") continue;
+
+      await this.setState(bounce.id, "SUPPRESSED", bounce.delivery_state);
+      await this.insertEvent(bounce, {
+        event_type: "SUPPRESSION_ADDED",
+        delivery_state: "SUPPRESSED",
+        diagnostic: suppression.reason || null,
+      });
+    }
+  }
+
+  /**
+   * Mark the address's bounces ACTIVE after a suppression was lifted,
+   * unless another suppression still covers them
+   * @param {string} userId
+   * @param {Object} suppression - suppressions row (with removed_reason)
+   */
+  async suppressionLifted(userId, suppression) {
+    const bounces = await this.bouncesInScope(userId, suppression);
+
+    for (const bounce of bounces) {
+      if (bounce.delivery_state !== "SUPPRESSED") continue;
+
+      const remaining = await this.suppressions.check(
+        userId,
+        [bounce.email],
+        bounce.mailbox_id,
+      );
+      if (remaining.length > 0) continue;
+
+      await this.setState(bounce.id, "ACTIVE", bounce.delivery_state);
+      await this.insertEvent(bounce, {
+        event_type: "SUPPRESSION_LIFTED",
+        delivery_state: "ACTIVE",
+        diagnostic: suppression.removed_reason || null,
+      });
+    }
+  }
+
+  /**
+   * Bounce rows a suppression applies to (all mailboxes for a user-wide one)
+   */
+  async bouncesInScope(userId, suppression) {
+    let query = this.db
+      .from("email_bounces")
+      .select(BOUNCE_COLUMNS)
+      .eq("user_id", userId)
+      .eq("email", suppression.email);
+
+    if (suppression.mailbox_id) {
+      query = query.eq("mailbox_id", suppression.mailbox_id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Deliverability of one address over time
+   * @param {string} userId
+   * @param {string} email
+   * @param {Object} options - { mailboxId }
+   * @returns {Promise<Object|null>} { email, delivery_state, decay_days,
+   *   mailboxes, timeline }, or null if the address never bounced
+   */
+  async timeline(userId, email, options = {}) {
+    let query = this.db
+      .from("email_bounces")
+      .select(BOUNCE_COLUMNS)
+      .eq("user_id", userId)
+      .eq("email", email.toLowerCase());
+
+    if (options.mailboxId) {
+      query = query.eq("mailbox_id", options.mailboxId);
+    }
+
+    const { data: bounces, error } = await query;
+
+    if (error) throw error;
+    if (bounces.length === 0) return null;
+
+    const { data: events, error: eventsError } = await this.db
+      .from("email_bounce_events")
+      .select(
+        "id, bounce_id, event_type, delivery_state, bounce_type, bounce_category, error_code, status, diagnostic, email_id, occurred_at",
+      )
+      .in(
+        "bounce_id",
+        bounces.map((bounce) => bounce.id),
+      )
+      .order("occurred_at", { ascending: true })
+      .limit(TIMELINE_MAX_EVENTS);
+
+    if (eventsError) throw eventsError;
+
+    const now = new Date();
+    const mailboxes = bounces.map((bounce) => ({
+      bounce_id: bounce.id,
+      mailbox_id: bounce.mailbox_id,
+      delivery_state: effectiveState(bounce, now),
+      bounce_type: bounce.bounce_type,
+      bounce_category: bounce.bounce_category,
+      failure_count: bounce.failure_count,
+      first_failed_at: bounce.first_failed_at,
+      last_failed_at: bounce.last_failed_at,
+      state_changed_at: bounce.state_changed_at,
+      recovered_at: bounce.recovered_at,
+    }));
+
+    const timeline = bounces
+      .flatMap((bounce) =>
+        this.withDecay(
+          bounce,
+          events.filter((event) => event.bounce_id === bounce.id),
+          now,
+        ),
+      )
+      .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at));
+
+    return {
+      email: email.toLowerCase(),
+      delivery_state: STATE_SEVERITY.find((state) =>
+        mailboxes.some((mailbox) => mailbox.delivery_state === state),
+      ),
+      decay_days: BOUNCE_DECAY_DAYS,
+      mailboxes,
+      timeline,
+    };
+  }
+
+  /**
+   * One bounce's events as timeline entries, with a DECAYED entry wherever
+   * a soft-failing stretch went quiet for longer than the window
+   */
+  withDecay(bounce, events, now) {
+    const entries = [];
+
+    events.forEach((event, index) => {
+      entries.push({
+        occurred_at: event.occurred_at,
+        event: event.event_type || "FAILURE",
+        // Events recorded before the lifecycle have no state
+        delivery_state: event.delivery_state || null,
+        mailbox_id: bounce.mailbox_id,
+        bounce_type: event.bounce_type || null,
+        bounce_category: event.bounce_category || null,
+        error_code: event.error_code || null,
+        status: event.status || null,
+        diagnostic: event.diagnostic || null,
+        email_id: event.email_id || null,
+      });
+
+      // Sends leave the state as it is; decay runs from the failure
+      if (event.delivery_state !== "SOFT_FAILING") return;
+      if (event.event_type === "SENT") return;
+
+      const decaysAt = new Date(
+        new Date(event.occurred_at).getTime() + BOUNCE_DECAY_DAYS * DAY_MS,
+      );
+      const next = events
+        .slice(index + 1)
+        .find((later) => later.event_type !== "SENT");
+
+      if (decaysAt <= (next ? new Date(next.occurred_at) : now)) {
+        entries.push({
+          occurred_at: decaysAt.toISOString(),
+          event: "DECAYED",
+          delivery_state: "ACTIVE",
+          mailbox_id: bounce.mailbox_id,
+          diagnostic: `No failures for ${BOUNCE_DECAY_DAYS} days`,
+        });
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Write a bounce's state, stamping state_changed_at when it changes
+   */
+  async setState(bounceId, state, previousState = null, extra = {}) {
+    const update = { delivery_state: state, ...extra };
+
+    if (state !== previousState) {
+      update.state_changed_at = new Date().toISOString();
+    }
+
+    const { error } = await this.db
+      .from("email_bounces")
+      .update(update)
+      .eq("id", bounceId);
+
+    if (error) throw error;
+  }
+
+  async insertEvent(bounce, event) {
+    const { error } = await this.db.from("email_bounce_events").insert({
+      bounce_id: bounce.id,
+      user_id: bounce.user_id,
+      occurred_at: new Date().toISOString(),
+      ...event,
+    });
+
+    if (error) throw error;
+  }
+}
@@ -0,0 +1,459 @@
+/**
+ * Bulk email/thread actions
+ * Applies one action to many emails or threads in batches and keeps
+ * thread stats in sync for every thread that was touched.
+ */
+
+import {
+  applyEmailFilters,
+  applyThreadFilters,
+  emailColumns,
+  threadColumns,
+} from "../utils/email-filters.js";
+import { ThreadBuilder } from "./email-worker/thread-builder.js";
+import {
+  deleteAttachmentFiles,
+  findAttachmentFiles,
+} from "./storage/attachment-files.js";
+
+export const BULK_ACTIONS = [
+  "read",
+  "unread",
+  "star",
+  "archive",
+  "delete",
+  "label",
+];
+
+// Max items a single bulk request may touch
+export const BULK_MAX_ITEMS = 5000;
+
+// Rows per UPDATE/DELETE round-trip (keeps the `in` list URL-safe)
+const BATCH_SIZE = 100;
+
+// Rows per page when resolving a filter into IDs
+const RESOLVE_PAGE_SIZE = 1000;
+
+// Field changes made by the flag actions
+export const FLAG_ACTION_CHANGES = {
+  read: { is_read: true },
+  unread: { is_read: false },
+  star: { is_starred: true },
+  archive: { is_archived: true },
+};
+
+// flags_dirty queues the change for the worker to push to the IMAP server
+const EMAIL_UPDATES = Object.fromEntries(
+  Object.entries(FLAG_ACTION_CHANGES).map(([action, changes]) => [
+    action,
+    { ...changes, flags_dirty: true },
+  ]),
+);
+
+export class BulkActions {
+  constructor(db) {
+    this.db = db;
+    this.threadBuilder = new ThreadBuilder(db);
+  }
+
+  /**
+   * Split an array into chunks
+   * @param {Array} items
+   * @param {number} size
+   * @returns {Array<Array>}
+   */
+  chunk(items, size = BATCH_SIZE) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+      chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+  }
+
+  /**
+   * Fetch a label owned by the user
+   * @param {string} userId
+   * @param {string} labelId
+   * @returns {Promise<Object|null>}
+   */
+  async loadLabel(userId, labelId) {
+    const { data } = await this.db
+      .from("email_labels")
+      .select("id, mailbox_id")
+      .eq("id", labelId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    return data;
+  }
+
+  /**
+   * Turn a GET /emails style filter into a list of email IDs
+   * @param {string} userId
+   * @param {Object} filter
+   * @returns {Promise<{ ids: Array<string>, truncated: boolean }>}
+   */
+  async resolveEmailIds(userId, filter) {
+    return this.resolveIds(() =>
+      applyEmailFilters(
+        this.db
+          .from("emails")
+          .select(emailColumns("id", filter))
+          .eq("user_id", userId)
+          .order("received_at", { ascending: false }),
+        filter,
+      ),
+    );
+  }
+
+  /**
+   * Turn a GET /threads style filter into a list of thread IDs
+   * @param {string} userId
+   * @param {Object} filter
+   * @returns {Promise<{ ids: Array<string>, truncated: boolean }>}
+   */
+  async resolveThreadIds(userId, filter) {
+    return this.resolveIds(() =>
+      applyThreadFilters(
+        this.db
+          .from("email_threads")
+          .select(threadColumns("id", filter))
+          .eq("user_id", userId)
+          .order("last_message_at", { ascending: false }),
+        filter,
+      ),
+    );
+  }
+
+  async resolveIds(buildQuery) {
+    const ids = [];
+
+    // Fetch one extra row so we can tell the caller the filter was capped
+    while (ids.length <= BULK_MAX_ITEMS) {
+      const { data, error } = await buildQuery().range(
+        ids.length,
+        ids.length + RESOLVE_PAGE_SIZE - 1,
+      );
+
+      if (error) {
+        throw error;
+      }
+
+      ids.push(...data.map((row) => row.id));
+
+      if (data.length < RESOLVE_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    return {
+      ids: ids.slice(0, BULK_MAX_ITEMS),
+      truncated: ids.length > BULK_MAX_ITEMS,
+    };
+  }
+
+  /**
+   * Apply an action to emails
+   * @param {string} userId
+   * @param {Array<string>} emailIds
+   * @param {string} action - One of BULK_ACTIONS
+   * @param {Object} options - { label } for the label action
+   * @returns {Promise<Array<Object>>} Per-item results
+   */
+  async applyToEmails(userId, emailIds, action, options = {}) {
+    const results = [];
+    const affectedThreads = new Set();
+
+    for (const batch of this.chunk(emailIds)) {
+      try {
+        const rows = await this.runEmailBatch(userId, batch, action, options);
+        const rowsById = new Map(rows.map((row) => [row.id, row]));
+
+        for (const id of batch) {
+          const row = rowsById.get(id);
+
+          if (!row) {
+            results.push({ id, success: false, error: "Email not found" });
+          } else if (row.error) {
+            results.push({ id, success: false, error: row.error });
+          } else {
+            results.push({ id, success: true });
+            if (row.thread_id) {
+              affectedThreads.add(row.thread_id);
+            }
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Bulk ${action} batch failed:`, error.message);
+        batch.forEach((id) =>
+          results.push({ id, success: false, error: error.message }),
+        );
+      }
+    }
+
+    await this.refreshThreads(affectedThreads);
+
+    return results;
+  }
+
+  /**
+   * Run one batch of an email action
+   * @returns {Promise<Array<Object>>} Rows touched ({ id, thread_id, error? })
+   */
+  async runEmailBatch(userId, ids, action, options) {
+    if (EMAIL_UPDATES[action]) {
+      const { data, error } = await this.db
+        .from("emails")
+        .update(EMAIL_UPDATES[action])
+        .in("id", ids)
+        .eq("user_id", userId)
+        .select("id, thread_id");
+
+      if (error) throw error;
+      return data;
+    }
+
+    if (action === "delete") {
+      const files = await findAttachmentFiles(this.db, userId, "id", ids);
+
+      const { data, error } = await this.db
+        .from("emails")
+        .delete()
+        .in("id", ids)
+        .eq("user_id", userId)
+        .select("id, thread_id");
+
+      if (error) throw error;
+
+      await deleteAttachmentFiles(files);
+      return data;
+    }
+
+    if (action === "label") {
+      const { data: emails, error } = await this.db
+        .from("emails")
+        .select("id, thread_id, mailbox_id")
+        .in("id", ids)
+        .eq("user_id", userId);
+
+      if (error) throw error;
+
+      const matching = emails.filter(
+        (email) => email.mailbox_id === options.label.mailbox_id,
+      );
+
+      await this.assignLabel(
+        options.label.id,
+        matching.map((email) => email.id),
+      );
+
+      return emails.map((email) =>
+        email.mailbox_id === options.label.mailbox_id
+          ? email
+          : { ...email, error: "Label belongs to a different mailbox" },
+      );
+    }
+
+    throw new Error(`Unsupported bulk action: ${action}`);
+  }
+
+  /**
+   * Apply an action to threads (and every email in them)
+   * @param {string} userId
+   * @param {Array<string>} threadIds
+   * @param {string} action - One of BULK_ACTIONS
+   * @param {Object} options - { label } for the label action
+   * @returns {Promise<Array<Object>>} Per-item results
+   */
+  async applyToThreads(userId, threadIds, action, options = {}) {
+    const results = [];
+    const affectedThreads = new Set();
+
+    for (const batch of this.chunk(threadIds)) {
+      try {
+        const { data: threads, error } = await this.db
+          .from("email_threads")
+          .select("id, mailbox_id")
+          .in("id", batch)
+          .eq("user_id", userId);
+
+        if (error) throw error;
+
+        const owned = new Map(threads.map((thread) => [thread.id, thread]));
+        let targets = threads;
+        const skipped = new Map();
+
+        if (action === "label") {
+          targets = threads.filter(
+            (thread) => thread.mailbox_id === options.label.mailbox_id,
+          );
+          threads
+            .filter((thread) => thread.mailbox_id !== options.label.mailbox_id)
+            .forEach((thread) =>
+              skipped.set(thread.id, "Label belongs to a different mailbox"),
+            );
+        }
+
+        const targetIds = targets.map((thread) => thread.id);
+
+        if (targetIds.length > 0) {
+          await this.runThreadBatch(userId, targetIds, action, options);
+        }
+
+        for (const id of batch) {
+          if (!owned.has(id)) {
+            results.push({ id, success: false, error: "Thread not found" });
+          } else if (skipped.has(id)) {
+            results.push({ id, success: false, error: skipped.get(id) });
+          } else {
+            results.push({ id, success: true });
+            if (action !== "delete") {
+              affectedThreads.add(id);
+            }
+          }
+        }
+      } catch (error) {
+        console.error(`❌ Bulk ${action} batch failed:`, error.message);
+        batch.forEach((id) =>
+          results.push({ id, success: false, error: error.message }),
+        );
+      }
+    }
+
+    await this.refreshThreads(affectedThreads);
+
+    return results;
+  }
+
+  /**
+   * Run one batch of a thread action against threads the user owns
+   */
+  async runThreadBatch(userId, threadIds, action, options) {
+    if (action === "delete") {
+      const files = await findAttachmentFiles(
+        this.db,
+        userId,
+        "thread_id",
+        threadIds,
+      );
+
+      const { error: emailsError } = await this.db
+        .from("emails")
+        .delete()
+        .in("thread_id", threadIds)
+        .eq("user_id", userId);
+
+      if (emailsError) throw emailsError;
+
+      await deleteAttachmentFiles(files);
+
+      const { error } = await this.db
+        .from("email_threads")
+        .delete()
+        .in("id", threadIds)
+        .eq("user_id", userId);
+
+      if (error) throw error;
+      return;
+    }
+
+    if (action === "label") {
+      const { data: emails, error } = await this.db
+        .from("emails")
+        .select("id")
+        .in("thread_id", threadIds)
+        .eq("user_id", userId);
+
+      if (error) throw error;
+
+      await this.assignLabel(
+        options.label.id,
+        emails.map((email) => email.id),
+      );
+      return;
+    }
+
+    const { error: emailsError } = await this.db
+      .from("emails")
+      .update(EMAIL_UPDATES[action])
+      .in("thread_id", threadIds)
+      .eq("user_id", userId);
+
+    if (emailsError) throw emailsError;
+
+    if (action === "archive") {
+      const { error } = await this.db
+        .from("email_threads")
+        .update({ is_archived: true })
+        .in("id", threadIds)
+        .eq("user_id", userId);
+
+      if (error) throw error;
+    }
+  }
+
+  async assignLabel(labelId, emailIds) {
+    for (const batch of this.chunk(emailIds)) {
+      const { error } = await this.db.from("email_label_assignments").upsert(
+        batch.map((emailId) => ({ email_id: emailId, label_id: labelId })),
+        { onConflict: "email_id,label_id", ignoreDuplicates: true },
+      );
+
+      if (error) throw error;
+    }
+  }
+
+  /**
+   * Recompute stats for every thread touched by a bulk action
+   * @param {Set<string>} threadIds
+   */
+  async refreshThreads(threadIds) {
+    for (const threadId of threadIds) {
+      await this.threadBuilder.updateThreadStats(threadId);
+    }
+  }
+}
+
+/**
+ * Validate a bulk request body
+ * @param {Object} body - { action, ids?, filter?, label_id? }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateBulkRequest(body) {
+  const { action, ids, filter, label_id } = body || {};
+
+  if (!BULK_ACTIONS.includes(action)) {
+    return `action must be one of: ${BULK_ACTIONS.join(", ")}`;
+  }
+
+  if ((ids === undefined) === (filter === undefined)) {
+    return "Provide either ids or filter";
+  }
+
+  if (ids !== undefined) {
+    if (
+      !Array.isArray(ids) ||
+      ids.length === 0 ||
+      !ids.every((id) => typeof id === "string")
+    ) {
+      return "ids must be a non-empty array of strings";
+    }
+
+    if (ids.length > BULK_MAX_ITEMS) {
+      return `ids cannot contain more than ${BULK_MAX_ITEMS} items`;
+    }
+  }
+
+  if (
+    filter !== undefined &&
+    (typeof filter !== "object" || filter === null || Array.isArray(filter))
+  ) {
+    return "filter must be an object";
+  }
+
+  if (action === "label" && !label_id) {
+    return "label_id is required for the label action";
+  }
+
+  return null;
+}
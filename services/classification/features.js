@@ -0,0 +1,177 @@
+/**
+ * Classifier features
+ * Turns an email into the string features the per-user model learns from:
+ * sender address and domain, subject tokens, list/bulk headers, recipient
+ * count and body words and bigrams. Each feature counts once per email.
+ *
+ * The model is trained from stored emails (feedback) and applied to parsed
+ * messages (worker), so both are first brought to the stored shape by
+ * featureInput(): the same email gives the same features on either path.
+ */
+
+import { parseAddress, parseAddressList } from "../../utils/addresses.js";
+import { toTextLines } from "../../utils/email-text.js";
+
+// Body text looked at (the start of a message says the most about its kind)
+const MAX_BODY_CHARS = 5000;
+
+// Features per email
+const MAX_FEATURES = 300;
+
+const STOPWORDS = new Set([
+  "the",
+  "and",
+  "for",
+  "you",
+  "your",
+  "are",
+  "with",
+  "this",
+  "that",
+  "from",
+  "have",
+  "has",
+  "was",
+  "will",
+  "our",
+  "not",
+  "but",
+  "can",
+  "all",
+  "any",
+  "its",
+  "it's",
+  "of",
+  "to",
+  "in",
+  "on",
+  "at",
+  "is",
+  "be",
+  "or",
+  "an",
+  "as",
+  "by",
+  "we",
+  "if",
+]);
+
+// Headers whose presence says something about the sender
+const FLAG_HEADERS = [
+  "list-unsubscribe",
+  "list-id",
+  "list-post",
+  "auto-submitted",
+  "feedback-id",
+  "x-campaign",
+  "x-mailer",
+];
+
+/**
+ * Lowercase word tokens; numbers collapse to "#" so order numbers and dates
+ * do not each become a feature
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+  return (
+    String(text || "")
+      .toLowerCase()
+      .match(/[\p{L}\p{N}'$%]+/gu) || []
+  )
+    .map((token) => (/^\d[\d,.]*$/.test(token) ? "#" : token))
+    .filter(
+      (token) =>
+        (token === "#" || token.length >= 2) &&
+        token.length <= 30 &&
+        !STOPWORDS.has(token),
+    );
+}
+
+/**
+ * A header's value; headers are a Map from ImapClient and a plain object
+ * once stored
+ */
+function headerValue(headers, name) {
+  const value =
+    typeof headers?.get === "function" ? headers.get(name) : headers?.[name];
+
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "object") return String(value);
+  return String(value.text ?? value.value ?? "");
+}
+
+/**
+ * An email in the stored shape features are read from
+ * @param {Object} email - A parsed message (from, to, subject, body, headers)
+ *   or a stored email (from_address, to_addresses, subject, headers, plus
+ *   body_text from email_bodies). Stored fields win when both are present
+ * @returns {{ from_address: string, to_addresses: Array<string>,
+ *   subject: string, headers: Object, body_text: string }}
+ */
+export function featureInput(email) {
+  const headers = {};
+  for (const name of [...FLAG_HEADERS, "precedence"]) {
+    const value = headerValue(email.headers, name);
+    if (value !== null) headers[name] = value;
+  }
+
+  return {
+    from_address: (
+      email.from_address ?? parseAddress(email.from).address
+    ).toLowerCase(),
+    to_addresses: parseAddressList(email.to_addresses ?? email.to).map(
+      ({ address }) => address,
+    ),
+    subject: email.subject || "",
+    headers,
+    // What storeBody() keeps of a parsed message's body
+    body_text: email.body_text ?? toTextLines(email.body),
+  };
+}
+
+/**
+ * Features of an email
+ * @param {Object} email - Parsed message or stored email (see featureInput)
+ * @returns {Array<string>}
+ */
+export function extractFeatures(email) {
+  const input = featureInput(email);
+  const features = new Set();
+  const address = input.from_address;
+
+  if (address) {
+    const [localpart, domain] = address.split("@");
+    features.add(`from:${address}`);
+    if (domain) features.add(`domain:${domain}`);
+    for (const token of tokenize(localpart.replace(/[._+-]/g, " "))) {
+      features.add(`local:${token}`);
+    }
+  }
+
+  for (const token of tokenize(input.subject)) {
+    features.add(`subject:${token}`);
+  }
+
+  for (const name of FLAG_HEADERS) {
+    if (name in input.headers) features.add(`header:${name}`);
+  }
+
+  const precedence = input.headers.precedence;
+  if (precedence) features.add(`precedence:${precedence.trim().toLowerCase()}`);
+
+  const recipients = input.to_addresses.length;
+  features.add(`recipients:${recipients > 1 ? "many" : recipients}`);
+
+  const body = input.body_text.slice(0, MAX_BODY_CHARS);
+  const links = (body.match(/https?:\/\//g) || []).length;
+  features.add(`links:${links === 0 ? 0 : links <= 5 ? "few" : "many"}`);
+
+  const words = tokenize(body);
+  for (let i = 0; i < words.length && features.size < MAX_FEATURES; i++) {
+    features.add(`body:${words[i]}`);
+    if (i > 0) features.add(`body:${words[i - 1]}_${words[i]}`);
+  }
+
+  return [...features].slice(0, MAX_FEATURES);
+}
@@ -0,0 +1,125 @@
+/**
+ * Multinomial naive Bayes over email features
+ * Trained per user from category feedback. Probabilities use Laplace
+ * smoothing, and categories with no examples yet keep a share of the prior,
+ * so a model trained on two categories does not rule out the others.
+ *
+ * The posteriors are the model's own: features are treated as independent,
+ * so on a long email they get close to 0 or 1. They rank categories well
+ * but are not calibrated probabilities (see ClassifierPipeline).
+ */
+
+// Features kept per model, most frequent first (bounds the stored JSON)
+const MAX_MODEL_FEATURES = 5000;
+
+export class NaiveBayesModel {
+  /**
+   * @param {Object} state - As returned by toJSON()
+   * @param {Object} state.classes - category -> examples
+   * @param {Object} state.counts - category -> { feature: examples with it }
+   * @param {Object} state.totals - category -> sum of its feature counts
+   * @param {number} state.vocabulary - Distinct features kept
+   */
+  constructor({ classes = {}, counts = {}, totals = {}, vocabulary = 0 } = {}) {
+    this.classes = classes;
+    this.counts = counts;
+    this.totals = totals;
+    this.vocabulary = vocabulary;
+  }
+
+  /**
+   * Train from labelled examples
+   * @param {Array<{ category: string, features: Array<string> }>} examples
+   * @returns {NaiveBayesModel}
+   */
+  static train(examples) {
+    const classes = {};
+    const frequency = new Map();
+
+    for (const { category, features } of examples) {
+      classes[category] = (classes[category] || 0) + 1;
+      for (const feature of new Set(features)) {
+        frequency.set(feature, (frequency.get(feature) || 0) + 1);
+      }
+    }
+
+    const kept = new Set(
+      [...frequency.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_MODEL_FEATURES)
+        .map(([feature]) => feature),
+    );
+
+    const counts = {};
+    const totals = {};
+
+    for (const { category, features } of examples) {
+      counts[category] ||= {};
+      totals[category] ||= 0;
+
+      for (const feature of new Set(features)) {
+        if (!kept.has(feature)) continue;
+        counts[category][feature] = (counts[category][feature] || 0) + 1;
+        totals[category]++;
+      }
+    }
+
+    return new NaiveBayesModel({
+      classes,
+      counts,
+      totals,
+      vocabulary: kept.size,
+    });
+  }
+
+  get exampleCount() {
+    return Object.values(this.classes).reduce((sum, n) => sum + n, 0);
+  }
+
+  /**
+   * Posterior probability of each category
+   * @param {Array<string>} features
+   * @param {Array<string>} categories - Categories to score
+   * @returns {Object} category -> probability (sums to 1)
+   */
+  predict(features, categories) {
+    const known = [...new Set(features)].filter((feature) =>
+      Object.values(this.counts).some((counts) => feature in counts),
+    );
+    const total = this.exampleCount;
+    const vocabulary = Math.max(this.vocabulary, 1);
+
+    const logScores = categories.map((category) => {
+      const prior = Math.log(
+        ((this.classes[category] || 0) + 1) / (total + categories.length),
+      );
+      const counts = this.counts[category] || {};
+      const denominator = (this.totals[category] || 0) + vocabulary;
+
+      let likelihood = 0;
+      for (const feature of known) {
+        likelihood += Math.log(((counts[feature] || 0) + 1) / denominator);
+      }
+
+      return prior + likelihood;
+    });
+
+    // Softmax in log space
+    const max = Math.max(...logScores);
+    const exp = logScores.map((score) => Math.exp(score - max));
+    const sum = exp.reduce((a, b) => a + b, 0);
+
+    return Object.fromEntries(
+      categories.map((category, i) => [category, exp[i] / sum]),
+    );
+  }
+
+  toJSON() {
+    return {
+      classes: this.classes,
+      counts: this.counts,
+      totals: this.totals,
+      vocabulary: this.vocabulary,
+    };
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * Classifier pipeline
+ * Runs the rule-based EmailClassifier, then lets each stage (by default the
+ * user's trained naive Bayes model) vote. The rules cast a vote of
+ * 1 - weight for their category and a stage its probability distribution
+ * times its weight. The model's weight is examples / (examples + 25), so it
+ * can only outvote the rules once it has more than 25 feedback examples, and
+ * then only when it is confident in another category. When the rules have no
+ * opinion (UNKNOWN) the model decides alone.
+ *
+ * For ENSEMBLE results, probabilities are these vote shares and confidence is
+ * the winner's share: how strongly the voters agree, not a calibrated
+ * probability of being right. RULES results keep the rule's fixed confidence.
+ * Auto-replies and bounces are detected from message structure and are not
+ * overridden.
+ */
+
+import { EmailClassifier } from "../email-worker/classifier.js";
+import { extractFeatures } from "./features.js";
+import { NaiveBayesModel } from "./naive-bayes.js";
+
+// Categories the model learns and the ensemble scores
+export const LEARNABLE_CATEGORIES = [
+  "TRANSACTIONAL",
+  "NOTIFICATION",
+  "MARKETING",
+  "NEWSLETTER",
+  "HUMAN",
+];
+
+// Rule results the ensemble leaves alone: they drive bounce and
+// auto-reply processing
+const DEFINITIVE_CATEGORIES = ["AUTO_REPLY", "BOUNCE"];
+
+// Categories a user can give an email (UNKNOWN is the absence of one)
+export const FEEDBACK_CATEGORIES = [
+  ...LEARNABLE_CATEGORIES,
+  ...DEFINITIVE_CATEGORIES,
+];
+
+// Feedback examples at which the model's vote weighs as much as the rules
+const MODEL_HALF_WEIGHT_EXAMPLES = 25;
+
+// How long a loaded model is used before checking for a newer one
+const MODEL_CACHE_MS = 5 * 60 * 1000;
+
+/**
+ * The rules' vote: all of it on their category, or null for no opinion
+ */
+function ruleVote({ category }) {
+  if (!LEARNABLE_CATEGORIES.includes(category)) return null;
+
+  return Object.fromEntries(
+    LEARNABLE_CATEGORIES.map((name) => [name, name === category ? 1 : 0]),
+  );
+}
+
+function round(probability) {
+  return Math.round(probability * 100) / 100;
+}
+
+/**
+ * The user's trained model as a pipeline stage
+ */
+export class UserModelStage {
+  constructor(db) {
+    this.db = db;
+    // user_id -> { model, trained_at, loaded_at }
+    this.cache = new Map();
+  }
+
+  /**
+   * @returns {Promise<NaiveBayesModel|null>}
+   */
+  async loadModel(userId) {
+    const cached = this.cache.get(userId);
+    if (cached && Date.now() - cached.loaded_at < MODEL_CACHE_MS) {
+      return cached.model;
+    }
+
+    const { data, error } = await this.db
+      .from("classifier_models")
+      .select("model, trained_at")
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    const model =
+      data?.model && cached?.trained_at === data.trained_at
+        ? cached.model
+        : data?.model
+          ? new NaiveBayesModel(data.model)
+          : null;
+
+    this.cache.set(userId, {
+      model,
+      trained_at: data?.trained_at ?? null,
+      loaded_at: Date.now(),
+    });
+    return model;
+  }
+
+  /**
+   * @returns {Promise<{ probabilities: Object, weight: number }|null>}
+   */
+  async vote(userId, features) {
+    const model = await this.loadModel(userId);
+    if (!model || model.exampleCount === 0) return null;
+
+    const examples = model.exampleCount;
+    return {
+      probabilities: model.predict(features, LEARNABLE_CATEGORIES),
+      weight: examples / (examples + MODEL_HALF_WEIGHT_EXAMPLES),
+    };
+  }
+}
+
+export class ClassifierPipeline {
+  /**
+   * @param {Object} db - Supabase client
+   * @param {Array<Object>} stages - Objects with vote(userId, features)
+   *   returning { probabilities, weight } (weight 0-1) or null to abstain.
+   *   Defaults to the user's trained model
+   */
+  constructor(db, stages = null) {
+    this.rules = new EmailClassifier();
+    this.stages = stages || [new UserModelStage(db)];
+  }
+
+  /**
+   * Classify an email for a user
+   * @param {Object} email - Parsed message (from, to, subject, body, headers);
+   *   stored-email fields alongside are used for the features
+   * @param {string} userId
+   * @returns {Promise<Object>} { category, confidence, probabilities, source,
+   *   autoReply? }. source is RULES, or ENSEMBLE once a stage voted
+   */
+  async classify(email, userId) {
+    const ruled = this.rules.classify(email);
+
+    if (DEFINITIVE_CATEGORIES.includes(ruled.category)) {
+      return {
+        ...ruled,
+        probabilities: { [ruled.category]: ruled.confidence },
+        source: "RULES",
+      };
+    }
+
+    let probabilities = ruleVote(ruled);
+    let source = "RULES";
+    const features = extractFeatures(email);
+
+    for (const stage of this.stages) {
+      let vote = null;
+      try {
+        vote = await stage.vote(userId, features);
+      } catch (error) {
+        console.error("❌ Classifier stage failed:", error.message);
+      }
+      if (!vote) continue;
+
+      probabilities = Object.fromEntries(
+        LEARNABLE_CATEGORIES.map((category) => [
+          category,
+          probabilities
+            ? (1 - vote.weight) * probabilities[category] +
+              vote.weight * (vote.probabilities[category] || 0)
+            : vote.probabilities[category] || 0,
+        ]),
+      );
+      source = "ENSEMBLE";
+    }
+
+    // Nobody voted: the rule result as it is (UNKNOWN for no opinion)
+    if (source === "RULES") {
+      return {
+        ...ruled,
+        probabilities:
+          ruled.category === "UNKNOWN"
+            ? {}
+            : { [ruled.category]: ruled.confidence },
+        source,
+      };
+    }
+
+    const [category, confidence] = Object.entries(probabilities).sort(
+      (a, b) => b[1] - a[1],
+    )[0];
+
+    return {
+      category,
+      confidence: round(confidence),
+      probabilities: Object.fromEntries(
+        Object.entries(probabilities).map(([name, p]) => [name, round(p)]),
+      ),
+      source,
+    };
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Classifier trainer
+ * Retrains a user's naive Bayes model from their category feedback. Runs in
+ * the worker: PUT /emails/:id/category only marks the model as needing
+ * training, and the next sweep rebuilds it from all of the user's feedback.
+ */
+
+import { NaiveBayesModel } from "./naive-bayes.js";
+import { LEARNABLE_CATEGORIES } from "./pipeline.js";
+
+const TRAIN_INTERVAL_MS =
+  parseInt(process.env.CLASSIFIER_TRAIN_INTERVAL_MS) || 300000;
+
+// Users retrained per sweep
+const TRAIN_BATCH_SIZE = 20;
+
+// Feedback rows per page when loading a user's examples
+const FEEDBACK_PAGE_SIZE = 1000;
+
+export class ClassifierTrainer {
+  constructor(db) {
+    this.db = db;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Run train() every CLASSIFIER_TRAIN_INTERVAL_MS
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.train(), TRAIN_INTERVAL_MS);
+    console.log(
+      `🧠 Classifier training started (every ${Math.round(TRAIN_INTERVAL_MS / 1000)}s)`,
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Retrain every model that has new feedback
+   * @returns {Promise<number>} Models trained
+   */
+  async train() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let trained = 0;
+
+    try {
+      const { data: pending, error } = await this.db
+        .from("classifier_models")
+        .select("user_id")
+        .eq("needs_training", true)
+        .limit(TRAIN_BATCH_SIZE);
+
+      if (error) throw error;
+
+      for (const { user_id } of pending) {
+        try {
+          await this.trainUser(user_id);
+          trained++;
+        } catch (error) {
+          console.error(
+            `❌ Error training classifier for ${user_id}:`,
+            error.message,
+          );
+        }
+      }
+    } catch (error) {
+      console.error("❌ Error in classifier training:", error.message);
+    } finally {
+      this.running = false;
+    }
+
+    return trained;
+  }
+
+  /**
+   * Rebuild one user's model from all of their feedback
+   * @param {string} userId
+   * @returns {Promise<NaiveBayesModel>}
+   */
+  async trainUser(userId) {
+    const startedAt = new Date().toISOString();
+    const examples = await this.loadExamples(userId);
+    const model = NaiveBayesModel.train(examples);
+
+    const { error } = await this.db
+      .from("classifier_models")
+      .update({
+        model: model.toJSON(),
+        example_count: model.exampleCount,
+        class_counts: model.classes,
+        trained_at: startedAt,
+      })
+      .eq("user_id", userId);
+
+    if (error) throw error;
+
+    // Feedback given while training keeps the model queued
+    const { error: doneError } = await this.db
+      .from("classifier_models")
+      .update({ needs_training: false })
+      .eq("user_id", userId)
+      .lte("stale_at", startedAt);
+
+    if (doneError) throw doneError;
+
+    console.log(
+      `🧠 Trained classifier for ${userId} on ${model.exampleCount} example(s)`,
+    );
+    return model;
+  }
+
+  /**
+   * @returns {Promise<Array<{ category: string, features: Array<string> }>>}
+   */
+  async loadExamples(userId) {
+    const examples = [];
+
+    for (let offset = 0; ; offset += FEEDBACK_PAGE_SIZE) {
+      const { data, error } = await this.db
+        .from("email_category_feedback")
+        .select("category, features")
+        .eq("user_id", userId)
+        .in("category", LEARNABLE_CATEGORIES)
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true })
+        .range(offset, offset + FEEDBACK_PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      examples.push(...data);
+      if (data.length < FEEDBACK_PAGE_SIZE) return examples;
+    }
+  }
+}
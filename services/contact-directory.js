@@ -0,0 +1,154 @@
+/**
+ * Contact directory
+ * Builds each user's contacts from the addresses of stored emails: the
+ * sender of inbound mail and the recipients of outbound mail count as
+ * messages in that direction, and everyone else on an email (co-recipients)
+ * is only marked as seen. Counters are kept by the record_contact_activity
+ * function so concurrent workers do not lose updates. Aliases merged into a
+ * contact (merge()) keep counting for it.
+ */
+
+import { parseAddressList } from "../utils/addresses.js";
+
+export const CONTACT_COLUMNS =
+  "id, email, name, first_seen_at, last_seen_at, inbound_count, outbound_count, category_counts, dominant_category, bounce_count, last_bounced_at, is_vip, is_blocked, created_at, updated_at";
+
+export class ContactDirectory {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Per-address entries for one email, without the mailbox's own address
+   * @param {Object} mailbox - { email_address }
+   * @param {Object} email - Stored email (direction, from_address, from_name,
+   *   to_addresses, cc_addresses)
+   * @returns {Array<{ email, name, inbound, outbound }>}
+   */
+  entriesFor(mailbox, email) {
+    const own = (mailbox.email_address || "").toLowerCase();
+    const entries = new Map();
+
+    const add = (address, name, direction) => {
+      if (!address || address === own) return;
+
+      const entry = entries.get(address) || {
+        email: address,
+        name: name || null,
+        inbound: 0,
+        outbound: 0,
+      };
+      entry.name ||= name || null;
+      if (direction) entry[direction] = 1;
+      entries.set(address, entry);
+    };
+
+    const inbound = email.direction !== "OUTBOUND";
+
+    if (inbound) {
+      const [sender] = parseAddressList(email.from_address);
+      add(sender?.address, email.from_name, "inbound");
+    }
+
+    for (const { address, name } of parseAddressList([
+      ...[email.to_addresses ?? []].flat(),
+      ...[email.cc_addresses ?? []].flat(),
+    ])) {
+      add(address, name, inbound ? null : "outbound");
+    }
+
+    return [...entries.values()];
+  }
+
+  /**
+   * Count a stored email towards its contacts
+   * @param {Object} mailbox - { user_id, email_address }
+   * @param {Object} email - Stored email (direction, category, from_address,
+   *   from_name, to_addresses, cc_addresses, received_at)
+   * @returns {Promise<Array<{ email, contact_id, is_vip, is_blocked }>>}
+   */
+  async recordEmail(mailbox, email) {
+    // Delivery reports are from mailer daemons, not people
+    if (email.category === "BOUNCE") return [];
+
+    const entries = this.entriesFor(mailbox, email);
+    if (entries.length === 0) return [];
+
+    const { data, error } = await this.db.rpc("record_contact_activity", {
+      p_user_id: mailbox.user_id,
+      p_entries: entries,
+      p_category: email.direction === "OUTBOUND" ? null : email.category,
+      p_seen_at: email.received_at || new Date().toISOString(),
+    });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Count a bounce of mail sent to an address against its contact
+   */
+  async recordBounce(userId, address, bouncedAt = new Date().toISOString()) {
+    const { error } = await this.db.rpc("record_contact_bounce", {
+      p_user_id: userId,
+      p_email: address,
+      p_bounced_at: bouncedAt,
+    });
+
+    if (error) throw error;
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The user's contact
+   */
+  async get(userId, contactId) {
+    const { data, error } = await this.db
+      .from("contacts")
+      .select(CONTACT_COLUMNS)
+      .eq("id", contactId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Addresses of a contact, primary first
+   * @returns {Promise<Array<string>>}
+   */
+  async addresses(contact) {
+    const { data, error } = await this.db
+      .from("contact_addresses")
+      .select("email")
+      .eq("contact_id", contact.id)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+
+    return [
+      contact.email,
+      ...data
+        .map((row) => row.email)
+        .filter((email) => email !== contact.email),
+    ];
+  }
+
+  /**
+   * Merge contacts into another one (aliases of the same person)
+   * @param {string} userId
+   * @param {string} targetId - Contact that remains
+   * @param {Array<string>} sourceIds - Contacts merged into it and deleted
+   * @returns {Promise<Object>} The merged contact
+   */
+  async merge(userId, targetId, sourceIds) {
+    const { error } = await this.db.rpc("merge_contacts", {
+      p_user_id: userId,
+      p_target_id: targetId,
+      p_source_ids: sourceIds,
+    });
+
+    if (error) throw error;
+    return this.get(userId, targetId);
+  }
+}
@@ -0,0 +1,371 @@
+/**
+ * Auto-reply Detector
+ * Recognizes vacation responders, "no longer with the company" replies and
+ * other automatic answers by their RFC 3834 / vendor headers or subject, tells
+ * them apart by common phrasing in English, German, French, Spanish, Italian,
+ * Portuguese and Dutch, and reads the return date and alternate contact they
+ * give.
+ */
+
+import { isDeliveryReport } from "./dsn-parser.js";
+
+export const AUTO_REPLY_TYPES = ["OUT_OF_OFFICE", "LEFT_COMPANY", "AUTO_REPLY"];
+
+const ADDRESS = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+// Delivery reports carry Auto-Submitted too; those stay bounces
+const DAEMON_SENDERS = /(?:mailer-?daemon|mail-daemon|postmaster)@/i;
+
+// Subject prefixes mail clients put on automatic replies
+const SUBJECT_PATTERNS = [
+  /^(?:automatic reply|auto(?:matic)?[ -]?(?:reply|response)|autoreply|out of (?:the )?office|ooo)\b/i,
+  /^auto:/i,
+  /^(?:abwesenheitsnotiz|automatische antwort|abwesend)\b/i,
+  /^(?:réponse automatique|absence du bureau|absent)\b/i,
+  /^(?:respuesta automática|fuera de la oficina)\b/i,
+  /^(?:risposta automatica|fuori ufficio)\b/i,
+  /^(?:resposta automática|fora do escritório|ausência)\b/i,
+  /^(?:automatisch antwoord|afwezig)\b/i,
+];
+
+// Checked against the reply's own text (quoted original removed), in
+// order: a departure notice can also say the person is "not in the office"
+const PHRASES = {
+  LEFT_COMPANY: [
+    [
+      "en",
+      /\bno longer (?:with|at|employed|working|part of)\b|\bha(?:s|ve) left (?:the company|the organi[sz]ation|[a-z]+ (?:company|team))|\bthis (?:mailbox|address|email address) is no longer (?:monitored|in use|active)/i,
+    ],
+    [
+      "de",
+      /nicht mehr (?:bei|im unternehmen|für|in unserem|tätig|erreichbar unter)|hat (?:das unternehmen|unser unternehmen|uns) verlassen/i,
+    ],
+    [
+      "fr",
+      /ne fait plus partie|ne travaille plus|a quitté (?:la société|l'entreprise|notre)/i,
+    ],
+    [
+      "es",
+      /ya no (?:trabaja|forma parte|está en)|ha dejado (?:la empresa|de trabajar)/i,
+    ],
+    ["it", /non (?:lavora|fa) più|ha lasciato (?:l'azienda|la società)/i],
+    [
+      "pt",
+      /não (?:trabalha|faz parte) mais|já não (?:trabalha|faz parte)|deixou a empresa/i,
+    ],
+    [
+      "nl",
+      /niet meer (?:werkzaam|in dienst)|heeft (?:het bedrijf|ons) verlaten/i,
+    ],
+  ],
+  OUT_OF_OFFICE: [
+    [
+      "en",
+      /\bout of (?:the )?office\b|\b(?:i am|i'm|i will be) (?:currently )?(?:away|on (?:annual |parental |maternity |paternity |sick )?(?:leave|vacation|holiday)|travel(?:l)?ing|off)\b|\blimited access to (?:my )?e-?mail\b|\baway from (?:the|my) (?:office|desk)\b/i,
+    ],
+    ["de", /\babwesen(?:d|heit)|nicht im büro|\bim urlaub\b|außer haus/i],
+    [
+      "fr",
+      /\babsente? (?:du bureau|jusqu)|\ben (?:congés?|vacances)|hors du bureau/i,
+    ],
+    ["es", /fuera de la oficina|\bde vacaciones\b|\bausente\b/i],
+    ["it", /fuori (?:ufficio|sede)|\bin ferie\b|\bassente\b/i],
+    ["pt", /fora do escritório|\bde férias\b|\bausente\b/i],
+    ["nl", /\bafwezig\b|niet op kantoor|met vakantie|\bmet verlof\b/i],
+  ],
+};
+
+// Text after which a return date follows
+const RETURN_CUES =
+  /\b(?:back|return(?:ing|s)?|in the office|available)(?: to (?:the office|work))?(?: on| by| from)?|\buntil|\btill|\bthrough|\bbis(?: (?:zum|einschließlich|einschl\.))?|\b(?:zurück|wieder)(?: im büro)?(?: am| ab)?|\bab dem|jusqu'(?:au|à)|de retour(?: le)?|à partir du|\bhasta(?: el)?|\bregres(?:o|aré|ar)(?: el)?|\bvolveré(?: el)?|a partir del|\bfino al|\brientr(?:o|erò)(?: il)?|\baté(?: (?:o )?dia)?|\bregresso(?: a| em)?|\btot en met|\bterug(?: op)?|\bvanaf/gi;
+
+// Text after which a colleague's address follows
+const CONTACT_CUES =
+  /\bcontact|\breach(?: out to)?|\bget in touch with|\b(?:please )?(?:e-?mail|write to)|\bforward(?:ed)? to|kontaktieren|wenden sie sich (?:bitte )?an|\berreichen|contactez|\bcontacter|écrire à|\bcontacte|\bcontactar|póngase en contacto|escriba a|\bcontattar[ei]|rivolgersi a|\bscrivere a|entre em contato|neem contact op|contact opnemen/gi;
+
+const MONTHS = {
+  1: [
+    "january",
+    "jan",
+    "januar",
+    "janvier",
+    "enero",
+    "gennaio",
+    "janeiro",
+    "januari",
+    "jänner",
+  ],
+  2: [
+    "february",
+    "feb",
+    "februar",
+    "février",
+    "febrero",
+    "febbraio",
+    "fevereiro",
+    "februari",
+  ],
+  3: ["march", "mar", "märz", "maerz", "mars", "marzo", "março", "maart"],
+  4: ["april", "apr", "avril", "abril", "aprile"],
+  5: ["may", "mai", "mayo", "maggio", "maio", "mei"],
+  6: ["june", "jun", "juni", "juin", "junio", "giugno", "junho"],
+  7: ["july", "jul", "juli", "juillet", "julio", "luglio", "julho"],
+  8: ["august", "aug", "août", "agosto", "augustus"],
+  9: [
+    "september",
+    "sep",
+    "sept",
+    "septembre",
+    "septiembre",
+    "setiembre",
+    "settembre",
+    "setembro",
+  ],
+  10: [
+    "october",
+    "oct",
+    "oktober",
+    "octobre",
+    "octubre",
+    "ottobre",
+    "outubro",
+    "okt",
+  ],
+  11: ["november", "nov", "novembre", "noviembre", "novembro"],
+  12: [
+    "december",
+    "dec",
+    "dezember",
+    "décembre",
+    "diciembre",
+    "dicembre",
+    "dezembro",
+    "dez",
+  ],
+};
+
+const MONTH_NUMBERS = new Map(
+  Object.entries(MONTHS).flatMap(([month, names]) =>
+    names.map((name) => [name, Number(month)]),
+  ),
+);
+
+const MONTH_NAME = [...MONTH_NUMBERS.keys()]
+  .sort((a, b) => b.length - a.length)
+  .join("|");
+
+// Tried in order on the text right after a return cue
+const DATE_PATTERNS = [
+  // 2026-10-26
+  [/^\D{0,30}?(\d{4})-(\d{1,2})-(\d{1,2})\b/, (m) => [m[1], m[2], m[3]]],
+  // 26.10.2026 / 26.10.
+  [/^\D{0,30}?\b(\d{1,2})\.(\d{1,2})\.(\d{2,4})?/, (m) => [m[3], m[2], m[1]]],
+  // 10/26/2026 or 26/10/2026 (order decided by language)
+  [
+    /^\D{0,30}?\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/,
+    (m, language) => {
+      const first = Number(m[1]);
+      const second = Number(m[2]);
+      const monthFirst = second > 12 || (first <= 12 && language === "en");
+      return monthFirst ? [m[3], m[1], m[2]] : [m[3], m[2], m[1]];
+    },
+  ],
+  // October 26, 2026 / Oct 26th
+  [
+    new RegExp(
+      `^[^\\d]{0,30}?\\b(${MONTH_NAME})\\.? (\\d{1,2})(?:st|nd|rd|th)?\\b(?:,? (\\d{4}))?`,
+      "i",
+    ),
+    (m) => [m[3], MONTH_NUMBERS.get(m[1].toLowerCase()), m[2]],
+  ],
+  // 26 October 2026 / 26. Oktober / 26 de octubre de 2026 / 1er novembre
+  [
+    new RegExp(
+      `^[^\\d]{0,30}?\\b(\\d{1,2})(?:st|nd|rd|th|er|º|\\.)? (?:de |of )?(${MONTH_NAME})\\.?\\b(?:,? (?:de )?(\\d{4}))?`,
+      "i",
+    ),
+    (m) => [m[3], MONTH_NUMBERS.get(m[2].toLowerCase()), m[1]],
+  ],
+];
+
+export class AutoReplyDetector {
+  /**
+   * Whether a message is an automatic reply
+   * @param {Object} email - Message from ImapClient (from, subject, body, headers)
+   * @returns {boolean}
+   */
+  isAutoReply(email) {
+    return this.detect(email) !== null;
+  }
+
+  /**
+   * Detect an automatic reply and read what it says
+   * @param {Object} email - Message from ImapClient (from, subject, body, headers)
+   * @returns {Object|null} { type, returnDate, alternateContact, language }
+   *   (returnDate as YYYY-MM-DD), or null for anything else
+   */
+  detect(email) {
+    if (
+      isDeliveryReport(email.contentType) ||
+      DAEMON_SENDERS.test(email.from || "")
+    ) {
+      return null;
+    }
+
+    const text = this.ownText(email.body);
+    const phrase = this.matchPhrase(text.slice(0, 1000));
+    const flagged = this.hasAutoReplyHeaders(email);
+    const subjectMatch = SUBJECT_PATTERNS.some((pattern) =>
+      pattern.test((email.subject || "").trim()),
+    );
+
+    // Phrasing is only supporting evidence (it picks the type): people write
+    // "I am out of office today" too. A reply needs a header or subject that
+    // marks it as automatic
+    if (!flagged && !subjectMatch) {
+      return null;
+    }
+
+    const language = phrase?.language || "en";
+
+    return {
+      type: phrase?.type || "AUTO_REPLY",
+      returnDate:
+        phrase?.type === "OUT_OF_OFFICE"
+          ? this.extractReturnDate(
+              text,
+              language,
+              email.receivedDate || email.receivedAt,
+            )
+          : null,
+      alternateContact: this.extractAlternateContact(text, email),
+      language: phrase?.language || null,
+    };
+  }
+
+  /**
+   * RFC 3834 Auto-Submitted and the vendor headers older responders use
+   */
+  hasAutoReplyHeaders(email) {
+    const autoSubmitted = this.header(email, "auto-submitted").toLowerCase();
+    const precedence = this.header(email, "precedence").toLowerCase();
+
+    return (
+      autoSubmitted === "auto-replied" ||
+      precedence === "auto_reply" ||
+      this.header(email, "x-autoreply").toLowerCase() === "yes" ||
+      this.header(email, "x-autorespond") !== ""
+    );
+  }
+
+  /**
+   * Header value as a string; headers are a Map from ImapClient and a plain
+   * object once stored
+   */
+  header(email, name) {
+    const headers = email.headers;
+    const value =
+      typeof headers?.get === "function" ? headers.get(name) : headers?.[name];
+
+    if (value === undefined || value === null) return "";
+    return String(value.value ?? value).trim();
+  }
+
+  /**
+   * Reply text without the quoted original message
+   */
+  ownText(body) {
+    const text = (body || "").replace(/\r\n?/g, "\n");
+    const cut = text.search(
+      /^(?:-{2,} ?(?:original message|ursprüngliche nachricht|message d'origine|mensaje original|messaggio originale|mensagem original|oorspronkelijk bericht) ?-{2,}|on .+ wrote:|am .+ schrieb .+:|le .+ a écrit :|el .+ escribió:|>)/im,
+    );
+
+    return cut === -1 ? text : text.slice(0, cut);
+  }
+
+  matchPhrase(text) {
+    for (const [type, phrases] of Object.entries(PHRASES)) {
+      for (const [language, pattern] of phrases) {
+        if (pattern.test(text)) return { type, language };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * First date after a "back on" / "until" style cue
+   * @param {string} text
+   * @param {string} language - Decides 10/11 vs 11/10 when both could be valid
+   * @param {Date|string} receivedDate - Year for dates given without one
+   * @returns {string|null} YYYY-MM-DD
+   */
+  extractReturnDate(text, language, receivedDate) {
+    const received = receivedDate ? new Date(receivedDate) : new Date();
+    const flat = text.replace(/\s+/g, " ");
+
+    for (const cue of flat.matchAll(RETURN_CUES)) {
+      const window = flat.slice(
+        cue.index + cue[0].length,
+        cue.index + cue[0].length + 60,
+      );
+
+      for (const [pattern, parts] of DATE_PATTERNS) {
+        const match = window.match(pattern);
+        if (!match) continue;
+
+        const date = this.toDate(parts(match, language), received);
+        if (date) return date;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * [year?, month, day] to YYYY-MM-DD; a missing year is the next
+   * occurrence of that day from the reply's date
+   */
+  toDate([year, month, day], received) {
+    const m = Number(month);
+    const d = Number(day);
+    if (!m || m > 12 || !d || d > 31) return null;
+
+    let y = year ? Number(year) : received.getUTCFullYear();
+    if (y < 100) y += 2000;
+
+    let date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCDate() !== d) return null;
+
+    const dayBefore = received.getTime() - 24 * 60 * 60 * 1000;
+    if (!year && date.getTime() < dayBefore) {
+      date = new Date(Date.UTC(y + 1, m - 1, d));
+    }
+
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Address given after a "please contact" style cue, other than the
+   * sender's own and the original recipients'
+   * @returns {string|null}
+   */
+  extractAlternateContact(text, email) {
+    const own = new Set(
+      [email.from, email.to].flat().join(" ").toLowerCase().match(ADDRESS) ||
+        [],
+    );
+    const flat = text.replace(/\s+/g, " ");
+
+    for (const cue of flat.matchAll(CONTACT_CUES)) {
+      const window = flat.slice(cue.index, cue.index + 200);
+      const address = (window.match(ADDRESS) || [])
+        .map((candidate) => candidate.toLowerCase().replace(/\.$/, ""))
+        .find((candidate) => !own.has(candidate));
+
+      if (address) return address;
+    }
+
+    return null;
+  }
+}
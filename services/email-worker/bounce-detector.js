@@ -1,3 +1,20 @@
+import { AutoReplyDetector } from "./auto-reply-detector.js";
+import {
+  DELIVERY_STATUS_TYPES,
+  isDeliveryReport,
+  parseDeliveryStatus,
+} from "./dsn-parser.js";
+import {
+  bounceTypeForCategory,
+  classifyBounceCategory,
+} from "./bounce-taxonomy.js";
+import { findFingerprint } from "./bounce-fingerprints/index.js";
+
+// DSN actions that mean the message did not reach the recipient
+const FAILED_ACTIONS = ["failed", "delayed"];
+
+const NO_DIAGNOSTIC = "No diagnostic information available";
+
 export class BounceDetector {
   constructor() {
     this.bounceIndicators = {
@@ -26,12 +43,13 @@ export class BounceDetector {
 
     this.hardBounceCodes = ["550", "551", "552", "553", "554"];
     this.softBounceCodes = ["450", "451", "452", "453"];
+
+    this.autoReplyDetector = new AutoReplyDetector();
   }
 
   isBounceMessage(email) {
     const from = email.from?.toLowerCase() || "";
     const subject = email.subject?.toLowerCase() || "";
-    const headers = email.headers || new Map();
 
     // Check From address
     const fromMatch = this.bounceIndicators.fromPatterns.some((pattern) =>
@@ -44,14 +62,198 @@ export class BounceDetector {
     );
 
     // Check Content-Type for delivery status
-    const contentType = headers.get("content-type") || "";
-    const isDeliveryStatus =
-      /multipart\/report.*report-type=delivery-status/i.test(contentType);
+    const isDeliveryStatus = isDeliveryReport(email.contentType);
+    if (isDeliveryStatus) return true;
+
+    // "Automatic reply: Payment failure" is an out-of-office, not a bounce
+    if (this.autoReplyDetector.isAutoReply(email)) return false;
 
-    return fromMatch || subjectMatch || isDeliveryStatus;
+    return fromMatch || subjectMatch;
   }
 
+  /**
+   * Parse a bounce into its failed recipients
+   * Reads the RFC 3464 delivery-status part when there is one, then the
+   * layout of the provider that sent the bounce (see bounce-fingerprints),
+   * and falls back to regex heuristics over the body otherwise
+   * @param {Object} email - Message from ImapClient (body, subject, parts)
+   * @returns {Object} First failed recipient's fields (failedRecipient,
+   *   errorCode, diagnostic, bounceType, bounceCategory, status, action,
+   *   remoteMta, arrivalDate) plus `recipients` (all of them), `source`
+   *   ("dsn", "fingerprint" or "heuristic") and `provider` (fingerprint id)
+   */
   parseBounce(email) {
+    const fingerprint = findFingerprint(email);
+    const fingerprinted = fingerprint
+      ? this.parseFingerprint(email, fingerprint)
+      : [];
+    const reported = this.parseDeliveryReport(email, fingerprinted);
+
+    let source = "heuristic";
+    let recipients;
+
+    if (reported) {
+      source = "dsn";
+      recipients = reported;
+    } else if (fingerprinted.length > 0) {
+      source = "fingerprint";
+      recipients = fingerprinted;
+    } else {
+      recipients = this.parseBounceHeuristics(email);
+    }
+
+    return {
+      ...(recipients[0] || {
+        failedRecipient: null,
+        errorCode: "UNKNOWN",
+        diagnostic: NO_DIAGNOSTIC,
+        bounceType: "UNKNOWN",
+        bounceCategory: null,
+        status: null,
+        action: null,
+        remoteMta: null,
+        arrivalDate: null,
+      }),
+      source,
+      provider: fingerprint?.id || null,
+      recipients,
+    };
+  }
+
+  /**
+   * Failed recipients from the message/delivery-status part
+   * @param {Array<Object>} fingerprinted - Provider-parsed recipients, used
+   *   for the diagnostic when the report has none
+   * @returns {Array<Object>|null} null when the message has no readable DSN
+   */
+  parseDeliveryReport(email, fingerprinted = []) {
+    const part = (email.parts || []).find((part) =>
+      DELIVERY_STATUS_TYPES.includes(part.contentType),
+    );
+    const report = part ? parseDeliveryStatus(part.content) : null;
+
+    if (!report) return null;
+
+    const body = email.body || "";
+
+    return report.recipients
+      .filter((recipient) =>
+        recipient.action
+          ? FAILED_ACTIONS.includes(recipient.action)
+          : /^[45]/.test(recipient.status || ""),
+      )
+      .filter((recipient) => this.isValidEmail(recipient.finalRecipient))
+      .map((recipient) => {
+        const provider = fingerprinted.find(
+          (entry) => entry.failedRecipient === recipient.finalRecipient,
+        );
+
+        return this.buildRecipient(
+          {
+            failedRecipient: recipient.finalRecipient,
+            diagnostic: recipient.diagnosticCode,
+            status: recipient.status,
+            action: recipient.action,
+            remoteMta: recipient.remoteMta,
+            arrivalDate: recipient.arrivalDate,
+          },
+          body,
+          provider?.diagnostic,
+        );
+      });
+  }
+
+  /**
+   * Failed recipients read with a provider fingerprint
+   * @returns {Array<Object>}
+   */
+  parseFingerprint(email, fingerprint) {
+    const body = email.body || "";
+    let entries;
+
+    try {
+      entries = fingerprint.parse(email) || [];
+    } catch (error) {
+      console.error(
+        `❌ Bounce fingerprint ${fingerprint.id} failed:`,
+        error.message,
+      );
+      return [];
+    }
+
+    return entries
+      .filter((entry) => this.isValidEmail(entry.recipient))
+      .filter((entry) => !entry.action || FAILED_ACTIONS.includes(entry.action))
+      .map((entry) =>
+        this.buildRecipient(
+          {
+            failedRecipient: entry.recipient.toLowerCase(),
+            diagnostic: entry.diagnostic,
+            errorCode: entry.code,
+            status: entry.status,
+            action: entry.action || null,
+          },
+          body,
+        ),
+      );
+  }
+
+  /**
+   * Classify one failed recipient from its raw fields
+   * @param {Object} fields - { failedRecipient, diagnostic, errorCode?, status?,
+   *   action?, remoteMta?, arrivalDate? }
+   * @param {string} body - Flattened bounce body, for the fallbacks
+   * @param {string} fallbackDiagnostic - Used when `diagnostic` is unusable
+   */
+  buildRecipient(fields, body, fallbackDiagnostic = null) {
+    const rawDiagnostic = fields.diagnostic || "";
+    const smtpCode = fields.errorCode || this.extractErrorCode(rawDiagnostic);
+    const status = fields.status || this.extractStatusCode(rawDiagnostic);
+    const diagnostic = this.cleanDiagnostic(rawDiagnostic);
+    const fallback = this.cleanDiagnostic(fallbackDiagnostic || "");
+
+    let bounceType;
+    if (fields.action === "delayed" || status?.[0] === "4") {
+      bounceType = "SOFT";
+    } else if (status?.[0] === "5") {
+      bounceType = "HARD";
+    } else {
+      bounceType = this.classifyBounceType(smtpCode, diagnostic || body);
+    }
+
+    const bounceCategory = classifyBounceCategory({
+      status,
+      errorCode: smtpCode,
+      diagnostic: rawDiagnostic || fallbackDiagnostic,
+    });
+
+    let finalDiagnostic = NO_DIAGNOSTIC;
+    if (this.isValidDiagnostic(diagnostic)) {
+      finalDiagnostic = diagnostic.slice(0, 300);
+    } else if (this.isValidDiagnostic(fallback)) {
+      finalDiagnostic = fallback.slice(0, 300);
+    } else {
+      finalDiagnostic = this.extractDiagnostic(body) || NO_DIAGNOSTIC;
+    }
+
+    return {
+      failedRecipient: fields.failedRecipient,
+      errorCode: smtpCode || status || "UNKNOWN",
+      diagnostic: finalDiagnostic,
+      bounceType: bounceTypeForCategory(bounceType, bounceCategory),
+      bounceCategory,
+      status: status || null,
+      action: fields.action || null,
+      remoteMta: fields.remoteMta || null,
+      arrivalDate: fields.arrivalDate || null,
+    };
+  }
+
+  /**
+   * Failed recipient guessed from the flattened body
+   * (bounces without a delivery-status part from an unknown provider)
+   */
+  parseBounceHeuristics(email) {
     const body = email.body || "";
     const subject = email.subject || "";
 
@@ -72,14 +274,32 @@ export class BounceDetector {
     }
 
     // Classify bounce type
-    const bounceType = this.classifyBounceType(errorCode, body);
+    const status = this.extractStatusCode(body);
+    const bounceCategory = classifyBounceCategory({
+      status,
+      errorCode,
+      diagnostic: diagnostic || body,
+    });
+    const bounceType = bounceTypeForCategory(
+      this.classifyBounceType(errorCode, body),
+      bounceCategory,
+    );
 
-    return {
-      failedRecipient,
-      errorCode: errorCode || "UNKNOWN",
-      diagnostic: diagnostic || "No diagnostic information available",
-      bounceType,
-    };
+    return failedRecipient
+      ? [
+          {
+            failedRecipient,
+            errorCode: errorCode || "UNKNOWN",
+            diagnostic: diagnostic || NO_DIAGNOSTIC,
+            bounceType,
+            bounceCategory,
+            status,
+            action: null,
+            remoteMta: null,
+            arrivalDate: null,
+          },
+        ]
+      : [];
   }
 
   extractRecipientEmail(body, subject) {
@@ -212,9 +432,35 @@ export class BounceDetector {
   }
 
   extractErrorCode(body) {
-    // SMTP error codes (3-digit)
-    const codeMatch = body.match(/\b([245]\d{2})\b/);
-    return codeMatch ? codeMatch[1] : null;
+    if (!body) return null;
+
+    // SMTP error codes (3-digit), most specific context first so IP address
+    // octets, ticket numbers and dates are not mistaken for a reply code
+    const codePatterns = [
+      // 550 5.1.1 / 550-5.1.1 / 550 #5.1.1
+      /\b([245]\d{2})[\s-]+[#<]?[245]\.\d{1,3}\.\d{1,3}\b/,
+      /Diagnostic-Code:\s*smtp;\s*([245]\d{2})\b/i,
+      /\bsaid:\s*([245]\d{2})\b/i,
+      /^\s*([245]\d{2})[\s-]/m,
+      /\b([245]\d{2})\b/,
+    ];
+
+    for (const pattern of codePatterns) {
+      const codeMatch = body.match(pattern);
+      if (codeMatch) return codeMatch[1];
+    }
+
+    return null;
+  }
+
+  /**
+   * RFC 3463 enhanced status code (X.Y.Z) from a flattened bounce body
+   */
+  extractStatusCode(body) {
+    const statusMatch =
+      body.match(/^Status:\s*([245]\.\d{1,3}\.\d{1,3})\b/im) ||
+      body.match(/\b[245]\d{2}[\s-]+[#<]?([245]\.\d{1,3}\.\d{1,3})\b/);
+    return statusMatch ? statusMatch[1] : null;
   }
 
   extractDiagnostic(body) {
@@ -231,13 +477,7 @@ export class BounceDetector {
       /(?:Status|status):\s*[45]\.\d+\.\d+\s+\((.+?)\)/is,
       /(?:Remote-MTA|Final-Recipient).*?\n.*?(?:Status|Action).*?\n.*?Diagnostic.*?:\s*(.+?)(?:\n\n|\r\n\r\n|$)/is,
 
-      // Gmail-specific formats
-      /Address not found.*?Your message wasn't delivered to.*?because.*?(.+?)(?:\.|\n)/is,
-      /(The email account that you tried to reach does not exist[^\n]+)/i,
-      /(The recipient server did not accept our requests[^\n]+)/i,
-
-      // Outlook/Exchange formats
-      /(?:Delivery has failed|did not reach the following recipient).*?\n\s*(.+?)(?:\n\n|\r\n\r\n|$)/is,
+      // Provider-specific layouts are read by bounce-fingerprints
 
       // Generic SMTP response (strict)
       /\b[245]\d{2}\s+([^\n]+?)\s+(?:[a-z0-9-]+\s+-\s+gsmtp|$)/i,
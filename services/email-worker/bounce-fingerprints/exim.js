@@ -0,0 +1,57 @@
+/**
+ * Exim bounces ("This message was created automatically by mail delivery
+ * software.")
+ * Failed addresses are indented by two spaces under "The following
+ * address(es) failed:", with the reason indented below them, usually as
+ * "SMTP error from remote mail server after RCPT TO:<...>:" plus the reply.
+ * Delay warnings say the message "has not yet been delivered".
+ */
+
+import { ADDRESS, bounceText, unwrap } from "./helpers.js";
+
+export const exim = {
+  id: "exim",
+  name: "Exim",
+
+  matches(email) {
+    return /This message was created automatically by mail delivery software/i.test(
+      email.body || "",
+    );
+  },
+
+  parse(email) {
+    const text = bounceText(email, [/^-{6} This is a copy of the message/m]);
+    const action = /has not yet been delivered/i.test(text)
+      ? "delayed"
+      : "failed";
+    const blocks = new RegExp(
+      `^ {2}(${ADDRESS})\\s*\\n((?: {4,}.*(?:\\n|$))*)`,
+      "gm",
+    );
+
+    return [...text.matchAll(blocks)].map((match) => {
+      const details = match[2]
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(
+          (line) =>
+            line &&
+            !/^host \S+ \[[^\]]+\]$/i.test(line) &&
+            !/^\(generated from /i.test(line),
+        )
+        .join(" ");
+
+      return {
+        recipient: match[1].toLowerCase(),
+        diagnostic:
+          unwrap(
+            details.replace(
+              /^.*?SMTP error from remote mail server after [^:]+(?::<[^>]*>)?:\s*/i,
+              "",
+            ),
+          ).replace(/^Delay reason:\s*/i, "") || null,
+        action,
+      };
+    });
+  },
+};
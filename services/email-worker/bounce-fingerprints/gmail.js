@@ -0,0 +1,56 @@
+/**
+ * Gmail / Google Workspace bounces
+ * "Your message wasn't delivered to X because ..." or "There was a problem
+ * delivering your message to X", then "The response from the remote server
+ * was:" with the SMTP reply (or a DNS error) on the following lines.
+ */
+
+import { ADDRESS, bounceText, senderAddress, unwrap } from "./helpers.js";
+
+export const gmail = {
+  id: "gmail",
+  name: "Gmail",
+
+  matches(email) {
+    return /^mailer-daemon@(?:googlemail|google)\.com$/.test(
+      senderAddress(email),
+    );
+  },
+
+  parse(email) {
+    const text = bounceText(email, [/^-{5,} Original message -{5,}$/m]);
+
+    const addresses = new Set();
+    const patterns = [
+      new RegExp(`wasn't delivered to (${ADDRESS})`, "gi"),
+      new RegExp(
+        `problem delivering your message to ((?:${ADDRESS}(?:,\\s*)?)+)`,
+        "gi",
+      ),
+    ];
+
+    for (const pattern of patterns) {
+      for (const match of text.matchAll(pattern)) {
+        for (const address of match[1].match(new RegExp(ADDRESS, "g"))) {
+          addresses.add(address.toLowerCase());
+        }
+      }
+    }
+
+    const response = text.match(
+      /The response (?:from the remote server )?was:\s*\n([\s\S]+?)(?:\n\s*\n|$)/i,
+    );
+    const diagnostic = response
+      ? unwrap(response[1]).replace(/\s+[a-z0-9.-]+ - gsmtp$/i, "")
+      : null;
+
+    // "Delivery incomplete ... Gmail will retry"
+    const action = /\bwill retry\b/i.test(text) ? "delayed" : "failed";
+
+    return [...addresses].map((recipient) => ({
+      recipient,
+      diagnostic,
+      action,
+    }));
+  },
+};
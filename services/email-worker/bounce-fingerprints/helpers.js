@@ -0,0 +1,55 @@
+/**
+ * Shared parsing helpers for bounce fingerprints
+ */
+
+// Address as it appears in bounce bodies (no display names or brackets)
+export const ADDRESS = "[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}";
+
+/**
+ * Sender address of a message, lowercased
+ */
+export function senderAddress(email) {
+  const match = (email.from || "").match(new RegExp(ADDRESS));
+  return match ? match[0].toLowerCase() : "";
+}
+
+/**
+ * Whether a header is present (mailparser lowercases header names)
+ */
+export function hasHeader(email, name) {
+  return Boolean(email.headers?.has?.(name));
+}
+
+/**
+ * Body with CRLFs normalized, without the copy of the original message
+ * most MTAs attach below a separator line
+ */
+export function bounceText(email, separators = []) {
+  let text = (email.body || "").replace(/\r\n?/g, "\n");
+
+  for (const separator of separators) {
+    const index = text.search(separator);
+    if (index !== -1) text = text.slice(0, index);
+  }
+
+  return text;
+}
+
+/**
+ * Join wrapped lines into one, collapsing whitespace
+ */
+export function unwrap(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Text after "said:" / "Remote host said:" when an MTA quotes the remote
+ * server, without Postfix's "(in reply to ... command)" suffix
+ */
+export function remoteResponse(text) {
+  const said = text.match(/\bsaid:\s*([\s\S]+)/i);
+  return unwrap(said ? said[1] : text).replace(
+    /\s*\(in reply to [^)]*\)\s*$/i,
+    "",
+  );
+}
@@ -0,0 +1,85 @@
+/**
+ * Bounce fingerprint registry
+ * A fingerprint recognizes bounces generated by one provider or MTA and
+ * reads them in that provider's own layout:
+ *
+ *   {
+ *     id: "gmail",
+ *     name: "Gmail",
+ *     matches(email) => boolean,
+ *     parse(email) => [{ recipient, code?, status?, diagnostic?, action? }]
+ *   }
+ *
+ * `email` is a message from ImapClient. parse() returns raw values;
+ * BounceDetector derives the SMTP/enhanced codes from the diagnostic when
+ * they are not given, and classifies the bounce. Fingerprints are tried in
+ * order, so hosted providers come before the MTAs whose wording they reuse.
+ * Sample bounces for each one live in test/fixtures/bounces.
+ */
+
+import { exim } from "./exim.js";
+import { gmail } from "./gmail.js";
+import { mailgun } from "./mailgun.js";
+import { microsoft } from "./microsoft.js";
+import { postfix } from "./postfix.js";
+import { qmail } from "./qmail.js";
+import { ses } from "./ses.js";
+import { yahoo } from "./yahoo.js";
+import { zoho } from "./zoho.js";
+
+const fingerprints = [
+  ses,
+  mailgun,
+  gmail,
+  microsoft,
+  yahoo,
+  zoho,
+  exim,
+  postfix,
+  qmail,
+];
+
+/**
+ * Add a fingerprint
+ * @param {Object} fingerprint - { id, name, matches, parse }
+ * @param {Object} options - { before: id } to try it ahead of an existing one
+ *   (default: after all others)
+ */
+export function registerFingerprint(fingerprint, options = {}) {
+  const { id, matches, parse } = fingerprint;
+
+  if (!id || typeof matches !== "function" || typeof parse !== "function") {
+    throw new Error("A fingerprint needs an id, matches() and parse()");
+  }
+
+  if (fingerprints.some((existing) => existing.id === id)) {
+    throw new Error(`Bounce fingerprint "${id}" is already registered`);
+  }
+
+  const index = options.before
+    ? fingerprints.findIndex((existing) => existing.id === options.before)
+    : -1;
+
+  if (index === -1) {
+    fingerprints.push(fingerprint);
+  } else {
+    fingerprints.splice(index, 0, fingerprint);
+  }
+}
+
+/**
+ * Registered fingerprints, in matching order
+ * @returns {Array<Object>}
+ */
+export function listFingerprints() {
+  return [...fingerprints];
+}
+
+/**
+ * First fingerprint that recognizes the bounce
+ * @param {Object} email - Message from ImapClient
+ * @returns {Object|null}
+ */
+export function findFingerprint(email) {
+  return fingerprints.find((fingerprint) => fingerprint.matches(email)) || null;
+}
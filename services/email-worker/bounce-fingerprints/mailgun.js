@@ -0,0 +1,46 @@
+/**
+ * Mailgun delivery notifications
+ * "Delivery to the following recipient(s) failed permanently:" (or "has
+ * been delayed:") with the indented addresses, then "Technical details of
+ * permanent/temporary failure:" and the remote reply.
+ */
+
+import {
+  ADDRESS,
+  bounceText,
+  hasHeader,
+  senderAddress,
+  unwrap,
+} from "./helpers.js";
+
+export const mailgun = {
+  id: "mailgun",
+  name: "Mailgun",
+
+  matches(email) {
+    return (
+      hasHeader(email, "x-mailgun-sid") ||
+      /@(?:[a-z0-9-]+\.)*mailgun\.(?:org|net)$/.test(senderAddress(email))
+    );
+  },
+
+  parse(email) {
+    const text = bounceText(email, [/^-{5,} Original message -{5,}$/m]);
+    const list = text.match(
+      /Delivery to the following recipients? (failed permanently|has been delayed):\s*\n([\s\S]*?)\n\s*\n(?=\S)/i,
+    );
+    const details = text.match(
+      /Technical details of (?:permanent|temporary) failure:\s*\n([\s\S]+?)(?:\n\s*\n|$)/i,
+    );
+
+    if (!list) return [];
+
+    const action = /delayed/i.test(list[1]) ? "delayed" : "failed";
+
+    return (list[2].match(new RegExp(ADDRESS, "g")) || []).map((recipient) => ({
+      recipient: recipient.toLowerCase(),
+      diagnostic: details ? unwrap(details[1]) : null,
+      action,
+    }));
+  },
+};
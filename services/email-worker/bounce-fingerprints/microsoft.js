@@ -0,0 +1,66 @@
+/**
+ * Microsoft 365 / Exchange / Outlook.com non-delivery reports
+ * The "Diagnostic information for administrators" section lists each
+ * recipient followed by "Remote Server returned '<reply>'" (or, on older
+ * Exchange, "#<reply> ##"). The friendly part above it is only used when
+ * that section is missing.
+ */
+
+import {
+  ADDRESS,
+  bounceText,
+  hasHeader,
+  senderAddress,
+  unwrap,
+} from "./helpers.js";
+
+const MICROSOFT_DOMAINS =
+  /@(?:[a-z0-9-]+\.)*(?:outlook\.com|hotmail\.com|live\.com|onmicrosoft\.com|microsoft\.com|exchangelabs\.com)$/;
+
+export const microsoft = {
+  id: "microsoft",
+  name: "Microsoft 365 / Exchange",
+
+  matches(email) {
+    return (
+      hasHeader(email, "x-ms-exchange-message-is-ndr") ||
+      MICROSOFT_DOMAINS.test(senderAddress(email)) ||
+      /Diagnostic information for administrators:/i.test(email.body || "")
+    );
+  },
+
+  parse(email) {
+    const text = bounceText(email, [/^Original message headers:/im]);
+    const recipients = new Map();
+
+    const admin = text.split(/Diagnostic information for administrators:/i)[1];
+    if (admin) {
+      const returned = new RegExp(
+        `^\\s*(${ADDRESS})\\s*\\n\\s*(?:Remote Server returned '([^']+)'|#([^#]+?)\\s*##)`,
+        "gim",
+      );
+
+      for (const match of admin.matchAll(returned)) {
+        recipients.set(match[1].toLowerCase(), unwrap(match[2] || match[3]));
+      }
+    }
+
+    if (recipients.size === 0) {
+      const friendly = [
+        new RegExp(`Your message to (${ADDRESS}) couldn't be delivered`, "gi"),
+        new RegExp(`^(${ADDRESS})(?: \\(${ADDRESS}\\))?\\s*\\n(.+)$`, "gim"),
+      ];
+
+      for (const pattern of friendly) {
+        for (const match of text.matchAll(pattern)) {
+          recipients.set(match[1].toLowerCase(), unwrap(match[2]) || null);
+        }
+      }
+    }
+
+    return [...recipients].map(([recipient, diagnostic]) => ({
+      recipient,
+      diagnostic,
+    }));
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * Postfix bounces ("This is the mail system at host ...")
+ * Each failed recipient is a "<address>: reason" paragraph; remote replies
+ * read "host mx[ip] said: 550 5.1.1 ... (in reply to RCPT TO command)".
+ * Delay warnings carry a "THIS IS A WARNING ONLY" banner.
+ */
+
+import { ADDRESS, bounceText, remoteResponse } from "./helpers.js";
+
+export const postfix = {
+  id: "postfix",
+  name: "Postfix",
+
+  matches(email) {
+    return /This is the mail system at host /i.test(email.body || "");
+  },
+
+  parse(email) {
+    const text = bounceText(email, [
+      /^Reporting-MTA:/m,
+      /^Content-Description: Undelivered Message/m,
+    ]);
+    const action = /THIS IS A WARNING ONLY/i.test(text) ? "delayed" : "failed";
+    const blocks = new RegExp(
+      `^<(${ADDRESS})>(?: \\(expanded from <[^>]+>\\))?:\\s*([\\s\\S]*?)(?=\\n\\s*\\n|\\n<${ADDRESS}>|(?![\\s\\S]))`,
+      "gm",
+    );
+
+    return [...text.matchAll(blocks)].map((match) => ({
+      recipient: match[1].toLowerCase(),
+      diagnostic: remoteResponse(match[2]),
+      action,
+    }));
+  },
+};
@@ -0,0 +1,35 @@
+/**
+ * qmail bounces ("Hi. This is the qmail-send program at ...")
+ * One "<address>:" paragraph per recipient. Remote failures quote the
+ * server ("Remote host said: ..."); local ones carry an enhanced status code
+ * in the text, e.g. "Sorry, no mailbox here by that name. (#5.1.1)".
+ */
+
+import { ADDRESS, bounceText, remoteResponse } from "./helpers.js";
+
+export const qmail = {
+  id: "qmail",
+  name: "qmail",
+
+  matches(email) {
+    return /This is the qmail-send program at /i.test(email.body || "");
+  },
+
+  parse(email) {
+    const text = bounceText(email, [/^-{3} Below this line is a copy/m]);
+    const blocks = new RegExp(
+      `^<(${ADDRESS})>:\\s*\\n([\\s\\S]*?)(?=\\n\\s*\\n|\\n<${ADDRESS}>:|(?![\\s\\S]))`,
+      "gm",
+    );
+
+    return [...text.matchAll(blocks)].map((match) => {
+      const status = match[2].match(/\(#([245]\.\d{1,3}\.\d{1,3})\)/);
+
+      return {
+        recipient: match[1].toLowerCase(),
+        status: status ? status[1] : null,
+        diagnostic: remoteResponse(match[2].replace(/^Giving up on .*$/im, "")),
+      };
+    });
+  },
+};
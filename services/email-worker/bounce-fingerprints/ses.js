@@ -0,0 +1,36 @@
+/**
+ * Amazon SES bounces (MAILER-DAEMON@amazonses.com)
+ * The human-readable part lists the recipients under "An error occurred
+ * while trying to deliver the mail to the following recipients:"; the reason
+ * is only in the delivery-status part, so the DSN parser usually wins and
+ * this covers SES bounces whose report part was stripped.
+ */
+
+import { ADDRESS, bounceText, hasHeader, senderAddress } from "./helpers.js";
+
+export const ses = {
+  id: "ses",
+  name: "Amazon SES",
+
+  matches(email) {
+    return (
+      /@(?:[a-z0-9-]+\.)*amazonses\.com$/.test(senderAddress(email)) ||
+      hasHeader(email, "x-ses-outgoing")
+    );
+  },
+
+  parse(email) {
+    const text = bounceText(email);
+    const list = text.match(
+      /following recipients?:\s*\n([\s\S]*?)(?:\n\s*\n|$)/i,
+    );
+    const diagnostic = text.match(/^Diagnostic-Code:\s*smtp;\s*(.+)$/im);
+
+    if (!list) return [];
+
+    return (list[1].match(new RegExp(ADDRESS, "g")) || []).map((recipient) => ({
+      recipient: recipient.toLowerCase(),
+      diagnostic: diagnostic ? diagnostic[1].trim() : null,
+    }));
+  },
+};
@@ -0,0 +1,42 @@
+/**
+ * Yahoo / AOL bounces
+ * "Sorry, we were unable to deliver your message to the following address."
+ * then "<address>:" and the remote reply ("Remote host said: ...") or
+ * Yahoo's own reason on the next lines.
+ */
+
+import {
+  ADDRESS,
+  bounceText,
+  remoteResponse,
+  senderAddress,
+} from "./helpers.js";
+
+export const yahoo = {
+  id: "yahoo",
+  name: "Yahoo",
+
+  matches(email) {
+    return (
+      /@(?:[a-z0-9-]+\.)*(?:yahoo\.com|yahoo\.co\.[a-z]+|yahooinc\.com|aol\.com)$/.test(
+        senderAddress(email),
+      ) ||
+      /unable to deliver your message to the following address/i.test(
+        email.body || "",
+      )
+    );
+  },
+
+  parse(email) {
+    const text = bounceText(email, [/^-{3} Below this line is a copy/m]);
+    const blocks = new RegExp(
+      `^<(${ADDRESS})>:\\s*\\n([\\s\\S]*?)(?=\\n\\s*\\n|\\n<${ADDRESS}>:|(?![\\s\\S]))`,
+      "gm",
+    );
+
+    return [...text.matchAll(blocks)].map((match) => ({
+      recipient: match[1].toLowerCase(),
+      diagnostic: remoteResponse(match[2]).replace(/\s*\[[A-Z_]+\]$/, ""),
+    }));
+  },
+};
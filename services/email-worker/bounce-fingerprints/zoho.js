@@ -0,0 +1,35 @@
+/**
+ * Zoho Mail bounces
+ * One line per recipient: "address, ERROR CODE :550 - <reply text>".
+ * Zoho reuses Exim's "created automatically by mail delivery software"
+ * wording, so this fingerprint is registered before Exim.
+ */
+
+import { ADDRESS, bounceText, senderAddress, unwrap } from "./helpers.js";
+
+export const zoho = {
+  id: "zoho",
+  name: "Zoho Mail",
+
+  matches(email) {
+    return (
+      /@(?:[a-z0-9-]+\.)*zoho(?:mail)?\.(?:com|eu|in|com\.au|jp)$/.test(
+        senderAddress(email),
+      ) || /\bERROR CODE\s*:\s*\d{3}\b/.test(email.body || "")
+    );
+  },
+
+  parse(email) {
+    const text = bounceText(email, [/^Received:/m]);
+    const lines = new RegExp(
+      `^\\s*(${ADDRESS}),\\s*ERROR CODE\\s*:\\s*(\\d{3})\\s*-\\s*(.+)$`,
+      "gim",
+    );
+
+    return [...text.matchAll(lines)].map((match) => ({
+      recipient: match[1].toLowerCase(),
+      code: match[2],
+      diagnostic: unwrap(match[3]),
+    }));
+  },
+};
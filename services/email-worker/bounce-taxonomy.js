@@ -0,0 +1,197 @@
+/**
+ * Bounce taxonomy
+ * Sorts a failure into a category from its RFC 3463 enhanced status code
+ * (X.Y.Z), the provider's diagnostic text and, as a last resort, the SMTP
+ * reply code. Specific status codes win; generic ones (5.0.0, 5.7.1, ...)
+ * are refined by the diagnostic, since providers reuse them for many reasons.
+ */
+
+export const BOUNCE_CATEGORIES = [
+  "INVALID_MAILBOX",
+  "MAILBOX_DISABLED",
+  "MAILBOX_FULL",
+  "DOMAIN_NOT_FOUND",
+  "POLICY_BLOCK",
+  "AUTH_FAILURE",
+  "RATE_LIMITED",
+  "CONTENT_REJECTED",
+  "MESSAGE_TOO_LARGE",
+  "RELAY_DENIED",
+  "NETWORK_ERROR",
+  "OTHER",
+];
+
+// Categories that say how a failure will play out whatever its code class
+const SOFT_CATEGORIES = ["MAILBOX_FULL", "RATE_LIMITED"];
+const HARD_CATEGORIES = [
+  "INVALID_MAILBOX",
+  "MAILBOX_DISABLED",
+  "DOMAIN_NOT_FOUND",
+];
+
+// Subject.detail of the enhanced status code → category
+const STATUS_CATEGORIES = {
+  "1.0": "INVALID_MAILBOX",
+  1.1: "INVALID_MAILBOX",
+  1.2: "DOMAIN_NOT_FOUND",
+  1.3: "INVALID_MAILBOX",
+  1.6: "INVALID_MAILBOX",
+  "1.10": "DOMAIN_NOT_FOUND",
+  2.1: "MAILBOX_DISABLED",
+  2.2: "MAILBOX_FULL",
+  2.3: "MESSAGE_TOO_LARGE",
+  3.4: "MESSAGE_TOO_LARGE",
+  4.1: "NETWORK_ERROR",
+  4.2: "NETWORK_ERROR",
+  4.3: "NETWORK_ERROR",
+  4.4: "DOMAIN_NOT_FOUND",
+  4.5: "NETWORK_ERROR",
+  4.7: "NETWORK_ERROR",
+  5.3: "RATE_LIMITED",
+  "7.0": "POLICY_BLOCK",
+  7.1: "POLICY_BLOCK",
+  7.7: "CONTENT_REJECTED",
+  // RFC 7372 email authentication codes
+  "7.20": "AUTH_FAILURE",
+  7.21: "AUTH_FAILURE",
+  7.22: "AUTH_FAILURE",
+  7.23: "AUTH_FAILURE",
+  7.24: "AUTH_FAILURE",
+  7.25: "AUTH_FAILURE",
+  7.26: "AUTH_FAILURE",
+  7.27: "AUTH_FAILURE",
+  // Gmail: "unusual rate of unsolicited mail"
+  7.28: "RATE_LIMITED",
+};
+
+// Status subject alone, for details not listed above
+const SUBJECT_CATEGORIES = {
+  4: "NETWORK_ERROR",
+  6: "CONTENT_REJECTED",
+};
+
+// Status codes providers use for many different failures. 5.4.1 is also
+// Exchange Online's "Recipient address rejected: Access denied", and 5.1.10
+// (null MX) its "RecipientNotFound"
+const GENERIC_STATUSES = [
+  "0.0",
+  "1.10",
+  "2.0",
+  "3.0",
+  "4.0",
+  "4.1",
+  "7.0",
+  "7.1",
+];
+
+// Checked in order: more specific wording first
+const DIAGNOSTIC_PATTERNS = [
+  [
+    "RELAY_DENIED",
+    /relay(?:ing)? (?:access )?(?:denied|not permitted|not allowed|prohibited)|unable to relay|we do not relay/i,
+  ],
+  [
+    "AUTH_FAILURE",
+    /\b(?:spf|dkim|dmarc)\b|unauthenticated|not authenticated|authentication (?:failed|failure|required)|sender domain .*not pass/i,
+  ],
+  [
+    "RATE_LIMITED",
+    /rate limit|rate of|too many (?:messages|connections|recipients|emails|concurrent)|throttl|sending limit|message limit exceeded|receiving mail at a rate|unexpected volume/i,
+  ],
+  [
+    "MAILBOX_FULL",
+    /mailbox (?:is )?full|over ?quota|quota (?:exceeded|full)|exceeded (?:the )?(?:storage|quota)|insufficient (?:system )?storage|out of storage|mailbox size limit/i,
+  ],
+  [
+    "MAILBOX_DISABLED",
+    /account (?:is |has been )?(?:disabled|deactivated|suspended|inactive|locked|closed)|mailbox (?:is |has been )?(?:disabled|inactive|suspended)|no longer (?:active|in use|available)/i,
+  ],
+  [
+    "DOMAIN_NOT_FOUND",
+    /domain (?:not found|does not exist|name not found)|host (?:or domain name )?not found|no (?:mx|mail exchanger)|nxdomain|name service error|unrouteable domain/i,
+  ],
+  [
+    "INVALID_MAILBOX",
+    /user (?:unknown|not found|does ?n[o']t exist)|unknown (?:user|recipient|address|mailbox)|no such (?:user|mailbox|recipient|address)|(?:mailbox|address|recipient|account) (?:not found|unavailable|does ?n[o']t exist|unknown|invalid)|does not exist|invalid (?:recipient|mailbox|address)|recipient address rejected: (?:access denied|undeliverable)|address couldn't be found|does ?n[o']t have an? [\w.-]+ account|recip(?:ient)?notfound|unrouteable address/i,
+  ],
+  [
+    "MESSAGE_TOO_LARGE",
+    /message (?:size )?(?:is )?too (?:large|big)|message size exceeds|exceeds (?:the )?(?:maximum )?(?:message )?size|size limit/i,
+  ],
+  [
+    "CONTENT_REJECTED",
+    /virus|malware|infected|attachment|phish|suspicious (?:link|url|content)|content (?:rejected|filter|policy)|message content/i,
+  ],
+  [
+    "POLICY_BLOCK",
+    /spam|unsolicited|block ?list|black ?list|blocked|spamhaus|spamcop|barracuda|reputation|policy|not allowed|denied|listed (?:at|in|on)/i,
+  ],
+  [
+    "NETWORK_ERROR",
+    /timed? ?out|connection (?:refused|reset|lost|closed|dropped)|(?:could not|unable to) connect|network (?:error|unreachable)|host unreachable|delivery time expired|retry time(?:out)? (?:exceeded|expired)|message expired/i,
+  ],
+];
+
+// SMTP reply codes that are specific enough on their own (RFC 5321)
+const CODE_CATEGORIES = {
+  421: "NETWORK_ERROR",
+  452: "MAILBOX_FULL",
+  551: "INVALID_MAILBOX",
+  552: "MAILBOX_FULL",
+  553: "INVALID_MAILBOX",
+};
+
+function statusCategory(status) {
+  const match = (status || "").match(/^[245]\.((\d{1,3})\.\d{1,3})$/);
+  if (!match) return null;
+
+  return {
+    key: match[1],
+    category: STATUS_CATEGORIES[match[1]] || SUBJECT_CATEGORIES[match[2]],
+  };
+}
+
+function diagnosticCategory(diagnostic) {
+  if (!diagnostic) return null;
+
+  const match = DIAGNOSTIC_PATTERNS.find(([, pattern]) =>
+    pattern.test(diagnostic),
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Category of one failure
+ * @param {Object} failure - { status, errorCode, diagnostic }
+ * @returns {string} One of BOUNCE_CATEGORIES
+ */
+export function classifyBounceCategory({ status, errorCode, diagnostic }) {
+  const fromStatus = statusCategory(status);
+
+  if (fromStatus?.category && !GENERIC_STATUSES.includes(fromStatus.key)) {
+    return fromStatus.category;
+  }
+
+  return (
+    diagnosticCategory(diagnostic) ||
+    fromStatus?.category ||
+    CODE_CATEGORIES[errorCode] ||
+    "OTHER"
+  );
+}
+
+/**
+ * HARD/SOFT type adjusted for the category: a full mailbox or rate limit
+ * clears up by itself even when reported with a 5xx code, and a missing
+ * mailbox or domain is permanent even when the code could not be read
+ * @param {string} bounceType - HARD, SOFT or UNKNOWN from the reply/status code
+ * @param {string} category
+ * @returns {string}
+ */
+export function bounceTypeForCategory(bounceType, category) {
+  if (SOFT_CATEGORIES.includes(category)) return "SOFT";
+  if (bounceType === "UNKNOWN" && HARD_CATEGORIES.includes(category)) {
+    return "HARD";
+  }
+  return bounceType;
+}
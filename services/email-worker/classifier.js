@@ -1,11 +1,17 @@
 /**
  * Email Classification Engine
- * Categorizes emails into: BOUNCE, TRANSACTIONAL, NOTIFICATION, MARKETING, HUMAN, NEWSLETTER, UNKNOWN
+ * Categorizes emails into: AUTO_REPLY, BOUNCE, TRANSACTIONAL, NOTIFICATION, MARKETING, HUMAN, NEWSLETTER, UNKNOWN
  */
 
+import { AutoReplyDetector } from "./auto-reply-detector.js";
+import { isDeliveryReport } from "./dsn-parser.js";
+
 export class EmailClassifier {
   constructor() {
+    this.autoReplyDetector = new AutoReplyDetector();
+
     this.categories = {
+      AUTO_REPLY: 0.95,
       BOUNCE: 1.0,
       TRANSACTIONAL: 0.9,
       NOTIFICATION: 0.85,
@@ -105,7 +111,8 @@ export class EmailClassifier {
   /**
    * Classify an email
    * @param {Object} email - Email object with subject, from, to, body, headers
-   * @returns {Object} { category: string, confidence: number }
+   * @returns {Object} { category: string, confidence: number, autoReply? }
+   *   (autoReply: see AutoReplyDetector.detect, AUTO_REPLY only)
    */
   classify(email) {
     const from = (email.from || "").toLowerCase();
@@ -113,32 +120,40 @@ export class EmailClassifier {
     const body = (email.body || "").toLowerCase();
     const headers = email.headers || {};
 
-    // 1. Check for BOUNCE (highest priority)
+    // 1. Check for AUTO_REPLY first: out-of-office subjects often quote
+    // words like "failure" that would read as a bounce. Delivery reports
+    // are never auto-replies
+    const autoReply = this.autoReplyDetector.detect(email);
+    if (autoReply) {
+      return { category: "AUTO_REPLY", confidence: 0.95, autoReply };
+    }
+
+    // 2. Check for BOUNCE
     if (this.isBounce(email)) {
       return { category: "BOUNCE", confidence: 1.0 };
     }
 
-    // 2. Check for TRANSACTIONAL
+    // 3. Check for TRANSACTIONAL
     if (this.isTransactional(email)) {
       return { category: "TRANSACTIONAL", confidence: 0.9 };
     }
 
-    // 3. Check for NOTIFICATION
+    // 4. Check for NOTIFICATION
     if (this.isNotification(email)) {
       return { category: "NOTIFICATION", confidence: 0.85 };
     }
 
-    // 4. Check for NEWSLETTER
+    // 5. Check for NEWSLETTER
     if (this.isNewsletter(email)) {
       return { category: "NEWSLETTER", confidence: 0.75 };
     }
 
-    // 5. Check for MARKETING
+    // 6. Check for MARKETING
     if (this.isMarketing(email)) {
       return { category: "MARKETING", confidence: 0.8 };
     }
 
-    // 6. Check for HUMAN (person-to-person)
+    // 7. Check for HUMAN (person-to-person)
     if (this.isHuman(email)) {
       return { category: "HUMAN", confidence: 0.7 };
     }
@@ -164,6 +179,7 @@ export class EmailClassifier {
       subject.includes("bounce"),
       subject.includes("permanent error"),
       subject.includes("delivery failure"),
+      isDeliveryReport(email.contentType),
     ];
 
     return bounceIndicators.some((indicator) => indicator);
@@ -0,0 +1,145 @@
+/**
+ * RFC 3464 delivery status notification parser
+ * Reads the machine-readable message/delivery-status part of a
+ * multipart/report bounce: one block of per-message fields followed by one
+ * block per recipient, separated by blank lines.
+ */
+
+// message/global-delivery-status is the RFC 6533 (internationalized) variant
+export const DELIVERY_STATUS_TYPES = [
+  "message/delivery-status",
+  "message/global-delivery-status",
+];
+
+/**
+ * Whether a Content-Type marks a delivery status report
+ * @param {string} contentType - e.g. "multipart/report; report-type=delivery-status"
+ * @returns {boolean}
+ */
+export function isDeliveryReport(contentType) {
+  return /multipart\/report\s*;.*report-type\s*=\s*"?(?:global-)?delivery-status/i.test(
+    contentType || "",
+  );
+}
+
+/**
+ * Split a block of header-style fields into lowercase name → value
+ * (folded continuation lines are joined with a single space)
+ */
+function parseFields(block) {
+  const fields = {};
+  let current = null;
+
+  for (const line of block.split("\n")) {
+    if (/^[ \t]/.test(line) && current) {
+      fields[current] += ` ${line.trim()}`;
+      continue;
+    }
+
+    const match = line.match(/^([A-Za-z0-9-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+
+    current = match[1].toLowerCase();
+    // A repeated field keeps its first value
+    if (fields[current] === undefined) {
+      fields[current] = match[2].trim();
+    } else {
+      current = null;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * Split "type; value" fields (Final-Recipient, Remote-MTA, Diagnostic-Code)
+ * @returns {Object} { type, value }
+ */
+function typedValue(field) {
+  if (!field) return { type: null, value: null };
+
+  const index = field.indexOf(";");
+  if (index === -1) return { type: null, value: field.trim() };
+
+  return {
+    type: field.slice(0, index).trim().toLowerCase(),
+    value: field.slice(index + 1).trim(),
+  };
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Address from a Final-Recipient / Original-Recipient value
+ * (rfc822 and utf-8 address types; angle brackets are tolerated)
+ */
+function recipientAddress(field) {
+  const { type, value } = typedValue(field);
+
+  if (!value || (type && type !== "rfc822" && type !== "utf-8")) {
+    return null;
+  }
+
+  return value.replace(/^<|>$/g, "").trim().toLowerCase() || null;
+}
+
+/**
+ * Parse a message/delivery-status body
+ * @param {string} text
+ * @returns {Object|null} { reportingMta, arrivalDate, recipients } or null
+ *   when the text holds no per-recipient block. Each recipient:
+ *   { finalRecipient, originalRecipient, action, status, diagnosticType,
+ *     diagnosticCode, remoteMta, arrivalDate, lastAttemptDate, willRetryUntil }
+ */
+export function parseDeliveryStatus(text) {
+  if (!text) return null;
+
+  const blocks = text
+    .replace(/\r\n?/g, "\n")
+    .split(/\n[ \t]*\n/)
+    .map(parseFields)
+    .filter((fields) => Object.keys(fields).length > 0);
+
+  // Some MTAs leave out the per-message block entirely
+  const perMessage = blocks[0]?.["final-recipient"] ? {} : blocks.shift() || {};
+  const arrivalDate = parseDate(perMessage["arrival-date"]);
+
+  const recipients = blocks
+    .filter(
+      (fields) => fields["final-recipient"] || fields["original-recipient"],
+    )
+    .map((fields) => {
+      const diagnostic = typedValue(fields["diagnostic-code"]);
+      const status = (fields.status || "").match(/^([245]\.\d{1,3}\.\d{1,3})/);
+
+      return {
+        finalRecipient:
+          recipientAddress(fields["final-recipient"]) ||
+          recipientAddress(fields["original-recipient"]),
+        originalRecipient: recipientAddress(fields["original-recipient"]),
+        action: fields.action
+          ? fields.action.toLowerCase().split(/\s/)[0]
+          : null,
+        status: status ? status[1] : null,
+        diagnosticType: diagnostic.type,
+        diagnosticCode: diagnostic.value,
+        remoteMta: typedValue(fields["remote-mta"]).value,
+        arrivalDate,
+        lastAttemptDate: parseDate(fields["last-attempt-date"]),
+        willRetryUntil: parseDate(fields["will-retry-until"]),
+      };
+    })
+    .filter((recipient) => recipient.finalRecipient);
+
+  if (recipients.length === 0) return null;
+
+  return {
+    reportingMta: typedValue(perMessage["reporting-mta"]).value,
+    arrivalDate,
+    recipients,
+  };
+}
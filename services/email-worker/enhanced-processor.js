@@ -5,31 +5,65 @@
  */
 
 import { createClient } from "@supabase/supabase-js";
+import crypto from "crypto";
 import { decrypt } from "../../utils/encryption.js";
+import { toPlainText, toTextLines } from "../../utils/email-text.js";
+import { SlaTracker } from "../analytics/sla-tracker.js";
+import { AutomationEngine } from "../automation/engine.js";
+import { BounceLifecycle, effectiveState } from "../bounce-lifecycle.js";
+import { BulkActions } from "../bulk-actions.js";
 import { BounceDetector } from "./bounce-detector.js";
-import { EmailClassifier } from "./classifier.js";
+import { ClassifierPipeline } from "../classification/pipeline.js";
+import { ContactDirectory } from "../contact-directory.js";
+import { ARCHIVE_SPECIAL_USE, FlagSync } from "./flag-sync.js";
+import { EventPublisher } from "../events/publisher.js";
 import { ImapClient } from "./imap-client.js";
+import { MxResolver } from "../mx-resolver.js";
+import { SieveFilter } from "../sieve/filter.js";
+import { getStorage } from "../storage/index.js";
+import { SuppressionList } from "../suppression-list.js";
 import { ThreadBuilder } from "./thread-builder.js";
+import { WebhookDispatcher } from "../webhooks/dispatcher.js";
+
+// Upper bound for stored body text (Postgres tsvector input is limited to 1MB)
+const MAX_BODY_TEXT_LENGTH = 200000;
+
+// Attachments larger than this keep their metadata but skip binary storage
+const MAX_ATTACHMENT_BYTES =
+  parseInt(process.env.ATTACHMENT_MAX_BYTES) || 25 * 1024 * 1024;
 
 export class EnhancedEmailProcessor {
   constructor(supabaseUrl, supabaseKey) {
     this.db = createClient(supabaseUrl, supabaseKey);
     this.bounceDetector = new BounceDetector();
-    this.classifier = new EmailClassifier();
+    this.classifier = new ClassifierPipeline(this.db);
     this.threadBuilder = new ThreadBuilder(this.db);
+    this.events = new EventPublisher(this.db);
+    this.flagSync = new FlagSync(this.db, this.events);
+    this.webhooks = new WebhookDispatcher(this.db);
+    this.suppressions = new SuppressionList(this.db);
+    this.lifecycle = new BounceLifecycle(this.db, this.suppressions);
+    this.mxResolver = new MxResolver(this.db);
+    this.slaTracker = new SlaTracker(this.db, this.events, this.webhooks);
+    this.automation = new AutomationEngine(this.db, this.webhooks);
+    this.sieve = new SieveFilter(this.db);
+    this.contacts = new ContactDirectory(this.db);
+    this.bulk = new BulkActions(this.db);
   }
 
   async processMailbox(mailboxId) {
     let imapClient = null;
+    let mailbox = null;
 
     try {
       // 1. Fetch mailbox config
-      const { data: mailbox, error: fetchError } = await this.db
+      const { data, error: fetchError } = await this.db
         .from("mailboxes")
         .select("*")
         .eq("id", mailboxId)
         .eq("status", "ACTIVE")
         .single();
+      mailbox = data;
 
       if (fetchError || !mailbox) {
         console.error(`❌ Mailbox ${mailboxId} not found or inactive`);
@@ -51,58 +85,43 @@ export class EnhancedEmailProcessor {
 
       await imapClient.connect();
 
-      // 4. Fetch messages since last_synced_uid
-      const messages = await imapClient.fetchNewMessages(
-        mailbox.last_synced_uid,
-      );
-
-      if (messages.length === 0) {
-        console.log("✅ No new messages");
-        return;
-      }
-
-      console.log(`📨 Processing ${messages.length} new messages...`);
+      // 4. Push read/star/archive changes made in MailSuite
+      await this.flagSync.pushLocalChanges(mailbox, imapClient);
 
-      // 5. Process each message
-      let processedCount = 0;
-      let bouncesFound = 0;
-      let maxUid = mailbox.last_synced_uid;
-
-      for (const message of messages) {
-        if (message.uid > maxUid) {
-          maxUid = message.uid;
-        }
+      // 5. Sync each configured folder from its own last UID
+      const folders = await this.getSyncFolders(mailbox);
+      let inboxUid = mailbox.last_synced_uid;
 
+      for (const folder of folders) {
         try {
-          await this.processMessage(mailbox, message);
-          processedCount++;
+          const lastUid = await this.processFolder(mailbox, imapClient, folder);
 
-          // Count bounces separately for reporting
-          if (this.bounceDetector.isBounceMessage(message)) {
-            bouncesFound++;
+          if (folder.path === "INBOX") {
+            inboxUid = lastUid;
           }
         } catch (error) {
+          // One bad folder (renamed, deleted) shouldn't block the others
           console.error(
-            `❌ Error processing message UID ${message.uid}:`,
+            `❌ Error syncing folder ${folder.path}:`,
             error.message,
           );
+          await this.saveFolderState(mailbox, folder, {
+            last_error: error.message,
+          });
+          await this.notifySyncError(mailbox, error, folder.path);
         }
       }
 
-      // 6. Update last_synced_uid and last_synced_at
+      // 6. Update last_synced_uid (INBOX, for backward compatibility) and last_synced_at
       await this.db
         .from("mailboxes")
         .update({
-          last_synced_uid: maxUid,
+          last_synced_uid: inboxUid,
           last_synced_at: new Date().toISOString(),
           status: "ACTIVE",
           last_error: null,
         })
         .eq("id", mailboxId);
-
-      console.log(
-        `✅ Processed ${processedCount}/${messages.length} messages (${bouncesFound} bounces)`,
-      );
     } catch (error) {
       console.error(`❌ Error processing mailbox ${mailboxId}:`, error.message);
 
@@ -121,6 +140,10 @@ export class EnhancedEmailProcessor {
           dbError.message,
         );
       }
+
+      if (mailbox) {
+        await this.notifySyncError(mailbox, error);
+      }
     } finally {
       if (imapClient) {
         try {
@@ -135,6 +158,227 @@ export class EnhancedEmailProcessor {
     }
   }
 
+  /**
+   * Folders to sync for a mailbox
+   * Mailboxes without folder configuration sync INBOX only
+   */
+  async getSyncFolders(mailbox) {
+    const { data: folders, error } = await this.db
+      .from("mailbox_folders")
+      .select("*")
+      .eq("mailbox_id", mailbox.id)
+      .eq("is_enabled", true);
+
+    if (error || !folders || folders.length === 0) {
+      return [
+        {
+          path: "INBOX",
+          special_use: "\\Inbox",
+          uid_validity: null,
+          last_synced_uid: mailbox.last_synced_uid || 0,
+        },
+      ];
+    }
+
+    return folders;
+  }
+
+  /**
+   * Fetch and process new messages in one folder
+   * @returns {Promise<number>} Highest UID synced in the folder
+   */
+  async processFolder(mailbox, imapClient, folder) {
+    let lastUid = folder.last_synced_uid || 0;
+    let highestModseq = folder.highest_modseq || null;
+
+    // Stored UIDs are only valid for the UIDVALIDITY they were synced under
+    const status = await imapClient.getFolderStatus(folder.path);
+    if (
+      folder.uid_validity &&
+      status.uidValidity !== Number(folder.uid_validity)
+    ) {
+      highestModseq = null;
+      lastUid = await this.resyncFolder(
+        mailbox,
+        imapClient,
+        folder,
+        status.uidValidity,
+      );
+    }
+
+    const result = await imapClient.fetchFolderMessages(folder.path, lastUid);
+
+    let processedCount = 0;
+    let bouncesFound = 0;
+    let maxUid = lastUid;
+
+    if (result.messages.length > 0) {
+      console.log(
+        `📨 Processing ${result.messages.length} new messages in ${folder.path}...`,
+      );
+    }
+
+    for (const message of result.messages) {
+      if (message.uid > maxUid) {
+        maxUid = message.uid;
+      }
+
+      try {
+        await this.processMessage(mailbox, message);
+        processedCount++;
+
+        // Count bounces separately for reporting
+        if (this.bounceDetector.isBounceMessage(message)) {
+          bouncesFound++;
+        }
+      } catch (error) {
+        console.error(
+          `❌ Error processing message UID ${message.uid} in ${folder.path}:`,
+          error.message,
+        );
+      }
+    }
+
+    // Bring in read/star/archive changes made in other clients
+    try {
+      highestModseq = await this.flagSync.pullServerChanges(
+        mailbox,
+        imapClient,
+        { ...folder, highest_modseq: highestModseq },
+        lastUid,
+      );
+    } catch (error) {
+      console.error(
+        `❌ Error pulling flags for ${folder.path}:`,
+        error.message,
+      );
+    }
+
+    await this.saveFolderState(mailbox, folder, {
+      special_use: result.specialUse || folder.special_use || null,
+      uid_validity: result.uidValidity,
+      highest_modseq: highestModseq,
+      last_synced_uid: maxUid,
+      last_synced_at: new Date().toISOString(),
+      last_error: null,
+    });
+
+    console.log(
+      `✅ ${folder.path}: processed ${processedCount}/${result.messages.length} messages (${bouncesFound} bounces)`,
+    );
+
+    return maxUid;
+  }
+
+  /**
+   * Reconcile a folder after its UIDVALIDITY changed: re-match stored rows
+   * to the server's messages by Message-ID and remap their UIDs
+   * @returns {Promise<number>} UID to resume the normal sync from
+   */
+  async resyncFolder(mailbox, imapClient, folder, uidValidity) {
+    console.warn(
+      `⚠️ UIDVALIDITY changed for ${folder.path} (${folder.uid_validity} → ${uidValidity}), resyncing...`,
+    );
+
+    const serverMessages = await imapClient.listMessageIds(folder.path);
+
+    const { data, error } = await this.db.rpc("remap_folder_uids", {
+      p_mailbox_id: mailbox.id,
+      p_folder: folder.path,
+      p_messages: serverMessages,
+    });
+
+    if (error) {
+      throw new Error(`UID remap failed: ${error.message}`);
+    }
+
+    // Resume just below the first server message we don't have yet
+    const remapped = new Set(data.remapped_uids);
+    const uids = serverMessages.map((m) => m.uid);
+    const unknownUids = uids.filter((uid) => !remapped.has(uid));
+    const resumeUid =
+      unknownUids.length > 0
+        ? unknownUids.reduce((min, uid) => Math.min(min, uid)) - 1
+        : uids.reduce((max, uid) => Math.max(max, uid), 0);
+
+    const missing = Math.max(0, data.previous_count - remapped.size);
+
+    await this.saveFolderState(mailbox, folder, {
+      uid_validity: uidValidity,
+      last_synced_uid: resumeUid,
+    });
+
+    await this.recordSyncEvent(mailbox, {
+      folder: folder.path,
+      event_type: "UIDVALIDITY_RESET",
+      message: `${folder.path} was reset by the server; ${remapped.size} stored messages were re-matched${missing > 0 ? `, ${missing} are no longer on the server` : ""}`,
+      details: {
+        previous_uid_validity: Number(folder.uid_validity),
+        uid_validity: uidValidity,
+        server_messages: serverMessages.length,
+        previous_count: data.previous_count,
+        remapped: remapped.size,
+        missing,
+        resume_uid: resumeUid,
+      },
+    });
+
+    console.log(
+      `✅ Resynced ${folder.path}: ${remapped.size} remapped, ${missing} missing, resuming after UID ${resumeUid}`,
+    );
+
+    return resumeUid;
+  }
+
+  /**
+   * Record a sync event the user can see on the mailbox
+   */
+  async recordSyncEvent(mailbox, event) {
+    const { error } = await this.db.from("mailbox_sync_events").insert({
+      mailbox_id: mailbox.id,
+      user_id: mailbox.user_id,
+      ...event,
+    });
+
+    if (error) {
+      console.error("❌ Failed to record sync event:", error.message);
+    }
+  }
+
+  /**
+   * Upsert per-folder sync state
+   */
+  async saveFolderState(mailbox, folder, state) {
+    const { error } = await this.db.from("mailbox_folders").upsert(
+      {
+        mailbox_id: mailbox.id,
+        user_id: mailbox.user_id,
+        path: folder.path,
+        ...state,
+      },
+      { onConflict: "mailbox_id,path" },
+    );
+
+    if (error) {
+      console.error(
+        `❌ Failed to save sync state for ${folder.path}:`,
+        error.message,
+      );
+    }
+  }
+
+  /**
+   * Messages in the Sent folder, or sent from the mailbox's own address,
+   * are outbound
+   */
+  getDirection(mailbox, message, fromAddress) {
+    if (message.folderSpecialUse === "\\Sent") return "OUTBOUND";
+    if (fromAddress && fromAddress === mailbox.email_address?.toLowerCase()) {
+      return "OUTBOUND";
+    }
+    return "INBOUND";
+  }
+
   /**
    * Normalize email address field to array
    */
@@ -150,11 +394,14 @@ export class EnhancedEmailProcessor {
    */
   async processMessage(mailbox, message) {
     try {
-      // Check if message already exists
+      const folder = message.folder || "INBOX";
+
+      // Check if message already exists (UIDs are unique per folder)
       const { data: existing } = await this.db
         .from("emails")
         .select("id")
         .eq("mailbox_id", mailbox.id)
+        .eq("folder", folder)
         .eq("uid", message.uid)
         .maybeSingle();
 
@@ -163,14 +410,62 @@ export class EnhancedEmailProcessor {
         return;
       }
 
+      // One row per message: rows without a UID (sent through MailSuite, or
+      // left over from a UIDVALIDITY reset) get this copy's UID, and a copy in
+      // another folder (e.g. Gmail's All Mail) is not stored twice. The
+      // database only enforces Message-IDs per folder, so take the oldest row
+      if (message.messageId) {
+        const { data: known } = await this.db
+          .from("emails")
+          .select("id, uid, folder, imap_archived")
+          .eq("mailbox_id", mailbox.id)
+          .eq("message_id", message.messageId)
+          .order("created_at", { ascending: true })
+          .limit(1)
+          .maybeSingle();
+
+        // The INBOX copy wins over an archive copy (e.g. Gmail's All Mail)
+        const relink =
+          known &&
+          (known.uid === null ||
+            (folder === "INBOX" && known.imap_archived === true));
+
+        if (relink) {
+          await this.db
+            .from("emails")
+            .update({
+              uid: message.uid,
+              folder,
+              ...(folder === "INBOX"
+                ? { is_archived: false, imap_archived: false }
+                : {}),
+            })
+            .eq("id", known.id);
+          console.log(
+            `🔗 Linked email ${known.id} to ${folder} UID ${message.uid}`,
+          );
+          return;
+        }
+
+        if (known) {
+          console.log(
+            `⏭️  Skipping UID ${message.uid}, already stored from ${known.folder}`,
+          );
+          return;
+        }
+      }
+
       // Normalize email address arrays (IMAP returns strings or arrays)
       message.to = this.normalizeEmailArray(message.to);
       message.cc = this.normalizeEmailArray(message.cc);
       message.bcc = this.normalizeEmailArray(message.bcc);
       message.references = this.normalizeEmailArray(message.references);
 
-      // 1. Classify email
-      const classification = this.classifier.classify(message);
+      // 1. Classify email (rules, plus the user's trained model)
+      const classification = await this.classifier.classify(
+        message,
+        mailbox.user_id,
+      );
       console.log(
         `🏷️  Classified as: ${classification.category} (${message.subject?.substring(0, 50)}...)`,
       );
@@ -198,6 +493,9 @@ export class EnhancedEmailProcessor {
         message.from,
       );
 
+      const direction = this.getDirection(mailbox, message, fromAddress);
+      const archived = ARCHIVE_SPECIAL_USE.includes(message.folderSpecialUse);
+
       // 5. Store email
       const { data: email, error: insertError } = await this.db
         .from("emails")
@@ -205,6 +503,8 @@ export class EnhancedEmailProcessor {
           user_id: mailbox.user_id,
           mailbox_id: mailbox.id,
           uid: message.uid,
+          folder,
+          direction,
           message_id:
             message.messageId || `${message.uid}@${mailbox.imap_host}`,
           subject: message.subject || "(No Subject)",
@@ -215,20 +515,30 @@ export class EnhancedEmailProcessor {
           bcc_addresses: message.bcc,
           category: classification.category,
           category_confidence: classification.confidence,
+          category_source: classification.source,
+          category_probabilities: classification.probabilities,
+          auto_reply_type: classification.autoReply?.type || null,
+          auto_reply_until: classification.autoReply?.returnDate || null,
+          auto_reply_contact:
+            classification.autoReply?.alternateContact || null,
           thread_id: threadId,
           in_reply_to: message.inReplyTo,
           reference_ids: message.references,
           body_preview: bodyPreview,
           has_attachments:
             message.attachments && message.attachments.length > 0,
-          is_read: false,
-          is_starred: false,
-          is_archived: false,
+          is_read: direction === "OUTBOUND" || Boolean(message.seen),
+          is_starred: Boolean(message.flagged),
+          is_archived: archived,
+          imap_seen: Boolean(message.seen),
+          imap_flagged: Boolean(message.flagged),
+          imap_archived: archived,
+          imap_modseq: message.modseq || null,
           received_at: message.receivedAt || new Date().toISOString(),
           sent_at:
             message.sentAt || message.receivedAt || new Date().toISOString(),
           size_bytes: message.size || 0,
-          headers: message.headers || {},
+          headers: this.serializeHeaders(message.headers),
         })
         .select("id")
         .single();
@@ -240,45 +550,298 @@ export class EnhancedEmailProcessor {
 
       console.log(`✅ Stored email: ${email.id}`);
 
+      // 5b. Store full plain-text body for search (kept out of list payloads)
+      await this.storeBody(email.id, mailbox.user_id, message);
+
+      // 5c. Store attachment metadata and content
+      if (message.attachments?.length > 0) {
+        await this.storeAttachments(
+          email.id,
+          mailbox.user_id,
+          message.attachments,
+        );
+      }
+
       // 6. Update thread stats
       await this.threadBuilder.updateThreadStats(threadId);
 
+      // 6b. Notify event stream clients
+      await this.events.emailCreated({
+        id: email.id,
+        user_id: mailbox.user_id,
+        mailbox_id: mailbox.id,
+        thread_id: threadId,
+        folder,
+        direction,
+        category: classification.category,
+        subject: message.subject || "(No Subject)",
+        from_address: fromAddress,
+        from_name: fromName,
+        received_at: message.receivedAt || new Date().toISOString(),
+      });
+
+      // 6c. Outbound webhooks (email.received)
+      if (direction === "INBOUND") {
+        await this.webhooks.dispatch({
+          user_id: mailbox.user_id,
+          mailbox_id: mailbox.id,
+          type: "email.received",
+          data: {
+            email_id: email.id,
+            thread_id: threadId,
+            folder,
+            category: classification.category,
+            category_confidence: classification.confidence,
+            subject: message.subject || "(No Subject)",
+            from_address: fromAddress,
+            from_name: fromName,
+            to_addresses: message.to,
+            body_preview: bodyPreview,
+            has_attachments: message.attachments?.length > 0,
+            received_at: message.receivedAt || new Date().toISOString(),
+          },
+        });
+      }
+
+      // Stored email as automation rules and Sieve scripts see it
+      const storedEmail = {
+        id: email.id,
+        user_id: mailbox.user_id,
+        mailbox_id: mailbox.id,
+        thread_id: threadId,
+        category: classification.category,
+        from_address: fromAddress,
+        from_name: fromName,
+        to_addresses: message.to,
+        cc_addresses: message.cc,
+        subject: message.subject || "(No Subject)",
+        size_bytes: message.size || 0,
+        headers: message.headers,
+      };
+
       // 7. If BOUNCE category, also process as bounce (Phase 1 compatibility)
-      if (classification.category === "BOUNCE") {
-        const bounceData = this.bounceDetector.parseBounce(message);
+      if (direction === "INBOUND" && classification.category === "BOUNCE") {
+        const { recipients, source } = this.bounceDetector.parseBounce(message);
 
-        if (bounceData.failedRecipient) {
+        // A DSN can report several failed recipients
+        for (const bounceData of recipients) {
           console.log(
-            `🔍 Processing bounce for: ${bounceData.failedRecipient}`,
+            `🔍 Processing bounce for: ${bounceData.failedRecipient} (${source})`,
           );
           await this.processBounce(
             mailbox.id,
             mailbox.user_id,
             message,
             bounceData,
+            storedEmail,
           );
         }
       }
+
+      // 8. Mail from an address that bounced shows it works again. The
+      // message's own date counts, so old mail synced late does not
+      if (direction === "INBOUND" && classification.category !== "BOUNCE") {
+        try {
+          await this.lifecycle.recordDelivery({
+            userId: mailbox.user_id,
+            addresses: [fromAddress],
+            occurredAt: new Date(
+              message.receivedDate || message.receivedAt || Date.now(),
+            ).toISOString(),
+            emailId: email.id,
+          });
+        } catch (error) {
+          console.error("❌ Error recording bounce recovery:", error.message);
+        }
+      }
+
+      // 9. Response times: inbound mail starts the clock, a reply stops it
+      try {
+        const messageDate = new Date(
+          message.receivedDate || message.receivedAt || Date.now(),
+        ).toISOString();
+
+        if (direction === "INBOUND") {
+          await this.slaTracker.trackInbound(mailbox, {
+            id: email.id,
+            thread_id: threadId,
+            category: classification.category,
+            from_address: fromAddress,
+            received_at: messageDate,
+            headers: message.headers,
+          });
+        } else {
+          await this.slaTracker.recordReply({
+            id: email.id,
+            thread_id: threadId,
+            sent_at: messageDate,
+          });
+        }
+      } catch (error) {
+        console.error("❌ Error tracking response time:", error.message);
+      }
+
+      // 10. User-defined automation rules
+      if (direction === "INBOUND") {
+        try {
+          await this.automation.emailReceived(storedEmail);
+        } catch (error) {
+          console.error("❌ Error running automation rules:", error.message);
+        }
+      }
+
+      // 11. The mailbox's Sieve script
+      if (direction === "INBOUND") {
+        try {
+          await this.sieve.apply(mailbox, storedEmail);
+        } catch (error) {
+          console.error("❌ Error running Sieve script:", error.message);
+        }
+      }
+
+      // 12. Contact directory; mail from a blocked sender is archived
+      try {
+        const contacts = await this.contacts.recordEmail(mailbox, {
+          ...storedEmail,
+          direction,
+          received_at: message.receivedAt || new Date().toISOString(),
+        });
+
+        if (
+          direction === "INBOUND" &&
+          contacts.some(
+            (contact) => contact.email === fromAddress && contact.is_blocked,
+          )
+        ) {
+          await this.bulk.applyToEmails(mailbox.user_id, [email.id], "archive");
+          console.log(`🚫 Archived email from blocked contact ${fromAddress}`);
+        }
+      } catch (error) {
+        console.error("❌ Error updating contacts:", error.message);
+      }
     } catch (error) {
       console.error("❌ Error in processMessage:", error);
       throw error;
     }
   }
 
+  /**
+   * Tell event stream clients and mailbox.error webhooks about a failed sync
+   * @param {string} folder - Folder path, or omitted when the whole sync failed
+   */
+  async notifySyncError(mailbox, error, folder = null) {
+    const data = { error: error.message, ...(folder && { folder }) };
+
+    await this.events.publish({
+      user_id: mailbox.user_id,
+      mailbox_id: mailbox.id,
+      type: "mailbox.sync_error",
+      data,
+    });
+
+    await this.webhooks.dispatch({
+      user_id: mailbox.user_id,
+      mailbox_id: mailbox.id,
+      type: "mailbox.error",
+      data: { email_address: mailbox.email_address, ...data },
+    });
+  }
+
   /**
    * Extract preview text from email body (first 300 chars)
    */
   extractPreview(body) {
-    if (!body) return "";
+    return this.extractBodyText(body).substring(0, 300);
+  }
+
+  /**
+   * Headers as a plain object for the headers column; ImapClient gives a
+   * Map, which would be stored as {}
+   */
+  serializeHeaders(headers) {
+    if (!headers) return {};
+    return headers instanceof Map ? Object.fromEntries(headers) : headers;
+  }
+
+  /**
+   * Convert an email body to plain text
+   */
+  extractBodyText(body) {
+    return toPlainText(body);
+  }
+
+  /**
+   * Persist the full plain-text body used by full-text search, quoting and
+   * forwarding; it keeps the body's lines
+   */
+  async storeBody(emailId, userId, message) {
+    const { error } = await this.db.from("email_bodies").insert({
+      email_id: emailId,
+      user_id: userId,
+      subject: message.subject || "",
+      body_text: toTextLines(message.body).substring(0, MAX_BODY_TEXT_LENGTH),
+    });
 
-    // Remove HTML tags if present
-    let text = body.replace(/<[^>]+>/g, " ");
+    // Search is best-effort; never fail ingestion over it
+    if (error) {
+      console.error("❌ Error storing email body:", error.message);
+    }
+  }
 
-    // Remove extra whitespace
-    text = text.replace(/\s+/g, " ").trim();
+  /**
+   * Save attachment content to storage and record its metadata
+   */
+  async storeAttachments(emailId, userId, attachments) {
+    const storage = getStorage();
+    const rows = [];
+
+    for (const [index, attachment] of attachments.entries()) {
+      const id = crypto.randomUUID();
+      const size = attachment.size || attachment.content?.length || 0;
+      let storageKey = null;
+
+      if (attachment.content && size <= MAX_ATTACHMENT_BYTES) {
+        const key = `${userId}/${emailId}/${id}`;
+        try {
+          await storage.put(key, attachment.content);
+          storageKey = key;
+        } catch (error) {
+          console.error(
+            `❌ Error storing attachment ${attachment.filename}:`,
+            error.message,
+          );
+        }
+      } else if (size > MAX_ATTACHMENT_BYTES) {
+        console.warn(
+          `⚠️ Attachment ${attachment.filename} is ${size} bytes, storing metadata only`,
+        );
+      }
 
-    // Return first 300 chars
-    return text.substring(0, 300);
+      rows.push({
+        id,
+        email_id: emailId,
+        user_id: userId,
+        filename: attachment.filename || `attachment-${index + 1}`,
+        content_type: attachment.contentType || "application/octet-stream",
+        size_bytes: size,
+        content_id: attachment.contentId || null,
+        checksum: attachment.checksum || null,
+        disposition: attachment.disposition || "attachment",
+        storage_backend: storageKey ? storage.name : null,
+        storage_key: storageKey,
+      });
+
+      // Release the buffer as soon as it has been written
+      attachment.content = null;
+    }
+
+    const { error } = await this.db.from("email_attachments").insert(rows);
+
+    if (error) {
+      console.error("❌ Error storing attachment metadata:", error.message);
+    } else {
+      console.log(`📎 Stored ${rows.length} attachment(s)`);
+    }
   }
 
   /**
@@ -304,8 +867,10 @@ export class EnhancedEmailProcessor {
 
   /**
    * Process bounce (Phase 1 compatibility)
+   * @param {Object} email - The stored DSN email, for the bounce event and
+   *   BOUNCE_DETECTED automation rules
    */
-  async processBounce(mailboxId, userId, message, bounceData) {
+  async processBounce(mailboxId, userId, message, bounceData, email = null) {
     try {
       // Validate email before processing
       if (!bounceData.failedRecipient) {
@@ -316,7 +881,7 @@ export class EnhancedEmailProcessor {
       // 1. Check if bounce already exists
       const { data: existing } = await this.db
         .from("email_bounces")
-        .select("id, failure_count")
+        .select("id, failure_count, delivery_state, last_failed_at")
         .eq("user_id", userId)
         .eq("mailbox_id", mailboxId)
         .eq("email", bounceData.failedRecipient)
@@ -351,6 +916,14 @@ export class EnhancedEmailProcessor {
           }
         }
 
+        // The latest failure decides the category
+        if (bounceData.bounceCategory) {
+          await this.db
+            .from("email_bounces")
+            .update({ bounce_category: bounceData.bounceCategory })
+            .eq("id", existing.id);
+        }
+
         bounceId = existing.id;
         console.log(
           `📊 Incremented failure count for ${bounceData.failedRecipient}`,
@@ -364,6 +937,7 @@ export class EnhancedEmailProcessor {
             mailbox_id: mailboxId,
             email: bounceData.failedRecipient,
             bounce_type: bounceData.bounceType,
+            bounce_category: bounceData.bounceCategory,
             error_code: bounceData.errorCode,
             reason: bounceData.diagnostic,
             failure_count: 1,
@@ -383,14 +957,121 @@ export class EnhancedEmailProcessor {
       }
 
       // 4. Create bounce event
-      await this.db.from("email_bounce_events").insert({
-        bounce_id: bounceId,
+      const { data: event } = await this.db
+        .from("email_bounce_events")
+        .insert({
+          bounce_id: bounceId,
+          user_id: userId,
+          message_uid: message.uid,
+          email_id: email?.id || null,
+          event_type: "FAILURE",
+          bounce_type: bounceData.bounceType,
+          error_code: bounceData.errorCode,
+          diagnostic: bounceData.diagnostic,
+          status: bounceData.status,
+          bounce_category: bounceData.bounceCategory,
+          action: bounceData.action,
+          remote_mta: bounceData.remoteMta,
+          arrival_date: bounceData.arrivalDate,
+          occurred_at: new Date().toISOString(),
+        })
+        .select("id")
+        .single();
+
+      // 5. Suppress the address on a HARD bounce or too many SOFT ones
+      let suppression = null;
+      try {
+        suppression = await this.suppressions.evaluateBounce({
+          userId,
+          mailboxId,
+          bounceId,
+          email: bounceData.failedRecipient,
+          bounceType: bounceData.bounceType,
+          diagnostic: bounceData.diagnostic,
+        });
+      } catch (error) {
+        console.error("❌ Error updating suppression list:", error.message);
+      }
+
+      // 6. Move the address to SOFT_FAILING or SUPPRESSED
+      let deliveryState = null;
+      try {
+        deliveryState = await this.lifecycle.recordFailure({
+          userId,
+          bounceId,
+          eventId: event?.id,
+          bounceType: bounceData.bounceType,
+          previousState: existing ? effectiveState(existing) : null,
+          suppression,
+        });
+      } catch (error) {
+        console.error("❌ Error updating bounce state:", error.message);
+      }
+
+      // 7. Remember which provider hosts the recipient's domain (analytics)
+      try {
+        await this.mxResolver.resolveDomains([
+          bounceData.failedRecipient.split("@")[1],
+        ]);
+      } catch (error) {
+        console.error("❌ Error resolving recipient MX:", error.message);
+      }
+
+      // 8. Bounce history of the recipient's contact
+      try {
+        await this.contacts.recordBounce(userId, bounceData.failedRecipient);
+      } catch (error) {
+        console.error("❌ Error updating contact bounces:", error.message);
+      }
+
+      await this.events.publish({
         user_id: userId,
-        message_uid: message.uid,
-        error_code: bounceData.errorCode,
-        diagnostic: bounceData.diagnostic,
-        occurred_at: new Date().toISOString(),
+        mailbox_id: mailboxId,
+        type: "bounce.detected",
+        data: {
+          bounce_id: bounceId,
+          email: bounceData.failedRecipient,
+          bounce_type: bounceData.bounceType,
+          bounce_category: bounceData.bounceCategory,
+          error_code: bounceData.errorCode,
+          delivery_state: deliveryState,
+          is_new: !existing,
+        },
       });
+
+      await this.webhooks.dispatch({
+        user_id: userId,
+        mailbox_id: mailboxId,
+        type: "bounce.detected",
+        data: {
+          bounce_id: bounceId,
+          email: bounceData.failedRecipient,
+          bounce_type: bounceData.bounceType,
+          bounce_category: bounceData.bounceCategory,
+          error_code: bounceData.errorCode,
+          status: bounceData.status,
+          diagnostic: bounceData.diagnostic,
+          remote_mta: bounceData.remoteMta,
+          failure_count: existing ? existing.failure_count + 1 : 1,
+          delivery_state: deliveryState,
+          is_new: !existing,
+        },
+      });
+
+      // 8. User-defined automation rules
+      if (email) {
+        try {
+          await this.automation.bounceDetected(email, {
+            id: bounceId,
+            event_id: event?.id,
+            email: bounceData.failedRecipient,
+            bounce_type: bounceData.bounceType,
+            bounce_category: bounceData.bounceCategory,
+          });
+        } catch (error) {
+          console.error("❌ Error running automation rules:", error.message);
+        }
+      }
     } catch (error) {
       console.error("❌ Error processing bounce:", error);
     }
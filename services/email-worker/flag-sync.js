@@ -0,0 +1,472 @@
+/**
+ * Two-way flag sync between stored emails and the IMAP server.
+ *
+ * is_read ↔ \Seen, is_starred ↔ \Flagged, is_archived ↔ "moved out of INBOX
+ * into the Archive folder". The last state seen on the server (imap_seen,
+ * imap_flagged, imap_archived) is the merge base: whichever side moved away
+ * from it wins.
+ * FLAG_SYNC_CONFLICT_POLICY ("local" or "server") decides when there is no
+ * base yet (rows synced before flag sync existed).
+ *
+ * A push only clears flags_dirty if the row's updated_at still matches what
+ * the worker read; a local change made during the push stays queued.
+ */
+
+import { EventPublisher } from "../events/publisher.js";
+import { ThreadBuilder } from "./thread-builder.js";
+
+// Rows per `in` query / UID list
+const BATCH_SIZE = 200;
+
+// Dirty rows pushed per mailbox per cycle
+const MAX_PUSH_PER_CYCLE = 1000;
+
+const FLAG_COLUMNS =
+  "id, uid, folder, thread_id, is_read, is_starred, is_archived, flags_dirty, imap_seen, imap_flagged, imap_archived, updated_at";
+
+// Folders whose messages count as archived
+export const ARCHIVE_SPECIAL_USE = ["\\Archive", "\\All"];
+
+/**
+ * Three-way merge of one boolean flag
+ * @param {boolean} local - Value in our database
+ * @param {boolean} server - Value on the IMAP server
+ * @param {boolean|null} base - Last value both sides agreed on
+ * @param {string} policy - "local" or "server", used when base is unknown
+ * @returns {boolean}
+ */
+export function mergeFlag(local, server, base, policy = "local") {
+  if (local === server) return local;
+  if (base === null || base === undefined) {
+    return policy === "server" ? server : local;
+  }
+  return local !== base ? local : server;
+}
+
+export class FlagSync {
+  constructor(db, events = new EventPublisher(db)) {
+    this.db = db;
+    this.events = events;
+    this.threadBuilder = new ThreadBuilder(db);
+    this.policy =
+      process.env.FLAG_SYNC_CONFLICT_POLICY === "server" ? "server" : "local";
+  }
+
+  chunk(items, size = BATCH_SIZE) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+      chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+  }
+
+  /**
+   * Folder that archived mail is moved to: \Archive, else Gmail's \All
+   * @returns {Promise<string|null>}
+   */
+  async findArchiveFolder(imapClient) {
+    const folders = await imapClient.listFolders();
+    const archive =
+      folders.find((folder) => folder.specialUse === "\\Archive") ||
+      folders.find((folder) => folder.specialUse === "\\All");
+
+    return archive ? archive.path : null;
+  }
+
+  /**
+   * Push local read/star/archive changes to the server
+   */
+  async pushLocalChanges(mailbox, imapClient) {
+    // Rows without a UID (sent, not yet seen on the server) wait until linked
+    const { data: rows, error } = await this.db
+      .from("emails")
+      .select(FLAG_COLUMNS)
+      .eq("mailbox_id", mailbox.id)
+      .eq("flags_dirty", true)
+      .not("uid", "is", null)
+      .limit(MAX_PUSH_PER_CYCLE);
+
+    if (error) {
+      console.error("❌ Error loading pending flag changes:", error.message);
+      return;
+    }
+
+    if (!rows || rows.length === 0) return;
+
+    console.log(`🔁 Pushing ${rows.length} flag changes to the server...`);
+
+    const byFolder = new Map();
+    for (const row of rows) {
+      if (!byFolder.has(row.folder)) byFolder.set(row.folder, []);
+      byFolder.get(row.folder).push(row);
+    }
+
+    const touchedThreads = new Set();
+    const archiveFolder = rows.some((row) => this.wantsMove(row))
+      ? await this.findArchiveFolder(imapClient)
+      : null;
+
+    for (const [folder, folderRows] of byFolder) {
+      try {
+        await this.pushFolder(imapClient, folder, folderRows, touchedThreads);
+        // Rows changed locally meanwhile are moved next cycle, if at all
+        await this.pushMoves(
+          imapClient,
+          folder,
+          folderRows.filter(
+            (row) => row.uid !== null && !row.stale && this.wantsMove(row),
+          ),
+          archiveFolder,
+        );
+      } catch (error) {
+        // Rows stay dirty and are retried next cycle
+        console.error(`❌ Error pushing flags in ${folder}:`, error.message);
+      }
+    }
+
+    await this.refreshThreads(touchedThreads);
+  }
+
+  /**
+   * Whether the archive state changed locally since the last sync
+   */
+  wantsMove(row) {
+    return row.is_archived !== Boolean(row.imap_archived);
+  }
+
+  async pushFolder(imapClient, folder, rows, touchedThreads) {
+    for (const batch of this.chunk(rows)) {
+      const { messages } = await imapClient.fetchFlags(
+        folder,
+        batch.map((row) => row.uid).join(","),
+      );
+      const server = new Map(messages.map((message) => [message.uid, message]));
+      const changes = {
+        "\\Seen": { add: [], remove: [] },
+        "\\Flagged": { add: [], remove: [] },
+      };
+
+      for (const row of batch) {
+        const current = server.get(row.uid);
+
+        if (!current) {
+          // Gone from the folder on the server: the server wins
+          await this.updateRow(row.id, { uid: null, flags_dirty: false });
+          row.uid = null;
+          continue;
+        }
+
+        const seen = mergeFlag(
+          row.is_read,
+          current.seen,
+          row.imap_seen,
+          this.policy,
+        );
+        const flagged = mergeFlag(
+          row.is_starred,
+          current.flagged,
+          row.imap_flagged,
+          this.policy,
+        );
+
+        if (seen !== current.seen) {
+          changes["\\Seen"][seen ? "add" : "remove"].push(row.uid);
+        }
+        if (flagged !== current.flagged) {
+          changes["\\Flagged"][flagged ? "add" : "remove"].push(row.uid);
+        }
+
+        if (seen !== row.is_read) touchedThreads.add(row.thread_id);
+
+        row.is_read = seen;
+        row.is_starred = flagged;
+        row.imap_seen = seen;
+        row.imap_flagged = flagged;
+      }
+
+      for (const [flag, { add, remove }] of Object.entries(changes)) {
+        await imapClient.setFlag(folder, add, flag, true);
+        await imapClient.setFlag(folder, remove, flag, false);
+      }
+
+      // Rows waiting for a move stay dirty until pushMoves succeeds
+      for (const row of batch) {
+        if (row.uid === null) continue;
+
+        row.stale = !(await this.updateIfUnchanged(
+          row,
+          {
+            is_read: row.is_read,
+            is_starred: row.is_starred,
+            flags_dirty: this.wantsMove(row),
+          },
+          { imap_seen: row.imap_seen, imap_flagged: row.imap_flagged },
+        ));
+      }
+    }
+  }
+
+  /**
+   * Archive: INBOX → archive folder. Unarchive: archive folder → INBOX
+   */
+  async pushMoves(imapClient, folder, rows, archiveFolder) {
+    if (rows.length === 0) return;
+
+    const destination =
+      folder === "INBOX"
+        ? archiveFolder
+        : folder === archiveFolder
+          ? "INBOX"
+          : null;
+    const movable = destination
+      ? rows.filter((row) => row.is_archived === (destination !== "INBOX"))
+      : [];
+    const movableIds = new Set(movable.map((row) => row.id));
+
+    // Nothing to move on the server (no archive folder, or mail in e.g.
+    // Sent): the archive state stays local
+    for (const row of rows) {
+      if (!movableIds.has(row.id)) {
+        await this.updateIfUnchanged(
+          row,
+          { flags_dirty: false },
+          { imap_archived: row.is_archived },
+        );
+      }
+    }
+
+    for (const batch of this.chunk(movable)) {
+      const uidMap = await imapClient.moveMessages(
+        folder,
+        batch.map((row) => row.uid),
+        destination,
+      );
+
+      for (const row of batch) {
+        // Without UIDPLUS the new UID is unknown; the destination folder's
+        // sync (if enabled) links the row again by Message-ID
+        await this.updateIfUnchanged(
+          row,
+          { flags_dirty: false },
+          {
+            folder: destination,
+            uid: uidMap.get(row.uid) ?? null,
+            imap_archived: row.is_archived,
+          },
+        );
+      }
+
+      console.log(
+        `📦 Moved ${batch.length} messages from ${folder} to ${destination}`,
+      );
+    }
+  }
+
+  /**
+   * Pull flag changes made on the server into our database
+   * Uses CONDSTORE (changedSince the stored HIGHESTMODSEQ) when available,
+   * otherwise compares every synced UID
+   * @returns {Promise<number|null>} HIGHESTMODSEQ to store for the folder
+   */
+  async pullServerChanges(mailbox, imapClient, folder, lastUid) {
+    if (!lastUid) return folder.highest_modseq || null;
+
+    const { highestModseq, messages } = await imapClient.fetchFlags(
+      folder.path,
+      `1:${lastUid}`,
+      { changedSince: folder.highest_modseq },
+    );
+
+    const unchanged =
+      highestModseq &&
+      folder.highest_modseq &&
+      highestModseq <= Number(folder.highest_modseq);
+
+    if (unchanged) return highestModseq;
+
+    const touchedThreads = new Set();
+    const events = [];
+    let updated = 0;
+
+    for (const batch of this.chunk(messages)) {
+      const rows = await this.loadRows(
+        mailbox.id,
+        folder.path,
+        batch.map((message) => message.uid),
+      );
+      const byUid = new Map(rows.map((row) => [row.uid, row]));
+
+      for (const message of batch) {
+        const row = byUid.get(message.uid);
+
+        // Unknown message, or a local change still waiting to be pushed
+        if (!row || row.flags_dirty) continue;
+
+        if (
+          row.is_read === message.seen &&
+          row.is_starred === message.flagged &&
+          row.imap_seen === message.seen &&
+          row.imap_flagged === message.flagged
+        ) {
+          continue;
+        }
+
+        const applied = await this.updateIfUnchanged(
+          row,
+          { is_read: message.seen, is_starred: message.flagged },
+          {
+            imap_seen: message.seen,
+            imap_flagged: message.flagged,
+            imap_modseq: message.modseq,
+          },
+        );
+
+        // Changed locally since it was loaded; that change is pushed next
+        if (!applied) continue;
+
+        if (row.is_read !== message.seen) touchedThreads.add(row.thread_id);
+        updated++;
+
+        if (
+          row.is_read !== message.seen ||
+          row.is_starred !== message.flagged
+        ) {
+          events.push(
+            this.flagsChangedEvent(mailbox, row.id, {
+              is_read: message.seen,
+              is_starred: message.flagged,
+            }),
+          );
+        }
+      }
+    }
+
+    updated += await this.detectRemoved(
+      mailbox,
+      imapClient,
+      folder.path,
+      touchedThreads,
+      events,
+    );
+
+    await this.refreshThreads(touchedThreads);
+    await this.events.publishMany(events);
+
+    if (updated > 0) {
+      console.log(`🔁 Pulled ${updated} flag changes from ${folder.path}`);
+    }
+
+    return highestModseq;
+  }
+
+  /**
+   * Messages that left a folder on the server (moved or deleted) lose their
+   * UID; leaving INBOX counts as archived
+   * @returns {Promise<number>} Rows updated
+   */
+  async detectRemoved(mailbox, imapClient, folder, touchedThreads, events) {
+    const serverUids = new Set(await imapClient.listUids(folder));
+    const removed = [];
+
+    for (let from = 0; ; from += 1000) {
+      const { data, error } = await this.db
+        .from("emails")
+        .select("id, uid, thread_id, flags_dirty")
+        .eq("mailbox_id", mailbox.id)
+        .eq("folder", folder)
+        .not("uid", "is", null)
+        .order("uid", { ascending: true })
+        .range(from, from + 999);
+
+      if (error) throw error;
+
+      removed.push(...data.filter((row) => !serverUids.has(row.uid)));
+
+      if (data.length < 1000) break;
+    }
+
+    for (const row of removed) {
+      const changes = { uid: null };
+      if (folder === "INBOX" && !row.flags_dirty) {
+        changes.is_archived = true;
+        changes.imap_archived = true;
+        events.push(
+          this.flagsChangedEvent(mailbox, row.id, { is_archived: true }),
+        );
+      }
+      await this.updateRow(row.id, changes);
+      touchedThreads.add(row.thread_id);
+    }
+
+    return removed.length;
+  }
+
+  flagsChangedEvent(mailbox, emailId, changes) {
+    return {
+      user_id: mailbox.user_id,
+      mailbox_id: mailbox.id,
+      type: "email.flags_changed",
+      data: { email_ids: [emailId], changes, source: "server" },
+    };
+  }
+
+  async loadRows(mailboxId, folder, uids) {
+    const { data, error } = await this.db
+      .from("emails")
+      .select(FLAG_COLUMNS)
+      .eq("mailbox_id", mailboxId)
+      .eq("folder", folder)
+      .in("uid", uids);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Record what the server now holds (serverState) and apply localChanges,
+   * unless the row changed since it was read (e.g. the user toggled a flag
+   * again): then only serverState is written and the row stays dirty
+   * @returns {Promise<boolean>} Whether localChanges were applied
+   */
+  async updateIfUnchanged(row, localChanges, serverState) {
+    const { data, error } = await this.db
+      .from("emails")
+      .update({ ...serverState, ...localChanges })
+      .eq("id", row.id)
+      .eq("updated_at", row.updated_at)
+      .select("updated_at")
+      .maybeSingle();
+
+    if (error) {
+      console.error(`❌ Error updating flags for ${row.id}:`, error.message);
+      return false;
+    }
+
+    if (data) {
+      row.updated_at = data.updated_at;
+      return true;
+    }
+
+    await this.updateRow(row.id, serverState);
+    return false;
+  }
+
+  async updateRow(emailId, changes) {
+    const { error } = await this.db
+      .from("emails")
+      .update(changes)
+      .eq("id", emailId);
+
+    if (error) {
+      console.error(`❌ Error updating flags for ${emailId}:`, error.message);
+    }
+  }
+
+  async refreshThreads(threadIds) {
+    for (const threadId of threadIds) {
+      if (threadId) {
+        await this.threadBuilder.updateThreadStats(threadId);
+      }
+    }
+  }
+}
@@ -0,0 +1,315 @@
+/**
+ * Push-based sync worker (WORKER_MODE=idle)
+ * Holds one IMAP IDLE connection per active mailbox, up to a cap, and syncs a
+ * mailbox within seconds of the server reporting new mail. Mailboxes over the
+ * cap, or on servers without IDLE, are polled. Every mailbox is still synced
+ * on the poll interval to pick up changes outside INBOX.
+ */
+
+import { decrypt } from "../../utils/encryption.js";
+import { ImapClient } from "./imap-client.js";
+
+const DEFAULT_OPTIONS = {
+  // IDLE connections held by this process (syncs open one more at a time)
+  maxConnections: parseInt(process.env.IDLE_MAX_CONNECTIONS) || 50,
+  pollIntervalMs: parseInt(process.env.IDLE_POLL_INTERVAL_MS) || 5 * 60 * 1000,
+  // How often the mailbox list is re-read (new / removed / errored mailboxes)
+  refreshIntervalMs: 60 * 1000,
+  // Servers often send several EXISTS in a burst; sync once per burst
+  debounceMs: 2000,
+  backoffBaseMs: 5000,
+  backoffMaxMs: 10 * 60 * 1000,
+};
+
+// Mailbox fields a watcher's connection was opened with
+const CONNECTION_FIELDS = [
+  "imap_host",
+  "imap_port",
+  "imap_username",
+  "imap_password_encrypted",
+];
+
+export class IdleWorker {
+  /**
+   * @param {Object} db - Supabase client
+   * @param {Object} processor - EnhancedEmailProcessor
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(db, processor, options = {}) {
+    this.db = db;
+    this.processor = processor;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    // mailboxId → { mailbox, client, attempts, reconnectTimer, debounceTimer }
+    this.watchers = new Map();
+    // mailboxId → reason ("capacity" | "no-idle") for mailboxes we poll
+    this.polled = new Map();
+
+    this.queue = new Set();
+    this.syncing = false;
+    this.timers = [];
+    this.stopped = false;
+  }
+
+  async start() {
+    console.log(
+      `🚀 IDLE worker started (max ${this.options.maxConnections} connections, polling every ${Math.round(this.options.pollIntervalMs / 1000)}s)`,
+    );
+
+    await this.refresh();
+
+    this.timers.push(
+      setInterval(() => {
+        this.refresh().catch((error) =>
+          console.error("❌ Error refreshing mailboxes:", error.message),
+        );
+      }, this.options.refreshIntervalMs),
+      setInterval(() => this.pollAll(), this.options.pollIntervalMs),
+    );
+
+    // Catch up on anything that arrived while the worker was down
+    this.pollAll();
+  }
+
+  async stop() {
+    this.stopped = true;
+
+    for (const timer of this.timers) {
+      clearInterval(timer);
+    }
+
+    for (const mailboxId of [...this.watchers.keys()]) {
+      await this.closeWatcher(mailboxId);
+    }
+
+    console.log("🛑 IDLE worker stopped");
+  }
+
+  /**
+   * Start watching new active mailboxes, reconnect ones whose connection
+   * settings changed and drop removed/inactive ones
+   */
+  async refresh() {
+    const { data: mailboxes, error } = await this.db
+      .from("mailboxes")
+      .select(
+        "id, email_address, imap_host, imap_port, imap_username, imap_password_encrypted",
+      )
+      .eq("status", "ACTIVE");
+
+    if (error) {
+      console.error("❌ Error fetching mailboxes:", error.message);
+      return;
+    }
+
+    const activeIds = new Set(mailboxes.map((mailbox) => mailbox.id));
+
+    for (const mailboxId of [...this.watchers.keys()]) {
+      if (!activeIds.has(mailboxId)) {
+        await this.closeWatcher(mailboxId);
+      }
+    }
+
+    for (const mailboxId of [...this.polled.keys()]) {
+      if (!activeIds.has(mailboxId)) {
+        this.polled.delete(mailboxId);
+      }
+    }
+
+    for (const mailbox of mailboxes) {
+      const watcher = this.watchers.get(mailbox.id);
+
+      if (watcher) {
+        const changed = CONNECTION_FIELDS.some(
+          (field) => watcher.mailbox[field] !== mailbox[field],
+        );
+        if (!changed) {
+          watcher.mailbox = mailbox;
+          continue;
+        }
+
+        // Settings were edited (PUT /mailboxes/:id); reconnect with them
+        console.log(
+          `🔄 Connection settings changed for ${mailbox.email_address}, reconnecting`,
+        );
+        await this.closeWatcher(mailbox.id);
+      }
+
+      if (this.polled.get(mailbox.id) === "no-idle") continue;
+
+      // Over capacity: poll until a connection frees up
+      if (this.watchers.size >= this.options.maxConnections) {
+        this.polled.set(mailbox.id, "capacity");
+        continue;
+      }
+
+      this.polled.delete(mailbox.id);
+      this.watchers.set(mailbox.id, {
+        mailbox,
+        client: null,
+        attempts: 0,
+        reconnectTimer: null,
+        debounceTimer: null,
+      });
+      await this.connectWatcher(this.watchers.get(mailbox.id));
+    }
+
+    console.log(
+      `👂 ${this.watchers.size} mailbox(es) on IDLE, ${this.polled.size} polled`,
+    );
+  }
+
+  async connectWatcher(watcher) {
+    const { mailbox } = watcher;
+    if (this.stopped || this.watchers.get(mailbox.id) !== watcher) return;
+
+    let client;
+
+    try {
+      // A password that no longer decrypts (e.g. a rotated key) fails like
+      // any other connection attempt
+      client = this.createClient(mailbox);
+      watcher.client = client;
+
+      await client.connect();
+
+      if (!client.supportsIdle()) {
+        console.log(
+          `ℹ️  ${mailbox.email_address} does not support IDLE, polling instead`,
+        );
+        this.watchers.delete(mailbox.id);
+        this.polled.set(mailbox.id, "no-idle");
+        await client.disconnect();
+        return;
+      }
+
+      await client.watch("INBOX", {
+        onChange: () => this.scheduleSync(watcher),
+        onClose: () => this.handleClose(watcher, client),
+      });
+
+      // Mail may have arrived while we were reconnecting
+      if (watcher.attempts > 0) {
+        this.scheduleSync(watcher);
+      }
+
+      watcher.attempts = 0;
+      console.log(`👂 Watching ${mailbox.email_address} (IDLE)`);
+    } catch (error) {
+      console.error(
+        `❌ IDLE connection failed for ${mailbox.email_address}:`,
+        error.message,
+      );
+      // Don't leave a half-open connection behind (e.g. watch() failed)
+      await client?.disconnect().catch(() => {});
+      this.scheduleReconnect(watcher);
+    }
+  }
+
+  createClient(mailbox) {
+    return new ImapClient({
+      host: mailbox.imap_host,
+      port: mailbox.imap_port,
+      username: mailbox.imap_username,
+      password: decrypt(mailbox.imap_password_encrypted),
+      idle: true,
+    });
+  }
+
+  handleClose(watcher, client) {
+    // Ignore closes we caused (stop, removal) or from replaced connections
+    if (this.stopped || watcher.client !== client) return;
+    if (this.watchers.get(watcher.mailbox.id) !== watcher) return;
+
+    console.warn(
+      `⚠️ IDLE connection lost for ${watcher.mailbox.email_address}`,
+    );
+    this.scheduleReconnect(watcher);
+  }
+
+  /**
+   * Exponential backoff with jitter, capped at backoffMaxMs
+   */
+  scheduleReconnect(watcher) {
+    watcher.client = null;
+    watcher.attempts++;
+
+    const ceiling = Math.min(
+      this.options.backoffMaxMs,
+      this.options.backoffBaseMs * 2 ** (watcher.attempts - 1),
+    );
+    const delay = Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+
+    console.log(
+      `🔁 Reconnecting ${watcher.mailbox.email_address} in ${Math.round(delay / 1000)}s (attempt ${watcher.attempts})`,
+    );
+
+    clearTimeout(watcher.reconnectTimer);
+    watcher.reconnectTimer = setTimeout(
+      () => this.connectWatcher(watcher),
+      delay,
+    );
+  }
+
+  async closeWatcher(mailboxId) {
+    const watcher = this.watchers.get(mailboxId);
+    if (!watcher) return;
+
+    this.watchers.delete(mailboxId);
+    clearTimeout(watcher.reconnectTimer);
+    clearTimeout(watcher.debounceTimer);
+
+    if (watcher.client) {
+      try {
+        await watcher.client.disconnect();
+      } catch (error) {
+        console.error("❌ Error during IMAP disconnect:", error.message);
+      }
+    }
+  }
+
+  scheduleSync(watcher) {
+    clearTimeout(watcher.debounceTimer);
+    watcher.debounceTimer = setTimeout(
+      () => this.enqueue(watcher.mailbox.id),
+      this.options.debounceMs,
+    );
+  }
+
+  pollAll() {
+    for (const mailboxId of [...this.watchers.keys(), ...this.polled.keys()]) {
+      this.enqueue(mailboxId);
+    }
+  }
+
+  /**
+   * Queue a mailbox for sync; syncs run one at a time and a mailbox is
+   * queued at most once
+   */
+  enqueue(mailboxId) {
+    if (this.stopped) return;
+
+    this.queue.add(mailboxId);
+    this.drain();
+  }
+
+  async drain() {
+    if (this.syncing) return;
+    this.syncing = true;
+
+    try {
+      while (this.queue.size > 0 && !this.stopped) {
+        const [mailboxId] = this.queue;
+        this.queue.delete(mailboxId);
+
+        try {
+          await this.processor.processMailbox(mailboxId);
+        } catch (error) {
+          console.error(`❌ Failed to sync ${mailboxId}:`, error.message);
+        }
+      }
+    } finally {
+      this.syncing = false;
+    }
+  }
+}
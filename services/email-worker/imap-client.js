@@ -1,5 +1,14 @@
 import { ImapFlow } from "imapflow";
 import { simpleParser } from "mailparser";
+import { DELIVERY_STATUS_TYPES } from "./dsn-parser.js";
+
+// Machine-readable parts of a multipart/report (RFC 6522): the status part
+// and the returned headers of the original message
+const REPORT_PART_TYPES = [
+  ...DELIVERY_STATUS_TYPES,
+  "text/rfc822-headers",
+  "message/global-headers",
+];
 
 export class ImapClient {
   constructor(config) {
@@ -17,6 +26,14 @@ export class ImapClient {
       greetingTimeout: 15000, // 15 seconds
       connectionTimeout: 20000, // 20 seconds
     };
+
+    // Long-lived IDLE connections: the server may stay silent for minutes,
+    // and RFC 2177 asks clients to re-issue IDLE at least every 29 minutes
+    if (config.idle) {
+      this.config.socketTimeout = 300000; // 5 minutes
+      this.config.maxIdleTime = 20 * 60 * 1000; // 20 minutes
+    }
+
     this.client = null;
   }
 
@@ -46,7 +63,109 @@ export class ImapClient {
     }
   }
 
+  /**
+   * List folders on the server
+   * @returns {Promise<Array<Object>>} { path, name, delimiter, specialUse, flags, subscribed, messages, unseen }
+   */
+  async listFolders() {
+    if (!this.client) {
+      throw new Error("IMAP client not connected");
+    }
+
+    const folders = await this.client.list({
+      statusQuery: { messages: true, unseen: true },
+    });
+
+    return folders.map((folder) => ({
+      path: folder.path,
+      name: folder.name,
+      delimiter: folder.delimiter,
+      specialUse: folder.specialUse || null,
+      flags: Array.from(folder.flags || []),
+      subscribed: folder.subscribed,
+      // \Noselect folders (e.g. Gmail's "[Gmail]" parent) cannot be synced
+      selectable: !folder.flags?.has("\\Noselect"),
+      messages: folder.status?.messages ?? null,
+      unseen: folder.status?.unseen ?? null,
+    }));
+  }
+
+  /**
+   * Current UIDVALIDITY / UIDNEXT of a folder, without selecting it
+   * @param {string} folder
+   * @returns {Promise<Object>} { path, messages, uidNext, uidValidity }
+   */
+  async getFolderStatus(folder) {
+    if (!this.client) {
+      throw new Error("IMAP client not connected");
+    }
+
+    const status = await this.client.status(folder, {
+      messages: true,
+      uidNext: true,
+      uidValidity: true,
+    });
+
+    return {
+      path: status.path,
+      messages: status.messages,
+      uidNext: status.uidNext,
+      uidValidity: Number(status.uidValidity),
+    };
+  }
+
+  /**
+   * UID and Message-ID of every message in a folder (envelopes only)
+   * Used to re-match stored rows after a UIDVALIDITY change
+   * @param {string} folder
+   * @returns {Promise<Array<Object>>} { uid, message_id }
+   */
+  async listMessageIds(folder) {
+    if (!this.client) {
+      throw new Error("IMAP client not connected");
+    }
+
+    const mailbox = await this.client.mailboxOpen(folder);
+    const messages = [];
+
+    if (!mailbox.exists) {
+      return messages;
+    }
+
+    for await (const message of this.client.fetch("1:*", {
+      uid: true,
+      envelope: true,
+    })) {
+      messages.push({
+        uid: message.uid,
+        message_id: message.envelope?.messageId || null,
+      });
+    }
+
+    console.log(`🔎 Listed ${messages.length} message IDs in ${folder}`);
+    return messages;
+  }
+
+  /**
+   * Fetch new INBOX messages (kept for the legacy processor)
+   */
   async fetchNewMessages(lastUid = 0, options = {}) {
+    const { messages } = await this.fetchFolderMessages(
+      options.folder || "INBOX",
+      lastUid,
+      options,
+    );
+    return messages;
+  }
+
+  /**
+   * Fetch messages with UID > lastUid from a folder
+   * @param {string} folder - Folder path, e.g. "INBOX", "Sent", "[Gmail]/All Mail"
+   * @param {number} lastUid
+   * @param {Object} options - { batchSize, sinceDays }
+   * @returns {Promise<Object>} { folder, specialUse, uidValidity, uidNext, messages }
+   */
+  async fetchFolderMessages(folder, lastUid = 0, options = {}) {
     if (!this.client) {
       throw new Error("IMAP client not connected");
     }
@@ -57,8 +176,8 @@ export class ImapClient {
     } = options;
 
     try {
-      await this.client.mailboxOpen("INBOX");
-      console.log("📬 Mailbox INBOX opened");
+      const mailbox = await this.client.mailboxOpen(folder);
+      console.log(`📬 Mailbox ${folder} opened`);
 
       // Calculate date for SINCE filter (only fetch emails from last N days)
       const sinceDate = new Date();
@@ -107,6 +226,7 @@ export class ImapClient {
         uid: true,
         envelope: true,
         bodyStructure: true,
+        flags: true,
         source: true,
       })) {
         // Enforce batch size limit
@@ -118,17 +238,17 @@ export class ImapClient {
         }
 
         try {
-          const parsed = await simpleParser(message.source);
+          const parsed = await this.parseMessage(message.source);
 
           messages.push({
             uid: message.uid,
+            folder,
+            folderSpecialUse: mailbox.specialUse || null,
+            ...parsed,
             messageId: parsed.messageId || message.envelope.messageId,
-            subject: parsed.subject || "",
-            from: parsed.from?.text || "",
-            to: parsed.to?.text || "",
-            body: parsed.text || parsed.html || "",
-            headers: parsed.headers,
-            receivedDate: parsed.date || new Date(),
+            seen: message.flags?.has("\\Seen") || false,
+            flagged: message.flags?.has("\\Flagged") || false,
+            modseq: message.modseq ? Number(message.modseq) : null,
           });
 
           fetchCount++;
@@ -145,15 +265,236 @@ export class ImapClient {
       }
 
       console.log(
-        `📧 Fetched ${messages.length} new messages (limited to last ${sinceDays} days)`,
+        `📧 Fetched ${messages.length} new messages from ${folder} (limited to last ${sinceDays} days)`,
       );
-      return messages;
+      return {
+        folder,
+        specialUse: mailbox.specialUse || null,
+        uidValidity: Number(mailbox.uidValidity),
+        uidNext: mailbox.uidNext,
+        // Only reported by servers with CONDSTORE
+        highestModseq: mailbox.highestModseq
+          ? Number(mailbox.highestModseq)
+          : null,
+        messages,
+      };
     } catch (error) {
       console.error("Error fetching messages:", error.message);
       throw error;
     }
   }
 
+  /**
+   * Parse a raw RFC 822 message into the fields the processors use
+   * @param {Buffer|string} source
+   * @returns {Promise<Object>} { messageId, subject, from, to, inReplyTo,
+   *   references, body, headers, contentType, parts, receivedDate, attachments }
+   */
+  async parseMessage(source) {
+    // Keep the delivery-status part separate instead of flattening it into
+    // the text body
+    const parsed = await simpleParser(source, { keepDeliveryStatus: true });
+    const parts = (parsed.attachments || [])
+      .filter((attachment) =>
+        REPORT_PART_TYPES.includes(attachment.contentType),
+      )
+      .map((attachment) => ({
+        contentType: attachment.contentType,
+        content: attachment.content.toString("utf8"),
+      }));
+    const deliveryStatus = parts
+      .filter((part) => DELIVERY_STATUS_TYPES.includes(part.contentType))
+      .map((part) => part.content);
+
+    return {
+      messageId: parsed.messageId || null,
+      subject: parsed.subject || "",
+      from: parsed.from?.text || "",
+      to: parsed.to?.text || "",
+      inReplyTo: parsed.inReplyTo || null,
+      references: parsed.references || [],
+      // Status fields stay in the body too, as mailparser used to put them
+      // there (bounce heuristics and search read them)
+      body:
+        [parsed.text || parsed.html || "", ...deliveryStatus]
+          .filter(Boolean)
+          .join("\n") || "",
+      headers: parsed.headers,
+      contentType: this.formatContentType(parsed.headers.get("content-type")),
+      parts,
+      receivedDate: parsed.date || new Date(),
+      attachments: (parsed.attachments || [])
+        .filter(
+          (attachment) =>
+            !DELIVERY_STATUS_TYPES.includes(attachment.contentType),
+        )
+        .map((attachment) => ({
+          filename: attachment.filename || null,
+          contentType: attachment.contentType,
+          size: attachment.size,
+          contentId: attachment.contentId || null,
+          checksum: attachment.checksum,
+          disposition: attachment.contentDisposition || "attachment",
+          content: attachment.content,
+        })),
+    };
+  }
+
+  /**
+   * Content-Type header as a string, e.g.
+   * "multipart/report; report-type=delivery-status; boundary=..."
+   * @param {Object|string} header - mailparser's { value, params }
+   * @returns {string}
+   */
+  formatContentType(header) {
+    if (!header) return "";
+    if (typeof header === "string") return header;
+
+    return [
+      header.value,
+      ...Object.entries(header.params || {}).map(
+        ([key, value]) => `${key}=${value}`,
+      ),
+    ].join("; ");
+  }
+
+  /**
+   * Whether the server supports IDLE (RFC 2177)
+   * @returns {boolean}
+   */
+  supportsIdle() {
+    return Boolean(this.client?.capabilities?.has("IDLE"));
+  }
+
+  /**
+   * Keep a folder selected and report changes pushed by the server
+   * imapflow enters IDLE by itself once the connection is quiet
+   * @param {string} folder
+   * @param {Object} handlers - { onChange(event), onClose() }
+   */
+  async watch(folder, { onChange, onClose }) {
+    await this.openFolder(folder);
+
+    for (const event of ["exists", "expunge", "flags"]) {
+      this.client.on(event, () => onChange(event));
+    }
+    this.client.on("close", onClose);
+  }
+
+  /**
+   * Select a folder unless it is already selected
+   * @param {string} folder
+   * @returns {Promise<Object>} imapflow mailbox object
+   */
+  async openFolder(folder) {
+    if (!this.client) {
+      throw new Error("IMAP client not connected");
+    }
+
+    if (this.client.mailbox?.path === folder) {
+      return this.client.mailbox;
+    }
+
+    return this.client.mailboxOpen(folder);
+  }
+
+  /**
+   * Fetch \Seen / \Flagged for a UID range
+   * With CONDSTORE and `changedSince`, only messages whose flags changed
+   * after that MODSEQ are returned
+   * @param {string} folder
+   * @param {string} range - UID range or list, e.g. "1:500" or "4,8,15"
+   * @param {Object} options - { changedSince }
+   * @returns {Promise<Object>} { highestModseq, messages: [{ uid, seen, flagged, modseq }] }
+   */
+  async fetchFlags(folder, range, options = {}) {
+    const mailbox = await this.openFolder(folder);
+    const highestModseq = mailbox.highestModseq
+      ? Number(mailbox.highestModseq)
+      : null;
+    const messages = [];
+
+    if (!mailbox.exists) {
+      return { highestModseq, messages };
+    }
+
+    const fetchOptions = { uid: true };
+    if (options.changedSince && highestModseq) {
+      if (highestModseq <= options.changedSince) {
+        return { highestModseq, messages };
+      }
+      fetchOptions.changedSince = BigInt(options.changedSince);
+    }
+
+    for await (const message of this.client.fetch(
+      range,
+      { uid: true, flags: true },
+      fetchOptions,
+    )) {
+      messages.push({
+        uid: message.uid,
+        seen: message.flags?.has("\\Seen") || false,
+        flagged: message.flags?.has("\\Flagged") || false,
+        modseq: message.modseq ? Number(message.modseq) : null,
+      });
+    }
+
+    return { highestModseq, messages };
+  }
+
+  /**
+   * All UIDs currently in a folder
+   * @param {string} folder
+   * @returns {Promise<Array<number>>}
+   */
+  async listUids(folder) {
+    const mailbox = await this.openFolder(folder);
+
+    if (!mailbox.exists) {
+      return [];
+    }
+
+    return (await this.client.search({ all: true }, { uid: true })) || [];
+  }
+
+  /**
+   * Add or remove a flag on messages
+   * @param {string} folder
+   * @param {Array<number>} uids
+   * @param {string} flag - e.g. "\\Seen"
+   * @param {boolean} enabled - true to add, false to remove
+   */
+  async setFlag(folder, uids, flag, enabled) {
+    if (uids.length === 0) return;
+
+    await this.openFolder(folder);
+    const range = uids.join(",");
+
+    if (enabled) {
+      await this.client.messageFlagsAdd(range, [flag], { uid: true });
+    } else {
+      await this.client.messageFlagsRemove(range, [flag], { uid: true });
+    }
+  }
+
+  /**
+   * Move messages to another folder
+   * @param {string} folder
+   * @param {Array<number>} uids
+   * @param {string} destination
+   * @returns {Promise<Map<number, number>>} Old UID → new UID (empty without UIDPLUS)
+   */
+  async moveMessages(folder, uids, destination) {
+    if (uids.length === 0) return new Map();
+
+    await this.openFolder(folder);
+    const result = await this.client.messageMove(uids.join(","), destination, {
+      uid: true,
+    });
+
+    return result?.uidMap || new Map();
+  }
+
   async disconnect() {
     if (this.client) {
       try {
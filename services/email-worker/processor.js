@@ -61,9 +61,9 @@ export class EmailProcessor {
         }
 
         if (this.bounceDetector.isBounceMessage(message)) {
-          const bounceData = this.bounceDetector.parseBounce(message);
+          const { recipients } = this.bounceDetector.parseBounce(message);
 
-          if (bounceData.failedRecipient) {
+          for (const bounceData of recipients) {
             // Log diagnostic info for debugging
             console.log(
               `🔍 Bounce detected - Email: ${bounceData.failedRecipient}, Code: ${bounceData.errorCode}, Reason: ${bounceData.diagnostic.substring(0, 10000)}...`,
@@ -184,6 +184,7 @@ export class EmailProcessor {
             mailbox_id: mailboxId,
             email: bounceData.failedRecipient,
             bounce_type: bounceData.bounceType,
+            bounce_category: bounceData.bounceCategory,
             error_code: bounceData.errorCode,
             reason: bounceData.diagnostic,
             failure_count: 1,
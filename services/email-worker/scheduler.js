@@ -2,7 +2,14 @@ import { createClient } from "@supabase/supabase-js";
 import dotenv from "dotenv";
 import cron from "node-cron";
 import { EnhancedEmailProcessor } from "./enhanced-processor.js";
+import { IdleWorker } from "./idle-worker.js";
 import { EmailProcessor } from "./processor.js";
+import { SlaTracker } from "../analytics/sla-tracker.js";
+import { AutomationEngine } from "../automation/engine.js";
+import { BounceLifecycle } from "../bounce-lifecycle.js";
+import { ClassifierTrainer } from "../classification/trainer.js";
+import { Reprocessor } from "../reprocessor.js";
+import { WebhookDispatcher } from "../webhooks/dispatcher.js";
 
 dotenv.config();
 
@@ -25,77 +32,132 @@ const legacyProcessor = new EmailProcessor(supabaseUrl, supabaseKey);
 // Configuration: Set to 'enhanced' (default), 'legacy', or 'both'
 const PROCESSOR_MODE = process.env.PROCESSOR_MODE || "enhanced";
 
-// Run every 5 minutes
-cron.schedule("*/5 * * * *", async () => {
-  console.log("\n🔄 Starting email sync...", new Date().toISOString());
-  console.log(`📋 Processor Mode: ${PROCESSOR_MODE.toUpperCase()}`);
-
-  try {
-    // Fetch all active mailboxes
-    const { data: mailboxes, error } = await db
-      .from("mailboxes")
-      .select("id, email_address")
-      .eq("status", "ACTIVE");
-
-    if (error) {
-      console.error("❌ Error fetching mailboxes:", error.message);
-      return;
-    }
+// Sync trigger: 'poll' (default, cron every 5 minutes) or 'idle' (IMAP IDLE push)
+const WORKER_MODE = process.env.WORKER_MODE || "poll";
+
+// Outbound webhook deliveries and retries run in both modes
+const webhookDispatcher = new WebhookDispatcher(db);
+webhookDispatcher.start();
+
+// Overdue SLA checks too
+const slaTracker = new SlaTracker(db);
+slaTracker.start();
+
+// And bounce recoveries for sends that drew no bounce
+const bounceLifecycle = new BounceLifecycle(db);
+bounceLifecycle.start();
+
+// And idle-thread automation rules
+const automation = new AutomationEngine(db, webhookDispatcher);
+automation.start();
+
+// And retraining of user classifiers from category feedback
+const classifierTrainer = new ClassifierTrainer(db);
+classifierTrainer.start();
+
+// And reprocess jobs over stored mail
+const reprocessor = new Reprocessor(db);
+reprocessor.start();
+
+if (WORKER_MODE === "idle") {
+  // IDLE mode always uses the enhanced processor
+  const idleWorker = new IdleWorker(db, enhancedProcessor);
+
+  idleWorker.start().catch((error) => {
+    console.error("❌ IDLE worker failed to start:", error.message);
+    process.exit(1);
+  });
+
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, async () => {
+      webhookDispatcher.stop();
+      slaTracker.stop();
+      bounceLifecycle.stop();
+      automation.stop();
+      classifierTrainer.stop();
+      reprocessor.stop();
+      await idleWorker.stop();
+      process.exit(0);
+    });
+  }
+} else {
+  startPolling();
+}
 
-    if (!mailboxes || mailboxes.length === 0) {
-      console.log("ℹ️  No active mailboxes to process");
-      return;
-    }
+function startPolling() {
+  // Run every 5 minutes
+  cron.schedule("*/5 * * * *", async () => {
+    console.log("\n🔄 Starting email sync...", new Date().toISOString());
+    console.log(`📋 Processor Mode: ${PROCESSOR_MODE.toUpperCase()}`);
+
+    try {
+      // Fetch all active mailboxes
+      const { data: mailboxes, error } = await db
+        .from("mailboxes")
+        .select("id, email_address")
+        .eq("status", "ACTIVE");
+
+      if (error) {
+        console.error("❌ Error fetching mailboxes:", error.message);
+        return;
+      }
 
-    console.log(`📬 Found ${mailboxes.length} active mailbox(es)`);
+      if (!mailboxes || mailboxes.length === 0) {
+        console.log("ℹ️  No active mailboxes to process");
+        return;
+      }
 
-    // Process each mailbox based on mode
-    for (const mailbox of mailboxes) {
-      try {
-        if (PROCESSOR_MODE === "both") {
-          // Run both processors (for migration/testing)
-          console.log(
-            `🔄 Running BOTH processors for ${mailbox.email_address}`,
+      console.log(`📬 Found ${mailboxes.length} active mailbox(es)`);
+
+      // Process each mailbox based on mode
+      for (const mailbox of mailboxes) {
+        try {
+          if (PROCESSOR_MODE === "both") {
+            // Run both processors (for migration/testing)
+            console.log(
+              `🔄 Running BOTH processors for ${mailbox.email_address}`,
+            );
+
+            // Phase 2: Enhanced processor (stores all emails + bounces)
+            await enhancedProcessor.processMailbox(mailbox.id);
+
+            // Phase 1: Legacy processor (only bounces - will skip duplicates)
+            // This is redundant but kept for backward compatibility testing
+            console.log(`📦 Running legacy bounce-only processor...`);
+            await legacyProcessor.processMailbox(mailbox.id);
+          } else if (PROCESSOR_MODE === "legacy") {
+            // Phase 1 only (bounce detection only)
+            console.log(`📦 Legacy mode: ${mailbox.email_address}`);
+            await legacyProcessor.processMailbox(mailbox.id);
+          } else {
+            // Default: Enhanced processor (recommended)
+            // This includes ALL Phase 1 functionality + Phase 2 features
+            await enhancedProcessor.processMailbox(mailbox.id);
+          }
+        } catch (error) {
+          console.error(
+            `❌ Failed to process ${mailbox.email_address}:`,
+            error.message,
           );
-
-          // Phase 2: Enhanced processor (stores all emails + bounces)
-          await enhancedProcessor.processMailbox(mailbox.id);
-
-          // Phase 1: Legacy processor (only bounces - will skip duplicates)
-          // This is redundant but kept for backward compatibility testing
-          console.log(`📦 Running legacy bounce-only processor...`);
-          await legacyProcessor.processMailbox(mailbox.id);
-        } else if (PROCESSOR_MODE === "legacy") {
-          // Phase 1 only (bounce detection only)
-          console.log(`📦 Legacy mode: ${mailbox.email_address}`);
-          await legacyProcessor.processMailbox(mailbox.id);
-        } else {
-          // Default: Enhanced processor (recommended)
-          // This includes ALL Phase 1 functionality + Phase 2 features
-          await enhancedProcessor.processMailbox(mailbox.id);
+          // Continue with next mailbox
         }
-      } catch (error) {
-        console.error(
-          `❌ Failed to process ${mailbox.email_address}:`,
-          error.message,
-        );
-        // Continue with next mailbox
       }
-    }
 
-    console.log("✅ Email sync completed\n");
-  } catch (error) {
-    console.error("❌ Email sync failed:", error.message);
-  }
-});
-
-console.log("🚀 Email worker scheduler started");
-console.log(`⚙️  Processor Mode: ${PROCESSOR_MODE.toUpperCase()}`);
-console.log("⏰ Running every 5 minutes");
-console.log("\n💡 Processor Modes:");
-console.log(
-  "  - enhanced (default): Phase 2 - Full email processing + bounce detection",
-);
-console.log("  - legacy: Phase 1 - Bounce detection only");
-console.log("  - both: Run both processors (for testing/migration)");
-console.log("\n🔧 To change mode, set PROCESSOR_MODE environment variable\n");
+      console.log("✅ Email sync completed\n");
+    } catch (error) {
+      console.error("❌ Email sync failed:", error.message);
+    }
+  });
+
+  console.log("🚀 Email worker scheduler started");
+  console.log(`⚙️  Processor Mode: ${PROCESSOR_MODE.toUpperCase()}`);
+  console.log("⏰ Running every 5 minutes");
+  console.log("\n💡 Processor Modes:");
+  console.log(
+    "  - enhanced (default): Phase 2 - Full email processing + bounce detection",
+  );
+  console.log("  - legacy: Phase 1 - Bounce detection only");
+  console.log("  - both: Run both processors (for testing/migration)");
+  console.log("\n🔧 To change mode, set PROCESSOR_MODE environment variable");
+  console.log("⚡ For real-time sync, set WORKER_MODE=idle\n");
+}
@@ -0,0 +1,72 @@
+import nodemailer from "nodemailer";
+
+export class SmtpClient {
+  constructor(config) {
+    const port = config.port || 587;
+
+    this.config = {
+      host: config.host,
+      port,
+      // Implicit TLS on 465, STARTTLS otherwise unless told explicitly
+      secure: config.secure ?? port === 465,
+      // Local sinks (MailHog, smtp4dev) usually run without auth
+      auth: config.username
+        ? { user: config.username, pass: config.password }
+        : undefined,
+      tls: {
+        rejectUnauthorized: config.rejectUnauthorized !== false,
+      },
+      connectionTimeout: 20000, // 20 seconds
+      greetingTimeout: 15000, // 15 seconds
+      socketTimeout: 30000, // 30 seconds
+    };
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.transport = nodemailer.createTransport(this.config);
+    }
+    return this.transport;
+  }
+
+  /**
+   * Check that the server accepts our connection and credentials
+   */
+  async verify() {
+    try {
+      console.log(
+        `🔌 Verifying SMTP server: ${this.config.host}:${this.config.port}`,
+      );
+      await this.getTransport().verify();
+      console.log("✅ SMTP connection verified");
+      return true;
+    } catch (error) {
+      console.error("❌ SMTP verification failed:", error.message);
+      throw new Error(`SMTP connection failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Send a message
+   * @param {Object} mail - nodemailer message (from, to, cc, bcc, subject, text, html, messageId, inReplyTo, references, attachments)
+   * @returns {Promise<Object>} { messageId, accepted, rejected, response }
+   */
+  async send(mail) {
+    try {
+      const info = await this.getTransport().sendMail(mail);
+      console.log(`📤 Sent message ${info.messageId} via ${this.config.host}`);
+      return info;
+    } catch (error) {
+      console.error("❌ SMTP send failed:", error.message);
+      throw new Error(`SMTP send failed: ${error.message}`);
+    }
+  }
+
+  close() {
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
+  }
+}
@@ -3,6 +3,8 @@
  * Groups emails into conversations using In-Reply-To, References, and subject matching
  */
 
+import { parseAddressList } from "../../utils/addresses.js";
+
 export class ThreadBuilder {
   constructor(db) {
     this.db = db;
@@ -17,67 +19,11 @@ export class ThreadBuilder {
    */
   async findOrCreateThread(mailboxId, userId, email) {
     try {
-      // 1. Check if In-Reply-To references existing message
-      if (email.inReplyTo) {
-        const { data: parent } = await this.db
-          .from("emails")
-          .select("thread_id")
-          .eq("mailbox_id", mailboxId)
-          .eq("message_id", email.inReplyTo)
-          .maybeSingle();
-
-        if (parent?.thread_id) {
-          console.log(`🧵 Found thread via In-Reply-To: ${parent.thread_id}`);
-          return parent.thread_id;
-        }
-      }
-
-      // 2. Check References header
-      if (
-        email.references &&
-        Array.isArray(email.references) &&
-        email.references.length > 0
-      ) {
-        const { data: referenced } = await this.db
-          .from("emails")
-          .select("thread_id")
-          .eq("mailbox_id", mailboxId)
-          .in("message_id", email.references)
-          .limit(1)
-          .maybeSingle();
-
-        if (referenced?.thread_id) {
-          console.log(
-            `🧵 Found thread via References: ${referenced.thread_id}`,
-          );
-          return referenced.thread_id;
-        }
-      }
+      const existing = await this.findThread(mailboxId, email);
+      if (existing) return existing;
 
-      // 3. Subject matching (fuzzy - remove Re:, Fwd:)
       const normalizedSubject = this.normalizeSubject(email.subject);
 
-      if (normalizedSubject && normalizedSubject.length > 5) {
-        // Look for threads with similar subject in last 7 days
-        const sevenDaysAgo = new Date(
-          Date.now() - 7 * 24 * 60 * 60 * 1000,
-        ).toISOString();
-
-        const { data: similarThread } = await this.db
-          .from("email_threads")
-          .select("id")
-          .eq("mailbox_id", mailboxId)
-          .eq("normalized_subject", normalizedSubject)
-          .gte("last_message_at", sevenDaysAgo)
-          .limit(1)
-          .maybeSingle();
-
-        if (similarThread) {
-          console.log(`🧵 Found thread via subject match: ${similarThread.id}`);
-          return similarThread.id;
-        }
-      }
-
       // 4. Create new thread
       console.log(`🧵 Creating new thread for: ${email.subject}`);
       const { data: thread, error } = await this.db
@@ -109,6 +55,86 @@ export class ThreadBuilder {
     }
   }
 
+  /**
+   * Find the existing thread an email belongs to
+   * @param {string} mailboxId - Mailbox UUID
+   * @param {Object} email - Email object
+   * @param {Object} options
+   * @param {string} options.asOf - Match subjects as of this time instead of
+   *   now (threading historical mail: only threads that had started by then)
+   * @returns {Promise<string|null>} Thread ID
+   */
+  async findThread(mailboxId, email, { asOf = null } = {}) {
+    // 1. Check if In-Reply-To references existing message
+    if (email.inReplyTo) {
+      const { data: parent } = await this.db
+        .from("emails")
+        .select("thread_id")
+        .eq("mailbox_id", mailboxId)
+        .eq("message_id", email.inReplyTo)
+        .limit(1)
+        .maybeSingle();
+
+      if (parent?.thread_id) {
+        console.log(`🧵 Found thread via In-Reply-To: ${parent.thread_id}`);
+        return parent.thread_id;
+      }
+    }
+
+    // 2. Check References header
+    if (
+      email.references &&
+      Array.isArray(email.references) &&
+      email.references.length > 0
+    ) {
+      const { data: referenced } = await this.db
+        .from("emails")
+        .select("thread_id")
+        .eq("mailbox_id", mailboxId)
+        .in("message_id", email.references)
+        .limit(1)
+        .maybeSingle();
+
+      if (referenced?.thread_id) {
+        console.log(`🧵 Found thread via References: ${referenced.thread_id}`);
+        return referenced.thread_id;
+      }
+    }
+
+    // 3. Subject matching (fuzzy - remove Re:, Fwd:)
+    const normalizedSubject = this.normalizeSubject(email.subject);
+
+    if (normalizedSubject && normalizedSubject.length > 5) {
+      // Look for threads with similar subject in last 7 days
+      const now = asOf ? new Date(asOf).getTime() : Date.now();
+      const sevenDaysAgo = new Date(
+        now - 7 * 24 * 60 * 60 * 1000,
+      ).toISOString();
+
+      let query = this.db
+        .from("email_threads")
+        .select("id")
+        .eq("mailbox_id", mailboxId)
+        .eq("normalized_subject", normalizedSubject)
+        .gte("last_message_at", sevenDaysAgo);
+
+      if (asOf) {
+        query = query
+          .lte("first_message_at", new Date(asOf).toISOString())
+          .order("first_message_at", { ascending: true });
+      }
+
+      const { data: similarThread } = await query.limit(1).maybeSingle();
+
+      if (similarThread) {
+        console.log(`🧵 Found thread via subject match: ${similarThread.id}`);
+        return similarThread.id;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Normalize subject for matching
    * Removes Re:, Fwd:, [External], etc.
@@ -139,18 +165,12 @@ export class ThreadBuilder {
       participants.add(this.extractEmailAddress(email.from));
     }
 
-    // Add to addresses
-    if (Array.isArray(email.to)) {
-      email.to.forEach((addr) => {
-        participants.add(this.extractEmailAddress(addr));
-      });
-    }
-
-    // Add cc addresses
-    if (Array.isArray(email.cc)) {
-      email.cc.forEach((addr) => {
-        participants.add(this.extractEmailAddress(addr));
-      });
+    // Add to and cc addresses
+    for (const { address } of parseAddressList([
+      ...[email.to ?? []].flat(),
+      ...[email.cc ?? []].flat(),
+    ])) {
+      participants.add(address);
     }
 
     return Array.from(participants).filter(Boolean);
@@ -182,7 +202,9 @@ export class ThreadBuilder {
       // Get all messages in thread ordered by received_at
       const { data: messages, error: fetchError } = await this.db
         .from("emails")
-        .select("received_at, is_read, from_address")
+        .select(
+          "received_at, is_read, from_address, to_addresses, cc_addresses",
+        )
         .eq("thread_id", threadId)
         .order("received_at", { ascending: false });
 
@@ -203,9 +225,15 @@ export class ThreadBuilder {
       // Get unique participants
       const participants = [
         ...new Set(
-          messages.map((msg) => this.extractEmailAddress(msg.from_address)),
+          messages.flatMap((msg) =>
+            this.extractParticipants({
+              from: msg.from_address,
+              to: msg.to_addresses,
+              cc: msg.cc_addresses,
+            }),
+          ),
         ),
-      ].filter(Boolean);
+      ];
 
       // Update thread
       const { error: updateError } = await this.db
@@ -0,0 +1,224 @@
+/**
+ * Fans `user_events` out to connected SSE clients
+ * One poll loop per API process reads new events for all users and hands
+ * them to the matching subscriptions; it only runs while someone listens.
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.EVENT_POLL_INTERVAL_MS) || 1000;
+const RETENTION_HOURS = parseInt(process.env.EVENT_RETENTION_HOURS) || 24;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Events read per poll / replay
+const PAGE_SIZE = 500;
+
+// Concurrent inserts can commit out of id order; re-read this many ids
+// behind the cursor and skip the ones already delivered
+const REORDER_WINDOW = 100;
+
+export class EventHub {
+  constructor(db) {
+    this.db = db;
+    this.subscriptions = new Set();
+    this.cursor = null;
+    // Events up to here existed before polling started and are only replayed
+    this.floor = 0;
+    this.delivered = new Set();
+    this.timer = null;
+    this.polling = false;
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Subscribe to live events for a user
+   * @param {Object} options - { userId, mailboxId, lastEventId, send(event) }
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe({ userId, mailboxId = null, lastEventId = null, send }) {
+    const subscription = { userId, mailboxId, send, buffer: [] };
+
+    if (this.cursor === null) {
+      await this.resetCursor();
+    }
+
+    this.subscriptions.add(subscription);
+    this.start();
+
+    // Live events that arrive during the replay wait in the buffer
+    if (lastEventId !== null) {
+      let lastSent = lastEventId;
+
+      try {
+        for (const event of await this.replay(subscription, lastEventId)) {
+          send(event);
+          lastSent = event.id;
+        }
+      } catch (error) {
+        console.error("❌ Error replaying events:", error.message);
+      }
+
+      for (const event of subscription.buffer) {
+        if (event.id > lastSent) send(event);
+      }
+    }
+
+    subscription.buffer = null;
+
+    return () => {
+      this.subscriptions.delete(subscription);
+      if (this.subscriptions.size === 0) this.stop();
+    };
+  }
+
+  /**
+   * Events after lastEventId for one subscription, oldest first
+   */
+  async replay(subscription, lastEventId) {
+    const events = [];
+    let after = lastEventId;
+
+    while (true) {
+      let query = this.db
+        .from("user_events")
+        .select("id, mailbox_id, type, data, created_at")
+        .eq("user_id", subscription.userId)
+        .gt("id", after)
+        .order("id", { ascending: true })
+        .limit(PAGE_SIZE);
+
+      // Events without a mailbox (e.g. bulk actions) go to every stream
+      if (subscription.mailboxId) {
+        query = query.or(
+          `mailbox_id.eq.${subscription.mailboxId},mailbox_id.is.null`,
+        );
+      }
+
+      const { data, error } = await query;
+      if (error) throw error;
+
+      events.push(...data);
+      if (data.length < PAGE_SIZE) return events;
+      after = data[data.length - 1].id;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    // Start from the newest event when someone subscribes again
+    this.cursor = null;
+    this.delivered.clear();
+  }
+
+  /**
+   * Poll now instead of waiting for the next tick (used after publishing
+   * from this process)
+   */
+  nudge() {
+    if (this.timer) this.poll();
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      if (this.cursor === null) {
+        await this.resetCursor();
+        return;
+      }
+
+      const { data, error } = await this.db
+        .from("user_events")
+        .select("id, user_id, mailbox_id, type, data, created_at")
+        .gt("id", Math.max(0, this.cursor - REORDER_WINDOW))
+        .order("id", { ascending: true })
+        .limit(PAGE_SIZE);
+
+      if (error) {
+        console.error("❌ Error polling events:", error.message);
+        return;
+      }
+
+      for (const row of data) {
+        if (row.id <= this.floor || this.delivered.has(row.id)) continue;
+
+        this.delivered.add(row.id);
+        if (row.id > this.cursor) this.cursor = row.id;
+
+        const { user_id, ...event } = row;
+        this.dispatch(user_id, event);
+      }
+
+      for (const id of this.delivered) {
+        if (id <= this.cursor - REORDER_WINDOW) this.delivered.delete(id);
+      }
+
+      await this.prune();
+    } catch (error) {
+      console.error("❌ Error polling events:", error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  dispatch(userId, event) {
+    for (const subscription of this.subscriptions) {
+      if (subscription.userId !== userId) continue;
+      if (
+        subscription.mailboxId &&
+        event.mailbox_id &&
+        subscription.mailboxId !== event.mailbox_id
+      ) {
+        continue;
+      }
+
+      if (subscription.buffer) {
+        subscription.buffer.push(event);
+      } else {
+        subscription.send(event);
+      }
+    }
+  }
+
+  async resetCursor() {
+    this.cursor = await this.latestId();
+    this.floor = this.cursor;
+  }
+
+  async latestId() {
+    const { data, error } = await this.db
+      .from("user_events")
+      .select("id")
+      .order("id", { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data[0]?.id ?? 0;
+  }
+
+  /**
+   * Delete events older than EVENT_RETENTION_HOURS (at most once an hour)
+   */
+  async prune() {
+    if (Date.now() - this.lastPrune < PRUNE_INTERVAL_MS) return;
+    this.lastPrune = Date.now();
+
+    const cutoff = new Date(
+      Date.now() - RETENTION_HOURS * 60 * 60 * 1000,
+    ).toISOString();
+
+    const { error } = await this.db
+      .from("user_events")
+      .delete()
+      .lt("created_at", cutoff);
+
+    if (error) {
+      console.error("❌ Error pruning events:", error.message);
+    }
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Publishes user-facing events (new mail, flag changes, bounces, sync errors)
+ * Events are stored in `user_events` so that the worker process and every
+ * API instance see the same stream; EventHub delivers them to SSE clients.
+ */
+
+export const EVENT_TYPES = [
+  "email.created",
+  "email.flags_changed",
+  "email.category_changed",
+  "thread.updated",
+  "bounce.detected",
+  "mailbox.sync_error",
+  "sla.overdue",
+];
+
+export class EventPublisher {
+  /**
+   * @param {Object} db - Supabase client
+   * @param {Object} hub - Optional EventHub in the same process, nudged for low latency
+   */
+  constructor(db, hub = null) {
+    this.db = db;
+    this.hub = hub;
+  }
+
+  /**
+   * Publish one event. Never throws: events are best-effort and must not
+   * fail the sync or request that produced them
+   * @param {Object} event - { user_id, mailbox_id, type, data }
+   */
+  async publish(event) {
+    return this.publishMany([event]);
+  }
+
+  /**
+   * @param {Array<Object>} events - [{ user_id, mailbox_id, type, data }]
+   */
+  async publishMany(events) {
+    if (events.length === 0) return;
+
+    try {
+      const { error } = await this.db.from("user_events").insert(
+        events.map((event) => ({
+          user_id: event.user_id,
+          mailbox_id: event.mailbox_id || null,
+          type: event.type,
+          data: event.data || {},
+        })),
+      );
+
+      if (error) {
+        console.error("❌ Error publishing events:", error.message);
+        return;
+      }
+
+      this.hub?.nudge();
+    } catch (error) {
+      console.error("❌ Error publishing events:", error.message);
+    }
+  }
+
+  /**
+   * email.created (and thread.updated) for a newly stored email row
+   * @param {Object} email - emails row
+   */
+  async emailCreated(email) {
+    const base = { user_id: email.user_id, mailbox_id: email.mailbox_id };
+
+    await this.publishMany([
+      {
+        ...base,
+        type: "email.created",
+        data: {
+          email_id: email.id,
+          thread_id: email.thread_id,
+          folder: email.folder,
+          direction: email.direction,
+          category: email.category,
+          subject: email.subject,
+          from_address: email.from_address,
+          from_name: email.from_name,
+          received_at: email.received_at,
+        },
+      },
+      ...(email.thread_id
+        ? [
+            {
+              ...base,
+              type: "thread.updated",
+              data: { thread_id: email.thread_id },
+            },
+          ]
+        : []),
+    ]);
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * MX resolver
+ * Maps a recipient domain to the provider that runs its mail servers, from
+ * the domain's preferred MX host (a custom domain on Google Workspace counts
+ * as google, not as its own domain). Lookups are cached in
+ * recipient_domains for MX_CACHE_DAYS.
+ */
+
+import { promises as dns } from "dns";
+
+const MX_CACHE_DAYS = parseInt(process.env.MX_CACHE_DAYS) || 30;
+const MX_LOOKUP_TIMEOUT_MS = parseInt(process.env.MX_LOOKUP_TIMEOUT_MS) || 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Matched against the MX host; first match wins
+const MX_PROVIDERS = [
+  { id: "google", pattern: /(?:^|\.)(?:google|googlemail)\.com$/ },
+  {
+    id: "microsoft",
+    pattern: /\.(?:protection\.outlook|outlook|hotmail)\.com$/,
+  },
+  { id: "yahoo", pattern: /\.(?:yahoodns\.net|yahoo\.com|aol\.com)$/ },
+  { id: "apple", pattern: /\.(?:icloud|me|mac)\.com$/ },
+  { id: "proton", pattern: /\.protonmail\.ch$/ },
+  { id: "zoho", pattern: /\.zoho(?:mail)?\.[a-z.]+$/ },
+  { id: "fastmail", pattern: /\.messagingengine\.com$/ },
+  { id: "yandex", pattern: /\.yandex\.(?:net|ru)$/ },
+  { id: "mailru", pattern: /\.mail\.ru$/ },
+  {
+    id: "gmx",
+    pattern: /\.(?:gmx\.net|web\.de|kundenserver\.de|ionos\.[a-z]+)$/,
+  },
+  { id: "mimecast", pattern: /\.mimecast\.com$/ },
+  { id: "proofpoint", pattern: /\.(?:pphosted|ppe-hosted)\.com$/ },
+  { id: "barracuda", pattern: /\.barracudanetworks\.com$/ },
+];
+
+// DNS answers meaning "this domain has no MX" (cached as provider "none")
+const NO_MX_CODES = ["ENOTFOUND", "ENODATA"];
+
+/**
+ * Provider id for an MX host
+ * @param {string|null} mxHost
+ * @returns {string} A MX_PROVIDERS id, "other", or "none" without a host
+ */
+export function mxProvider(mxHost) {
+  if (!mxHost) return "none";
+
+  const host = mxHost.toLowerCase().replace(/\.$/, "");
+  const provider = MX_PROVIDERS.find(({ pattern }) => pattern.test(host));
+
+  return provider ? provider.id : "other";
+}
+
+export class MxResolver {
+  constructor(db, resolveMx = dns.resolveMx) {
+    this.db = db;
+    this.resolveMx = resolveMx;
+  }
+
+  /**
+   * Look up and cache domains that have no fresh recipient_domains row.
+   * Lookups run in parallel, each given at most timeoutMs
+   * @param {Array<string>} domains
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Per-lookup (and so overall) limit
+   * @returns {Promise<number>} Domains written to the cache
+   */
+  async resolveDomains(domains, { timeoutMs = MX_LOOKUP_TIMEOUT_MS } = {}) {
+    const unique = [
+      ...new Set(domains.filter(Boolean).map((domain) => domain.toLowerCase())),
+    ];
+    if (unique.length === 0) return 0;
+
+    const { data: cached, error } = await this.db
+      .from("recipient_domains")
+      .select("domain, resolved_at")
+      .in("domain", unique);
+
+    if (error) throw error;
+
+    const fresh = new Set(
+      cached
+        .filter(
+          (row) =>
+            new Date(row.resolved_at) >
+            new Date(Date.now() - MX_CACHE_DAYS * DAY_MS),
+        )
+        .map((row) => row.domain),
+    );
+
+    const pending = unique.filter((domain) => !fresh.has(domain));
+    const hosts = await Promise.all(
+      pending.map((domain) => this.lookup(domain, timeoutMs)),
+    );
+
+    // Timeouts and resolver errors are retried on the next call
+    const rows = pending
+      .map((domain, index) => ({
+        domain,
+        mx_host: hosts[index],
+        mx_provider: mxProvider(hosts[index]),
+        resolved_at: new Date().toISOString(),
+      }))
+      .filter((row) => row.mx_host !== undefined);
+
+    if (rows.length === 0) return 0;
+
+    const { error: upsertError } = await this.db
+      .from("recipient_domains")
+      .upsert(rows, { onConflict: "domain" });
+
+    if (upsertError) throw upsertError;
+
+    console.log(`🌐 Resolved MX for ${rows.length} domain(s)`);
+    return rows.length;
+  }
+
+  /**
+   * Preferred MX host of a domain
+   * @param {string} domain
+   * @param {number} [timeoutMs]
+   * @returns {Promise<string|null|undefined>} The host, null if the domain
+   *   has no MX, undefined if the lookup failed
+   */
+  async lookup(domain, timeoutMs = MX_LOOKUP_TIMEOUT_MS) {
+    let timer;
+
+    try {
+      const records = await Promise.race([
+        this.resolveMx(domain),
+        new Promise((_, reject) => {
+          timer = setTimeout(
+            () => reject(new Error("MX lookup timed out")),
+            timeoutMs,
+          );
+        }),
+      ]);
+
+      if (records.length === 0) return null;
+
+      // A "null MX" (RFC 7505) has an empty exchange
+      return (
+        records.sort((a, b) => a.priority - b.priority)[0].exchange || null
+      );
+    } catch (error) {
+      if (NO_MX_CODES.includes(error.code)) return null;
+
+      console.warn(`⚠️  MX lookup failed for ${domain}:`, error.message);
+      return undefined;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
@@ -0,0 +1,498 @@
+/**
+ * Outbound mail: compose, reply and forward through a mailbox's SMTP server.
+ * Sent messages are stored in `emails` with direction OUTBOUND and threaded
+ * with ThreadBuilder, so replies land in the conversation they answer.
+ */
+
+import crypto from "crypto";
+import { parseAddressList } from "../utils/addresses.js";
+import { decrypt } from "../utils/encryption.js";
+import { escapeHtml, toPlainText, toTextLines } from "../utils/email-text.js";
+import { SlaTracker } from "./analytics/sla-tracker.js";
+import { BounceLifecycle } from "./bounce-lifecycle.js";
+import { ContactDirectory } from "./contact-directory.js";
+import { SmtpClient } from "./email-worker/smtp-client.js";
+import { ThreadBuilder } from "./email-worker/thread-builder.js";
+import { EventPublisher } from "./events/publisher.js";
+import { getStorage } from "./storage/index.js";
+import { SuppressionList } from "./suppression-list.js";
+
+const ADDRESS_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export class OutboundMailer {
+  constructor(db, events = new EventPublisher(db)) {
+    this.db = db;
+    this.events = events;
+    this.threadBuilder = new ThreadBuilder(db);
+    this.suppressions = new SuppressionList(db);
+    this.lifecycle = new BounceLifecycle(db, this.suppressions);
+    this.slaTracker = new SlaTracker(db, events);
+    this.contacts = new ContactDirectory(db);
+  }
+
+  /**
+   * Normalize a recipient field to an array of "Name <addr>" / "addr" strings
+   * @param {string|Array<string>} value
+   * @param {string} field - Field name for error messages
+   * @returns {Array<string>}
+   */
+  normalizeRecipients(value, field) {
+    if (value === undefined || value === null || value === "") return [];
+
+    const list = Array.isArray(value) ? value : String(value).split(",");
+    const recipients = list.map((item) => String(item).trim()).filter(Boolean);
+
+    for (const recipient of recipients) {
+      const address = this.threadBuilder.extractEmailAddress(recipient);
+      if (!ADDRESS_PATTERN.test(address)) {
+        throw httpError(400, `Invalid ${field} address: ${recipient}`);
+      }
+    }
+
+    return recipients;
+  }
+
+  /**
+   * Build SMTP client settings for a mailbox
+   * Falls back to IMAP credentials when no SMTP username is configured
+   */
+  getSmtpClient(mailbox) {
+    if (!mailbox.smtp_host) {
+      throw httpError(400, "SMTP is not configured for this mailbox");
+    }
+
+    let username = mailbox.smtp_username;
+    let password = null;
+
+    if (username && mailbox.smtp_password_encrypted) {
+      password = decrypt(mailbox.smtp_password_encrypted);
+    } else if (!username && mailbox.imap_password_encrypted) {
+      username = mailbox.imap_username;
+      password = decrypt(mailbox.imap_password_encrypted);
+    }
+
+    return new SmtpClient({
+      host: mailbox.smtp_host,
+      port: mailbox.smtp_port,
+      secure: mailbox.smtp_secure,
+      username,
+      password,
+    });
+  }
+
+  async loadMailbox(userId, mailboxId) {
+    const { data: mailbox } = await this.db
+      .from("mailboxes")
+      .select("*")
+      .eq("id", mailboxId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (!mailbox) {
+      throw httpError(404, "Mailbox not found");
+    }
+
+    return mailbox;
+  }
+
+  async loadEmail(userId, emailId) {
+    const { data: email } = await this.db
+      .from("emails")
+      .select("*")
+      .eq("id", emailId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (!email) {
+      throw httpError(404, "Email not found");
+    }
+
+    return email;
+  }
+
+  /**
+   * Where a reply to a received email goes: the addresses in its Reply-To
+   * header when it has one, else its sender
+   */
+  replyRecipients(original) {
+    const header = original.headers?.["reply-to"];
+    const replyTo = parseAddressList(
+      typeof header === "string" ? header : header?.text,
+    ).map(({ address }) => address);
+
+    return replyTo.length > 0 ? replyTo : [original.from_address];
+  }
+
+  /**
+   * Full plain-text body of a stored email, line by line as the worker
+   * stored it (falls back to the preview)
+   */
+  async loadBodyText(email) {
+    const { data } = await this.db
+      .from("email_bodies")
+      .select("body_text")
+      .eq("email_id", email.id)
+      .maybeSingle();
+
+    return data?.body_text || email.body_preview || "";
+  }
+
+  /**
+   * Verify a mailbox's SMTP settings
+   * @param {Object} mailbox
+   */
+  async verify(mailbox) {
+    const client = this.getSmtpClient(mailbox);
+    try {
+      await client.verify();
+    } finally {
+      client.close();
+    }
+  }
+
+  /**
+   * Compose and send a new message
+   * @param {string} userId
+   * @param {Object} input - { mailbox_id, to, cc, bcc, subject, text, html }
+   * @returns {Promise<Object>} Stored email row
+   */
+  async send(userId, input) {
+    const mailbox = await this.loadMailbox(userId, input.mailbox_id);
+
+    return this.deliver(mailbox, {
+      to: this.normalizeRecipients(input.to, "to"),
+      cc: this.normalizeRecipients(input.cc, "cc"),
+      bcc: this.normalizeRecipients(input.bcc, "bcc"),
+      subject: input.subject || "",
+      text: input.text,
+      html: input.html,
+    });
+  }
+
+  /**
+   * Reply to a stored email
+   * @param {string} userId
+   * @param {string} emailId
+   * @param {Object} input - { text, html, reply_all, cc, bcc }
+   * @returns {Promise<Object>} Stored email row
+   */
+  async reply(userId, emailId, input) {
+    const original = await this.loadEmail(userId, emailId);
+    const mailbox = await this.loadMailbox(userId, original.mailbox_id);
+    const self = mailbox.email_address.toLowerCase();
+
+    // Replying to our own sent message goes back to its recipients
+    const to =
+      original.direction === "OUTBOUND"
+        ? original.to_addresses || []
+        : this.replyRecipients(original);
+    let cc = [];
+
+    if (input.reply_all) {
+      const others = [
+        ...(original.to_addresses || []),
+        ...(original.cc_addresses || []),
+      ].filter((addr) => {
+        const address = this.threadBuilder.extractEmailAddress(addr);
+        return (
+          address !== self &&
+          !to.some(
+            (recipient) =>
+              this.threadBuilder.extractEmailAddress(recipient) === address,
+          )
+        );
+      });
+      cc = others;
+    }
+
+    cc = [...cc, ...this.normalizeRecipients(input.cc, "cc")];
+
+    const bodyText = await this.loadBodyText(original);
+    const quoted = this.quote(original, bodyText);
+
+    return this.deliver(mailbox, {
+      to,
+      cc,
+      bcc: this.normalizeRecipients(input.bcc, "bcc"),
+      subject: this.prefixSubject("Re:", original.subject),
+      text: `${input.text || toTextLines(input.html)}\n\n${quoted}`,
+      html:
+        input.html && `${input.html}\n${this.quoteHtml(original, bodyText)}`,
+      inReplyTo: original.message_id,
+      references: [...(original.reference_ids || []), original.message_id],
+    });
+  }
+
+  /**
+   * Forward a stored email (with its attachments by default)
+   * @param {string} userId
+   * @param {string} emailId
+   * @param {Object} input - { to, cc, bcc, text, html, include_attachments }
+   * @returns {Promise<Object>} Stored email row
+   */
+  async forward(userId, emailId, input) {
+    const original = await this.loadEmail(userId, emailId);
+    const mailbox = await this.loadMailbox(userId, original.mailbox_id);
+
+    const to = this.normalizeRecipients(input.to, "to");
+    const bodyText = await this.loadBodyText(original);
+
+    const header = [
+      "---------- Forwarded message ---------",
+      `From: ${original.from_name ? `${original.from_name} <${original.from_address}>` : original.from_address}`,
+      `Date: ${new Date(original.received_at).toUTCString()}`,
+      `Subject: ${original.subject || ""}`,
+      `To: ${(original.to_addresses || []).join(", ")}`,
+    ].join("\n");
+
+    const attachments =
+      input.include_attachments === false
+        ? []
+        : await this.loadAttachments(original);
+
+    return this.deliver(mailbox, {
+      to,
+      cc: this.normalizeRecipients(input.cc, "cc"),
+      bcc: this.normalizeRecipients(input.bcc, "bcc"),
+      subject: this.prefixSubject("Fwd:", original.subject),
+      text: `${input.text || toTextLines(input.html)}\n\n${header}\n\n${bodyText}`,
+      html:
+        input.html &&
+        `${input.html}\n<div style="white-space:pre-wrap">${escapeHtml(`${header}\n\n${bodyText}`)}</div>`,
+      references: [...(original.reference_ids || []), original.message_id],
+      attachments,
+    });
+  }
+
+  /**
+   * Open stored attachments of an email as nodemailer attachments
+   */
+  async loadAttachments(email) {
+    const { data } = await this.db
+      .from("email_attachments")
+      .select(
+        "filename, content_type, content_id, storage_backend, storage_key",
+      )
+      .eq("email_id", email.id)
+      .not("storage_key", "is", null);
+
+    const attachments = [];
+
+    for (const attachment of data || []) {
+      try {
+        attachments.push({
+          filename: attachment.filename,
+          contentType: attachment.content_type,
+          cid: attachment.content_id || undefined,
+          content: await getStorage(
+            attachment.storage_backend,
+          ).createReadStream(attachment.storage_key),
+        });
+      } catch (error) {
+        console.warn(
+          `⚠️ Skipping attachment ${attachment.filename}:`,
+          error.message,
+        );
+      }
+    }
+
+    return attachments;
+  }
+
+  prefixSubject(prefix, subject) {
+    const base = subject || "";
+    return base.toLowerCase().startsWith(prefix.toLowerCase())
+      ? base
+      : `${prefix} ${base}`.trim();
+  }
+
+  attribution(original) {
+    const sender = original.from_name
+      ? `${original.from_name} <${original.from_address}>`
+      : original.from_address;
+    const date = new Date(original.received_at).toUTCString();
+
+    return `On ${date}, ${sender} wrote:`;
+  }
+
+  quote(original, bodyText) {
+    const quotedBody = bodyText
+      .split("\n")
+      .map((line) => `> ${line}`)
+      .join("\n");
+
+    return `${this.attribution(original)}\n${quotedBody}`;
+  }
+
+  // The original is stored as text; pre-wrap keeps its lines and spacing
+  quoteHtml(original, bodyText) {
+    return [
+      `<div>${escapeHtml(this.attribution(original))}</div>`,
+      `<blockquote type="cite" style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex;white-space:pre-wrap">${escapeHtml(bodyText)}</blockquote>`,
+    ].join("\n");
+  }
+
+  /**
+   * Send through SMTP, then store and thread the sent message
+   */
+  async deliver(mailbox, mail) {
+    if (mail.to.length === 0) {
+      throw httpError(400, "At least one recipient is required");
+    }
+
+    if (!mail.text && !mail.html) {
+      throw httpError(400, "Message body (text or html) is required");
+    }
+
+    const suppressed = await this.suppressions.check(
+      mailbox.user_id,
+      [...mail.to, ...(mail.cc || []), ...(mail.bcc || [])].map((recipient) =>
+        this.threadBuilder.extractEmailAddress(recipient),
+      ),
+      mailbox.id,
+    );
+
+    if (suppressed.length > 0) {
+      throw httpError(
+        422,
+        `Recipients are on the suppression list: ${suppressed.map((entry) => entry.email).join(", ")}`,
+      );
+    }
+
+    const domain = mailbox.email_address.split("@")[1] || "mailsuite.local";
+    const messageId = `<${crypto.randomUUID()}@${domain}>`;
+    const client = this.getSmtpClient(mailbox);
+
+    let info;
+    try {
+      info = await client.send({
+        from: mailbox.email_address,
+        to: mail.to,
+        cc: mail.cc,
+        bcc: mail.bcc,
+        subject: mail.subject,
+        text: mail.text,
+        html: mail.html,
+        messageId,
+        inReplyTo: mail.inReplyTo,
+        references: mail.references,
+        attachments: mail.attachments,
+      });
+    } catch (error) {
+      throw httpError(502, error.message);
+    } finally {
+      client.close();
+    }
+
+    const sent = await this.storeSent(mailbox, mail, messageId);
+
+    // Accepted recipients that were failing wait out the bounce window
+    // before they count as recovered
+    try {
+      await this.lifecycle.recordSent({
+        userId: mailbox.user_id,
+        addresses: (info?.accepted || []).map((recipient) =>
+          this.threadBuilder.extractEmailAddress(String(recipient)),
+        ),
+        occurredAt: new Date().toISOString(),
+        emailId: sent.id || null,
+      });
+    } catch (error) {
+      console.error("❌ Error recording send for bounces:", error.message);
+    }
+
+    // A reply answers the thread's emails that are waiting for one
+    if (sent.id) {
+      try {
+        await this.slaTracker.recordReply(sent);
+      } catch (error) {
+        console.error("❌ Error recording SLA response:", error.message);
+      }
+
+      // Recipients join (or count for) the contact directory
+      try {
+        await this.contacts.recordEmail(mailbox, sent);
+      } catch (error) {
+        console.error("❌ Error updating contacts:", error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  async storeSent(mailbox, mail, messageId) {
+    const sentAt = new Date().toISOString();
+
+    const threadId = await this.threadBuilder.findOrCreateThread(
+      mailbox.id,
+      mailbox.user_id,
+      {
+        subject: mail.subject,
+        from: mailbox.email_address,
+        to: mail.to,
+        cc: mail.cc,
+        inReplyTo: mail.inReplyTo,
+        references: mail.references,
+        receivedAt: sentAt,
+      },
+    );
+
+    const bodyText = mail.text || toTextLines(mail.html);
+
+    const { data: email, error } = await this.db
+      .from("emails")
+      .insert({
+        user_id: mailbox.user_id,
+        mailbox_id: mailbox.id,
+        uid: null,
+        message_id: messageId,
+        direction: "OUTBOUND",
+        subject: mail.subject || "(No Subject)",
+        from_address: mailbox.email_address.toLowerCase(),
+        to_addresses: mail.to,
+        cc_addresses: mail.cc,
+        bcc_addresses: mail.bcc,
+        category: "HUMAN",
+        category_confidence: 1.0,
+        thread_id: threadId,
+        in_reply_to: mail.inReplyTo || null,
+        reference_ids: mail.references || [],
+        body_preview: toPlainText(bodyText).substring(0, 300),
+        has_attachments: Boolean(mail.attachments?.length),
+        is_read: true,
+        is_starred: false,
+        is_archived: false,
+        received_at: sentAt,
+        sent_at: sentAt,
+        size_bytes: 0,
+        headers: {},
+      })
+      .select()
+      .single();
+
+    if (error) {
+      // The message is already sent - report it, but don't pretend it failed
+      console.error("❌ Error storing sent email:", error);
+      return { message_id: messageId, thread_id: threadId, stored: false };
+    }
+
+    await this.db.from("email_bodies").insert({
+      email_id: email.id,
+      user_id: mailbox.user_id,
+      subject: email.subject,
+      body_text: toTextLines(bodyText),
+    });
+
+    await this.threadBuilder.updateThreadStats(threadId);
+    await this.events.emailCreated(email);
+
+    console.log(`✅ Stored sent email: ${email.id}`);
+    return email;
+  }
+}
@@ -0,0 +1,575 @@
+/**
+ * Reprocessing of stored mail
+ * Runs the current classifier and/or threading rules over a mailbox's
+ * existing emails after those rules change. Jobs are created by
+ * POST /mailboxes/:id/reprocess and run by the worker in batches, oldest
+ * email first; the cursor is saved after every batch so a restarted worker
+ * picks up where it stopped. Each job keeps a running diff: how many emails
+ * changed category (and from what to what) and how many moved thread. A
+ * failed batch is retried with backoff; after MAX_ATTEMPTS in a row the job
+ * is FAILED until resumed.
+ */
+
+import { ClassifierPipeline } from "./classification/pipeline.js";
+import { ThreadBuilder } from "./email-worker/thread-builder.js";
+
+export const REPROCESS_MODES = ["CLASSIFICATION", "THREADING", "BOTH"];
+
+export const JOB_STATUSES = [
+  "PENDING",
+  "RUNNING",
+  "COMPLETED",
+  "FAILED",
+  "CANCELLED",
+];
+
+export const ACTIVE_JOB_STATUSES = ["PENDING", "RUNNING"];
+
+const INTERVAL_MS = parseInt(process.env.REPROCESS_INTERVAL_MS) || 5000;
+
+// Emails per batch
+const BATCH_SIZE = parseInt(process.env.REPROCESS_BATCH_SIZE) || 100;
+
+// A worker holds a job this long per batch; a crashed worker's job is
+// picked up again once it expires
+const LEASE_MS = 5 * 60 * 1000;
+
+// Failed batches in a row before a job is FAILED, and the wait before the
+// first retry (doubled for each further one)
+const MAX_ATTEMPTS = parseInt(process.env.REPROCESS_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 30 * 60 * 1000;
+
+// Only mail the rules decide on: user-set categories stay, and bounces and
+// auto-replies were detected from parts of the message that are not stored
+const FIXED_CATEGORIES = ["BOUNCE", "AUTO_REPLY"];
+
+const EMAIL_COLUMNS =
+  "id, user_id, direction, category, category_confidence, category_source, thread_id, message_id, in_reply_to, reference_ids, subject, from_address, from_name, to_addresses, cc_addresses, headers, received_at";
+
+/**
+ * Validate a reprocess request body
+ * @returns {string|null} Error message
+ */
+export function validateReprocessRequest(body) {
+  const { mode, since, until } = body || {};
+
+  if (!REPROCESS_MODES.includes(mode)) {
+    return `mode must be one of: ${REPROCESS_MODES.join(", ")}`;
+  }
+
+  for (const [field, value] of Object.entries({ since, until })) {
+    if (value !== undefined && Number.isNaN(Date.parse(value))) {
+      return `${field} must be an ISO date`;
+    }
+  }
+
+  if (since && until && new Date(since) >= new Date(until)) {
+    return "since must be before until";
+  }
+
+  return null;
+}
+
+/**
+ * Share of a job's emails processed so far (0-1)
+ */
+export function jobProgress(job) {
+  if (job.status === "COMPLETED") return 1;
+  if (!job.total) return 0;
+  return Math.min(1, Math.round((job.processed / job.total) * 1000) / 1000);
+}
+
+/**
+ * Parsed message as the rules expect it, from a stored email. The stored
+ * fields stay: classifier features are read from them (see featureInput)
+ */
+function toMessage(email, bodyText) {
+  return {
+    ...email,
+    body_text: bodyText || "",
+    from: email.from_name
+      ? `"${email.from_name}" <${email.from_address}>`
+      : email.from_address,
+    to: email.to_addresses || [],
+    cc: email.cc_addresses || [],
+    subject: email.subject,
+    body: bodyText || "",
+    headers: email.headers || {},
+  };
+}
+
+export class Reprocessor {
+  constructor(db) {
+    this.db = db;
+    this.classifier = new ClassifierPipeline(db);
+    this.threadBuilder = new ThreadBuilder(db);
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Run runPending() every REPROCESS_INTERVAL_MS
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.runPending(), INTERVAL_MS);
+    console.log(
+      `♻️  Reprocess jobs started (every ${Math.round(INTERVAL_MS / 1000)}s)`,
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Emails a job covers
+   */
+  emailQuery(job, columns, options) {
+    let query = this.db
+      .from("emails")
+      .select(columns, options)
+      .eq("mailbox_id", job.mailbox_id)
+      .eq("user_id", job.user_id);
+
+    if (job.since) query = query.gte("received_at", job.since);
+    if (job.until) query = query.lt("received_at", job.until);
+
+    return query;
+  }
+
+  /**
+   * Create a job for a mailbox
+   * @param {Object} mailbox - { id, user_id }
+   * @param {Object} options - { mode, since?, until? }
+   * @returns {Promise<Object>} Job; throws a 23505 error when the mailbox
+   *   already has a job pending or running
+   */
+  async createJob(mailbox, { mode, since, until }) {
+    const job = {
+      user_id: mailbox.user_id,
+      mailbox_id: mailbox.id,
+      mode,
+      since: since ? new Date(since).toISOString() : null,
+      until: until ? new Date(until).toISOString() : null,
+    };
+
+    const { count, error: countError } = await this.emailQuery(job, "id", {
+      count: "exact",
+      head: true,
+    });
+
+    if (countError) throw countError;
+
+    const { data, error } = await this.db
+      .from("reprocess_jobs")
+      .insert({ ...job, total: count || 0 })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Run one batch of every job that is pending or running
+   */
+  async runPending() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      const { data: jobs, error } = await this.db
+        .from("reprocess_jobs")
+        .select("id")
+        .in("status", ACTIVE_JOB_STATUSES)
+        .order("created_at", { ascending: true });
+
+      if (error) throw error;
+
+      for (const { id } of jobs) {
+        await this.runBatch(id);
+      }
+    } catch (error) {
+      console.error("❌ Error running reprocess jobs:", error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Take the lease on a job
+   * @returns {Promise<Object|null>} The job, or null when another worker has it
+   */
+  async claim(jobId) {
+    const now = new Date();
+
+    const { data, error } = await this.db
+      .from("reprocess_jobs")
+      .update({
+        locked_until: new Date(now.getTime() + LEASE_MS).toISOString(),
+      })
+      .eq("id", jobId)
+      .in("status", ACTIVE_JOB_STATUSES)
+      .or(`locked_until.is.null,locked_until.lt."${now.toISOString()}"`)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Process the next batch of a job and save its cursor and diff
+   * @returns {Promise<Object|null>} Updated job, or null when not claimed
+   */
+  async runBatch(jobId) {
+    const job = await this.claim(jobId);
+    if (!job) return null;
+
+    try {
+      const emails = await this.nextEmails(job);
+      const diff = {
+        processed: 0,
+        category_changed: 0,
+        thread_changed: 0,
+        threads_created: 0,
+        threads_removed: 0,
+        skipped: 0,
+        category_changes: { ...job.category_changes },
+      };
+      const touchedThreads = new Set();
+
+      for (const email of emails) {
+        if (job.mode !== "THREADING") {
+          await this.reclassify(job, email, diff);
+        }
+        if (job.mode !== "CLASSIFICATION") {
+          await this.rethread(job, email, diff, touchedThreads);
+        }
+        diff.processed++;
+      }
+
+      diff.threads_removed = await this.refreshThreads(touchedThreads);
+
+      const last = emails[emails.length - 1];
+      const done = emails.length < BATCH_SIZE;
+      const updates = {
+        status: done ? "COMPLETED" : "RUNNING",
+        processed: job.processed + diff.processed,
+        category_changed: job.category_changed + diff.category_changed,
+        thread_changed: job.thread_changed + diff.thread_changed,
+        threads_created: job.threads_created + diff.threads_created,
+        threads_removed: job.threads_removed + diff.threads_removed,
+        skipped: job.skipped + diff.skipped,
+        category_changes: diff.category_changes,
+        cursor_received_at: last?.received_at ?? job.cursor_received_at,
+        cursor_id: last?.id ?? job.cursor_id,
+        started_at: job.started_at || new Date().toISOString(),
+        completed_at: done ? new Date().toISOString() : null,
+        locked_until: null,
+        attempts: 0,
+        error_message: null,
+      };
+
+      // A job cancelled mid-batch stays cancelled
+      const { data, error } = await this.db
+        .from("reprocess_jobs")
+        .update(updates)
+        .eq("id", job.id)
+        .in("status", ACTIVE_JOB_STATUSES)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (done) {
+        console.log(
+          `♻️  Reprocess job ${job.id} done: ${updates.category_changed} recategorized, ${updates.thread_changed} rethreaded`,
+        );
+      }
+      return data;
+    } catch (error) {
+      await this.recordFailure(job, error);
+      return null;
+    }
+  }
+
+  /**
+   * A batch failed: keep the lease until the retry is due (the cursor did
+   * not move, so the batch runs again), or fail the job after MAX_ATTEMPTS
+   */
+  async recordFailure(job, failure) {
+    const attempts = (job.attempts || 0) + 1;
+    const failed = attempts >= MAX_ATTEMPTS;
+    const retryMs = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+    console.error(
+      `❌ Reprocess job ${job.id} batch failed (attempt ${attempts} of ${MAX_ATTEMPTS}):`,
+      failure.message,
+    );
+
+    // A job cancelled mid-batch stays cancelled
+    const { error } = await this.db
+      .from("reprocess_jobs")
+      .update(
+        failed
+          ? {
+              status: "FAILED",
+              attempts,
+              error_message: failure.message,
+              completed_at: new Date().toISOString(),
+              locked_until: null,
+            }
+          : {
+              attempts,
+              error_message: failure.message,
+              locked_until: new Date(Date.now() + retryMs).toISOString(),
+            },
+      )
+      .eq("id", job.id)
+      .in("status", ACTIVE_JOB_STATUSES);
+
+    if (error) {
+      console.error("❌ Error recording reprocess failure:", error.message);
+    }
+  }
+
+  /**
+   * Put a FAILED job back in the queue; it continues from its cursor
+   * @param {Object} mailbox - { id, user_id }
+   * @param {string} jobId
+   * @returns {Promise<Object|null>} The job, or null if the mailbox has no
+   *   failed job with this ID; throws a 23505 error when the mailbox already
+   *   has a job pending or running
+   */
+  async resumeJob(mailbox, jobId) {
+    const { data, error } = await this.db
+      .from("reprocess_jobs")
+      .update({
+        status: "PENDING",
+        attempts: 0,
+        error_message: null,
+        completed_at: null,
+        locked_until: null,
+      })
+      .eq("id", jobId)
+      .eq("mailbox_id", mailbox.id)
+      .eq("user_id", mailbox.user_id)
+      .eq("status", "FAILED")
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * The next batch after the job's cursor, oldest first
+   */
+  async nextEmails(job) {
+    let query = this.emailQuery(job, EMAIL_COLUMNS);
+
+    if (job.cursor_received_at) {
+      const at = `"${job.cursor_received_at}"`;
+      query = query.or(
+        `received_at.gt.${at},and(received_at.eq.${at},id.gt.${job.cursor_id})`,
+      );
+    }
+
+    const { data, error } = await query
+      .order("received_at", { ascending: true })
+      .order("id", { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Classify a stored email again
+   */
+  async reclassify(job, email, diff) {
+    if (
+      email.direction !== "INBOUND" ||
+      email.category_source === "USER" ||
+      FIXED_CATEGORIES.includes(email.category)
+    ) {
+      diff.skipped++;
+      return;
+    }
+
+    const { data: body } = await this.db
+      .from("email_bodies")
+      .select("body_text")
+      .eq("email_id", email.id)
+      .maybeSingle();
+
+    const result = await this.classifier.classify(
+      toMessage(email, body?.body_text),
+      job.user_id,
+    );
+
+    // Structural categories need the full message to be handled properly
+    if (FIXED_CATEGORIES.includes(result.category)) {
+      diff.skipped++;
+      return;
+    }
+
+    if (
+      result.category === email.category &&
+      result.confidence === Number(email.category_confidence) &&
+      result.source === email.category_source
+    ) {
+      return;
+    }
+
+    const { error } = await this.db
+      .from("emails")
+      .update({
+        category: result.category,
+        category_confidence: result.confidence,
+        category_source: result.source,
+        category_probabilities: result.probabilities,
+      })
+      .eq("id", email.id);
+
+    if (error) throw error;
+
+    if (result.category !== email.category) {
+      const change = `${email.category}->${result.category}`;
+      diff.category_changed++;
+      diff.category_changes[change] = (diff.category_changes[change] || 0) + 1;
+    }
+  }
+
+  /**
+   * Thread a stored email again. Emails are visited oldest first, so the
+   * messages it replies to already have their new thread
+   */
+  async rethread(job, email, diff, touchedThreads) {
+    const found = await this.threadBuilder.findThread(
+      job.mailbox_id,
+      {
+        subject: email.subject,
+        inReplyTo: email.in_reply_to,
+        references: email.reference_ids,
+      },
+      { asOf: email.received_at },
+    );
+
+    let threadId = found;
+
+    // Nothing to join: the email starts a thread. Its current thread will
+    // do if nothing in it is older
+    if (!threadId) {
+      threadId = (await this.startsThread(email))
+        ? email.thread_id
+        : await this.createThread(job, email, diff);
+    }
+
+    if (threadId === email.thread_id) return;
+
+    const { error } = await this.db
+      .from("emails")
+      .update({ thread_id: threadId })
+      .eq("id", email.id);
+
+    if (error) throw error;
+
+    if (email.thread_id) touchedThreads.add(email.thread_id);
+    touchedThreads.add(threadId);
+    diff.thread_changed++;
+  }
+
+  /**
+   * Whether an email is the oldest in its current thread
+   */
+  async startsThread(email) {
+    if (!email.thread_id) return false;
+
+    const { count, error } = await this.db
+      .from("emails")
+      .select("id", { count: "exact", head: true })
+      .eq("thread_id", email.thread_id)
+      .lt("received_at", email.received_at);
+
+    if (error) throw error;
+    return count === 0;
+  }
+
+  async createThread(job, email, diff) {
+    const { data: thread, error } = await this.db
+      .from("email_threads")
+      .insert({
+        user_id: job.user_id,
+        mailbox_id: job.mailbox_id,
+        subject: email.subject || "(No Subject)",
+        normalized_subject: this.threadBuilder.normalizeSubject(email.subject),
+        participants: this.threadBuilder.extractParticipants({
+          from: email.from_address,
+          to: email.to_addresses,
+          cc: email.cc_addresses,
+        }),
+        first_message_at: email.received_at,
+        last_message_at: email.received_at,
+        message_count: 1,
+        is_unread: true,
+      })
+      .select("id")
+      .single();
+
+    if (error) throw error;
+
+    diff.threads_created++;
+    return thread.id;
+  }
+
+  /**
+   * Recompute stats of threads that gained or lost emails, and delete the
+   * ones left empty
+   * @returns {Promise<number>} Threads deleted
+   */
+  async refreshThreads(threadIds) {
+    let removed = 0;
+
+    for (const threadId of threadIds) {
+      const { data: first, error } = await this.db
+        .from("emails")
+        .select("received_at")
+        .eq("thread_id", threadId)
+        .order("received_at", { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!first) {
+        const { error: deleteError } = await this.db
+          .from("email_threads")
+          .delete()
+          .eq("id", threadId);
+
+        if (deleteError) throw deleteError;
+        removed++;
+        continue;
+      }
+
+      await this.threadBuilder.updateThreadStats(threadId);
+
+      // updateThreadStats only moves the end of a thread; later subject
+      // matches rely on its start too
+      const { error: updateError } = await this.db
+        .from("email_threads")
+        .update({ first_message_at: first.received_at })
+        .eq("id", threadId);
+
+      if (updateError) throw updateError;
+    }
+
+    return removed;
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Sieve export
+ * Writes EMAIL_RECEIVED automation rules out as a Sieve script, so the same
+ * filtering can run on the IMAP server. Rule patterns become :regex tests,
+ * labels become fileinto :copy and archive files into the archive folder.
+ * What Sieve cannot express (category conditions, webhooks, suppressions)
+ * is left out with a comment saying so.
+ */
+
+/**
+ * Quoted Sieve string
+ */
+function quote(value) {
+  return `"${String(value).replace(/[\\"]/g, "\\$&")}"`;
+}
+
+/**
+ * Sieve tests for a rule's conditions, or a reason it has no equivalent
+ * @returns {{ tests?: Array<string>, skip?: string }}
+ */
+function conditionTests(conditions = {}) {
+  if (conditions.categories?.length) {
+    return { skip: "category conditions have no Sieve equivalent" };
+  }
+
+  const tests = [];
+
+  if (conditions.from_pattern) {
+    // Rules match the sender's address or display name
+    const key = quote(conditions.from_pattern);
+    tests.push(
+      `anyof (address :regex "from" ${key}, header :regex "from" ${key})`,
+    );
+  }
+
+  if (conditions.subject_pattern) {
+    tests.push(`header :regex "subject" ${quote(conditions.subject_pattern)}`);
+  }
+
+  for (const header of conditions.headers || []) {
+    tests.push(
+      header.pattern
+        ? `header :regex ${quote(header.name.toLowerCase())} ${quote(header.pattern)}`
+        : `exists ${quote(header.name.toLowerCase())}`,
+    );
+  }
+
+  return { tests };
+}
+
+/**
+ * Sieve commands for a rule's actions; flags are set before fileinto so
+ * filed copies carry them
+ * @param {Array<Object>} actions
+ * @param {Map<string, string>} labels - label id -> name
+ * @param {string} archiveFolder
+ * @returns {Array<string>}
+ */
+function actionCommands(actions, labels, archiveFolder) {
+  const flags = [];
+  const commands = [];
+
+  for (const action of actions) {
+    switch (action.type) {
+      case "star":
+        flags.push('addflag "\\\\Flagged";');
+        break;
+      case "mark_read":
+        flags.push('addflag "\\\\Seen";');
+        break;
+      case "label":
+        commands.push(
+          labels.has(action.label_id)
+            ? `fileinto :copy ${quote(labels.get(action.label_id))};`
+            : `# label ${action.label_id} no longer exists`,
+        );
+        break;
+      case "archive":
+        commands.push(`fileinto ${quote(archiveFolder)};`);
+        break;
+      default:
+        commands.push(`# ${action.type} action has no Sieve equivalent`);
+    }
+  }
+
+  return [...flags, ...commands];
+}
+
+/**
+ * Extensions used by a script body
+ */
+function requiredExtensions(lines) {
+  const script = lines.join("\n");
+  const extensions = [];
+
+  if (/^\s*fileinto /m.test(script)) extensions.push("fileinto");
+  if (/^\s*addflag /m.test(script)) extensions.push("imap4flags");
+  if (/:regex /.test(script)) extensions.push("regex");
+  if (/^\s*fileinto :copy /m.test(script)) extensions.push("copy");
+
+  return extensions;
+}
+
+/**
+ * Write automation rules as a Sieve script
+ * @param {Array<Object>} rules - Active EMAIL_RECEIVED rules in run order
+ * @param {Object} options
+ * @param {Map<string, string>} options.labels - label id -> name
+ * @param {string} options.archiveFolder - Folder archive actions file into
+ * @returns {string}
+ */
+export function rulesToSieve(rules, { labels, archiveFolder }) {
+  const body = [];
+
+  for (const rule of rules) {
+    body.push("", `# ${rule.name.replace(/\r?\n/g, " ")}`);
+
+    const { tests, skip } = conditionTests(rule.conditions);
+    if (skip) {
+      body.push(`# Skipped: ${skip}`);
+      continue;
+    }
+
+    const commands = actionCommands(rule.actions, labels, archiveFolder);
+    if (rule.stop_processing) commands.push("stop;");
+
+    const test =
+      tests.length === 0
+        ? "true"
+        : tests.length === 1
+          ? tests[0]
+          : `allof (${tests.join(",\n       ")})`;
+
+    body.push(
+      `if ${test} {`,
+      ...commands.map((command) => `  ${command}`),
+      "}",
+    );
+  }
+
+  const extensions = requiredExtensions(body);
+  const header = ["# Exported from MailSuite automation rules"];
+
+  if (extensions.length > 0) {
+    header.push(`require [${extensions.map(quote).join(", ")}];`);
+  }
+
+  return `${[...header, ...body].join("\n")}\n`;
+}
@@ -0,0 +1,188 @@
+/**
+ * Sieve filter
+ * Runs a mailbox's Sieve script against newly stored mail and applies the
+ * result. Folders are labels here, so fileinto assigns a label (created on
+ * first use) and moving mail out of the inbox archives it. Mail is never
+ * deleted: discard archives too. Redirect and vacation are reported but not
+ * performed.
+ */
+
+import { BulkActions } from "../bulk-actions.js";
+import { ARCHIVE_SPECIAL_USE } from "../email-worker/flag-sync.js";
+import { compileSieve } from "./parser.js";
+import { evaluateSieve } from "./interpreter.js";
+
+// Folder names filed as "archive" when the server has no archive folder
+const ARCHIVE_NAMES = ["archive"];
+
+// imap4flags flags that map onto email fields
+const FLAG_ACTIONS = {
+  "\\seen": "read",
+  "\\flagged": "star",
+};
+
+export class SieveFilter {
+  constructor(db) {
+    this.db = db;
+    this.bulk = new BulkActions(db);
+    // mailbox_id -> { updated_at, commands }
+    this.compiled = new Map();
+  }
+
+  /**
+   * Compiled active script for a mailbox, or null
+   * @param {string} mailboxId
+   * @returns {Promise<Array<Object>|null>}
+   */
+  async loadScript(mailboxId) {
+    const { data: script, error } = await this.db
+      .from("sieve_scripts")
+      .select("script, is_active, updated_at")
+      .eq("mailbox_id", mailboxId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!script?.is_active) return null;
+
+    const cached = this.compiled.get(mailboxId);
+    if (cached?.updated_at === script.updated_at) return cached.commands;
+
+    const { commands } = compileSieve(script.script);
+    this.compiled.set(mailboxId, {
+      updated_at: script.updated_at,
+      commands,
+    });
+    return commands;
+  }
+
+  /**
+   * Message as the interpreter sees it: the stored email plus an envelope
+   * (sender address, and the mailbox as recipient)
+   */
+  toMessage(mailbox, email) {
+    return {
+      ...email,
+      envelope: { from: email.from_address, to: mailbox.email_address },
+    };
+  }
+
+  /**
+   * Evaluate a compiled script without applying it
+   * @returns {{ keep: boolean, flags: Array<string>, actions: Array<Object> }}
+   */
+  evaluate(commands, mailbox, email) {
+    return evaluateSieve(commands, this.toMessage(mailbox, email));
+  }
+
+  /**
+   * Run the mailbox's script against a stored inbound email
+   * @param {Object} mailbox - { id, user_id, email_address }
+   * @param {Object} email - Stored email (id, headers, from_address, from_name,
+   *   to_addresses, cc_addresses, subject, size_bytes, category)
+   * @returns {Promise<Object|null>} Evaluation result, or null without a script
+   */
+  async apply(mailbox, email) {
+    const commands = await this.loadScript(mailbox.id);
+    if (!commands) return null;
+
+    const result = this.evaluate(commands, mailbox, email);
+    await this.perform(mailbox, email, result);
+
+    return result;
+  }
+
+  /**
+   * Apply an evaluation result to a stored email
+   */
+  async perform(mailbox, email, result) {
+    const archiveFolders = result.actions.some(
+      (action) => action.type === "fileinto",
+    )
+      ? await this.archiveFolders(mailbox.id)
+      : [];
+    let archive = !result.keep;
+    const flags = new Set();
+
+    for (const action of result.actions) {
+      action.flags?.forEach((flag) => flags.add(flag.toLowerCase()));
+
+      if (action.type !== "fileinto") continue;
+
+      const folder = action.folder.trim();
+      if (!folder) continue;
+
+      if (folder.toUpperCase() === "INBOX") {
+        archive = false;
+        continue;
+      }
+
+      if (archiveFolders.includes(folder.toLowerCase())) {
+        archive = true;
+        continue;
+      }
+
+      const label = await this.findOrCreateLabel(mailbox, folder);
+      await this.bulk.applyToEmails(mailbox.user_id, [email.id], "label", {
+        label,
+      });
+    }
+
+    // Flags are only ever added: a script does not undo what the server says
+    for (const [flag, bulkAction] of Object.entries(FLAG_ACTIONS)) {
+      if (flags.has(flag)) {
+        await this.bulk.applyToEmails(mailbox.user_id, [email.id], bulkAction);
+      }
+    }
+
+    if (archive) {
+      await this.bulk.applyToEmails(mailbox.user_id, [email.id], "archive");
+    }
+  }
+
+  /**
+   * Lowercase names that file into the archive: the server's archive
+   * folders, or "Archive"
+   */
+  async archiveFolders(mailboxId) {
+    const { data, error } = await this.db
+      .from("mailbox_folders")
+      .select("path")
+      .eq("mailbox_id", mailboxId)
+      .in("special_use", ARCHIVE_SPECIAL_USE);
+
+    if (error) throw error;
+    return [
+      ...ARCHIVE_NAMES,
+      ...data.map((folder) => folder.path.toLowerCase()),
+    ];
+  }
+
+  /**
+   * Label named after a folder, created on first use
+   */
+  async findOrCreateLabel(mailbox, name) {
+    const { data: existing, error } = await this.db
+      .from("email_labels")
+      .select("id, mailbox_id")
+      .eq("mailbox_id", mailbox.id)
+      .eq("name", name)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (existing) return existing;
+
+    const { data: label, error: insertError } = await this.db
+      .from("email_labels")
+      .insert({ user_id: mailbox.user_id, mailbox_id: mailbox.id, name })
+      .select("id, mailbox_id")
+      .single();
+
+    // Created by a concurrent run
+    if (insertError?.code === "23505") {
+      return this.findOrCreateLabel(mailbox, name);
+    }
+    if (insertError) throw insertError;
+
+    return label;
+  }
+}
@@ -0,0 +1,472 @@
+/**
+ * Sieve interpreter
+ * Runs a compiled script against one message and returns what the script
+ * asks for: keep, discard, fileinto, redirect, flags (imap4flags) and
+ * vacation. Nothing is applied here; see SieveFilter for that. Vacation
+ * replies are never sent: the result says whether RFC 5230 would send one.
+ */
+
+import { compileUserRegex, testUserRegex } from "../../utils/user-regex.js";
+
+// RFC 5230 section 4.6: no automatic replies to these senders
+const NO_REPLY_SENDERS =
+  /^(owner-|mailer-daemon@|postmaster@|listserv@|majordomo@)|-request@/i;
+
+/**
+ * Header values as strings; headers are a Map from ImapClient and a plain
+ * object once stored. Address headers are objects with a text form
+ */
+function rawHeader(headers, name) {
+  const value =
+    typeof headers?.get === "function" ? headers.get(name) : headers?.[name];
+
+  if (value === undefined || value === null) return [];
+  return [value]
+    .flat()
+    .map((item) =>
+      item instanceof Date
+        ? item.toUTCString()
+        : typeof item === "object"
+          ? String(item.text ?? item.value ?? "")
+          : String(item),
+    );
+}
+
+/**
+ * Values of a header, falling back on the email's own columns
+ * (from, to, cc, subject) when the header was not stored
+ */
+function headerValues(message, name) {
+  const key = name.toLowerCase();
+  const values = rawHeader(message.headers, key);
+  if (values.length > 0) return values;
+
+  switch (key) {
+    case "from":
+      if (!message.from_address) return [];
+      return [
+        message.from_name
+          ? `"${message.from_name}" <${message.from_address}>`
+          : message.from_address,
+      ];
+    case "to":
+      return message.to_addresses?.length
+        ? [message.to_addresses.join(", ")]
+        : [];
+    case "cc":
+      return message.cc_addresses?.length
+        ? [message.cc_addresses.join(", ")]
+        : [];
+    case "subject":
+      return message.subject ? [message.subject] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * addr-specs in an address header value
+ */
+function parseAddresses(value) {
+  const addresses = [];
+  let current = "";
+  let quoted = false;
+  let angle = 0;
+
+  for (const char of `${value},`) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === "<") angle++;
+    if (!quoted && char === ">") angle--;
+
+    if (char === "," && !quoted && angle <= 0) {
+      const bracketed = current.match(/<([^>]*)>/);
+      const address = (bracketed ? bracketed[1] : current).trim();
+      if (address) addresses.push(address);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+
+  return addresses;
+}
+
+function addressPart(address, part) {
+  const at = address.lastIndexOf("@");
+  if (part === "localpart") return at === -1 ? address : address.slice(0, at);
+  if (part === "domain") return at === -1 ? "" : address.slice(at + 1);
+  return address;
+}
+
+const ANY_RUN = Symbol("*");
+const ANY_CHAR = Symbol("?");
+
+/**
+ * Whether a value matches a :matches key: * is any run of characters, ? one
+ * character, and a backslash escapes the next character. Matched without a
+ * RegExp (backtracking only to the last *), so no key can take more than
+ * value length × key length steps
+ */
+function wildcardMatch(value, key) {
+  const tokens = [];
+  for (let i = 0; i < key.length; i++) {
+    const char = key[i];
+    if (char === "\\" && i + 1 < key.length) tokens.push(key[++i]);
+    else if (char === "*") tokens.push(ANY_RUN);
+    else if (char === "?") tokens.push(ANY_CHAR);
+    else tokens.push(char);
+  }
+
+  let v = 0;
+  let t = 0;
+  let star = -1;
+  let starValue = 0;
+
+  while (v < value.length) {
+    if (
+      t < tokens.length &&
+      tokens[t] !== ANY_RUN &&
+      (tokens[t] === ANY_CHAR || tokens[t] === value[v])
+    ) {
+      v++;
+      t++;
+    } else if (tokens[t] === ANY_RUN) {
+      star = t++;
+      starValue = v;
+    } else if (star !== -1) {
+      // Let the last * take one more character
+      t = star + 1;
+      v = ++starValue;
+    } else {
+      return false;
+    }
+  }
+
+  while (tokens[t] === ANY_RUN) t++;
+  return t === tokens.length;
+}
+
+/**
+ * :regex match; keys are checked at upload, and one that fails the checks
+ * (saved before they existed) never matches
+ */
+function regexMatch(value, key, flags) {
+  let regex;
+  try {
+    regex = compileUserRegex(key, flags);
+  } catch {
+    return false;
+  }
+  return testUserRegex(regex, value);
+}
+
+/**
+ * Whether a value matches a key under a match type and comparator
+ */
+function matches(value, key, matchType, comparator) {
+  const caseless = comparator !== "i;octet";
+  const a = caseless ? value.toLowerCase() : value;
+  const b = caseless ? key.toLowerCase() : key;
+
+  switch (matchType) {
+    case "contains":
+      return a.includes(b);
+    case "matches":
+      return wildcardMatch(a, b);
+    case "regex":
+      return regexMatch(value, key, caseless ? "i" : "");
+    default:
+      return a === b;
+  }
+}
+
+/**
+ * Split test/command arguments into tags and positional arguments
+ * @returns {{ tags: Object, positional: Array }}
+ */
+function splitArgs(args) {
+  const tags = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg.type !== "tag") {
+      positional.push(arg.value);
+    } else if (
+      [
+        "comparator",
+        "days",
+        "subject",
+        "from",
+        "addresses",
+        "handle",
+        "flags",
+      ].includes(arg.value)
+    ) {
+      tags[arg.value] = args[++i]?.value;
+    } else {
+      tags[arg.value] = true;
+    }
+  }
+
+  return { tags, positional };
+}
+
+const MATCH_TYPES = ["is", "contains", "matches", "regex"];
+const ADDRESS_PARTS = ["all", "localpart", "domain"];
+
+function matchType(tags) {
+  return MATCH_TYPES.find((type) => tags[type]) || "is";
+}
+
+function addressPartOf(tags) {
+  return ADDRESS_PARTS.find((part) => tags[part]) || "all";
+}
+
+const list = (value) => [value ?? []].flat();
+
+/**
+ * Flags in a flag list; a string may hold several, space-separated
+ */
+function flagList(value) {
+  return list(value)
+    .flatMap((flags) => flags.split(/\s+/))
+    .filter(Boolean);
+}
+
+class Evaluation {
+  constructor(message) {
+    this.message = message;
+    this.flags = [];
+    this.implicitKeep = true;
+    this.actions = [];
+    this.stopped = false;
+  }
+
+  test(test) {
+    const { tags, positional } = splitArgs(test.args);
+    const type = matchType(tags);
+    const comparator = tags.comparator;
+    const any = (values, keys) =>
+      values.some((value) =>
+        list(keys).some((key) => matches(value, key, type, comparator)),
+      );
+
+    switch (test.name) {
+      case "true":
+        return true;
+      case "false":
+        return false;
+      case "not":
+        return !this.test(test.tests[0]);
+      case "anyof":
+        return test.tests.some((inner) => this.test(inner));
+      case "allof":
+        return test.tests.every((inner) => this.test(inner));
+      case "exists":
+        return list(positional[0]).every(
+          (name) => headerValues(this.message, name).length > 0,
+        );
+      case "size":
+        return tags.over
+          ? (this.message.size_bytes || 0) > positional[0]
+          : (this.message.size_bytes || 0) < positional[0];
+      case "header":
+        return any(
+          list(positional[0]).flatMap((name) =>
+            headerValues(this.message, name),
+          ),
+          positional[1],
+        );
+      case "address":
+        return any(
+          list(positional[0])
+            .flatMap((name) => headerValues(this.message, name))
+            .flatMap(parseAddresses)
+            .map((address) => addressPart(address, addressPartOf(tags))),
+          positional[1],
+        );
+      case "envelope":
+        return any(
+          list(positional[0])
+            .map((part) => this.message.envelope?.[part.toLowerCase()])
+            .filter((address) => address != null)
+            .map((address) => addressPart(address, addressPartOf(tags))),
+          positional[1],
+        );
+      case "hasflag":
+        return any(this.flags, flagList(positional[positional.length - 1]));
+      default:
+        throw new Error(`Unsupported test: ${test.name}`);
+    }
+  }
+
+  run(commands) {
+    let branchTaken = false;
+
+    for (const command of commands) {
+      if (this.stopped) return;
+
+      if (command.name === "if") {
+        branchTaken = this.test(command.tests[0]);
+        if (branchTaken) this.run(command.block);
+        continue;
+      }
+
+      if (command.name === "elsif") {
+        if (!branchTaken && this.test(command.tests[0])) {
+          branchTaken = true;
+          this.run(command.block);
+        }
+        continue;
+      }
+
+      if (command.name === "else") {
+        if (!branchTaken) this.run(command.block);
+        continue;
+      }
+
+      this.execute(command);
+    }
+  }
+
+  execute(command) {
+    const { tags, positional } = splitArgs(command.args);
+    const flags = () =>
+      tags.flags !== undefined ? flagList(tags.flags) : [...this.flags];
+
+    switch (command.name) {
+      case "require":
+        return;
+      case "stop":
+        this.stopped = true;
+        return;
+      case "keep":
+        this.implicitKeep = false;
+        this.actions.push({ type: "keep", flags: flags() });
+        return;
+      case "discard":
+        this.implicitKeep = false;
+        this.actions.push({ type: "discard" });
+        return;
+      case "fileinto":
+        if (!tags.copy) this.implicitKeep = false;
+        this.actions.push({
+          type: "fileinto",
+          folder: positional[0],
+          flags: flags(),
+          copy: Boolean(tags.copy),
+        });
+        return;
+      case "redirect":
+        if (!tags.copy) this.implicitKeep = false;
+        this.actions.push({
+          type: "redirect",
+          address: positional[0],
+          copy: Boolean(tags.copy),
+        });
+        return;
+      case "setflag":
+        this.flags = [];
+        this.addFlags(flagList(positional[positional.length - 1]));
+        return;
+      case "addflag":
+        this.addFlags(flagList(positional[positional.length - 1]));
+        return;
+      case "removeflag": {
+        const removed = flagList(positional[positional.length - 1]).map(
+          (flag) => flag.toLowerCase(),
+        );
+        this.flags = this.flags.filter(
+          (flag) => !removed.includes(flag.toLowerCase()),
+        );
+        return;
+      }
+      case "vacation":
+        this.actions.push(this.vacation(tags, positional[0]));
+        return;
+      default:
+        throw new Error(`Unsupported command: ${command.name}`);
+    }
+  }
+
+  addFlags(flags) {
+    for (const flag of flags) {
+      if (!this.flags.some((f) => f.toLowerCase() === flag.toLowerCase())) {
+        this.flags.push(flag);
+      }
+    }
+  }
+
+  /**
+   * A vacation action and whether RFC 5230 would send the reply
+   */
+  vacation(tags, reason) {
+    const header = (name) => headerValues(this.message, name)[0] || "";
+    const sender =
+      this.message.envelope?.from ?? this.message.from_address ?? "";
+    const own = [this.message.envelope?.to, ...list(tags.addresses)]
+      .filter(Boolean)
+      .map((address) => address.toLowerCase());
+    const recipients = ["to", "cc", "bcc"]
+      .flatMap((name) => headerValues(this.message, name))
+      .flatMap(parseAddresses)
+      .map((address) => address.toLowerCase());
+
+    let skipReason = null;
+    const autoSubmitted = header("auto-submitted").toLowerCase();
+
+    if (autoSubmitted && autoSubmitted !== "no") {
+      skipReason = "Message is automatic (Auto-Submitted)";
+    } else if (/^(bulk|list|junk)$/i.test(header("precedence").trim())) {
+      skipReason = "Message is bulk or list mail (Precedence)";
+    } else if (header("list-id")) {
+      skipReason = "Message is list mail (List-Id)";
+    } else if (!sender || NO_REPLY_SENDERS.test(sender)) {
+      skipReason = "Sender does not take automatic replies";
+    } else if (
+      own.length > 0 &&
+      !recipients.some((address) => own.includes(address))
+    ) {
+      skipReason = "Mailbox is not a direct recipient";
+    }
+
+    return {
+      type: "vacation",
+      reason,
+      subject: tags.subject ?? null,
+      from: tags.from ?? null,
+      days: tags.days ?? 7,
+      would_reply: !skipReason,
+      skip_reason: skipReason,
+    };
+  }
+}
+
+/**
+ * Run a compiled script against a message
+ * @param {Array<Object>} commands - From compileSieve
+ * @param {Object} message - Stored email (headers, from_address, from_name,
+ *   to_addresses, cc_addresses, subject, size_bytes) plus envelope: { from, to }
+ * @returns {{ keep: boolean, flags: Array<string>, actions: Array<Object> }}
+ *   keep: the message stays in the inbox (explicit or implicit keep)
+ */
+export function evaluateSieve(commands, message) {
+  const evaluation = new Evaluation(message);
+  evaluation.run(commands);
+
+  if (evaluation.implicitKeep) {
+    evaluation.actions.push({
+      type: "keep",
+      flags: [...evaluation.flags],
+      implicit: true,
+    });
+  }
+
+  return {
+    keep: evaluation.actions.some((action) => action.type === "keep"),
+    flags: evaluation.flags,
+    actions: evaluation.actions,
+  };
+}
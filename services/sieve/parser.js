@@ -0,0 +1,466 @@
+/**
+ * Sieve parser (RFC 5228)
+ * Turns a script into commands: { name, args, tests, block, line }, where
+ * args are { type: "tag" | "number" | "string" | "list", value } and tests
+ * are { name, args, tests, line }. checkSieve() then makes sure the script
+ * only uses what MailSuite supports and what it requires.
+ */
+
+import { compileUserRegex } from "../../utils/user-regex.js";
+
+export class SieveSyntaxError extends Error {
+  constructor(message, line) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = "SieveSyntaxError";
+    this.line = line || null;
+  }
+}
+
+// Extensions a script may require
+export const SIEVE_EXTENSIONS = [
+  "fileinto",
+  "imap4flags",
+  "envelope",
+  "regex",
+  "vacation",
+  "copy",
+  "comparator-i;octet",
+  "comparator-i;ascii-casemap",
+];
+
+const QUANTIFIERS = { K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
+
+const SINGLE_CHARS = "[](){},;";
+
+/**
+ * Split a script into tokens: identifier, tag, number, string, or one of
+ * the punctuation characters
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === "\n") {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === "#") {
+      while (i < source.length && source[i] !== "\n") i++;
+    } else if (source.startsWith("/*", i)) {
+      const end = source.indexOf("*/", i + 2);
+      if (end === -1) throw new SieveSyntaxError("Unterminated comment", line);
+      line += source.slice(i, end).split("\n").length - 1;
+      i = end + 2;
+    } else if (SINGLE_CHARS.includes(char)) {
+      tokens.push({ type: char, line });
+      i++;
+    } else if (char === '"') {
+      const start = line;
+      let value = "";
+      i++;
+      while (i < source.length && source[i] !== '"') {
+        // \" and \\ are escapes; a backslash before anything else is dropped
+        if (source[i] === "\\") i++;
+        if (source[i] === "\n") line++;
+        value += source[i] ?? "";
+        i++;
+      }
+      if (i >= source.length) {
+        throw new SieveSyntaxError("Unterminated string", start);
+      }
+      tokens.push({ type: "string", value, line: start });
+      i++;
+    } else if (/^text:/i.test(source.slice(i, i + 5))) {
+      // Multi-line string: "text:", the rest of the line, then lines up to "."
+      const start = line;
+      const eol = source.indexOf("\n", i);
+      if (eol === -1) throw new SieveSyntaxError("Unterminated text:", start);
+      i = eol + 1;
+      line++;
+
+      const lines = [];
+      while (true) {
+        const next = source.indexOf("\n", i);
+        if (next === -1)
+          throw new SieveSyntaxError("Unterminated text:", start);
+        const text = source.slice(i, next).replace(/\r$/, "");
+        i = next + 1;
+        line++;
+        if (text === ".") break;
+        lines.push(text.startsWith("..") ? text.slice(1) : text);
+      }
+      tokens.push({ type: "string", value: lines.join("\n"), line: start });
+    } else if (char === ":") {
+      const match = source.slice(i + 1).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      if (!match) throw new SieveSyntaxError("Invalid tag", line);
+      tokens.push({ type: "tag", value: match[0].toLowerCase(), line });
+      i += match[0].length + 1;
+    } else if (/[0-9]/.test(char)) {
+      const match = source.slice(i).match(/^([0-9]+)([KMG])?/i);
+      const quantifier = QUANTIFIERS[match[2]?.toUpperCase()] || 1;
+      tokens.push({
+        type: "number",
+        value: parseInt(match[1]) * quantifier,
+        line,
+      });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({
+        type: "identifier",
+        value: match[0].toLowerCase(),
+        line,
+      });
+      i += match[0].length;
+    } else {
+      throw new SieveSyntaxError(`Unexpected character "${char}"`, line);
+    }
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expect(type) {
+    const token = this.next();
+    if (!token || token.type !== type) {
+      throw new SieveSyntaxError(
+        `Expected "${type}"${token ? ` but found ${describe(token)}` : " before end of script"}`,
+        token?.line ?? this.lastLine(),
+      );
+    }
+    return token;
+  }
+
+  lastLine() {
+    return this.tokens[this.tokens.length - 1]?.line;
+  }
+
+  commands(closing = null) {
+    const commands = [];
+
+    while (this.peek() && this.peek().type !== closing) {
+      commands.push(this.command());
+    }
+
+    if (closing) this.expect(closing);
+    return commands;
+  }
+
+  command() {
+    const name = this.expect("identifier");
+    const { args, tests } = this.arguments();
+    const token = this.next();
+
+    if (token?.type === ";") {
+      return { name: name.value, args, tests, block: null, line: name.line };
+    }
+
+    if (token?.type === "{") {
+      return {
+        name: name.value,
+        args,
+        tests,
+        block: this.commands("}"),
+        line: name.line,
+      };
+    }
+
+    throw new SieveSyntaxError(
+      `Expected ";" or "{" after ${name.value}`,
+      token?.line ?? name.line,
+    );
+  }
+
+  arguments() {
+    const args = [];
+
+    while (true) {
+      const token = this.peek();
+
+      if (token?.type === "tag" || token?.type === "number") {
+        args.push({ type: token.type, value: this.next().value });
+      } else if (token?.type === "string") {
+        args.push({ type: "string", value: this.next().value });
+      } else if (token?.type === "[") {
+        args.push({ type: "list", value: this.stringList() });
+      } else {
+        break;
+      }
+    }
+
+    let tests = [];
+
+    if (this.peek()?.type === "identifier") {
+      tests = [this.test()];
+    } else if (this.peek()?.type === "(") {
+      this.next();
+      tests.push(this.test());
+      while (this.peek()?.type === ",") {
+        this.next();
+        tests.push(this.test());
+      }
+      this.expect(")");
+    }
+
+    return { args, tests };
+  }
+
+  stringList() {
+    this.expect("[");
+    const values = [this.expect("string").value];
+
+    while (this.peek()?.type === ",") {
+      this.next();
+      values.push(this.expect("string").value);
+    }
+
+    this.expect("]");
+    return values;
+  }
+
+  test() {
+    const name = this.expect("identifier");
+    const { args, tests } = this.arguments();
+    return { name: name.value, args, tests, line: name.line };
+  }
+}
+
+function describe(token) {
+  if (token.type === "identifier" || token.type === "tag") {
+    return `"${token.type === "tag" ? ":" : ""}${token.value}"`;
+  }
+  if (token.type === "string" || token.type === "number") return token.type;
+  return `"${token.type}"`;
+}
+
+/**
+ * Parse a Sieve script
+ * @param {string} source
+ * @returns {Array<Object>} Commands
+ * @throws {SieveSyntaxError}
+ */
+export function parseSieve(source) {
+  return new Parser(tokenize(String(source))).commands();
+}
+
+// Commands and tests: the extension they need (null = core)
+const COMMANDS = {
+  require: null,
+  if: null,
+  elsif: null,
+  else: null,
+  stop: null,
+  keep: null,
+  discard: null,
+  redirect: null,
+  fileinto: "fileinto",
+  setflag: "imap4flags",
+  addflag: "imap4flags",
+  removeflag: "imap4flags",
+  vacation: "vacation",
+};
+
+const TESTS = {
+  address: null,
+  header: null,
+  exists: null,
+  size: null,
+  true: null,
+  false: null,
+  not: null,
+  anyof: null,
+  allof: null,
+  envelope: "envelope",
+  hasflag: "imap4flags",
+};
+
+export const COMPARATORS = ["i;ascii-casemap", "i;octet"];
+
+// Tags that need an extension
+const TAGS = {
+  regex: "regex",
+  flags: "imap4flags",
+  copy: "copy",
+};
+
+/**
+ * Check a parsed script: known commands and tests, required extensions,
+ * if/elsif/else order. Returns the extensions it requires
+ * @param {Array<Object>} commands
+ * @returns {Array<string>}
+ * @throws {SieveSyntaxError}
+ */
+export function checkSieve(commands) {
+  const required = new Set();
+
+  // require has to come before anything else
+  let leading = true;
+  for (const command of commands) {
+    if (command.name !== "require") {
+      leading = false;
+      continue;
+    }
+    if (!leading) {
+      throw new SieveSyntaxError(
+        "require must come before other commands",
+        command.line,
+      );
+    }
+    const [capabilities] = command.args;
+    if (!capabilities || !["string", "list"].includes(capabilities.type)) {
+      throw new SieveSyntaxError("require needs a string list", command.line);
+    }
+    for (const capability of [capabilities.value].flat()) {
+      if (!SIEVE_EXTENSIONS.includes(capability.toLowerCase())) {
+        throw new SieveSyntaxError(
+          `Unsupported extension "${capability}"`,
+          command.line,
+        );
+      }
+      required.add(capability.toLowerCase());
+    }
+  }
+
+  const needs = (extension, what, line) => {
+    if (extension && !required.has(extension)) {
+      throw new SieveSyntaxError(`${what} needs require "${extension}"`, line);
+    }
+  };
+
+  const checkArgs = (node) => {
+    node.args.forEach((arg, index) => {
+      if (arg.type !== "tag") return;
+
+      if (TAGS[arg.value]) {
+        needs(TAGS[arg.value], `:${arg.value}`, node.line);
+      }
+
+      if (
+        arg.value === "comparator" &&
+        !COMPARATORS.includes(node.args[index + 1]?.value)
+      ) {
+        throw new SieveSyntaxError(
+          `:comparator must be one of: ${COMPARATORS.join(", ")}`,
+          node.line,
+        );
+      }
+    });
+
+    // :regex keys are compiled up front so a bad or unsafe pattern (nested
+    // quantifiers, see utils/user-regex.js) fails the upload
+    if (node.args.some((arg) => arg.type === "tag" && arg.value === "regex")) {
+      const keys = node.args[node.args.length - 1];
+      for (const key of [keys?.value].flat()) {
+        try {
+          compileUserRegex(key, "");
+        } catch (error) {
+          throw new SieveSyntaxError(
+            `Invalid regular expression "${key}": ${error.message}`,
+            node.line,
+          );
+        }
+      }
+    }
+  };
+
+  const checkTest = (test) => {
+    if (!(test.name in TESTS)) {
+      throw new SieveSyntaxError(`Unknown test "${test.name}"`, test.line);
+    }
+    needs(TESTS[test.name], test.name, test.line);
+    checkArgs(test);
+    test.tests.forEach(checkTest);
+  };
+
+  const checkBlock = (block) => {
+    let previous = null;
+
+    for (const command of block) {
+      if (!(command.name in COMMANDS)) {
+        throw new SieveSyntaxError(
+          `Unknown command "${command.name}"`,
+          command.line,
+        );
+      }
+      needs(COMMANDS[command.name], command.name, command.line);
+
+      if (
+        ["elsif", "else"].includes(command.name) &&
+        !["if", "elsif"].includes(previous)
+      ) {
+        throw new SieveSyntaxError(
+          `${command.name} without a preceding if`,
+          command.line,
+        );
+      }
+
+      if (
+        ["if", "elsif"].includes(command.name) &&
+        command.tests.length !== 1
+      ) {
+        throw new SieveSyntaxError(
+          `${command.name} needs one test`,
+          command.line,
+        );
+      }
+
+      if (
+        ["if", "elsif", "else"].includes(command.name) !==
+        Boolean(command.block)
+      ) {
+        throw new SieveSyntaxError(
+          command.block
+            ? `${command.name} cannot have a block`
+            : `${command.name} needs a block`,
+          command.line,
+        );
+      }
+
+      if (command.name === "require" && block !== commands) {
+        throw new SieveSyntaxError(
+          "require must come before other commands",
+          command.line,
+        );
+      }
+
+      checkArgs(command);
+      command.tests.forEach(checkTest);
+      if (command.block) checkBlock(command.block);
+
+      previous = command.name;
+    }
+  };
+
+  checkBlock(commands);
+
+  return [...required];
+}
+
+/**
+ * Parse and check a script
+ * @returns {{ commands: Array<Object>, extensions: Array<string> }}
+ * @throws {SieveSyntaxError}
+ */
+export function compileSieve(source) {
+  const commands = parseSieve(source);
+  return { commands, extensions: checkSieve(commands) };
+}
@@ -0,0 +1,74 @@
+/**
+ * Stored attachment content for emails that are about to be deleted
+ * email_attachments rows cascade away with their email, but the files they
+ * point to do not - collect the keys first, remove them once the delete
+ * has gone through.
+ */
+
+import { getStorage } from "./index.js";
+
+// Values per `in` filter (keeps the URL short)
+const FILTER_BATCH_SIZE = 200;
+
+// Rows per page when collecting keys
+const PAGE_SIZE = 1000;
+
+/**
+ * List the stored files of a user's emails matching an emails column
+ * @param {Object} db - Supabase client
+ * @param {string} userId
+ * @param {string} column - emails column to match (id, thread_id, mailbox_id)
+ * @param {Array<string>} values
+ * @returns {Promise<Array<{backend: string, key: string}>>}
+ */
+export async function findAttachmentFiles(db, userId, column, values) {
+  const files = [];
+
+  for (let i = 0; i < values.length; i += FILTER_BATCH_SIZE) {
+    const batch = values.slice(i, i + FILTER_BATCH_SIZE);
+
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await db
+        .from("email_attachments")
+        .select(
+          `id, storage_backend, storage_key, email:emails!inner(${column})`,
+        )
+        .eq("user_id", userId)
+        .in(`email.${column}`, batch)
+        .not("storage_key", "is", null)
+        .order("id")
+        .range(from, from + PAGE_SIZE - 1);
+
+      if (error) throw error;
+
+      data.forEach((row) =>
+        files.push({ backend: row.storage_backend, key: row.storage_key }),
+      );
+
+      if (data.length < PAGE_SIZE) break;
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Remove stored files; failures are logged, never thrown, since the rows
+ * they belonged to are already gone
+ * @param {Array<{backend: string, key: string}>} files
+ * @returns {Promise<number>} Files removed
+ */
+export async function deleteAttachmentFiles(files) {
+  let deleted = 0;
+
+  for (const { backend, key } of files) {
+    try {
+      await getStorage(backend || undefined).delete(key);
+      deleted++;
+    } catch (error) {
+      console.error(`❌ Error deleting attachment file ${key}:`, error.message);
+    }
+  }
+
+  return deleted;
+}
@@ -0,0 +1,43 @@
+/**
+ * Pluggable binary storage
+ * Backends implement: put(key, buffer), createReadStream(key), delete(key)
+ * Select the default with ATTACHMENT_STORAGE (default: local)
+ */
+
+import { LocalStorage } from "./local-storage.js";
+
+const factories = {
+  local: () =>
+    new LocalStorage(
+      process.env.ATTACHMENT_STORAGE_PATH || "./storage/attachments",
+    ),
+};
+
+const instances = {};
+
+/**
+ * Register an additional storage backend (e.g. S3, Supabase Storage)
+ * @param {string} name
+ * @param {Function} factory - Returns a backend instance
+ */
+export function registerStorageBackend(name, factory) {
+  factories[name] = factory;
+  delete instances[name];
+}
+
+/**
+ * Get a storage backend by name
+ * @param {string} [name] - Defaults to ATTACHMENT_STORAGE
+ * @returns {Object} Storage backend
+ */
+export function getStorage(name = process.env.ATTACHMENT_STORAGE || "local") {
+  if (!factories[name]) {
+    throw new Error(`Unknown storage backend: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = factories[name]();
+  }
+
+  return instances[name];
+}
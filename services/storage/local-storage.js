@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Local filesystem storage backend
+ * Files live under a root directory, addressed by a relative key.
+ * Note: serverless hosts (Vercel) have an ephemeral filesystem - use a
+ * persistent backend there.
+ */
+export class LocalStorage {
+  constructor(rootDir) {
+    this.name = "local";
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve a key to an absolute path, refusing keys that escape the root
+   * @param {string} key
+   * @returns {string}
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Store a buffer under a key
+   * @param {string} key
+   * @param {Buffer} content
+   * @returns {Promise<void>}
+   */
+  async put(key, content) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, content);
+  }
+
+  /**
+   * Open a read stream for a key
+   * @param {string} key
+   * @returns {Promise<import("stream").Readable>}
+   */
+  async createReadStream(key) {
+    const filePath = this.resolve(key);
+
+    // Fail before headers are sent if the file is gone
+    await fs.promises.access(filePath, fs.constants.R_OK);
+
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Delete a key (missing files are ignored)
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
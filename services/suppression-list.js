@@ -0,0 +1,227 @@
+/**
+ * Suppression list
+ * Addresses that must not be mailed again. HARD bounces suppress an address
+ * right away; SOFT bounces once SUPPRESSION_SOFT_BOUNCE_THRESHOLD of them
+ * happen within SUPPRESSION_SOFT_BOUNCE_WINDOW_DAYS. Users can add and remove
+ * entries by hand, and automation rules can suppress senders and bounced
+ * recipients. An entry applies to one mailbox or, with a NULL
+ * mailbox_id, to all of the user's mailboxes.
+ */
+
+export const SUPPRESSION_SOURCES = [
+  "HARD_BOUNCE",
+  "SOFT_BOUNCE_THRESHOLD",
+  "MANUAL",
+  "IMPORT",
+  "AUTOMATION",
+];
+
+const SOFT_BOUNCE_THRESHOLD =
+  parseInt(process.env.SUPPRESSION_SOFT_BOUNCE_THRESHOLD) || 3;
+const SOFT_BOUNCE_WINDOW_DAYS =
+  parseInt(process.env.SUPPRESSION_SOFT_BOUNCE_WINDOW_DAYS) || 7;
+
+// Scope of automatic suppressions: 'user' (default) or 'mailbox'
+const AUTO_SCOPE =
+  process.env.SUPPRESSION_AUTO_SCOPE === "mailbox" ? "mailbox" : "user";
+
+export const SUPPRESSION_COLUMNS =
+  "id, mailbox_id, email, source, reason, bounce_id, removed_at, removed_reason, created_at, updated_at";
+
+export class SuppressionList {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Suppress the bounced address if this bounce crosses the rules
+   * @param {Object} bounce - { userId, mailboxId, bounceId, email, bounceType, diagnostic }
+   * @returns {Promise<Object|null>} The new suppression, if one was added
+   */
+  async evaluateBounce(bounce) {
+    const scope = {
+      userId: bounce.userId,
+      mailboxId: this.autoScope(bounce.mailboxId),
+      email: bounce.email,
+      bounceId: bounce.bounceId,
+    };
+
+    if (bounce.bounceType === "HARD") {
+      return this.addIfMissing({
+        ...scope,
+        source: "HARD_BOUNCE",
+        reason: bounce.diagnostic
+          ? `Hard bounce: ${bounce.diagnostic}`.substring(0, 500)
+          : "Hard bounce",
+      });
+    }
+
+    if (bounce.bounceType !== "SOFT") return null;
+
+    const since = new Date(
+      Date.now() - SOFT_BOUNCE_WINDOW_DAYS * 24 * 60 * 60 * 1000,
+    ).toISOString();
+
+    const { count, error } = await this.db
+      .from("email_bounce_events")
+      .select("id", { count: "exact", head: true })
+      .eq("bounce_id", bounce.bounceId)
+      .eq("event_type", "FAILURE")
+      .gte("occurred_at", since);
+
+    if (error) throw error;
+
+    if (count < SOFT_BOUNCE_THRESHOLD) return null;
+
+    return this.addIfMissing({
+      ...scope,
+      source: "SOFT_BOUNCE_THRESHOLD",
+      reason: `${count} soft bounces in ${SOFT_BOUNCE_WINDOW_DAYS} days`,
+    });
+  }
+
+  /**
+   * Suppress a hard bounce imported from an ESP export
+   * @param {Object} entry - { userId, mailboxId, email, bounceId, reason }
+   */
+  async addImported(entry) {
+    return this.addIfMissing({
+      ...entry,
+      mailboxId: this.autoScope(entry.mailboxId),
+      source: "IMPORT",
+    });
+  }
+
+  /**
+   * Suppress an address for an automation rule's suppress action
+   * @param {Object} entry - { userId, mailboxId, email, reason }
+   */
+  async addFromRule(entry) {
+    return this.addIfMissing({ ...entry, source: "AUTOMATION" });
+  }
+
+  /**
+   * Mailbox an automatic suppression is scoped to (null = all mailboxes)
+   */
+  autoScope(mailboxId) {
+    return AUTO_SCOPE === "mailbox" ? mailboxId : null;
+  }
+
+  /**
+   * Add an automatic suppression unless the address is already suppressed
+   * in that scope (keeps the original source and reason)
+   */
+  async addIfMissing(entry) {
+    const existing = await this.find(
+      entry.userId,
+      entry.mailboxId,
+      entry.email,
+    );
+
+    if (existing && !existing.removed_at) return null;
+
+    const suppression = await this.save(entry);
+    console.log(
+      `🚫 Suppressed ${suppression.email} (${suppression.source.toLowerCase().replace(/_/g, " ")})`,
+    );
+    return suppression;
+  }
+
+  /**
+   * Suppression row for an address in one scope (active or removed), or null
+   */
+  async find(userId, mailboxId, email) {
+    let query = this.db
+      .from("suppressions")
+      .select(SUPPRESSION_COLUMNS)
+      .eq("user_id", userId)
+      .eq("email", email.toLowerCase());
+
+    query = mailboxId
+      ? query.eq("mailbox_id", mailboxId)
+      : query.is("mailbox_id", null);
+
+    const { data, error } = await query.maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Insert a suppression, or reactivate a removed one in the same scope
+   * @param {Object} entry - { userId, mailboxId, email, source, reason, bounceId? }
+   */
+  async save(entry) {
+    const { data, error } = await this.db
+      .from("suppressions")
+      .upsert(
+        {
+          user_id: entry.userId,
+          mailbox_id: entry.mailboxId || null,
+          email: entry.email.toLowerCase(),
+          source: entry.source,
+          reason: entry.reason || null,
+          bounce_id: entry.bounceId || null,
+          removed_at: null,
+          removed_reason: null,
+        },
+        { onConflict: "user_id,mailbox_id,email" },
+      )
+      .select(SUPPRESSION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Lift a suppression, keeping the row and the reason it was lifted
+   * @returns {Promise<Object|null>} Updated row, or null if not found/already removed
+   */
+  async remove(userId, suppressionId, reason = null) {
+    const { data, error } = await this.db
+      .from("suppressions")
+      .update({
+        removed_at: new Date().toISOString(),
+        removed_reason: reason,
+      })
+      .eq("id", suppressionId)
+      .eq("user_id", userId)
+      .is("removed_at", null)
+      .select(SUPPRESSION_COLUMNS)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Active suppressions matching any of the addresses
+   * @param {string} userId
+   * @param {Array<string>} emails
+   * @param {string|null} mailboxId - Sending mailbox: user-wide entries plus
+   *   this mailbox's. Without it, entries of every mailbox count
+   * @returns {Promise<Array<Object>>}
+   */
+  async check(userId, emails, mailboxId = null) {
+    const addresses = [...new Set(emails.map((email) => email.toLowerCase()))];
+
+    if (addresses.length === 0) return [];
+
+    let query = this.db
+      .from("suppressions")
+      .select(SUPPRESSION_COLUMNS)
+      .eq("user_id", userId)
+      .in("email", addresses)
+      .is("removed_at", null);
+
+    if (mailboxId) {
+      query = query.or(`mailbox_id.is.null,mailbox_id.eq.${mailboxId}`);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  }
+}
@@ -0,0 +1,524 @@
+/**
+ * Outbound webhooks
+ * dispatch() turns a mailbox event into one queued delivery per matching
+ * webhook; the delivery loop (worker process) POSTs due deliveries and
+ * retries failures with exponential backoff. webhook_deliveries is both the
+ * retry queue and the delivery log.
+ */
+
+import crypto from "crypto";
+import { decrypt } from "../../utils/encryption.js";
+import { SIGNATURE_HEADER, signPayload } from "./signature.js";
+import { postToTarget } from "./target.js";
+
+export const WEBHOOK_EVENTS = [
+  "email.received",
+  "bounce.detected",
+  "mailbox.error",
+  "sla.overdue",
+];
+
+// Sent by POST /webhooks/:id/test, cannot be subscribed to
+export const TEST_EVENT = "webhook.test";
+
+// Sent by automation rules with a webhook action, cannot be subscribed to
+export const AUTOMATION_EVENT = "automation.triggered";
+
+const DELIVERY_INTERVAL_MS =
+  parseInt(process.env.WEBHOOK_DELIVERY_INTERVAL_MS) || 10000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+const RETENTION_DAYS =
+  parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30;
+
+// 30s, 1m, 2m, ... capped at 6h: ~17 hours from first to last attempt
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Deliveries claimed per loop tick
+const CLAIM_LIMIT = 50;
+// A claimed delivery is retried by another worker after this long
+const LEASE_SECONDS = 300;
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+export const DELIVERY_LIST_COLUMNS =
+  "id, webhook_id, event_id, event_type, status, attempts, next_attempt_at, last_attempt_at, response_status, duration_ms, last_error, redelivery_of, delivered_at, created_at";
+
+/**
+ * Whether event data passes a webhook's filters
+ * Each filter key names a payload field; the field must equal one of the
+ * listed values, e.g. { "bounce_type": ["HARD"], "category": ["HUMAN"] }
+ */
+export function matchesFilters(filters, data) {
+  return Object.entries(filters || {}).every(([field, allowed]) => {
+    const values = Array.isArray(allowed) ? allowed : [allowed];
+    return values.includes(data[field]);
+  });
+}
+
+/**
+ * Validate a webhook create/update body
+ * @param {Object} body - { url, events, filters?, mailbox_id?, description?, is_active? }
+ * @param {boolean} partial - Update: only validate the fields present
+ * @returns {string|null} Error message
+ */
+export function validateWebhook(body, partial = false) {
+  const { url, events, filters, description, is_active } = body || {};
+
+  if (!partial || url !== undefined) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // Reported below
+    }
+    if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+      return "url must be an http(s) URL";
+    }
+  }
+
+  if (!partial || events !== undefined) {
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      !events.every((event) => WEBHOOK_EVENTS.includes(event))
+    ) {
+      return `events must be a non-empty array of: ${WEBHOOK_EVENTS.join(", ")}`;
+    }
+  }
+
+  if (filters !== undefined) {
+    if (
+      typeof filters !== "object" ||
+      filters === null ||
+      Array.isArray(filters)
+    ) {
+      return "filters must be an object";
+    }
+    for (const [field, values] of Object.entries(filters)) {
+      if (!Array.isArray(values) || values.length === 0) {
+        return `filters.${field} must be a non-empty array`;
+      }
+    }
+  }
+
+  if (
+    description !== undefined &&
+    description !== null &&
+    typeof description !== "string"
+  ) {
+    return "description must be a string";
+  }
+
+  if (is_active !== undefined && typeof is_active !== "boolean") {
+    return "is_active must be a boolean";
+  }
+
+  return null;
+}
+
+export class WebhookDispatcher {
+  constructor(db) {
+    this.db = db;
+    this.timer = null;
+    this.running = false;
+    this.lastPrune = 0;
+    // webhook id → decrypted secret (decrypting is deliberately slow)
+    this.secrets = new Map();
+  }
+
+  /**
+   * Queue deliveries for an event. Never throws: a failing webhook setup
+   * must not fail the sync that produced the event
+   * @param {Object} event - { user_id, mailbox_id, type, data }
+   * @returns {Promise<number>} Deliveries queued
+   */
+  async dispatch(event) {
+    try {
+      const { data: webhooks, error } = await this.db
+        .from("webhooks")
+        .select("id, mailbox_id, filters")
+        .eq("user_id", event.user_id)
+        .eq("is_active", true)
+        .contains("events", [event.type]);
+
+      if (error) {
+        console.error("❌ Error loading webhooks:", error.message);
+        return 0;
+      }
+
+      const data = { mailbox_id: event.mailbox_id || null, ...event.data };
+      const matching = webhooks.filter(
+        (webhook) =>
+          (!webhook.mailbox_id || webhook.mailbox_id === data.mailbox_id) &&
+          matchesFilters(webhook.filters, data),
+      );
+
+      if (matching.length === 0) return 0;
+
+      const eventId = crypto.randomUUID();
+      const payload = {
+        id: eventId,
+        type: event.type,
+        created_at: new Date().toISOString(),
+        data,
+      };
+
+      const { error: insertError } = await this.db
+        .from("webhook_deliveries")
+        .insert(
+          matching.map((webhook) => ({
+            webhook_id: webhook.id,
+            user_id: event.user_id,
+            event_id: eventId,
+            event_type: event.type,
+            payload,
+          })),
+        );
+
+      if (insertError) {
+        console.error(
+          "❌ Error queueing webhook deliveries:",
+          insertError.message,
+        );
+        return 0;
+      }
+
+      console.log(`🪝 Queued ${event.type} for ${matching.length} webhook(s)`);
+      return matching.length;
+    } catch (error) {
+      console.error("❌ Error dispatching webhook event:", error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Queue an event for one webhook, whatever it subscribes to (automation
+   * rules). Unlike dispatch() this throws, so the caller can record why
+   * @param {string} webhookId
+   * @param {Object} event - { user_id, mailbox_id, type, data }
+   * @returns {Promise<string>} Event id
+   */
+  async dispatchTo(webhookId, event) {
+    const { data: webhook, error } = await this.db
+      .from("webhooks")
+      .select("id, is_active")
+      .eq("id", webhookId)
+      .eq("user_id", event.user_id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!webhook) throw new Error("Webhook not found");
+    if (!webhook.is_active) throw new Error("Webhook is disabled");
+
+    const eventId = crypto.randomUUID();
+
+    const { error: insertError } = await this.db
+      .from("webhook_deliveries")
+      .insert({
+        webhook_id: webhook.id,
+        user_id: event.user_id,
+        event_id: eventId,
+        event_type: event.type,
+        payload: {
+          id: eventId,
+          type: event.type,
+          created_at: new Date().toISOString(),
+          data: { mailbox_id: event.mailbox_id || null, ...event.data },
+        },
+      });
+
+    if (insertError) throw insertError;
+
+    console.log(`🪝 Queued ${event.type} for webhook ${webhook.id}`);
+    return eventId;
+  }
+
+  /**
+   * Run the delivery loop every WEBHOOK_DELIVERY_INTERVAL_MS
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.deliverDue(), DELIVERY_INTERVAL_MS);
+    console.log(
+      `🪝 Webhook delivery started (every ${Math.round(DELIVERY_INTERVAL_MS / 1000)}s)`,
+    );
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Claim and attempt every due delivery
+   * @returns {Promise<number>} Deliveries attempted
+   */
+  async deliverDue() {
+    if (this.running) return 0;
+    this.running = true;
+
+    let attempted = 0;
+
+    try {
+      while (true) {
+        const { data: deliveries, error } = await this.db.rpc(
+          "claim_webhook_deliveries",
+          { p_limit: CLAIM_LIMIT, p_lease_seconds: LEASE_SECONDS },
+        );
+
+        if (error) {
+          console.error("❌ Error claiming webhook deliveries:", error.message);
+          break;
+        }
+
+        if (!deliveries || deliveries.length === 0) break;
+
+        const webhooks = await this.loadWebhooks(
+          deliveries.map((delivery) => delivery.webhook_id),
+        );
+
+        for (const delivery of deliveries) {
+          await this.attempt(delivery, webhooks.get(delivery.webhook_id));
+          attempted++;
+        }
+
+        if (deliveries.length < CLAIM_LIMIT) break;
+      }
+
+      await this.prune();
+    } catch (error) {
+      console.error("❌ Error delivering webhooks:", error.message);
+    } finally {
+      this.running = false;
+    }
+
+    return attempted;
+  }
+
+  async loadWebhooks(ids) {
+    const { data, error } = await this.db
+      .from("webhooks")
+      .select("id, url, secret_encrypted, is_active")
+      .in("id", [...new Set(ids)]);
+
+    if (error) throw error;
+    return new Map(data.map((webhook) => [webhook.id, webhook]));
+  }
+
+  /**
+   * POST one delivery and record the outcome
+   * @param {Object} delivery - Claimed webhook_deliveries row (attempts already counted)
+   * @param {Object} webhook - { id, url, secret_encrypted, is_active }
+   * @param {Object} options - { retry: false } gives up after this attempt
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attempt(delivery, webhook, { retry = true } = {}) {
+    if (!webhook || !webhook.is_active) {
+      return this.saveAttempt(delivery, {
+        status: "FAILED",
+        next_attempt_at: null,
+        last_error: "Webhook deleted or disabled",
+      });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    let result;
+
+    try {
+      // Resolved addresses are checked again here (DNS rebinding); redirects
+      // are not followed and the response body is not read
+      const { status } = await postToTarget(webhook.url, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "MailSuite-Webhooks/1.0",
+          "X-MailSuite-Event": delivery.event_type,
+          "X-MailSuite-Delivery": delivery.id,
+          [SIGNATURE_HEADER]: signPayload(this.getSecret(webhook), body),
+        },
+        body,
+        timeoutMs: TIMEOUT_MS,
+      });
+
+      const ok = status >= 200 && status < 300;
+
+      result = {
+        ok,
+        response_status: status,
+        last_error: ok
+          ? null
+          : status >= 300 && status < 400
+            ? `Redirects are not followed (HTTP ${status})`
+            : `HTTP ${status}`,
+      };
+    } catch (error) {
+      result = {
+        ok: false,
+        response_status: null,
+        last_error:
+          error.name === "TimeoutError"
+            ? `Timed out after ${TIMEOUT_MS}ms`
+            : error.code === "EBLOCKEDADDRESS"
+              ? "URL resolves to a local or private network address"
+              : error.message,
+      };
+    }
+
+    const { ok, ...outcome } = result;
+    outcome.duration_ms = Date.now() - started;
+
+    if (ok) {
+      console.log(`✅ Delivered ${delivery.event_type} to ${webhook.url}`);
+      return this.saveAttempt(delivery, {
+        ...outcome,
+        status: "SUCCEEDED",
+        next_attempt_at: null,
+        delivered_at: new Date().toISOString(),
+      });
+    }
+
+    const giveUp = !retry || delivery.attempts >= MAX_ATTEMPTS;
+
+    console.warn(
+      `⚠️ Webhook delivery to ${webhook.url} failed (attempt ${delivery.attempts}): ${outcome.last_error}`,
+    );
+
+    return this.saveAttempt(delivery, {
+      ...outcome,
+      status: giveUp ? "FAILED" : "PENDING",
+      next_attempt_at: giveUp
+        ? null
+        : new Date(Date.now() + this.backoff(delivery.attempts)).toISOString(),
+    });
+  }
+
+  /**
+   * Exponential backoff with jitter for the given attempt number
+   */
+  backoff(attempts) {
+    const ceiling = Math.min(
+      BACKOFF_MAX_MS,
+      BACKOFF_BASE_MS * 2 ** (attempts - 1),
+    );
+    return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+  }
+
+  async saveAttempt(delivery, changes) {
+    const { data, error } = await this.db
+      .from("webhook_deliveries")
+      .update(changes)
+      .eq("id", delivery.id)
+      .select(DELIVERY_LIST_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error(`❌ Error saving delivery ${delivery.id}:`, error.message);
+      return { ...delivery, ...changes };
+    }
+
+    return data;
+  }
+
+  getSecret(webhook) {
+    const cached = this.secrets.get(webhook.id);
+    if (cached?.encrypted === webhook.secret_encrypted) return cached.secret;
+
+    const secret = decrypt(webhook.secret_encrypted);
+    this.secrets.set(webhook.id, {
+      encrypted: webhook.secret_encrypted,
+      secret,
+    });
+    return secret;
+  }
+
+  /**
+   * Create a delivery and attempt it right away (test pings, redeliveries)
+   * @param {Object} webhook - webhooks row including secret_encrypted
+   * @param {Object} delivery - { event_id, event_type, payload, redelivery_of? }
+   * @param {Object} options - Passed to attempt()
+   * @returns {Promise<Object>} Delivery after the first attempt
+   */
+  async deliverNow(webhook, delivery, options = {}) {
+    const now = new Date();
+
+    const { data, error } = await this.db
+      .from("webhook_deliveries")
+      .insert({
+        ...delivery,
+        webhook_id: webhook.id,
+        user_id: webhook.user_id,
+        status: "DELIVERING",
+        attempts: 1,
+        last_attempt_at: now.toISOString(),
+        next_attempt_at: new Date(
+          now.getTime() + LEASE_SECONDS * 1000,
+        ).toISOString(),
+      })
+      .select("*")
+      .single();
+
+    if (error) throw error;
+
+    return this.attempt(data, webhook, options);
+  }
+
+  /**
+   * Send a webhook.test event; failed pings are not retried
+   */
+  async ping(webhook) {
+    const eventId = crypto.randomUUID();
+
+    return this.deliverNow(
+      webhook,
+      {
+        event_id: eventId,
+        event_type: TEST_EVENT,
+        payload: {
+          id: eventId,
+          type: TEST_EVENT,
+          created_at: new Date().toISOString(),
+          data: { webhook_id: webhook.id },
+        },
+      },
+      { retry: false },
+    );
+  }
+
+  /**
+   * Send a past delivery's payload again as a new delivery
+   * Same event id, so receivers that already processed it can skip it
+   */
+  async redeliver(webhook, delivery) {
+    return this.deliverNow(webhook, {
+      event_id: delivery.event_id,
+      event_type: delivery.event_type,
+      payload: delivery.payload,
+      redelivery_of: delivery.id,
+    });
+  }
+
+  /**
+   * Delete finished deliveries older than WEBHOOK_DELIVERY_RETENTION_DAYS
+   */
+  async prune() {
+    if (Date.now() - this.lastPrune < PRUNE_INTERVAL_MS) return;
+    this.lastPrune = Date.now();
+
+    const cutoff = new Date(
+      Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000,
+    ).toISOString();
+
+    const { error } = await this.db
+      .from("webhook_deliveries")
+      .delete()
+      .in("status", ["SUCCEEDED", "FAILED"])
+      .lt("created_at", cutoff);
+
+    if (error) {
+      console.error("❌ Error pruning webhook deliveries:", error.message);
+    }
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * Webhook request signing
+ * Header format: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ * The timestamp is part of the signed content so receivers can reject
+ * replayed requests.
+ */
+
+import crypto from "crypto";
+
+export const SIGNATURE_HEADER = "X-MailSuite-Signature";
+
+/**
+ * New signing secret shown to the user once
+ */
+export function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * @param {string} secret - Webhook signing secret
+ * @param {string} body - Raw request body
+ * @param {number} timestamp - Unix seconds
+ * @returns {string} Signature header value
+ */
+export function signPayload(
+  secret,
+  body,
+  timestamp = Math.floor(Date.now() / 1000),
+) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Receiver-side check, exported for consumers and local testing
+ * @param {string} header - Signature header value
+ * @param {string} secret - Webhook signing secret
+ * @param {string} body - Raw request body
+ * @param {number} toleranceSeconds - Max age of the timestamp
+ * @returns {boolean}
+ */
+export function verifySignature(header, secret, body, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.trim().split("=")),
+  );
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = signPayload(secret, body, timestamp).split("v1=")[1];
+
+  return (
+    expected.length === parts.v1.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1))
+  );
+}
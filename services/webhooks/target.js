@@ -0,0 +1,153 @@
+/**
+ * Webhook targets
+ * Webhook URLs are user input, so the server must not be usable to reach
+ * its own network: hosts that resolve to loopback, private, link-local or
+ * unique-local addresses are refused when a webhook is saved, and again on
+ * every connection (the address is checked as the socket resolves it, so a
+ * host that changes its DNS answer after being saved is still caught).
+ * Redirects are not followed and response bodies are never read.
+ */
+
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+const BLOCKED = new net.BlockList();
+
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // RFC 1918
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local (cloud metadata)
+  ["172.16.0.0", 12], // RFC 1918
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // RFC 1918
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv4");
+}
+
+for (const [network, prefix] of [
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4
+// subnets by BlockList itself
+
+/**
+ * Whether an IP address is one webhooks must not reach
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+function blockedError(hostname) {
+  const error = new Error(`${hostname} resolves to a private address`);
+  error.code = "EBLOCKEDADDRESS";
+  return error;
+}
+
+/**
+ * dns.lookup() that fails for blocked addresses; passed to http(s).request
+ * so the check applies to the address actually connected to
+ */
+export function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (
+      addresses.length === 0 ||
+      addresses.some(({ address }) => isBlockedAddress(address))
+    ) {
+      return callback(blockedError(hostname));
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check a webhook URL before saving it
+ * @param {string} url - Already validated as an http(s) URL
+ * @returns {Promise<string|null>} Error message
+ */
+export async function checkTargetUrl(url) {
+  const { hostname } = new URL(url);
+  const host = hostname.replace(/^\[|\]$/g, "");
+
+  try {
+    const addresses = await new Promise((resolve, reject) =>
+      guardedLookup(host, { all: true }, (error, result) =>
+        error ? reject(error) : resolve(result),
+      ),
+    );
+    return addresses.length ? null : `url host ${host} does not resolve`;
+  } catch (error) {
+    if (error.code === "EBLOCKEDADDRESS") {
+      return "url must not point to a local or private network address";
+    }
+    return `url host ${host} does not resolve`;
+  }
+}
+
+/**
+ * POST a body to a webhook URL
+ * @param {string} url
+ * @param {Object} options - { headers, body, timeoutMs }
+ * @returns {Promise<{ status: number }>} Rejects on network errors, blocked
+ *   addresses (code EBLOCKEDADDRESS) and timeouts (name TimeoutError)
+ */
+export function postToTarget(url, { headers, body, timeoutMs }) {
+  const target = new URL(url);
+  const transport = target.protocol === "https:" ? https : http;
+  const host = target.hostname.replace(/^\[|\]$/g, "");
+
+  // Sockets skip the lookup for IP literals
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return Promise.reject(blockedError(host));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: guardedLookup,
+    });
+
+    const timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${timeoutMs}ms`);
+      error.name = "TimeoutError";
+      request.destroy(error);
+    }, timeoutMs);
+
+    request.on("response", (response) => {
+      clearTimeout(timer);
+      // Only the status is kept; the body is drained unread
+      response.resume();
+      resolve({ status: response.statusCode });
+    });
+
+    request.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+
+    request.end(body);
+  });
+}
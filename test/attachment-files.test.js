@@ -0,0 +1,138 @@
+/**
+ * Attachment files go away with the emails they belong to
+ * Deletes run against a small in-memory stand-in for the Supabase tables
+ * and a local storage backend in a temp directory.
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+
+import { BulkActions } from "../services/bulk-actions.js";
+import { registerStorageBackend } from "../services/storage/index.js";
+import { LocalStorage } from "../services/storage/local-storage.js";
+
+const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), "attachments-"));
+const storage = new LocalStorage(rootDir);
+registerStorageBackend("test", () => storage);
+
+after(() => fs.rmSync(rootDir, { recursive: true, force: true }));
+
+// Enough of the query builder for the delete paths; `email.<column>`
+// filters on email_attachments go through the attachment's email
+function fakeDb(tables, { failDelete = false } = {}) {
+  return {
+    tables,
+    from(name) {
+      const filters = [];
+      let deleting = false;
+
+      const value = (row, column) => {
+        if (!column.startsWith("email.")) return row[column];
+        const email = tables.emails.find((e) => e.id === row.email_id);
+        return email?.[column.slice("email.".length)];
+      };
+
+      const query = {
+        select: () => query,
+        delete() {
+          deleting = true;
+          return query;
+        },
+        eq: (column, v) => filter((row) => value(row, column) === v),
+        in: (column, values) =>
+          filter((row) => values.includes(value(row, column))),
+        not: (column) => filter((row) => row[column] != null),
+        order: () => query,
+        range: () => query,
+        then(resolve) {
+          const matched = tables[name].filter((row) =>
+            filters.every((f) => f(row)),
+          );
+
+          if (deleting) {
+            if (failDelete) {
+              return resolve({ data: null, error: new Error("delete failed") });
+            }
+            tables[name] = tables[name].filter((row) => !matched.includes(row));
+            if (name === "emails") {
+              tables.email_attachments = tables.email_attachments.filter(
+                (a) => !matched.some((e) => e.id === a.email_id),
+              );
+            }
+          }
+
+          resolve({ data: matched.map((row) => ({ ...row })), error: null });
+        },
+      };
+
+      function filter(predicate) {
+        filters.push(predicate);
+        return query;
+      }
+
+      return query;
+    },
+  };
+}
+
+async function setup(options) {
+  const keys = ["user-1/email-1/a", "user-1/email-2/b"];
+  await Promise.all(keys.map((key) => storage.put(key, Buffer.from(key))));
+
+  const db = fakeDb(
+    {
+      emails: [
+        { id: "email-1", user_id: "user-1", thread_id: null },
+        { id: "email-2", user_id: "user-1", thread_id: null },
+      ],
+      email_attachments: [
+        {
+          email_id: "email-1",
+          user_id: "user-1",
+          storage_backend: "test",
+          storage_key: keys[0],
+        },
+        {
+          email_id: "email-1",
+          user_id: "user-1",
+          storage_backend: null,
+          storage_key: null,
+        },
+        {
+          email_id: "email-2",
+          user_id: "user-1",
+          storage_backend: "test",
+          storage_key: keys[1],
+        },
+      ],
+    },
+    options,
+  );
+
+  const stored = (key) => fs.existsSync(storage.resolve(key));
+  return { db, keys, stored, bulk: new BulkActions(db) };
+}
+
+test("deleting emails removes their stored attachments", async () => {
+  const { keys, stored, bulk } = await setup();
+
+  const results = await bulk.applyToEmails("user-1", ["email-1"], "delete");
+
+  assert.deepEqual(results, [{ id: "email-1", success: true }]);
+  assert.equal(stored(keys[0]), false);
+  assert.equal(stored(keys[1]), true);
+});
+
+test("attachments stay when the delete fails", async () => {
+  const { keys, stored, bulk } = await setup({ failDelete: true });
+
+  const [result] = await bulk.applyToEmails("user-1", ["email-1"], "delete");
+
+  assert.equal(result.success, false);
+  assert.equal(stored(keys[0]), true);
+});
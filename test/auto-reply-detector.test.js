@@ -0,0 +1,107 @@
+/**
+ * Auto-reply detection
+ * A reply is automatic only with a structural signal (RFC 3834 or vendor
+ * header, or an auto-reply subject); phrasing only picks the type.
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { AutoReplyDetector } from "../services/email-worker/auto-reply-detector.js";
+
+const detector = new AutoReplyDetector();
+
+function message({ subject = "Re: Project plan", body, headers = {} }) {
+  return {
+    from: "Bob <bob@example.com>",
+    to: "me@mailsuite.test",
+    subject,
+    body,
+    headers: new Map(Object.entries(headers)),
+    receivedDate: new Date("2026-10-19T09:00:00Z"),
+  };
+}
+
+test("human replies that mention being away are not auto-replies", () => {
+  for (const body of [
+    "Hi Bob,\nI will be away next week so lets meet Friday",
+    "Sorry, I am out of office today, can we move it?",
+    "I'm on vacation until October 26, but Anna can help: anna@example.com",
+    "Ich bin im Urlaub, lass uns danach sprechen.",
+  ]) {
+    assert.equal(detector.detect(message({ body })), null, body);
+  }
+});
+
+test("Auto-Submitted marks a reply as automatic", () => {
+  const result = detector.detect(
+    message({
+      body: "Thank you for your email. I am out of the office until October 26.\nFor urgent matters please contact john.smith@acme.com.",
+      headers: { "auto-submitted": "auto-replied" },
+    }),
+  );
+
+  assert.deepEqual(result, {
+    type: "OUT_OF_OFFICE",
+    returnDate: "2026-10-26",
+    alternateContact: "john.smith@acme.com",
+    language: "en",
+  });
+});
+
+test("vendor headers and Precedence mark a reply as automatic", () => {
+  for (const headers of [
+    { "x-autoreply": "yes" },
+    { "x-autorespond": "1" },
+    { precedence: "auto_reply" },
+  ]) {
+    const result = detector.detect(
+      message({ body: "We received your request.", headers }),
+    );
+    assert.equal(result?.type, "AUTO_REPLY", JSON.stringify(headers));
+  }
+});
+
+test("Auto-Submitted: no is not automatic", () => {
+  const result = detector.detect(
+    message({
+      body: "I am out of the office today.",
+      headers: { "auto-submitted": "no" },
+    }),
+  );
+  assert.equal(result, null);
+});
+
+test("an auto-reply subject is enough, phrasing picks the type", () => {
+  const leftCompany = detector.detect(
+    message({
+      subject: "Automatic reply: Project plan",
+      body: "Bob is no longer with the company. Please write to sales@example.com.",
+    }),
+  );
+  assert.equal(leftCompany.type, "LEFT_COMPANY");
+  assert.equal(leftCompany.alternateContact, "sales@example.com");
+
+  const german = detector.detect(
+    message({
+      subject: "Abwesenheitsnotiz: Projektplan",
+      body: "Ich bin bis zum 30.10.2026 nicht im Büro.",
+    }),
+  );
+  assert.equal(german.type, "OUT_OF_OFFICE");
+  assert.equal(german.language, "de");
+  assert.equal(german.returnDate, "2026-10-30");
+});
+
+test("delivery reports are never auto-replies", () => {
+  const result = detector.detect({
+    ...message({
+      body: "Delivery has failed.",
+      headers: { "auto-submitted": "auto-replied" },
+    }),
+    from: "MAILER-DAEMON@example.com",
+  });
+  assert.equal(result, null);
+});
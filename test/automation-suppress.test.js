@@ -0,0 +1,56 @@
+/**
+ * Automation suppress action: the address's bounces follow the suppression
+ * the rule adds, as they do for manual and imported ones
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { AutomationEngine } from "../services/automation/engine.js";
+
+const rule = {
+  id: "rule-1",
+  user_id: "user-1",
+  mailbox_id: null,
+  name: "Suppress hard bounces",
+};
+
+function engine(added) {
+  const automation = new AutomationEngine({}, {});
+  const calls = [];
+
+  automation.suppressions.addFromRule = async (entry) =>
+    added
+      ? { id: "suppression-1", email: entry.email, mailbox_id: null }
+      : null;
+  automation.lifecycle.suppressionAdded = async (userId, suppression) =>
+    calls.push([userId, suppression.id]);
+
+  return { automation, calls };
+}
+
+test("a suppression added by a rule marks the bounces suppressed", async () => {
+  const { automation, calls } = engine(true);
+
+  await automation.runAction(
+    rule,
+    { type: "suppress" },
+    { recipient: "jane@example.com" },
+  );
+
+  assert.deepEqual(calls, [["user-1", "suppression-1"]]);
+});
+
+test("an address that was already suppressed is left alone", async () => {
+  const { automation, calls } = engine(false);
+
+  await automation.runAction(
+    rule,
+    { type: "suppress" },
+    { recipient: "jane@example.com" },
+  );
+
+  assert.deepEqual(calls, []);
+});
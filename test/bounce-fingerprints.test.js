@@ -0,0 +1,74 @@
+/**
+ * Bounce fingerprint fixtures
+ * Every test/fixtures/bounces/<name>.eml is parsed the way the worker does
+ * (ImapClient.parseMessage → BounceDetector.parseBounce) and compared with
+ * <name>.json. Add a pair of files to cover a new provider or layout.
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { readdirSync, readFileSync } from "node:fs";
+import { test } from "node:test";
+import { fileURLToPath } from "node:url";
+
+import { BounceDetector } from "../services/email-worker/bounce-detector.js";
+import { listFingerprints } from "../services/email-worker/bounce-fingerprints/index.js";
+import { ImapClient } from "../services/email-worker/imap-client.js";
+
+const FIXTURES = fileURLToPath(new URL("./fixtures/bounces/", import.meta.url));
+
+const imapClient = new ImapClient({});
+const bounceDetector = new BounceDetector();
+
+const fixtures = readdirSync(FIXTURES)
+  .filter((file) => file.endsWith(".eml"))
+  .map((file) => file.replace(/\.eml$/, ""));
+
+for (const name of fixtures) {
+  test(`bounce fixture ${name}`, async () => {
+    const email = await imapClient.parseMessage(
+      readFileSync(`${FIXTURES}${name}.eml`),
+    );
+    const expected = JSON.parse(
+      readFileSync(`${FIXTURES}${name}.json`, "utf8"),
+    );
+
+    assert.ok(bounceDetector.isBounceMessage(email), "not detected as bounce");
+
+    const bounce = bounceDetector.parseBounce(email);
+
+    assert.deepEqual(
+      {
+        provider: bounce.provider,
+        source: bounce.source,
+        recipients: bounce.recipients.map((recipient) => ({
+          failedRecipient: recipient.failedRecipient,
+          errorCode: recipient.errorCode,
+          status: recipient.status,
+          bounceType: recipient.bounceType,
+          bounceCategory: recipient.bounceCategory,
+          action: recipient.action,
+          diagnostic: recipient.diagnostic,
+        })),
+      },
+      expected,
+    );
+  });
+}
+
+test("every fingerprint has a fixture", () => {
+  const covered = new Set(
+    fixtures.map(
+      (name) =>
+        JSON.parse(readFileSync(`${FIXTURES}${name}.json`, "utf8")).provider,
+    ),
+  );
+
+  for (const fingerprint of listFingerprints()) {
+    assert.ok(
+      covered.has(fingerprint.id),
+      `no fixture for fingerprint "${fingerprint.id}"`,
+    );
+  }
+});
@@ -0,0 +1,199 @@
+/**
+ * Bounce lifecycle: what counts as evidence that a failing address recovered
+ * Runs against a small in-memory stand-in for the Supabase tables.
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  BOUNCE_WINDOW_HOURS,
+  BounceLifecycle,
+} from "../services/bounce-lifecycle.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Enough of the query builder for BounceLifecycle
+function fakeDb(tables) {
+  let nextId = 0;
+
+  return {
+    tables,
+    from(name) {
+      const rows = tables[name];
+      const filters = [];
+      let operation = { type: "select" };
+      let order = null;
+      let limit = Infinity;
+
+      const query = {
+        select: () => query,
+        insert(row) {
+          operation = { type: "insert", row };
+          return query;
+        },
+        update(values) {
+          operation = { type: "update", values };
+          return query;
+        },
+        eq: (column, value) => filter((row) => row[column] === value),
+        in: (column, values) => filter((row) => values.includes(row[column])),
+        lte: (column, value) =>
+          filter((row) => row[column] != null && row[column] <= value),
+        order(column) {
+          order = column;
+          return query;
+        },
+        limit(count) {
+          limit = count;
+          return query;
+        },
+        then(resolve) {
+          if (operation.type === "insert") {
+            rows.push({ id: `row-${++nextId}`, ...operation.row });
+            return resolve({ data: null, error: null });
+          }
+
+          let matched = rows.filter((row) => filters.every((f) => f(row)));
+
+          if (operation.type === "update") {
+            matched.forEach((row) => Object.assign(row, operation.values));
+            return resolve({ data: null, error: null });
+          }
+
+          if (order) {
+            matched = [...matched].sort((a, b) =>
+              a[order] < b[order] ? -1 : 1,
+            );
+          }
+          resolve({
+            data: matched.slice(0, limit).map((row) => ({ ...row })),
+            error: null,
+          });
+        },
+      };
+
+      function filter(predicate) {
+        filters.push(predicate);
+        return query;
+      }
+
+      return query;
+    },
+  };
+}
+
+const noSuppressions = { check: async () => [], remove: async () => {} };
+
+function setup() {
+  const failedAt = new Date(Date.now() - 24 * HOUR_MS).toISOString();
+  const db = fakeDb({
+    email_bounces: [
+      {
+        id: "bounce-1",
+        user_id: "user-1",
+        mailbox_id: "mailbox-1",
+        email: "jane@example.com",
+        bounce_type: "SOFT",
+        delivery_state: "SOFT_FAILING",
+        last_failed_at: failedAt,
+        pending_send_at: null,
+      },
+    ],
+    email_bounce_events: [],
+  });
+
+  return {
+    db,
+    bounce: db.tables.email_bounces[0],
+    events: () => db.tables.email_bounce_events.map((e) => e.event_type),
+    lifecycle: new BounceLifecycle(db, noSuppressions),
+  };
+}
+
+const sentAt = () => new Date(Date.now() - HOUR_MS).toISOString();
+const afterWindow = () => new Date(Date.now() + BOUNCE_WINDOW_HOURS * HOUR_MS);
+
+test("a send the SMTP server accepted is only recorded as SENT", async () => {
+  const { bounce, events, lifecycle } = setup();
+  const at = sentAt();
+
+  const pending = await lifecycle.recordSent({
+    userId: "user-1",
+    addresses: ["Jane@example.com"],
+    occurredAt: at,
+    emailId: "email-1",
+  });
+
+  assert.equal(pending, 1);
+  assert.equal(bounce.delivery_state, "SOFT_FAILING");
+  assert.equal(bounce.pending_send_at, at);
+  assert.deepEqual(events(), ["SENT"]);
+
+  // Still inside the bounce window
+  assert.equal(await lifecycle.settleSends(), 0);
+  assert.equal(bounce.delivery_state, "SOFT_FAILING");
+});
+
+test("a send with no bounce within the window recovers the address", async () => {
+  const { bounce, events, lifecycle } = setup();
+  const at = sentAt();
+
+  await lifecycle.recordSent({
+    userId: "user-1",
+    addresses: ["jane@example.com"],
+    occurredAt: at,
+  });
+
+  assert.equal(await lifecycle.settleSends(afterWindow()), 1);
+  assert.equal(bounce.delivery_state, "RECOVERED");
+  assert.equal(bounce.recovered_at, at);
+  assert.equal(bounce.pending_send_at, null);
+  assert.deepEqual(events(), ["SENT", "RECOVERY"]);
+});
+
+test("a failure within the window cancels the pending send", async () => {
+  const { bounce, lifecycle } = setup();
+
+  await lifecycle.recordSent({
+    userId: "user-1",
+    addresses: ["jane@example.com"],
+    occurredAt: sentAt(),
+  });
+  await lifecycle.recordFailure({
+    userId: "user-1",
+    bounceId: "bounce-1",
+    bounceType: "SOFT",
+    previousState: "SOFT_FAILING",
+  });
+
+  assert.equal(bounce.pending_send_at, null);
+  assert.equal(await lifecycle.settleSends(afterWindow()), 0);
+  assert.equal(bounce.delivery_state, "SOFT_FAILING");
+});
+
+test("mail from the address recovers it right away", async () => {
+  const { bounce, events, lifecycle } = setup();
+
+  const recovered = await lifecycle.recordDelivery({
+    userId: "user-1",
+    addresses: ["jane@example.com"],
+    occurredAt: new Date().toISOString(),
+    emailId: "email-2",
+  });
+
+  assert.equal(recovered.length, 1);
+  assert.equal(bounce.delivery_state, "RECOVERED");
+  assert.deepEqual(events(), ["RECOVERY"]);
+
+  // Mail older than the failure proves nothing
+  const stale = setup();
+  await stale.lifecycle.recordDelivery({
+    userId: "user-1",
+    addresses: ["jane@example.com"],
+    occurredAt: new Date(Date.now() - 48 * HOUR_MS).toISOString(),
+  });
+  assert.equal(stale.bounce.delivery_state, "SOFT_FAILING");
+});
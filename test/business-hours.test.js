@@ -0,0 +1,123 @@
+/**
+ * Business-hours arithmetic for SLA targets, including days on which the
+ * clocks change
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  addBusinessSeconds,
+  businessSecondsBetween,
+  isValidTimezone,
+} from "../services/analytics/business-hours.js";
+
+const HOUR = 60 * 60;
+
+const utcOffice = {
+  timezone: "UTC",
+  business_days: [1, 2, 3, 4, 5],
+  business_hours_start: "09:00",
+  business_hours_end: "17:00",
+};
+
+const newYork = { ...utcOffice, timezone: "America/New_York" };
+
+// Open every day in the small hours, when US clocks change
+const nightShift = {
+  timezone: "America/New_York",
+  business_days: [1, 2, 3, 4, 5, 6, 7],
+  business_hours_start: "00:00",
+  business_hours_end: "04:00",
+};
+
+test("business time skips nights, weekends and holidays", () => {
+  // Friday 16:00 + 2 business hours = Monday 10:00
+  assert.equal(
+    addBusinessSeconds(
+      "2026-10-16T16:00:00Z",
+      2 * HOUR,
+      utcOffice,
+    ).toISOString(),
+    "2026-10-19T10:00:00.000Z",
+  );
+  assert.equal(
+    businessSecondsBetween(
+      "2026-10-16T16:00:00Z",
+      "2026-10-19T10:00:00Z",
+      utcOffice,
+    ),
+    2 * HOUR,
+  );
+
+  // Received at night: the clock starts when the office opens
+  assert.equal(
+    addBusinessSeconds("2026-10-20T22:00:00Z", HOUR, utcOffice).toISOString(),
+    "2026-10-21T10:00:00.000Z",
+  );
+
+  assert.equal(
+    addBusinessSeconds("2026-10-16T16:00:00Z", 2 * HOUR, {
+      ...utcOffice,
+      holidays: ["2026-10-19"],
+    }).toISOString(),
+    "2026-10-20T10:00:00.000Z",
+  );
+});
+
+test("opening hours follow the local clock across DST changes", () => {
+  // Friday 16:00 EST + 2 business hours = Monday 10:00 EDT
+  assert.equal(
+    addBusinessSeconds("2026-03-06T21:00:00Z", 2 * HOUR, newYork).toISOString(),
+    "2026-03-09T14:00:00.000Z",
+  );
+
+  // Friday 16:00 EDT + 2 business hours = Monday 10:00 EST
+  assert.equal(
+    addBusinessSeconds("2026-10-30T20:00:00Z", 2 * HOUR, newYork).toISOString(),
+    "2026-11-02T15:00:00.000Z",
+  );
+});
+
+test("business days are shorter or longer when the clocks change", () => {
+  const wholeDay = (date) =>
+    businessSecondsBetween(
+      `${date}T00:00:00Z`,
+      `${date}T23:59:59Z`,
+      nightShift,
+    );
+
+  // 00:00-04:00 local: 02:00-03:00 is skipped in March, 01:00-02:00 repeats
+  // in November
+  assert.equal(wholeDay("2026-03-07"), 4 * HOUR);
+  assert.equal(wholeDay("2026-03-08"), 3 * HOUR);
+  assert.equal(wholeDay("2026-11-01"), 5 * HOUR);
+
+  // 2.5 business hours from midnight on the spring-forward day end at 03:30
+  // EDT, not 02:30
+  assert.equal(
+    addBusinessSeconds(
+      "2026-03-08T05:00:00Z",
+      2.5 * HOUR,
+      nightShift,
+    ).toISOString(),
+    "2026-03-08T07:30:00.000Z",
+  );
+});
+
+test("calendars without business time and unknown zones", () => {
+  assert.equal(
+    addBusinessSeconds("2026-10-16T16:00:00Z", HOUR, {
+      ...utcOffice,
+      business_days: [1],
+      holidays: [],
+      business_hours_start: "09:00",
+      business_hours_end: "09:00",
+    }),
+    null,
+  );
+  assert.equal(isValidTimezone("Europe/Berlin"), true);
+  assert.equal(isValidTimezone("Mars/Olympus_Mons"), false);
+});
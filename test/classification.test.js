@@ -0,0 +1,212 @@
+/**
+ * Per-user classifier: features, naive Bayes model and the rules/model
+ * ensemble
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { extractFeatures } from "../services/classification/features.js";
+import { NaiveBayesModel } from "../services/classification/naive-bayes.js";
+import {
+  ClassifierPipeline,
+  LEARNABLE_CATEGORIES,
+} from "../services/classification/pipeline.js";
+
+const parsed = {
+  from: '"Deals" <Offers@Shop.example>',
+  to: "me@mailsuite.test, you@mailsuite.test",
+  subject: "Weekly deals: 20% off",
+  body: "<p>Big   savings</p>\n<a href='https://shop.example/x'>Shop now</a>",
+  headers: new Map([
+    ["list-unsubscribe", "<mailto:unsub@shop.example>"],
+    ["precedence", "bulk"],
+  ]),
+};
+
+// The same email as the worker stores it
+const stored = {
+  from_address: "offers@shop.example",
+  from_name: "Deals",
+  to_addresses: ["me@mailsuite.test, you@mailsuite.test"],
+  subject: "Weekly deals: 20% off",
+  headers: {
+    "list-unsubscribe": "<mailto:unsub@shop.example>",
+    precedence: "bulk",
+  },
+  body_text: "Big savings Shop now",
+};
+
+test("a parsed message and its stored row give the same features", () => {
+  const features = extractFeatures(parsed);
+
+  assert.deepEqual(features, extractFeatures(stored));
+  for (const feature of [
+    "from:offers@shop.example",
+    "domain:shop.example",
+    "subject:weekly",
+    "subject:deals",
+    "header:list-unsubscribe",
+    "precedence:bulk",
+    "recipients:many",
+    "links:0",
+    "body:big_savings",
+  ]) {
+    assert.ok(features.includes(feature), feature);
+  }
+});
+
+function example(category, words) {
+  return { category, features: words.split(" ") };
+}
+
+const examples = [
+  example("NEWSLETTER", "domain:news.example subject:weekly body:digest"),
+  example("NEWSLETTER", "domain:news.example subject:issue body:digest"),
+  example("NEWSLETTER", "domain:news.example subject:weekly body:read"),
+  example("HUMAN", "domain:example.com subject:lunch body:thanks"),
+  example("HUMAN", "domain:example.com subject:meeting body:thanks"),
+];
+
+test("the model learns categories from examples", () => {
+  const model = NaiveBayesModel.train(examples);
+
+  assert.equal(model.exampleCount, 5);
+  assert.deepEqual(model.classes, { NEWSLETTER: 3, HUMAN: 2 });
+
+  const newsletter = model.predict(
+    ["domain:news.example", "body:digest"],
+    LEARNABLE_CATEGORIES,
+  );
+  const human = model.predict(
+    ["domain:example.com", "body:thanks"],
+    LEARNABLE_CATEGORIES,
+  );
+
+  assert.equal(
+    Object.entries(newsletter).sort((a, b) => b[1] - a[1])[0][0],
+    "NEWSLETTER",
+  );
+  assert.equal(
+    Object.entries(human).sort((a, b) => b[1] - a[1])[0][0],
+    "HUMAN",
+  );
+
+  const sum = Object.values(newsletter).reduce((a, b) => a + b, 0);
+  assert.ok(Math.abs(sum - 1) < 1e-9);
+});
+
+test("unseen categories and unknown features keep a share", () => {
+  const model = NaiveBayesModel.train(examples);
+  const prediction = model.predict(["body:unknown"], LEARNABLE_CATEGORIES);
+
+  // Only the prior speaks: seen categories first, unseen ones still possible
+  assert.ok(prediction.NEWSLETTER > prediction.HUMAN);
+  assert.ok(prediction.HUMAN > prediction.MARKETING);
+  assert.ok(prediction.MARKETING > 0);
+});
+
+test("a model survives a JSON round trip", () => {
+  const model = NaiveBayesModel.train(examples);
+  const restored = new NaiveBayesModel(
+    JSON.parse(JSON.stringify(model.toJSON())),
+  );
+  const features = ["domain:news.example", "subject:weekly"];
+
+  assert.deepEqual(
+    restored.predict(features, LEARNABLE_CATEGORIES),
+    model.predict(features, LEARNABLE_CATEGORIES),
+  );
+});
+
+// A stage that always votes the same way
+function stage(category, weight) {
+  return {
+    vote: async () => ({
+      probabilities: Object.fromEntries(
+        LEARNABLE_CATEGORIES.map((name) => [
+          name,
+          name === category ? 0.9 : 0.1 / (LEARNABLE_CATEGORIES.length - 1),
+        ]),
+      ),
+      weight,
+    }),
+  };
+}
+
+const human = {
+  from: "Alice <alice@example.com>",
+  to: "me@mailsuite.test",
+  subject: "Lunch tomorrow?",
+  body: "Hi, are you free for lunch tomorrow?",
+  headers: new Map(),
+};
+
+test("without a model the rule result stands", async () => {
+  const result = await new ClassifierPipeline(null, []).classify(human, "u1");
+
+  assert.equal(result.category, "HUMAN");
+  assert.equal(result.source, "RULES");
+  assert.deepEqual(result.probabilities, { HUMAN: result.confidence });
+});
+
+test("a model below half weight cannot overrule the rules", async () => {
+  const pipeline = new ClassifierPipeline(null, [stage("NEWSLETTER", 0.4)]);
+  const result = await pipeline.classify(human, "u1");
+
+  assert.equal(result.category, "HUMAN");
+  assert.equal(result.source, "ENSEMBLE");
+  // 0.6 from the rules + 0.4 × 0.025 from the model
+  assert.equal(result.confidence, 0.61);
+  assert.equal(result.probabilities.NEWSLETTER, 0.36);
+});
+
+test("a confident model past half weight overrules the rules", async () => {
+  const pipeline = new ClassifierPipeline(null, [stage("NEWSLETTER", 0.7)]);
+  const result = await pipeline.classify(human, "u1");
+
+  assert.equal(result.category, "NEWSLETTER");
+  assert.equal(result.confidence, 0.63);
+  assert.equal(result.probabilities.HUMAN, 0.32);
+});
+
+test("the model decides alone when the rules have no opinion", async () => {
+  const pipeline = new ClassifierPipeline(null, [stage("MARKETING", 0.1)]);
+  const result = await pipeline.classify(
+    { from: "", subject: "", body: "", headers: new Map() },
+    "u1",
+  );
+
+  assert.equal(result.category, "MARKETING");
+  assert.equal(result.confidence, 0.9);
+});
+
+test("auto-replies are never overruled and failing stages are skipped", async () => {
+  const failing = {
+    vote: async () => {
+      throw new Error("model unavailable");
+    },
+  };
+  const pipeline = new ClassifierPipeline(null, [
+    failing,
+    stage("MARKETING", 1),
+  ]);
+
+  const autoReply = await pipeline.classify(
+    {
+      ...human,
+      subject: "Automatic reply: Lunch tomorrow?",
+      body: "I am out of the office.",
+    },
+    "u1",
+  );
+  assert.equal(autoReply.category, "AUTO_REPLY");
+  assert.equal(autoReply.source, "RULES");
+
+  const onlyFailing = new ClassifierPipeline(null, [failing]);
+  const result = await onlyFailing.classify(human, "u1");
+  assert.equal(result.category, "HUMAN");
+  assert.equal(result.source, "RULES");
+});
@@ -0,0 +1,179 @@
+/**
+ * Flag sync: pushing local changes to the server without losing one the
+ * user makes while the push is in flight
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { FlagSync, mergeFlag } from "../services/email-worker/flag-sync.js";
+
+// One emails row; every update bumps updated_at like the table's trigger
+function fakeDb(row) {
+  let version = 0;
+  const touch = () => {
+    row.updated_at = `2026-10-19T10:00:00.${String(++version).padStart(6, "0")}Z`;
+  };
+  touch();
+
+  return {
+    row,
+    touch,
+    from: () => ({
+      select() {
+        const query = {
+          eq: () => query,
+          not: () => query,
+          limit: async () => ({ data: [{ ...row }], error: null }),
+        };
+        return query;
+      },
+      update(changes) {
+        const filters = [];
+        const apply = () => {
+          const matched = filters.every(
+            ([column, value]) => row[column] === value,
+          );
+          if (matched) {
+            Object.assign(row, changes);
+            touch();
+          }
+          return matched;
+        };
+        const query = {
+          eq(column, value) {
+            filters.push([column, value]);
+            return query;
+          },
+          select: () => ({
+            maybeSingle: async () => ({
+              data: apply() ? { updated_at: row.updated_at } : null,
+              error: null,
+            }),
+          }),
+          then(resolve) {
+            apply();
+            resolve({ error: null });
+          },
+        };
+        return query;
+      },
+    }),
+  };
+}
+
+function imapClient(onSetFlag = () => {}) {
+  const calls = [];
+  return {
+    calls,
+    fetchFlags: async (folder, uids) => ({
+      messages: uids
+        .split(",")
+        .map((uid) => ({ uid: Number(uid), seen: false, flagged: false })),
+    }),
+    setFlag: async (folder, uids, flag, enabled) => {
+      if (uids.length > 0) {
+        calls.push([flag, enabled, uids]);
+        onSetFlag();
+      }
+    },
+  };
+}
+
+const email = () => ({
+  id: "email-1",
+  uid: 7,
+  folder: "INBOX",
+  thread_id: null,
+  is_read: true,
+  is_starred: false,
+  is_archived: false,
+  flags_dirty: true,
+  imap_seen: false,
+  imap_flagged: false,
+  imap_archived: false,
+});
+
+const mailbox = { id: "mailbox-1", user_id: "user-1" };
+
+test("three-way flag merge", () => {
+  assert.equal(mergeFlag(true, false, false), true);
+  assert.equal(mergeFlag(false, true, false), true);
+  assert.equal(mergeFlag(true, false, null, "server"), false);
+  assert.equal(mergeFlag(true, false, null, "local"), true);
+});
+
+test("a pushed change clears the dirty flag", async () => {
+  const db = fakeDb(email());
+  const client = imapClient();
+
+  await new FlagSync(db).pushLocalChanges(mailbox, client);
+
+  assert.deepEqual(client.calls, [["\\Seen", true, [7]]]);
+  assert.equal(db.row.flags_dirty, false);
+  assert.equal(db.row.is_read, true);
+  assert.equal(db.row.imap_seen, true);
+});
+
+test("a change made during the push stays queued", async () => {
+  const db = fakeDb(email());
+
+  // The user marks the email unread again while \Seen is being set
+  const client = imapClient(() => {
+    Object.assign(db.row, { is_read: false, flags_dirty: true });
+    db.touch();
+  });
+
+  const sync = new FlagSync(db);
+  await sync.pushLocalChanges(mailbox, client);
+
+  assert.equal(db.row.flags_dirty, true);
+  assert.equal(db.row.is_read, false);
+  // The server has \Seen now, and the merge base says so
+  assert.equal(db.row.imap_seen, true);
+
+  // So the next cycle pushes the unread state instead of taking the server's
+  const next = imapClient();
+  next.fetchFlags = async () => ({
+    messages: [{ uid: 7, seen: true, flagged: false }],
+  });
+  await sync.pushLocalChanges(mailbox, next);
+
+  assert.deepEqual(next.calls, [["\\Seen", false, [7]]]);
+  assert.equal(db.row.flags_dirty, false);
+  assert.equal(db.row.is_read, false);
+});
+
+test("a pull does not overwrite a change made while it ran", async () => {
+  const db = fakeDb({ ...email(), is_read: false, flags_dirty: false });
+  const events = [];
+  const sync = new FlagSync(db, {
+    publishMany: async (batch) => events.push(...batch),
+  });
+
+  // The user marks the email read between the pull's read and its write
+  sync.loadRows = async () => {
+    const loaded = { ...db.row };
+    Object.assign(db.row, { is_read: true, flags_dirty: true });
+    db.touch();
+    return [loaded];
+  };
+  sync.detectRemoved = async () => 0;
+
+  const client = imapClient();
+  client.fetchFlags = async () => ({
+    highestModseq: 5,
+    messages: [{ uid: 7, seen: false, flagged: true, modseq: 5 }],
+  });
+
+  await sync.pullServerChanges(mailbox, client, { path: "INBOX" }, 7);
+
+  assert.equal(db.row.is_read, true);
+  assert.equal(db.row.flags_dirty, true);
+  assert.equal(db.row.is_starred, false);
+  // The server state still becomes the merge base
+  assert.equal(db.row.imap_flagged, true);
+  assert.deepEqual(events, []);
+});
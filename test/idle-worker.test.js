@@ -0,0 +1,102 @@
+/**
+ * IDLE worker: a mailbox whose password cannot be decrypted is retried like
+ * any failed connection instead of breaking the worker
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { IdleWorker } from "../services/email-worker/idle-worker.js";
+
+test("an undecryptable password schedules a reconnect", async () => {
+  process.env.ENCRYPTION_KEY ||= "test-key";
+
+  const worker = new IdleWorker({}, {}, { backoffBaseMs: 60 * 1000 });
+  const watcher = {
+    mailbox: {
+      id: "mailbox-1",
+      email_address: "me@mailsuite.test",
+      imap_host: "127.0.0.1",
+      imap_port: 993,
+      imap_username: "me",
+      imap_password_encrypted: "not-encrypted-with-this-key",
+    },
+    client: null,
+    attempts: 0,
+  };
+  worker.watchers.set("mailbox-1", watcher);
+
+  await worker.connectWatcher(watcher);
+
+  assert.equal(watcher.client, null);
+  assert.equal(watcher.attempts, 1);
+  assert.ok(watcher.reconnectTimer);
+
+  await worker.stop();
+  assert.equal(worker.watchers.size, 0);
+});
+
+test("a connection that fails after connecting is closed before the retry", async () => {
+  const worker = new IdleWorker({}, {}, { backoffBaseMs: 60 * 1000 });
+  const watcher = {
+    mailbox: { id: "mailbox-1", email_address: "me@mailsuite.test" },
+    client: null,
+    attempts: 0,
+  };
+  worker.watchers.set("mailbox-1", watcher);
+
+  let disconnected = 0;
+  const client = {
+    connect: async () => {},
+    supportsIdle: () => true,
+    watch: async () => {
+      throw new Error("SELECT failed");
+    },
+    disconnect: async () => {
+      disconnected++;
+    },
+  };
+  worker.createClient = () => client;
+
+  await worker.connectWatcher(watcher);
+
+  assert.equal(disconnected, 1);
+  assert.equal(watcher.attempts, 1);
+
+  await worker.stop();
+});
+
+test("edited connection settings replace the watcher", async () => {
+  let mailbox = {
+    id: "mailbox-1",
+    email_address: "me@mailsuite.test",
+    imap_host: "old.example.com",
+    imap_port: 993,
+    imap_username: "me",
+    imap_password_encrypted: "secret",
+  };
+  const db = {
+    from: () => ({
+      select: () => ({ eq: async () => ({ data: [mailbox], error: null }) }),
+    }),
+  };
+
+  const worker = new IdleWorker(db, {});
+  const connected = [];
+  worker.connectWatcher = async (watcher) => connected.push(watcher);
+
+  await worker.refresh();
+  await worker.refresh();
+  assert.equal(connected.length, 1);
+
+  mailbox = { ...mailbox, imap_host: "new.example.com" };
+  await worker.refresh();
+
+  assert.equal(connected.length, 2);
+  assert.equal(worker.watchers.get("mailbox-1"), connected[1]);
+  assert.equal(connected[1].mailbox.imap_host, "new.example.com");
+
+  await worker.stop();
+});
@@ -0,0 +1,50 @@
+/**
+ * Request logging keeps query-string credentials out of the logs
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { Writable } from "node:stream";
+import { test } from "node:test";
+
+import Fastify from "fastify";
+
+import { loggerOptions, redactUrl } from "../utils/logger.js";
+
+test("access tokens in the query string are masked", () => {
+  assert.equal(
+    redactUrl("/api/v1/events/stream?access_token=eyJ.abc.def&mailbox_id=m1"),
+    "/api/v1/events/stream?access_token=[REDACTED]&mailbox_id=m1",
+  );
+  assert.equal(
+    redactUrl("/stream?mailbox_id=m1&access%5Ftoken=eyJ"),
+    "/stream?mailbox_id=m1&access_token=[REDACTED]",
+  );
+  assert.equal(redactUrl("/api/v1/emails?page=2"), "/api/v1/emails?page=2");
+  assert.equal(redactUrl("/health"), "/health");
+});
+
+test("request logs carry the redacted URL", async () => {
+  const lines = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      lines.push(chunk.toString());
+      callback();
+    },
+  });
+
+  const app = Fastify({ logger: { ...loggerOptions, stream } });
+  app.get("/api/v1/events/stream", async () => ({ ok: true }));
+
+  const response = await app.inject({
+    method: "GET",
+    url: "/api/v1/events/stream?access_token=secret-jwt&mailbox_id=m1",
+  });
+  await app.close();
+
+  assert.equal(response.statusCode, 200);
+  const logs = lines.join("");
+  assert.ok(!logs.includes("secret-jwt"));
+  assert.match(logs, /access_token=\[REDACTED\]&mailbox_id=m1/);
+});
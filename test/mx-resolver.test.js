@@ -0,0 +1,71 @@
+/**
+ * MX resolver: provider mapping and bounded parallel lookups
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { MxResolver, mxProvider } from "../services/mx-resolver.js";
+
+// recipient_domains with nothing cached; upserted rows are kept
+function fakeDb() {
+  const upserted = [];
+  return {
+    upserted,
+    from: () => ({
+      select: () => ({ in: async () => ({ data: [], error: null }) }),
+      upsert: async (rows) => {
+        upserted.push(...rows);
+        return { error: null };
+      },
+    }),
+  };
+}
+
+const delay = (ms, value) =>
+  new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+test("maps MX hosts to providers", () => {
+  assert.equal(mxProvider("ASPMX.L.GOOGLE.COM."), "google");
+  assert.equal(
+    mxProvider("contoso-com.mail.protection.outlook.com"),
+    "microsoft",
+  );
+  assert.equal(mxProvider("mx.example.net"), "other");
+  assert.equal(mxProvider(null), "none");
+});
+
+test("lookups run in parallel within the timeout", async () => {
+  const db = fakeDb();
+  const resolver = new MxResolver(db, (domain) => {
+    if (domain === "slow.example") return delay(1500, []);
+    if (domain === "gone.example") {
+      return Promise.reject(Object.assign(new Error("x"), { code: "ENODATA" }));
+    }
+    return delay(100, [
+      { priority: 20, exchange: "backup.mx.example" },
+      { priority: 10, exchange: `mx.${domain}` },
+    ]);
+  });
+
+  const started = Date.now();
+  const resolved = await resolver.resolveDomains(
+    ["a.example", "B.example", "a.example", "gone.example", "slow.example"],
+    { timeoutMs: 300 },
+  );
+  const elapsed = Date.now() - started;
+
+  // Five sequential lookups would take well over a second
+  assert.ok(elapsed < 1000, `took ${elapsed} ms`);
+  assert.equal(resolved, 3);
+  assert.deepEqual(
+    db.upserted.map(({ domain, mx_host }) => [domain, mx_host]),
+    [
+      ["a.example", "mx.a.example"],
+      ["b.example", "mx.b.example"],
+      ["gone.example", null],
+    ],
+  );
+});
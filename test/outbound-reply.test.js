@@ -0,0 +1,226 @@
+/**
+ * Replies and forwards through a local SMTP sink
+ * A minimal SMTP server on a free port records what OutboundMailer puts on
+ * the wire; storage and bounce bookkeeping are stubbed out.
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import net from "node:net";
+import { after, before, test } from "node:test";
+
+import { OutboundMailer } from "../services/outbound-mailer.js";
+
+// Accepts every message and keeps its envelope recipients and data
+function startSink() {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    let message = { recipients: [], data: "" };
+
+    socket.setEncoding("utf8");
+    socket.write("220 sink ESMTP\r\n");
+
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end === -1) return;
+          message.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          messages.push(message);
+          message = { recipients: [], data: "" };
+          socket.write("250 OK queued\r\n");
+          continue;
+        }
+
+        const end = buffer.indexOf("\r\n");
+        if (end === -1) return;
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const verb = line.slice(0, 4).toUpperCase();
+
+        if (verb === "EHLO") socket.write("250-sink\r\n250 8BITMIME\r\n");
+        else if (verb === "RCPT") {
+          message.recipients.push(line.match(/<([^>]*)>/)[1]);
+          socket.write("250 OK\r\n");
+        } else if (verb === "DATA") {
+          inData = true;
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (verb === "QUIT") socket.end("221 Bye\r\n");
+        else socket.write("250 OK\r\n");
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve({ server, messages, port: server.address().port }),
+    );
+  });
+}
+
+let sink;
+
+before(async () => {
+  sink = await startSink();
+});
+
+after(() => sink.server.close());
+
+const original = {
+  id: "email-1",
+  mailbox_id: "mailbox-1",
+  direction: "INBOUND",
+  message_id: "<question@example.com>",
+  reference_ids: ["<start@example.com>"],
+  subject: "Quarterly numbers",
+  from_address: "alice@example.com",
+  from_name: "Alice",
+  to_addresses: ["me@mailsuite.test", "Bob <bob@example.com>"],
+  cc_addresses: [],
+  received_at: "2026-10-12T09:30:00Z",
+  headers: {},
+};
+
+const bodyText = "Hi,\n\n  Revenue:   12\n  Costs:     7\n\nThanks,\nAlice";
+
+function mailer(email) {
+  const outbound = new OutboundMailer({});
+
+  outbound.loadEmail = async () => email;
+  outbound.loadMailbox = async () => ({
+    id: "mailbox-1",
+    user_id: "user-1",
+    email_address: "me@mailsuite.test",
+    smtp_host: "127.0.0.1",
+    smtp_port: sink.port,
+    smtp_secure: false,
+  });
+  outbound.loadBodyText = async () => bodyText;
+  outbound.suppressions.check = async () => [];
+  outbound.storeSent = async (mailbox, mail, messageId) => ({
+    message_id: messageId,
+    stored: false,
+  });
+  outbound.lifecycle.recordSent = async () => 0;
+
+  return outbound;
+}
+
+// Unfolded headers and decoded body of the last message the sink got
+function lastMessage() {
+  const { recipients, data } = sink.messages.at(-1);
+  const [head, ...rest] = data.split("\r\n\r\n");
+  const headers = {};
+
+  for (const line of head.replace(/\r\n[ \t]+/g, " ").split("\r\n")) {
+    const colon = line.indexOf(":");
+    headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+  }
+
+  const body = rest
+    .join("\r\n\r\n")
+    .replace(/=\r\n/g, "")
+    .replace(/=([0-9A-F]{2})/g, (match, hex) =>
+      String.fromCharCode(parseInt(hex, 16)),
+    )
+    .replace(/\r\n/g, "\n");
+
+  return { recipients, headers, body };
+}
+
+test("a reply threads under the original and quotes it line by line", async () => {
+  await mailer(original).reply("user-1", "email-1", { text: "Looks good." });
+  const { recipients, headers, body } = lastMessage();
+
+  assert.deepEqual(recipients, ["alice@example.com"]);
+  assert.equal(headers.subject, "Re: Quarterly numbers");
+  assert.equal(headers["in-reply-to"], "<question@example.com>");
+  assert.equal(
+    headers.references,
+    "<start@example.com> <question@example.com>",
+  );
+  assert.equal(
+    body.trimEnd(),
+    [
+      "Looks good.",
+      "",
+      "On Mon, 12 Oct 2026 09:30:00 GMT, Alice <alice@example.com> wrote:",
+      "> Hi,",
+      "> ",
+      ">   Revenue:   12",
+      ">   Costs:     7",
+      "> ",
+      "> Thanks,",
+      "> Alice",
+    ].join("\n"),
+  );
+});
+
+test("a reply goes to Reply-To when the original has one", async () => {
+  await mailer({
+    ...original,
+    headers: {
+      "reply-to": {
+        value: [{ address: "team@example.com", name: "Team" }],
+        text: "Team <team@example.com>",
+      },
+    },
+  }).reply("user-1", "email-1", { text: "Noted.", reply_all: true });
+  const { recipients, headers } = lastMessage();
+
+  assert.equal(headers.to, "team@example.com");
+  assert.equal(headers.cc, "Bob <bob@example.com>");
+  assert.deepEqual(recipients, ["team@example.com", "bob@example.com"]);
+
+  await mailer({
+    ...original,
+    headers: { "reply-to": "Help <help@example.com>, ops@example.com" },
+  }).reply("user-1", "email-1", { text: "Noted." });
+  assert.deepEqual(lastMessage().recipients, [
+    "help@example.com",
+    "ops@example.com",
+  ]);
+});
+
+test("an HTML reply quotes the original in the HTML part too", async () => {
+  await mailer({ ...original, from_name: "Alice <Sales>" }).reply(
+    "user-1",
+    "email-1",
+    { html: "<p>Looks <b>good</b>.</p>" },
+  );
+  const { body } = lastMessage();
+
+  assert.match(body, /<p>Looks <b>good<\/b>.<\/p>\n<div>On Mon, 12 Oct 2026/);
+  assert.ok(
+    body.includes("Alice &lt;Sales&gt; &lt;alice@example.com&gt; wrote:"),
+  );
+  assert.match(body, /<blockquote type="cite"[^>]*>Hi,\n\n {2}Revenue: {3}12/);
+});
+
+test("an HTML forward carries the forwarded message in the HTML part", async () => {
+  await mailer(original).forward("user-1", "email-1", {
+    to: ["carol@example.com"],
+    html: "<p>FYI</p>",
+    include_attachments: false,
+  });
+  const { recipients, body } = lastMessage();
+
+  assert.deepEqual(recipients, ["carol@example.com"]);
+  assert.match(
+    body,
+    /<p>FYI<\/p>\n<div style="white-space:pre-wrap">---------- Forwarded message ---------\nFrom: Alice &lt;alice@example.com&gt;/,
+  );
+  assert.ok(
+    body.includes(
+      "Subject: Quarterly numbers\nTo: me@mailsuite.test, Bob &lt;bob@example.com&gt;\n\nHi,",
+    ),
+  );
+});
@@ -0,0 +1,82 @@
+/**
+ * Reprocess jobs: failed batches are retried with backoff before a job fails
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { ACTIVE_JOB_STATUSES, Reprocessor } from "../services/reprocessor.js";
+
+// Records reprocess_jobs updates and the status guard they carry
+function fakeDb() {
+  const updates = [];
+  return {
+    updates,
+    from: () => ({
+      update(values) {
+        const update = { values };
+        updates.push(update);
+        const query = {
+          eq: () => query,
+          in(column, statuses) {
+            update.guard = { column, statuses };
+            return query;
+          },
+          then: (resolve) => resolve({ error: null }),
+        };
+        return query;
+      },
+    }),
+  };
+}
+
+function failingReprocessor(job) {
+  const db = fakeDb();
+  const reprocessor = new Reprocessor(db);
+
+  reprocessor.claim = async () => job;
+  reprocessor.nextEmails = async () => {
+    throw new Error("connection reset");
+  };
+
+  return { db, reprocessor };
+}
+
+test("a failed batch keeps the job active and waits before the retry", async () => {
+  const { db, reprocessor } = failingReprocessor({ id: "job-1", attempts: 0 });
+
+  const started = Date.now();
+  assert.equal(await reprocessor.runBatch("job-1"), null);
+
+  const [{ values, guard }] = db.updates;
+  assert.equal(values.status, undefined);
+  assert.equal(values.attempts, 1);
+  assert.equal(values.error_message, "connection reset");
+  assert.ok(new Date(values.locked_until) - started >= 30 * 1000);
+  assert.deepEqual(guard, {
+    column: "status",
+    statuses: ACTIVE_JOB_STATUSES,
+  });
+
+  // The wait doubles with each failure
+  const second = failingReprocessor({ id: "job-1", attempts: 1 });
+  await second.reprocessor.runBatch("job-1");
+  assert.ok(
+    new Date(second.db.updates[0].values.locked_until) - Date.now() > 59 * 1000,
+  );
+});
+
+test("the job fails after the last attempt", async () => {
+  const { db, reprocessor } = failingReprocessor({ id: "job-1", attempts: 4 });
+
+  await reprocessor.runBatch("job-1");
+
+  const [{ values, guard }] = db.updates;
+  assert.equal(values.status, "FAILED");
+  assert.equal(values.attempts, 5);
+  assert.equal(values.locked_until, null);
+  assert.ok(values.completed_at);
+  assert.deepEqual(guard.statuses, ACTIVE_JOB_STATUSES);
+});
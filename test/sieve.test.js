@@ -0,0 +1,187 @@
+/**
+ * Sieve parser and interpreter
+ * Scripts are compiled with compileSieve (as on upload) and run against
+ * stored-email shaped messages with evaluateSieve (as the worker does).
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { evaluateSieve } from "../services/sieve/interpreter.js";
+import {
+  SieveSyntaxError,
+  compileSieve,
+  parseSieve,
+} from "../services/sieve/parser.js";
+
+const message = {
+  from_address: "alice@example.com",
+  from_name: "Alice",
+  to_addresses: ["me@mailsuite.test"],
+  cc_addresses: [],
+  subject: "[Invoice] Order 1234 shipped",
+  size_bytes: 20 * 1024,
+  headers: { "list-id": "<deals.shop.example>" },
+  envelope: { from: "alice@example.com", to: "me@mailsuite.test" },
+};
+
+function run(script, overrides = {}) {
+  const { commands } = compileSieve(script);
+  return evaluateSieve(commands, { ...message, ...overrides });
+}
+
+function syntaxError(script) {
+  try {
+    compileSieve(script);
+  } catch (error) {
+    assert.ok(error instanceof SieveSyntaxError, error.message);
+    return error;
+  }
+  assert.fail("Expected a SieveSyntaxError");
+}
+
+test("parses commands, arguments, tests and blocks", () => {
+  const [require, rule] = parseSieve(`
+    require ["fileinto"];
+    # comment
+    if header :contains "subject" ["a", "b"] { fileinto "Lists"; stop; }
+  `);
+
+  assert.deepEqual(require.args, [{ type: "list", value: ["fileinto"] }]);
+  assert.equal(rule.name, "if");
+  assert.equal(rule.line, 4);
+  assert.equal(rule.tests[0].name, "header");
+  assert.deepEqual(
+    rule.tests[0].args.map((arg) => arg.value),
+    ["contains", "subject", ["a", "b"]],
+  );
+  assert.deepEqual(
+    rule.block.map((command) => command.name),
+    ["fileinto", "stop"],
+  );
+});
+
+test("parses size quantifiers and multi-line strings", () => {
+  const [rule] = parseSieve(
+    "if size :over 1M { keep; }\nvacation text:\nAway\n.\n;",
+  );
+  assert.equal(rule.tests[0].args[1].value, 1024 * 1024);
+});
+
+test("reports syntax errors with their line", () => {
+  const error = syntaxError("keep;\nif true { keep }\n");
+  assert.equal(error.line, 2);
+  assert.equal(syntaxError('keep;\n"unterminated').line, 2);
+});
+
+test("requires extensions before they are used", () => {
+  assert.match(syntaxError('fileinto "X";').message, /require "fileinto"/);
+  assert.match(
+    syntaxError('keep;\nrequire "fileinto";').message,
+    /require must come before/,
+  );
+  assert.match(syntaxError('require "notify";').message, /Unsupported/);
+  assert.deepEqual(
+    compileSieve('require ["fileinto", "imap4flags"];').extensions,
+    ["fileinto", "imap4flags"],
+  );
+});
+
+test("rejects unknown commands and misplaced else", () => {
+  assert.match(syntaxError("reject;").message, /Unknown command/);
+  assert.match(syntaxError("else { keep; }").message, /without a preceding/);
+});
+
+test("rejects invalid and unsafe :regex keys on upload", () => {
+  const script = (key) =>
+    `require "regex";\nif header :regex "subject" "${key}" { discard; }`;
+
+  assert.match(syntaxError(script("(unclosed")).message, /Invalid regular/);
+  assert.match(syntaxError(script("(a+)+$")).message, /nested quantifiers/);
+  assert.doesNotThrow(() => compileSieve(script("^\\\\[invoice\\\\]")));
+});
+
+test("implicit keep, fileinto and stop", () => {
+  assert.deepEqual(run("").actions, [
+    { type: "keep", flags: [], implicit: true },
+  ]);
+
+  const result = run(`
+    require "fileinto";
+    if header :contains "subject" "invoice" { fileinto "Billing"; stop; }
+    discard;
+  `);
+  assert.equal(result.keep, false);
+  assert.deepEqual(result.actions, [
+    { type: "fileinto", folder: "Billing", flags: [], copy: false },
+  ]);
+});
+
+test("header and address match types", () => {
+  const matched = (test) => run(`if ${test} { discard; }`).keep === false;
+
+  assert.equal(
+    matched('header :is "subject" "[invoice] order 1234 shipped"'),
+    true,
+  );
+  assert.equal(
+    matched(
+      'header :is :comparator "i;octet" "subject" "[invoice] order 1234 shipped"',
+    ),
+    false,
+  );
+  assert.equal(matched('header :matches "subject" "\\\\[Invoice\\\\]*"'), true);
+  assert.equal(matched('header :matches "subject" "*Order ????*"'), true);
+  assert.equal(matched('header :matches "subject" "Order*"'), false);
+  assert.equal(matched('address :domain "from" "example.com"'), true);
+  assert.equal(matched('address :localpart "from" "bob"'), false);
+  assert.equal(matched('exists ["list-id", "subject"]'), true);
+  assert.equal(matched("size :over 10K"), true);
+  assert.equal(matched("not size :under 10K"), true);
+  assert.equal(
+    matched('anyof (false, header :contains "to" "mailsuite")'),
+    true,
+  );
+});
+
+test(":regex keys match case-insensitively by default", () => {
+  const script = `require "regex";
+    if header :regex "subject" "order [0-9]{4}" { discard; }`;
+  assert.equal(run(script).keep, false);
+  assert.equal(run(script, { subject: "Order 12" }).keep, true);
+});
+
+test(":matches keys that would backtrack badly finish quickly", () => {
+  const started = Date.now();
+  const result = run(
+    `if header :matches "subject" "${"*a".repeat(30)}*b" { discard; }`,
+    { subject: "a".repeat(2000) },
+  );
+  assert.equal(result.keep, true);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("imap4flags set the flags kept messages get", () => {
+  const result = run(`
+    require "imap4flags";
+    addflag "\\\\Flagged";
+    addflag ["\\\\Seen", "\\\\flagged"];
+    removeflag "\\\\Seen";
+  `);
+  assert.deepEqual(result.flags, ["\\Flagged"]);
+  assert.deepEqual(result.actions[0].flags, ["\\Flagged"]);
+});
+
+test("vacation is skipped for list mail", () => {
+  const script = 'require "vacation";\nvacation :days 3 "Away";';
+
+  const [list] = run(script).actions;
+  assert.equal(list.would_reply, false);
+  assert.match(list.skip_reason, /List-Id/);
+
+  const [direct] = run(script, { headers: {} }).actions;
+  assert.equal(direct.would_reply, true);
+  assert.equal(direct.days, 3);
+});
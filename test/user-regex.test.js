@@ -0,0 +1,52 @@
+/**
+ * User-supplied regular expressions (automation and Sieve patterns)
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import {
+  MAX_INPUT_LENGTH,
+  MAX_PATTERN_LENGTH,
+  compileUserRegex,
+  isSafeUserRegex,
+  testUserRegex,
+} from "../utils/user-regex.js";
+
+test("accepts ordinary patterns", () => {
+  for (const source of [
+    "@example\\.com$",
+    "^(re|fwd): ",
+    "invoice #\\d+",
+    "deals\\.shop\\.com",
+  ]) {
+    assert.equal(isSafeUserRegex(source), true, source);
+  }
+});
+
+test("rejects nested quantifiers", () => {
+  for (const source of ["(a+)+$", "(\\w*)*@", "((ab)*)+x", "(.+)*y"]) {
+    assert.throws(() => compileUserRegex(source), /nested quantifiers/);
+  }
+});
+
+test("rejects empty, invalid and overlong patterns", () => {
+  assert.equal(isSafeUserRegex(""), false);
+  assert.equal(isSafeUserRegex("(unclosed"), false);
+  assert.equal(isSafeUserRegex("a".repeat(MAX_PATTERN_LENGTH + 1)), false);
+});
+
+test("patterns are case-insensitive and cached", () => {
+  const regex = compileUserRegex("^hello");
+  assert.equal(testUserRegex(regex, "HELLO world"), true);
+  assert.equal(compileUserRegex("^hello"), regex);
+});
+
+test("only the start of long values is matched", () => {
+  const regex = compileUserRegex("needle");
+  const value = "x".repeat(MAX_INPUT_LENGTH) + "needle";
+  assert.equal(testUserRegex(regex, value), false);
+  assert.equal(testUserRegex(regex, null), false);
+});
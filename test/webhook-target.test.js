@@ -0,0 +1,85 @@
+/**
+ * Webhook target checks
+ * Webhook URLs must not reach loopback, private, link-local or unique-local
+ * addresses, neither when saved nor when delivered to.
+ *
+ * Run with: npm test
+ */
+
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import http from "node:http";
+import { test } from "node:test";
+
+import {
+  checkTargetUrl,
+  isBlockedAddress,
+  postToTarget,
+} from "../services/webhooks/target.js";
+
+test("blocks local and private addresses", () => {
+  for (const address of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "192.168.1.10",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "::1",
+    "::",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "not-an-address",
+  ]) {
+    assert.equal(isBlockedAddress(address), true, address);
+  }
+});
+
+test("allows public addresses", () => {
+  for (const address of ["93.184.216.34", "8.8.8.8", "2606:4700::1111"]) {
+    assert.equal(isBlockedAddress(address), false, address);
+  }
+});
+
+test("rejects URLs whose host is local", async () => {
+  for (const url of [
+    "http://127.0.0.1:8080/hook",
+    "http://localhost/hook",
+    "https://[::1]/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://[::ffff:10.0.0.1]/hook",
+  ]) {
+    assert.match(await checkTargetUrl(url), /private network/, url);
+  }
+});
+
+test("accepts URLs with a public host", async () => {
+  assert.equal(await checkTargetUrl("https://93.184.216.34/hook"), null);
+});
+
+test("deliveries to a local server are refused before connecting", async () => {
+  let requests = 0;
+  const server = http.createServer((request, response) => {
+    requests++;
+    response.end("ok");
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  try {
+    const { port } = server.address();
+    await assert.rejects(
+      postToTarget(`http://127.0.0.1:${port}/hook`, {
+        headers: {},
+        body: "{}",
+        timeoutMs: 2000,
+      }),
+      { code: "EBLOCKEDADDRESS" },
+    );
+    assert.equal(requests, 0);
+  } finally {
+    server.close();
+  }
+});
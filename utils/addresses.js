@@ -0,0 +1,55 @@
+/**
+ * Parse a single address: "Name <email@example.com>" or a bare address
+ * @param {string} value
+ * @returns {{ address: string, name: string }} Lowercase address; name is ""
+ *   when the value has none
+ */
+export function parseAddress(value) {
+  const text = String(value || "").trim();
+  const match = text.match(/^(.*?)\s*<([^>]+)>\s*$/);
+
+  if (match) {
+    return {
+      address: match[2].trim().toLowerCase(),
+      name: match[1].replace(/['"]/g, "").trim(),
+    };
+  }
+
+  return { address: text.toLowerCase(), name: "" };
+}
+
+/**
+ * Parse an address list. Accepts an array of entries (as stored in
+ * to_addresses/cc_addresses) or a header string, and splits entries on
+ * commas outside quoted names and angle brackets
+ * @param {string|Array<string>} value
+ * @returns {Array<{ address: string, name: string }>} Entries with no "@"
+ *   are dropped
+ */
+export function parseAddressList(value) {
+  const entries = [];
+
+  for (const item of [value ?? []].flat()) {
+    let current = "";
+    let quoted = false;
+    let bracketed = false;
+
+    for (const char of String(item ?? "")) {
+      if (char === '"') quoted = !quoted;
+      else if (char === "<" && !quoted) bracketed = true;
+      else if (char === ">" && !quoted) bracketed = false;
+
+      if ((char === "," || char === ";") && !quoted && !bracketed) {
+        entries.push(current);
+        current = "";
+      } else {
+        current += char;
+      }
+    }
+    entries.push(current);
+  }
+
+  return entries
+    .map(parseAddress)
+    .filter(({ address }) => address.includes("@"));
+}
@@ -0,0 +1,237 @@
+/**
+ * Shared list filters for emails, threads and bounces.
+ * Used by GET /emails and GET /threads, and by the bulk endpoints so that a
+ * bulk "filter" selects exactly the rows the list endpoint would return.
+ * GET /bounces and the bounce export share the bounce filters the same way.
+ */
+
+import { DELIVERY_STATES, decayCutoff } from "../services/bounce-lifecycle.js";
+import { BOUNCE_CATEGORIES } from "../services/email-worker/bounce-taxonomy.js";
+
+const EMAIL_LABEL_JOIN = "email_label_assignments!inner(label_id)";
+const THREAD_LABEL_JOIN =
+  "emails!inner(email_label_assignments!inner(label_id))";
+
+// Query strings carry "true"/"false"; JSON bodies carry real booleans
+function toBoolean(value) {
+  return value === true || value === "true";
+}
+
+/**
+ * Add the label inner-join to an emails select when filtering by label
+ * @param {string} columns
+ * @param {Object} filters
+ * @returns {string}
+ */
+export function emailColumns(columns, filters = {}) {
+  return filters.label_id ? `${columns}, ${EMAIL_LABEL_JOIN}` : columns;
+}
+
+/**
+ * Apply GET /emails filters to an emails query
+ * @param {Object} query - Supabase query builder
+ * @param {Object} filters - category, mailbox_id, folder, thread_id, is_read, is_starred, is_archived, search, label_id
+ * @returns {Object} query
+ */
+export function applyEmailFilters(query, filters = {}) {
+  const {
+    category,
+    mailbox_id,
+    folder,
+    thread_id,
+    is_read,
+    is_starred,
+    is_archived,
+    search,
+    label_id,
+  } = filters;
+
+  if (category) {
+    query = query.eq("category", category);
+  }
+
+  if (mailbox_id) {
+    query = query.eq("mailbox_id", mailbox_id);
+  }
+
+  if (folder) {
+    query = query.eq("folder", folder);
+  }
+
+  if (thread_id) {
+    query = query.eq("thread_id", thread_id);
+  }
+
+  if (is_read !== undefined) {
+    query = query.eq("is_read", toBoolean(is_read));
+  }
+
+  if (is_starred !== undefined) {
+    query = query.eq("is_starred", toBoolean(is_starred));
+  }
+
+  if (is_archived !== undefined) {
+    query = query.eq("is_archived", toBoolean(is_archived));
+  }
+
+  if (search) {
+    query = query.or(
+      `subject.ilike.%${search}%,from_address.ilike.%${search}%`,
+    );
+  }
+
+  if (label_id) {
+    query = query.eq("email_label_assignments.label_id", label_id);
+  }
+
+  return query;
+}
+
+/**
+ * Add the label inner-join to a threads select when filtering by label
+ * @param {string} columns
+ * @param {Object} filters
+ * @returns {string}
+ */
+export function threadColumns(columns, filters = {}) {
+  return filters.label_id ? `${columns}, ${THREAD_LABEL_JOIN}` : columns;
+}
+
+/**
+ * Apply GET /threads filters to an email_threads query
+ * @param {Object} query - Supabase query builder
+ * @param {Object} filters - mailbox_id, is_unread, is_archived, label_id
+ * @returns {Object} query
+ */
+export function applyThreadFilters(query, filters = {}) {
+  const { mailbox_id, is_unread, is_archived, label_id } = filters;
+
+  if (mailbox_id) {
+    query = query.eq("mailbox_id", mailbox_id);
+  }
+
+  if (is_unread !== undefined) {
+    query = query.eq("is_unread", toBoolean(is_unread));
+  }
+
+  if (is_archived !== undefined) {
+    query = query.eq("is_archived", toBoolean(is_archived));
+  }
+
+  if (label_id) {
+    query = query.eq("emails.email_label_assignments.label_id", label_id);
+  }
+
+  return query;
+}
+
+export const BOUNCE_TYPES = ["HARD", "SOFT", "UNKNOWN"];
+
+/**
+ * Apply GET /bounces filters to an email_bounces query
+ * @param {Object} query - Supabase query builder
+ * @param {Object} filters - mailbox_id, bounce_type, bounce_category,
+ *   delivery_state, since, until, min_failures
+ * @returns {Object} query
+ */
+export function applyBounceFilters(query, filters = {}) {
+  const {
+    mailbox_id,
+    bounce_type,
+    bounce_category,
+    delivery_state,
+    since,
+    until,
+    min_failures,
+  } = filters;
+
+  if (mailbox_id) {
+    query = query.eq("mailbox_id", mailbox_id);
+  }
+
+  if (bounce_type) {
+    query = query.eq("bounce_type", bounce_type.toUpperCase());
+  }
+
+  if (bounce_category) {
+    query = query.eq("bounce_category", bounce_category.toUpperCase());
+  }
+
+  // Soft failures older than the decay window read as ACTIVE
+  if (delivery_state) {
+    const state = delivery_state.toUpperCase();
+    const cutoff = decayCutoff().toISOString();
+
+    if (state === "ACTIVE") {
+      query = query.or(
+        `delivery_state.eq.ACTIVE,and(delivery_state.eq.SOFT_FAILING,last_failed_at.lt.${cutoff})`,
+      );
+    } else if (state === "SOFT_FAILING") {
+      query = query
+        .eq("delivery_state", "SOFT_FAILING")
+        .gte("last_failed_at", cutoff);
+    } else {
+      query = query.eq("delivery_state", state);
+    }
+  }
+
+  // Date range applies to the most recent failure
+  if (since) {
+    query = query.gte("last_failed_at", since);
+  }
+
+  if (until) {
+    query = query.lte("last_failed_at", until);
+  }
+
+  if (min_failures) {
+    query = query.gte("failure_count", parseInt(min_failures, 10));
+  }
+
+  return query;
+}
+
+/**
+ * Validate GET /bounces filters
+ * @returns {string|null} Error message
+ */
+export function validateBounceFilters(filters = {}) {
+  const {
+    bounce_type,
+    bounce_category,
+    delivery_state,
+    since,
+    until,
+    min_failures,
+  } = filters;
+
+  if (bounce_type && !BOUNCE_TYPES.includes(bounce_type.toUpperCase())) {
+    return `bounce_type must be one of: ${BOUNCE_TYPES.join(", ")}`;
+  }
+
+  if (
+    bounce_category &&
+    !BOUNCE_CATEGORIES.includes(bounce_category.toUpperCase())
+  ) {
+    return `bounce_category must be one of: ${BOUNCE_CATEGORIES.join(", ")}`;
+  }
+
+  if (
+    delivery_state &&
+    !DELIVERY_STATES.includes(delivery_state.toUpperCase())
+  ) {
+    return `delivery_state must be one of: ${DELIVERY_STATES.join(", ")}`;
+  }
+
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      return `${name} must be a date (e.g. 2026-01-31)`;
+    }
+  }
+
+  if (min_failures && !/^\d+$/.test(min_failures)) {
+    return "min_failures must be a positive integer";
+  }
+
+  return null;
+}
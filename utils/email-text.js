@@ -0,0 +1,57 @@
+/**
+ * Convert an email body (plain text or HTML) to single-spaced plain text
+ * @param {string} body
+ * @returns {string}
+ */
+export function toPlainText(body) {
+  if (!body) return "";
+
+  // Remove HTML tags if present
+  const text = body.replace(/<[^>]+>/g, " ");
+
+  // Remove extra whitespace
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Convert an email body to plain text that keeps its lines, for quoting and
+ * storage. Plain text keeps its spacing; HTML breaks lines at block ends
+ * @param {string} body
+ * @returns {string}
+ */
+export function toTextLines(body) {
+  if (!body) return "";
+
+  let text = body.replace(/\r\n?/g, "\n");
+
+  if (/<[a-z!/][^>]*>/i.test(text)) {
+    text = text
+      .replace(/\n/g, " ")
+      .replace(/<br\s*\/?>|<\/(?:p|div|li|tr|h[1-6]|blockquote)>/gi, "\n")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/&nbsp;/g, " ")
+      .replace(/[ \t]+/g, " ")
+      .replace(/^ /gm, "");
+  }
+
+  return text
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
@@ -0,0 +1,46 @@
+/**
+ * Fastify logger options. Request URLs are logged with credentials passed
+ * in the query string (the event stream's access_token) masked.
+ */
+
+const SECRET_QUERY_PARAMS = ["access_token"];
+
+/**
+ * Mask secret query parameter values in a request URL
+ * @param {string} url - Path and query, as in request.url
+ * @returns {string}
+ */
+export function redactUrl(url) {
+  if (!url || !url.includes("?")) return url;
+
+  const [path, query] = url.split(/\?(.*)/s);
+  const params = query.split("&").map((param) => {
+    const name = decodeURIComponentSafe(param.split("=")[0]);
+    return SECRET_QUERY_PARAMS.includes(name) ? `${name}=[REDACTED]` : param;
+  });
+
+  return `${path}?${params.join("&")}`;
+}
+
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+export const loggerOptions = {
+  serializers: {
+    // Fastify's default request serializer, with the URL redacted
+    req(request) {
+      return {
+        method: request.method,
+        url: redactUrl(request.url),
+        host: request.host,
+        remoteAddress: request.ip,
+        remotePort: request.socket?.remotePort,
+      };
+    },
+  },
+};
@@ -0,0 +1,100 @@
+/**
+ * Parse a Gmail-style search string into free text and operators.
+ *
+ * Supported operators: from:, to:, has:attachment, before:, after:
+ * Free text (including "quoted phrases", -exclusions and OR) is passed
+ * through untouched for Postgres websearch_to_tsquery.
+ *
+ * @example
+ * parseSearchQuery('"refund request" from:acme.com after:2026-01-01')
+ * // { text: '"refund request"', from: "acme.com", after: "2026-01-01T00:00:00.000Z", ... }
+ */
+
+const TOKEN_PATTERN = /(\w+):("[^"]*"|\S+)|"[^"]*"|\S+/g;
+const DATE_PATTERN = /^\d{4}[-/]\d{1,2}[-/]\d{1,2}$/;
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, "$1").trim();
+}
+
+function parseDate(value) {
+  if (!DATE_PATTERN.test(value)) return null;
+
+  const [year, month, day] = value.split(/[-/]/).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  // Reject dates that roll over (e.g. 2026-02-31)
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * @param {string} input
+ * @returns {{ text: string, from: string|null, to: string|null, hasAttachment: boolean|null, before: string|null, after: string|null, errors: Array<string> }}
+ */
+export function parseSearchQuery(input = "") {
+  const result = {
+    text: "",
+    from: null,
+    to: null,
+    hasAttachment: null,
+    before: null,
+    after: null,
+    errors: [],
+  };
+
+  const textParts = [];
+
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    const [token, operator, rawValue] = match;
+
+    if (!operator) {
+      textParts.push(token);
+      continue;
+    }
+
+    const value = unquote(rawValue);
+
+    switch (operator.toLowerCase()) {
+      case "from":
+        result.from = value.toLowerCase();
+        break;
+
+      case "to":
+        result.to = value.toLowerCase();
+        break;
+
+      case "has":
+        if (/^attachments?$/i.test(value)) {
+          result.hasAttachment = true;
+        } else {
+          result.errors.push(`Unsupported has: value "${value}"`);
+        }
+        break;
+
+      case "before":
+      case "after": {
+        const date = parseDate(value);
+        if (date) {
+          result[operator.toLowerCase()] = date;
+        } else {
+          result.errors.push(
+            `${operator}: expects a date like 2026-01-31, got "${value}"`,
+          );
+        }
+        break;
+      }
+
+      default:
+        // Not an operator we know (e.g. "re:meeting") - keep it as text
+        textParts.push(token);
+    }
+  }
+
+  result.text = textParts.join(" ").trim();
+
+  return result;
+}
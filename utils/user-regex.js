@@ -0,0 +1,77 @@
+/**
+ * User-supplied regular expressions
+ * Rule patterns run in the worker against every incoming email, so one that
+ * backtracks catastrophically would stall mail processing. Patterns with
+ * nested quantifiers (e.g. "(a+)+", checked by safe-regex2) are refused,
+ * patterns and the text they are tested against are capped in length, and
+ * compiled patterns are kept in a bounded cache.
+ */
+
+import safeRegex from "safe-regex2";
+
+export const MAX_PATTERN_LENGTH = 500;
+
+// Text beyond this is not looked at
+export const MAX_INPUT_LENGTH = 2000;
+
+const CACHE_SIZE = 1000;
+
+const cache = new Map();
+
+/**
+ * Compile a user pattern (cached)
+ * @param {string} source
+ * @param {string} flags
+ * @returns {RegExp}
+ * @throws {Error} When the pattern is empty, too long, invalid or unsafe
+ */
+export function compileUserRegex(source, flags = "i") {
+  const key = `${flags}/${source}`;
+  const cached = cache.get(key);
+
+  if (cached) {
+    // Most recently used last
+    cache.delete(key);
+    cache.set(key, cached);
+    return cached;
+  }
+
+  if (typeof source !== "string" || !source) {
+    throw new Error("Pattern must be a non-empty string");
+  }
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  const regex = new RegExp(source, flags);
+
+  if (!safeRegex(regex)) {
+    throw new Error("Pattern has nested quantifiers");
+  }
+
+  cache.set(key, regex);
+  if (cache.size > CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return regex;
+}
+
+/**
+ * Whether a user pattern compiles and is safe to run
+ */
+export function isSafeUserRegex(source, flags = "i") {
+  try {
+    compileUserRegex(source, flags);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Test a compiled user pattern against (the start of) a value
+ */
+export function testUserRegex(regex, value) {
+  return regex.test(String(value ?? "").slice(0, MAX_INPUT_LENGTH));
+}